@@ -5,6 +5,7 @@
  */
 
 const { google } = require('googleapis');
+const { getOptionalConfig } = require('./utils/config');
 
 const checkApis = async () => {
   try {
@@ -76,24 +77,28 @@ const checkApis = async () => {
     }
     
     // Check folder access
-    const FOLDER_ID = '1_bUiyGsrEjZb1Vkpelu7JKlepDvvr_30';
-    console.log(`\nChecking access to folder: ${FOLDER_ID}`);
-    try {
-      const folderResponse = await drive.files.get({
-        fileId: FOLDER_ID,
-        fields: 'id,name,capabilities(canEdit)'
-      });
+    const FOLDER_ID = getOptionalConfig('FOLDER_ID');
+    if (!FOLDER_ID) {
+      console.log('\nSkipping folder access check: FOLDER_ID is not configured');
+    } else {
+      console.log(`\nChecking access to folder: ${FOLDER_ID}`);
+      try {
+        const folderResponse = await drive.files.get({
+          fileId: FOLDER_ID,
+          fields: 'id,name,capabilities(canEdit)'
+        });
       
-      const folder = folderResponse.data;
-      if (!folder.capabilities.canEdit) {
-        console.log(`❌ NO EDIT ACCESS to folder "${folder.name}" (${folder.id})`);
-        console.log(`   The service account can see the folder but cannot edit it.`);
-      } else {
-        console.log(`✓ Service account has edit access to folder "${folder.name}" (${folder.id})`);
+        const folder = folderResponse.data;
+        if (!folder.capabilities.canEdit) {
+          console.log(`❌ NO EDIT ACCESS to folder "${folder.name}" (${folder.id})`);
+          console.log(`   The service account can see the folder but cannot edit it.`);
+        } else {
+          console.log(`✓ Service account has edit access to folder "${folder.name}" (${folder.id})`);
+        }
+      } catch (error) {
+        console.log(`❌ Cannot access folder: ${error.message}`);
+        console.log(`   The service account might not have access to this folder at all.`);
       }
-    } catch (error) {
-      console.log(`❌ Cannot access folder: ${error.message}`);
-      console.log(`   The service account might not have access to this folder at all.`);
     }
     
     console.log('\n🔍 SUMMARY OF FINDINGS:');
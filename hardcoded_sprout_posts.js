@@ -7,6 +7,9 @@
  * from Sprout Social posts endpoint and writes to tabs in the existing
  * group spreadsheet: instagram_post, linkedin_post, facebook_post,
  * twitter_post, youtube_post.
+ *
+ * Posts younger than POST_REFRESH_DAYS are refetched and updated in place on every run; older
+ * rows are frozen. "Metrics As Of" shows when each row was last refreshed.
  */
 
 const { google } = require('googleapis');
@@ -17,7 +20,14 @@ const apiUtils = require('./utils/api');
 const sheetsUtils = require('./utils/sheets');
 const driveUtils = require('./utils/simple-drive');
 const groupUtils = require('./utils/groups');
+const { getNetworkKey, findUnsupportedNetworks, describeUnsupportedNetworks } = require('./utils/networks');
+const { getPostMetadata } = require('./utils/post-metadata');
+const { getRefreshWindow, findVanishedPostRows } = require('./utils/post-refresh');
 const { sendSproutCompletionEmail } = require('./utils/sproutEmailHelper');
+const { getConfigOrExit, getOptionalConfig } = require('./utils/config');
+const logger = require('./utils/logger');
+const { createDryRunPlan, createDryRunSheetsUtils, describeRowKey, printDryRunPlan } = require('./utils/dry-run');
+const { sheetsWriteLimiter, retryWithBackoff } = require('./utils/rate-limit');
 
 // Platform Post Modules
 const igPosts = require('./platforms/instagram_posts');
@@ -25,12 +35,13 @@ const liPosts = require('./platforms/linkedin_posts');
 const fbPosts = require('./platforms/facebook_posts');
 const twPosts = require('./platforms/twitter_posts');
 const ytPosts = require('./platforms/youtube_posts');
+const ttPosts = require('./platforms/tiktok_posts');
+const piPosts = require('./platforms/pinterest_posts');
+const thPosts = require('./platforms/threads_posts');
 
-// API & Config
-const CUSTOMER_ID = "2653573";
-const SPROUT_API_TOKEN = "MjY1MzU3M3wxNzUyMjE2ODQ5fDdmNzgxNzQyLWI3NWEtNDFkYS1hN2Y4LWRkMTE3ODRhNzBlNg==";
-const FOLDER_ID = '13XPLx5l1LuPeJL2Ue03ZztNQUsNgNW06';
-const BASE_URL = "https://api.sproutsocial.com/v1";
+// API & Config, see utils/config.js
+const { CUSTOMER_ID, SPROUT_API_TOKEN, FOLDER_ID_APRIL: FOLDER_ID } = getConfigOrExit(['CUSTOMER_ID', 'SPROUT_API_TOKEN', 'FOLDER_ID_APRIL']);
+const BASE_URL = apiUtils.getSproutBaseUrl();
 const POSTS_URL = `${BASE_URL}/${CUSTOMER_ID}/analytics/posts`;
 
 // Hardcoded BookMyShow Stream data
@@ -80,138 +91,34 @@ const date = getCurrentDate();
 const START_DATE = '2025-04-01';
 const END_DATE = date;
 
-const WRITE_MIN_INTERVAL_MS = 2000;
-let lastWriteAt = 0;
-const sleep = (ms) => new Promise(res => setTimeout(res, ms));
-
-async function throttleWrite() {
-  const now = Date.now();
-  const wait = Math.max(0, WRITE_MIN_INTERVAL_MS - (now - lastWriteAt));
-  if (wait > 0) await sleep(wait);
-  lastWriteAt = Date.now();
-}
-
-async function retryWithBackoff(fn, { maxAttempts = 5, baseDelayMs = 15000, onBeforeRetry = async () => {} } = {}) {
-  let attempt = 0;
-  while (true) {
-    try {
-      return await fn();
-    } catch (err) {
-      attempt++;
-      const msg = err?.message || '';
-      const code = err?.code || err?.response?.status;
-      const isQuota = code === 429 || /quota exceeded|rate limit/i.test(msg);
-      if (!isQuota || attempt >= maxAttempts) throw err;
-      const delay = Math.round(baseDelayMs * Math.pow(2, attempt - 1) * (0.8 + Math.random() * 0.4));
-      console.warn(`Quota hit. Cooling down for ${Math.round(delay/1000)}s before retry ${attempt}/${maxAttempts}...`);
-      await onBeforeRetry(attempt, err);
-      await sleep(delay);
-    }
-  }
-}
-
-// Network type mapping
-const networkTypeMapping = {
-  'linkedin_company': 'linkedin',
-  'fb_instagram_account': 'instagram',
-  'fb_page': 'facebook',
-  'facebook': 'facebook',
-  'youtube': 'youtube',
-  'twitter_profile': 'twitter',
-  'twitter': 'twitter'
-};
+// --dry-run reads everything but only prints the sheet changes it would make
+const DRY_RUN = process.argv.includes('--dry-run');
+const dryRunPlan = DRY_RUN ? createDryRunPlan() : null;
+const sheetWriter = dryRunPlan ? createDryRunSheetsUtils(dryRunPlan) : sheetsUtils;
 
 const postModules = {
   instagram: igPosts,
   linkedin: liPosts,
   facebook: fbPosts,
   twitter: twPosts,
-  youtube: ytPosts
+  youtube: ytPosts,
+  tiktok: ttPosts,
+  pinterest: piPosts,
+  threads: thPosts
 };
 
-function buildDateSet(startDateStr, endDateStr) {
-  const set = new Set();
-  const start = new Date(startDateStr);
-  const end = new Date(endDateStr);
-  const pad = (n) => (n < 10 ? `0${n}` : `${n}`);
-  for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
-    const yyyy = d.getFullYear();
-    const mm = pad(d.getMonth() + 1);
-    const dd = pad(d.getDate());
-    set.add(`${yyyy}-${mm}-${dd}`);
-  }
-  return set;
-}
-
-function normalizeSheetDateCell(value) {
-  if (value == null) return '';
-  const raw = String(value).trim();
-  if (/^\d{4}-\d{2}-\d{2}$/.test(raw)) return raw;
-  const asNum = Number(raw);
-  if (!Number.isNaN(asNum) && raw !== '') {
-    const epoch = new Date(Date.UTC(1899, 11, 30));
-    const ms = epoch.getTime() + Math.round(asNum) * 86400000;
-    const dt = new Date(ms);
-    const yyyy = dt.getUTCFullYear();
-    const mm = String(dt.getUTCMonth() + 1).padStart(2, '0');
-    const dd = String(dt.getUTCDate()).padStart(2, '0');
-    return `${yyyy}-${mm}-${dd}`;
-  }
-  const parsed = new Date(raw);
-  if (!isNaN(parsed.getTime())) {
-    const yyyy = parsed.getFullYear();
-    const mm = String(parsed.getMonth() + 1).padStart(2, '0');
-    const dd = String(parsed.getDate()).padStart(2, '0');
-    return `${yyyy}-${mm}-${dd}`;
+// Read a post tab's values ([] when the tab doesn't exist yet)
+async function readPostTab(sheets, spreadsheetId, sheetName) {
+  try {
+    const resp = await sheets.spreadsheets.values.get({ spreadsheetId, range: `${sheetName}!A:AZ` });
+    return resp.data.values || [];
+  } catch (_) {
+    return [];
   }
-  return '';
 }
 
 async function fetchPostsForProfile(profileId, startDate, endDate, metrics) {
-  const axios = require('axios');
-  const hdrs = apiUtils.getSproutHeaders(SPROUT_API_TOKEN);
-  const metricList = Array.isArray(metrics) && metrics.length ? metrics : undefined;
-
-  const variants = [
-    { label: 'created_time + metrics', filters: [`customer_profile_id.eq(${profileId})`, `created_time.in(${startDate}...${endDate})`], metrics: metricList },
-    { label: 'created_time (no metrics)', filters: [`customer_profile_id.eq(${profileId})`, `created_time.in(${startDate}...${endDate})`], metrics: undefined },
-    { label: 'reporting_period + metrics', filters: [`customer_profile_id.eq(${profileId})`, `reporting_period.in(${startDate}...${endDate})`], metrics: metricList },
-    { label: 'reporting_period (no metrics)', filters: [`customer_profile_id.eq(${profileId})`, `reporting_period.in(${startDate}...${endDate})`], metrics: undefined }
-  ];
-
-  for (const v of variants) {
-    const payload = {
-      filters: v.filters,
-      fields: [
-        'created_time',
-        'perma_link',
-        'text',
-        'internal.tags.id',
-        'internal.sent_by.id',
-        'internal.sent_by.email',
-        'internal.sent_by.first_name',
-        'internal.sent_by.last_name'
-      ],
-      timezone: 'America/Chicago',
-      page: 1
-    };
-    if (v.metrics) payload.metrics = v.metrics;
-    
-    try {
-      const resp = await apiUtils.requestWithRetry(
-        () => axios.post(POSTS_URL, payload, { headers: hdrs }),
-        `posts profile ${profileId} (${v.label})`
-      );
-      const arr = resp?.data?.data || [];
-      console.log(`[Posts] profile=${profileId} variant="${v.label}" -> count=${arr.length}`);
-      if (arr.length > 0) return arr;
-    } catch (err) {
-      console.warn(`[Posts] profile=${profileId} variant="${v.label}" failed: ${err.message}`);
-    }
-  }
-  
-  console.warn(`[Posts] profile=${profileId} returned no data for any variant in ${startDate}..${endDate}`);
-  return [];
+  return apiUtils.getPostAnalyticsData(POSTS_URL, SPROUT_API_TOKEN, profileId, startDate, endDate, metrics);
 }
 
 function truncate(str, max = 500) {
@@ -224,8 +131,8 @@ async function processGroup(googleClients) {
   const { drive, sheets, auth } = googleClients;
   const baseNamePattern = `Copy of ${GROUP_NAME}`;
 
-  console.log(`Processing group: ${GROUP_NAME} (${GROUP_ID})`);
-  console.log(`Profiles to process: ${PROFILES.length}`);
+  logger.info(`Processing group: ${GROUP_NAME} (${GROUP_ID})`);
+  logger.info(`Profiles to process: ${PROFILES.length}`);
 
   // Resolve spreadsheet
   let spreadsheetId = await driveUtils.findExistingSpreadsheet(drive, baseNamePattern, FOLDER_ID);
@@ -247,115 +154,152 @@ async function processGroup(googleClients) {
       );
       if (possibleMatches.length > 0) {
         spreadsheetId = possibleMatches[0].id;
-        console.log(`Reusing spreadsheet: ${possibleMatches[0].name} (${spreadsheetId})`);
+        logger.info(`Reusing spreadsheet: ${possibleMatches[0].name} (${spreadsheetId})`);
       } else {
         const globalMatch = await driveUtils.findSpreadsheetByPattern(drive, baseNamePattern, null);
         if (globalMatch && globalMatch.id) {
           spreadsheetId = globalMatch.id;
-          console.log(`Reusing spreadsheet outside folder: ${globalMatch.name} (${spreadsheetId})`);
+          logger.info(`Reusing spreadsheet outside folder: ${globalMatch.name} (${spreadsheetId})`);
         }
       }
     } catch (e) {
-      console.warn(`Failed to reuse spreadsheet for ${KOTAK_GROUP_NAME}: ${e.message}`);
+      logger.warn(`Failed to reuse spreadsheet for ${KOTAK_GROUP_NAME}: ${e.message}`);
     }
   }
   
   if (!spreadsheetId) {
     throw new Error(`No spreadsheet found for group ${KOTAK_GROUP_NAME}.`);
   }
+  if (dryRunPlan) dryRunPlan.addSpreadsheet(spreadsheetId, { groupName: GROUP_NAME });
 
   // Group profiles by network type
   const profilesByNetwork = {};
   for (const p of PROFILES) {
-    const net = networkTypeMapping[p.network_type] || (p.network_type || '').toLowerCase();
+    const net = getNetworkKey(p.network_type);
     if (!profilesByNetwork[net]) profilesByNetwork[net] = [];
     profilesByNetwork[net].push(p);
   }
 
-  console.log('Profiles grouped by network:', Object.keys(profilesByNetwork));
+  // Networks without a post module are reported instead of fetched
+  const unsupportedNetworks = findUnsupportedNetworks(PROFILES, postModules);
+  if (unsupportedNetworks.length > 0) {
+    logger.warn(`Group ${GROUP_NAME} has profiles on unsupported networks: ${describeUnsupportedNetworks(unsupportedNetworks)}`);
+    unsupportedNetworks.forEach(({ networkKey }) => { delete profilesByNetwork[networkKey]; });
+  }
+
+  logger.info('Profiles grouped by network:', Object.keys(profilesByNetwork));
+
+  // Posts younger than POST_REFRESH_DAYS are refetched on every run; older rows stay frozen
+  const refreshDays = Number(getOptionalConfig('POST_REFRESH_DAYS'));
+  const metricsAsOf = new Date().toISOString();
 
   const postsByNetwork = {};
 
   // Fetch posts for each network
   for (const [net, profs] of Object.entries(profilesByNetwork)) {
-    console.log(`\nFetching posts for ${net} (${profs.length} profiles)`);
-    postsByNetwork[net] = [];
+    const mod = postModules[net];
+    const window = getRefreshWindow(await readPostTab(sheets, spreadsheetId, mod.SHEET_NAME), {
+      dateHeader: mod.KEY_HEADERS[0],
+      startDate: START_DATE,
+      endDate: END_DATE,
+      refreshDays
+    });
+    logger.info(`\nFetching posts for ${net} (${profs.length} profiles) from ${window.startDate} to ${window.endDate} (refreshing posts since ${window.refreshStart})`);
+    postsByNetwork[net] = { window, posts: [], completeProfileIds: [] };
 
     for (const profile of profs) {
       const profileId = profile.customer_profile_id;
-      console.log(`Fetching posts for profile ${profileId} (${profile.name})`);
+      logger.info(`Fetching posts for profile ${profileId} (${profile.name})`);
       
-      const mod = postModules[net];
-      const metrics = mod && Array.isArray(mod.METRICS) ? mod.METRICS.map(m => m.key) : undefined;
-      const data = await fetchPostsForProfile(profileId, START_DATE, END_DATE, metrics);
+      const metrics = Array.isArray(mod.METRICS) ? mod.METRICS.map(m => m.key) : undefined;
+      const result = await fetchPostsForProfile(profileId, window.startDate, window.endDate, metrics);
+      if (result.complete) postsByNetwork[net].completeProfileIds.push(String(profileId));
       
-      for (const dp of data) {
-        postsByNetwork[net].push({ dataPoint: dp, profile });
+      for (const dp of result.data) {
+        postsByNetwork[net].posts.push({ dataPoint: dp, profile });
       }
-      
-      // Gentle delay between profiles
-      await sleep(800 + Math.floor(Math.random() * 400));
     }
     
-    console.log(`${net}: ${postsByNetwork[net].length} posts found`);
+    logger.info(`${net}: ${postsByNetwork[net].posts.length} posts found`);
   }
 
+  // Tag and user names for the post rows (fetched once per run)
+  const postMetadata = await getPostMetadata(BASE_URL, CUSTOMER_ID, SPROUT_API_TOKEN);
+
   // Process each network's posts
-  for (const [net, posts] of Object.entries(postsByNetwork)) {
+  const failedSheets = [];
+  for (const [net, { window, posts, completeProfileIds }] of Object.entries(postsByNetwork)) {
     if (!posts || posts.length === 0) {
-      console.log(`No posts for ${net}, skipping`);
+      logger.info(`No posts for ${net}, skipping`);
       continue;
     }
     
     const mod = postModules[net];
     if (!mod) { 
-      console.log(`No module for ${net}, skipping`); 
+      logger.info(`No module for ${net}, skipping`); 
       continue; 
     }
 
     const sheetName = mod.SHEET_NAME;
-    console.log(`\nProcessing ${sheetName} with ${posts.length} posts`);
+    logger.info(`\nProcessing ${sheetName} with ${posts.length} posts`);
 
     // Create sheet if needed
     try {
       const resp = await sheets.spreadsheets.get({ spreadsheetId, includeGridData: false });
       const existingSheets = (resp.data.sheets || []).map(s => s.properties?.title);
-      if (!existingSheets.includes(sheetName)) {
+      if (!existingSheets.includes(sheetName) && dryRunPlan) {
+        dryRunPlan.createTab(spreadsheetId, sheetName);
+      } else if (!existingSheets.includes(sheetName)) {
+        await sheetsWriteLimiter.acquire();
         await sheets.spreadsheets.batchUpdate({
           spreadsheetId,
           resource: { requests: [{ addSheet: { properties: { title: sheetName } } }] }
         });
-        console.log(`Created sheet "${sheetName}"`);
+        logger.info(`Created sheet "${sheetName}"`);
       }
     } catch (e) {
-      console.warn(`Sheet ensure failed for ${sheetName}: ${e.message}`);
+      logger.warn(`Sheet ensure failed for ${sheetName}: ${e.message}`);
     }
 
     // Setup headers
     const headers = mod.buildHeaders(mod.METRICS);
-    await mod.setupHeaders(sheetsUtils, auth, spreadsheetId, headers);
+    await mod.setupHeaders(sheetWriter, auth, spreadsheetId, headers);
+
+    // Format rows
+    const rows = posts.map(({ dataPoint, profile }) => 
+      mod.formatPostData(dataPoint, profile, headers, truncate, postMetadata, metricsAsOf)
+    );
+    const filtered = rows.filter(r => Array.isArray(r) && r.length === headers.length);
+
+    if (filtered.length === 0) {
+      logger.info(`No valid rows to write for ${sheetName}`);
+      continue;
+    }
 
-    // Clear existing rows in date range
+    // Remove rows of refetched posts that no longer came back (e.g. deleted on the network)
     try {
-      const existingValues = await sheets.spreadsheets.values.get({ 
-        spreadsheetId, 
-        range: `${sheetName}!A:AZ` 
-      });
-      const rows = existingValues.data.values || [];
+      // A tab the dry run would create has nothing to remove yet
+      const existingValues = dryRunPlan && dryRunPlan.isNewTab(spreadsheetId, sheetName)
+        ? { data: { values: [] } }
+        : await sheets.spreadsheets.values.get({ 
+          spreadsheetId, 
+          range: `${sheetName}!A:AZ` 
+        });
+      const existingRows = existingValues.data.values || [];
       
-      if (rows.length > 0) {
-        const dateSet = buildDateSet(START_DATE, END_DATE);
-        const rowsToClear = [];
-        
-        for (let i = 1; i < rows.length; i++) {
-          const normalized = normalizeSheetDateCell(rows[i] && rows[i][0]);
-          if (normalized && dateSet.has(normalized)) {
-            rowsToClear.push(i + 1);
-          }
-        }
+      if (existingRows.length > 0) {
+        const rowsToClear = findVanishedPostRows(existingRows, filtered, {
+          headers,
+          keyHeaders: mod.KEY_HEADERS,
+          window,
+          profileIds: completeProfileIds
+        });
         
-        if (rowsToClear.length > 0) {
-          console.log(`Clearing ${rowsToClear.length} existing rows in date range`);
+        if (rowsToClear.length > 0 && dryRunPlan) {
+          dryRunPlan.recordDeletes(spreadsheetId, sheetName, rowsToClear.map(sheetRow =>
+            ({ sheetRow, key: describeRowKey(existingRows[0], existingRows[sheetRow - 1], mod.KEY_HEADERS) })));
+        } else if (rowsToClear.length > 0) {
+          logger.info(`Removing ${rowsToClear.length} rows of posts that no longer exist`);
           rowsToClear.sort((a,b) => a - b);
           
           const ranges = [];
@@ -380,6 +324,7 @@ async function processGroup(googleClients) {
           
           if (sheetId == null) {
             const a1Ranges = ranges.map(([s,e]) => `${sheetName}!A${s}:AZ${e}`);
+            await sheetsWriteLimiter.acquire();
             await sheets.spreadsheets.values.batchClear({ 
               spreadsheetId, 
               resource: { ranges: a1Ranges } 
@@ -393,6 +338,7 @@ async function processGroup(googleClients) {
                   range: { sheetId, dimension: 'ROWS', startIndex: start, endIndex: end }
                 }
               }));
+            await sheetsWriteLimiter.acquire();
             await sheets.spreadsheets.batchUpdate({ 
               spreadsheetId, 
               resource: { requests: deleteRequests } 
@@ -401,53 +347,52 @@ async function processGroup(googleClients) {
         }
       }
     } catch (e) {
-      console.warn(`Failed clearing existing rows for ${sheetName}: ${e.message}`);
+      logger.warn(`Failed removing vanished posts from ${sheetName}: ${e.message}`);
     }
 
-    // Format and write rows
-    const rows = posts.map(({ dataPoint, profile }) => 
-      mod.formatPostData(dataPoint, profile, headers, truncate)
-    );
-    const filtered = rows.filter(r => Array.isArray(r) && r.length === headers.length);
+    logger.info(`Writing ${filtered.length} rows to ${sheetName}`);
 
-    if (filtered.length === 0) {
-      console.log(`No valid rows to write for ${sheetName}`);
-      continue;
+    // Ensure sheet capacity
+    if (!dryRunPlan) {
+      try { 
+        await driveUtils.ensureSheetCapacity(
+          sheets, 
+          spreadsheetId, 
+          sheetName, 
+          filtered.length + 2000, 
+          Math.max(30, headers.length + 2)
+        ); 
+      } catch (e) {
+        logger.warn(`Failed to ensure capacity: ${e.message}`);
+      }
     }
 
-    console.log(`Writing ${filtered.length} rows to ${sheetName}`);
-
-    // Ensure sheet capacity
-    try { 
-      await driveUtils.ensureSheetCapacity(
-        sheets, 
-        spreadsheetId, 
-        sheetName, 
-        filtered.length + 2000, 
-        Math.max(30, headers.length + 2)
-      ); 
+    // Write with backoff (the shared Sheets limiter paces writes); refetched posts are updated in place
+    try {
+      const written = await retryWithBackoff(() => mod.updateSheet(sheetWriter, auth, spreadsheetId, filtered, sheetName, { mode: 'upsert' }));
+      if (!written) {
+        logger.error(`Failed writing ${sheetName}`);
+        failedSheets.push(sheetName);
+        continue;
+      }
     } catch (e) {
-      console.warn(`Failed to ensure capacity: ${e.message}`);
+      if (e.code === sheetsUtils.MISSING_KEY_HEADER) throw e;
+      logger.error(`Failed writing ${sheetName} after retries: ${e.message}`);
+      failedSheets.push(sheetName);
+      continue;
     }
 
-    // Write with throttling and backoff
-    await throttleWrite();
-    await retryWithBackoff(async () => {
-      await throttleWrite();
-      return await mod.updateSheet(sheetsUtils, auth, spreadsheetId, filtered, sheetName);
-    }, {
-      maxAttempts: 7,
-      baseDelayMs: 30000,
-      onBeforeRetry: async () => {}
-    });
-
-    console.log(`✓ Completed ${sheetName}`);
+    logger.info(`✓ Completed ${sheetName}`);
   }
 
   return { 
     groupId: GROUP_ID, 
     groupName: GROUP_NAME, 
-    spreadsheetId 
+    spreadsheetId,
+    unsupportedNetworks,
+    status: failedSheets.length > 0
+      ? `Error: write failed for ${failedSheets.join(', ')}`
+      : (dryRunPlan ? 'Planned (dry run)' : 'Completed')
   };
 }
 
@@ -455,8 +400,8 @@ async function main() {
   const startTime = Date.now();
   
   try {
-    console.log('Starting Post-level Analytics run for Kotak 811');
-    console.log(`Date range: ${START_DATE} to ${END_DATE}`);
+    logger.info(`Starting Post-level Analytics run for Kotak 811${DRY_RUN ? ' (dry run: nothing will be written)' : ''}`);
+    logger.info(`Date range: ${START_DATE} to ${END_DATE}`);
 
     // Authentication
     const { authenticateWithEnv } = require('./utils/auth');
@@ -475,9 +420,9 @@ async function main() {
         fields: 'id,name', 
         supportsAllDrives: true 
       });
-      console.log('✓ Folder access verified');
+      logger.info('✓ Folder access verified');
     } catch (e) {
-      console.warn(`Folder access warning: ${e.message}`);
+      logger.warn(`Folder access warning: ${e.message}`);
     }
 
     // Process the group
@@ -488,18 +433,30 @@ async function main() {
     const executionTimeMin = Math.round(executionTimeSec / 60 * 100) / 100;
     const formattedTime = `${executionTimeMin} minutes (${executionTimeSec} seconds)`;
 
-    console.log('\n✓ Process completed successfully!');
-    console.log(`Group: ${result.groupName}`);
-    console.log(`Spreadsheet: https://docs.google.com/spreadsheets/d/${result.spreadsheetId}/edit`);
-    console.log(`Total execution time: ${formattedTime}`);
-
-    // Send completion email
-    console.log('Sending completion email...');
-    const folderLink = `https://drive.google.com/drive/folders/${FOLDER_ID}`;
-    await sendSproutCompletionEmail([result], formattedTime, folderLink);
-    
+    const failed = result.status.startsWith('Error');
+    if (failed) {
+      logger.error(`\nProcess finished with errors: ${result.status}`);
+    } else {
+      logger.info('\n✓ Process completed successfully!');
+    }
+    logger.info(`Group: ${result.groupName}`);
+    logger.info(`Spreadsheet: https://docs.google.com/spreadsheets/d/${result.spreadsheetId}/edit`);
+    if (result.unsupportedNetworks.length > 0) {
+      logger.warn(`Unsupported networks: ${describeUnsupportedNetworks(result.unsupportedNetworks)}`);
+    }
+    logger.info(`Total execution time: ${formattedTime}`);
+
+    if (dryRunPlan) {
+      printDryRunPlan(dryRunPlan);
+    } else {
+      // Send completion email
+      logger.info('Sending completion email...');
+      const folderLink = `https://drive.google.com/drive/folders/${FOLDER_ID}`;
+      await sendSproutCompletionEmail([result], formattedTime, folderLink);
+    }
+    if (failed) process.exit(1);
   } catch (err) {
-    console.error('Error in sprout_posts:', err?.message || err);
+    logger.error('Error in sprout_posts:', err?.message || err);
     process.exit(1);
   }
 }
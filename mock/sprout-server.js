@@ -0,0 +1,523 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Sprout Social API
+ * ==============================================
+ * A local stand-in for the Sprout endpoints the pipelines use, for running and testing them
+ * offline without a real token:
+ *
+ *   GET  /v1/:customerId/metadata/customer          profiles from the fixture file
+ *   GET  /v1/:customerId/metadata/customer/groups   groups from the fixture file
+ *   GET  /v1/:customerId/metadata/customer/tags     tags from the fixture file
+ *   GET  /v1/:customerId/metadata/customer/users    users from the fixture file
+ *   POST /v1/:customerId/analytics/profiles         one data point per profile and day, or per week
+ *                                                   or month with dimensions reporting_period.by(week|month)
+ *   POST /v1/:customerId/analytics/posts            posts per profile and day
+ *
+ * Analytics and posts are generated from the profile ID, date and metric name, so the same
+ * request always returns the same numbers. Responses are paged like the real API
+ * (paging.current_page / paging.total_pages). Any bearer token is accepted.
+ *
+ * Failures can be injected to exercise retries and batch splitting, either at startup with
+ * --fault or while running via the control endpoints:
+ *
+ *   POST   /__mock/faults     body: { endpoint, status, times, profileId, page, retryAfter }
+ *   DELETE /__mock/faults     remove all faults
+ *   GET    /__mock/requests   requests received so far (DELETE clears them)
+ *
+ * Usage:
+ *   node mock/sprout-server.js [--port 4010] [--page-size N] [--fixtures PATH]
+ *                              [--fault "analytics/profiles:429:2"] [--fault "analytics/profiles:400::9002"]
+ *
+ * then point any pipeline at it with SPROUT_API_BASE_URL=http://127.0.0.1:4010/v1 and CUSTOMER_ID=1000001.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const express = require('express');
+const logger = require('../utils/logger');
+
+const DEFAULT_FIXTURES_FILE = path.join(__dirname, 'fixtures', 'sprout.json');
+const DEFAULT_PORT = 4010;
+
+// Rows per page; the real posts endpoint returns 50 posts per page
+const DEFAULT_PAGE_SIZE = 100;
+const POSTS_PAGE_SIZE = 50;
+
+// Endpoint names used by fault specs ('*' matches every endpoint)
+const ENDPOINTS = [
+  'metadata/customer', 'metadata/customer/groups', 'metadata/customer/tags', 'metadata/customer/users',
+  'analytics/profiles', 'analytics/posts'
+];
+
+// Keys of "<metric>_by_<dimension>" metrics, which the API returns as objects
+const BREAKDOWN_KEYS = {
+  content_type: ['PHOTO', 'VIDEO', 'TEXT', 'LINK'],
+  post_type: ['POST', 'REEL', 'STORY']
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Read a fixture file
+ * @param {string} [filePath] - Fixture JSON path (defaults to mock/fixtures/sprout.json)
+ * @returns {{customerId: string, groups: Array<Object>, profiles: Array<Object>, tags?: Array<Object>, users?: Array<Object>}} Fixtures
+ */
+const loadFixtures = (filePath = DEFAULT_FIXTURES_FILE) => {
+  const fixtures = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!fixtures.customerId || !Array.isArray(fixtures.groups) || !Array.isArray(fixtures.profiles)) {
+    throw new Error(`Fixture file ${filePath} needs customerId, groups and profiles`);
+  }
+  return fixtures;
+};
+
+/**
+ * Hash a list of values to an unsigned 32-bit integer (FNV-1a), used for stable generated numbers
+ * @param {...*} parts - Values to hash
+ * @returns {number} Hash
+ */
+const hash = (...parts) => {
+  let h = 0x811c9dc5;
+  for (const char of parts.join('|')) {
+    h ^= char.charCodeAt(0);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+};
+
+/**
+ * Parse the ID list of a filter such as "customer_profile_id.eq(1, 2)"
+ * @param {Array<string>} filters - Request filters
+ * @param {string} field - Filter field name
+ * @returns {Array<string>|null} IDs, or null when the filter is missing
+ */
+const parseListFilter = (filters, field) => {
+  const filter = (filters || []).find(f => String(f).startsWith(`${field}.eq(`));
+  const match = filter && String(filter).match(/\.eq\(([^)]*)\)/);
+  return match ? match[1].split(',').map(id => id.trim()).filter(Boolean) : null;
+};
+
+/**
+ * Parse the dates of a range filter such as "reporting_period.in(2025-01-01...2025-01-31)";
+ * datetimes are cut to their date
+ * @param {Array<string>} filters - Request filters
+ * @param {string} field - Filter field name
+ * @returns {{startDate: string, endDate: string}|null} Inclusive date range, or null when missing or invalid
+ */
+const parseRangeFilter = (filters, field) => {
+  const filter = (filters || []).find(f => String(f).startsWith(`${field}.in(`));
+  const match = filter && String(filter).match(/\.in\((\d{4}-\d{2}-\d{2})[^.]*\.{2,3}(\d{4}-\d{2}-\d{2})[^)]*\)/);
+  if (!match || match[2] < match[1]) return null;
+  return { startDate: match[1], endDate: match[2] };
+};
+
+/**
+ * List every date in an inclusive range
+ * @param {{startDate: string, endDate: string}} range - Date range
+ * @returns {Array<string>} Dates in YYYY-MM-DD format
+ */
+const listDates = ({ startDate, endDate }) => {
+  const dates = [];
+  const end = Date.parse(`${endDate}T00:00:00Z`);
+  for (let day = Date.parse(`${startDate}T00:00:00Z`); day <= end; day += DAY_MS) {
+    dates.push(new Date(day).toISOString().split('T')[0]);
+  }
+  return dates;
+};
+
+/**
+ * Generate a metric value for a profile and day. Lifetime snapshots grow by one a day,
+ * "_by_" metrics are objects keyed by their breakdown, and everything else is 0-499.
+ * @param {string} profileId - Customer profile ID
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} metric - Metric key
+ * @returns {number|Object} Metric value
+ */
+const generateMetricValue = (profileId, date, metric) => {
+  if (metric.startsWith('lifetime_snapshot.')) {
+    const daysSinceEpoch = Math.floor(Date.parse(`${date}T00:00:00Z`) / DAY_MS);
+    return 1000 + hash(profileId, metric) % 9000 + daysSinceEpoch % 10000;
+  }
+  const breakdown = metric.match(/_by_(\w+)$/);
+  if (breakdown) {
+    const keys = BREAKDOWN_KEYS[breakdown[1]] || ['OTHER'];
+    return Object.fromEntries(keys.map(key => [key, hash(profileId, date, metric, key) % 5]));
+  }
+  return hash(profileId, date, metric) % 500;
+};
+
+/**
+ * Read the reporting period a request groups by from its dimensions
+ * @param {Array<string>} [dimensions] - Request dimensions, e.g. ['customer_profile_id', 'reporting_period.by(week)']
+ * @returns {string|null} 'day' (the default), 'week' or 'month', or null when the period is not supported
+ */
+const parsePeriodDimension = (dimensions) => {
+  const dimension = (dimensions || []).find(d => String(d).startsWith('reporting_period'));
+  if (!dimension) return 'day';
+  const match = String(dimension).match(/^reporting_period\.by\((day|week|month)\)$/);
+  return match ? match[1] : null;
+};
+
+/**
+ * First day of the week (Monday) or month a date falls in
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} period - 'day', 'week' or 'month'
+ * @returns {string} Period start in YYYY-MM-DD format
+ */
+const periodStartOf = (date, period) => {
+  if (period === 'month') return `${date.slice(0, 7)}-01`;
+  if (period === 'week') {
+    const day = Date.parse(`${date}T00:00:00Z`);
+    return new Date(day - ((new Date(day).getUTCDay() + 6) % 7) * DAY_MS).toISOString().split('T')[0];
+  }
+  return date;
+};
+
+/**
+ * Combine a metric's daily values into one period value like the API does: lifetime snapshots
+ * take the value of the last day, "_by_" objects are summed per key and everything else is summed
+ * @param {string} metric - Metric key
+ * @param {Array<number|Object>} values - Daily values in date order
+ * @returns {number|Object} Period value
+ */
+const aggregateMetricValues = (metric, values) => {
+  if (metric.startsWith('lifetime_snapshot.')) return values[values.length - 1];
+  if (values[0] !== null && typeof values[0] === 'object') {
+    const totals = {};
+    values.forEach(value => Object.entries(value).forEach(([key, count]) => { totals[key] = (totals[key] || 0) + count; }));
+    return totals;
+  }
+  return values.reduce((total, value) => total + value, 0);
+};
+
+/**
+ * Generate the posts a profile sent on one day
+ * @param {Object} profile - Fixture profile
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Array<string>} [metrics] - Post metric keys to include
+ * @returns {Array<Object>} Posts shaped like the posts endpoint response
+ */
+const generatePosts = (profile, date, metrics) => {
+  const profileId = String(profile.customer_profile_id);
+  const count = profile.postsPerDay !== undefined ? profile.postsPerDay : 1 + hash(profileId, date, 'posts') % 2;
+  const posts = [];
+  for (let i = 0; i < count; i++) {
+    const minutes = (hash(profileId, date, i) % (24 * 60));
+    const createdTime = new Date(Date.parse(`${date}T00:00:00Z`) + minutes * 60 * 1000).toISOString().replace(/\.\d{3}Z$/, 'Z');
+    const postId = hash(profileId, date, i, 'id').toString(36);
+    const post = {
+      customer_profile_id: Number(profileId),
+      created_time: createdTime,
+      perma_link: `${String(profile.link || 'https://example.com').replace(/\/+$/, '')}/posts/${postId}`,
+      text: `Mock post ${i + 1} from ${profile.name} on ${date}`,
+      internal: {
+        tags: [{ id: 700000 + hash(profileId, date, i, 'tag') % 5 }],
+        sent_by: { id: 1155555, email: 'mock.user@example.com', first_name: 'Mock', last_name: 'User' }
+      }
+    };
+    if (metrics && metrics.length > 0) {
+      post.metrics = Object.fromEntries(metrics.map(metric => [metric, generateMetricValue(`${profileId}:${postId}`, date, metric)]));
+    }
+    posts.push(post);
+  }
+  return posts;
+};
+
+/**
+ * Return one page of rows in the API's paged response shape
+ * @param {Array} rows - All rows
+ * @param {number} page - 1-based page number
+ * @param {number} pageSize - Rows per page
+ * @returns {{data: Array, paging: {current_page: number, total_pages: number}}} Response body
+ */
+const paginate = (rows, page, pageSize) => {
+  const totalPages = Math.max(1, Math.ceil(rows.length / pageSize));
+  const currentPage = Math.max(1, parseInt(page, 10) || 1);
+  return {
+    data: rows.slice((currentPage - 1) * pageSize, currentPage * pageSize),
+    paging: { current_page: currentPage, total_pages: totalPages }
+  };
+};
+
+/**
+ * Validate and normalise a fault spec
+ * @param {Object} spec - { endpoint, status, times, profileId, page, retryAfter }
+ * @returns {Object} Fault; times is null when it should fire on every matching request
+ */
+const createFault = (spec) => {
+  const endpoint = spec.endpoint || '*';
+  const status = parseInt(spec.status, 10);
+  if (endpoint !== '*' && !ENDPOINTS.includes(endpoint)) {
+    throw new Error(`Unknown fault endpoint "${endpoint}" (expected one of ${ENDPOINTS.join(', ')} or *)`);
+  }
+  if (!(status >= 400 && status <= 599)) {
+    throw new Error(`Fault status must be a 4xx or 5xx code (got ${spec.status})`);
+  }
+  return {
+    endpoint,
+    status,
+    times: spec.times === undefined || spec.times === null || spec.times === '' ? null : parseInt(spec.times, 10),
+    profileId: spec.profileId ? String(spec.profileId) : null,
+    page: spec.page ? parseInt(spec.page, 10) : null,
+    retryAfter: spec.retryAfter !== undefined ? parseInt(spec.retryAfter, 10) : null
+  };
+};
+
+/**
+ * Parse a --fault flag of the form "endpoint:status[:times[:profileId]]"
+ * @param {string} text - Flag value, e.g. "analytics/profiles:429:2" or "analytics/profiles:400::9002"
+ * @returns {Object} Fault
+ */
+const parseFaultFlag = (text) => {
+  const [endpoint, status, times, profileId] = String(text).split(':');
+  return createFault({ endpoint, status, times, profileId });
+};
+
+/**
+ * Create the mock API as an Express app
+ * @param {Object} [options]
+ * @param {Object} [options.fixtures] - Fixture data (defaults to the contents of fixturesPath)
+ * @param {string} [options.fixturesPath] - Fixture JSON path (defaults to mock/fixtures/sprout.json)
+ * @param {number} [options.pageSize=100] - Analytics data points per page
+ * @param {number} [options.postsPageSize=50] - Posts per page
+ * @param {Array<Object>} [options.faults] - Faults to inject from the start (see createFault)
+ * @returns {Object} Express app; app.locals.mock has injectFault, clearFaults, getRequests and clearRequests
+ */
+const createMockSproutApp = (options = {}) => {
+  const fixtures = options.fixtures || loadFixtures(options.fixturesPath);
+  const pageSize = Math.max(1, parseInt(options.pageSize, 10) || DEFAULT_PAGE_SIZE);
+  const postsPageSize = Math.max(1, parseInt(options.postsPageSize, 10) || POSTS_PAGE_SIZE);
+  const profilesById = new Map(fixtures.profiles.map(profile => [String(profile.customer_profile_id), profile]));
+  let faults = (options.faults || []).map(createFault);
+  let requests = [];
+
+  // Find the first fault matching a request and use up one of its occurrences
+  const takeFault = (endpoint, profileIds, page) => {
+    const fault = faults.find(f =>
+      (f.endpoint === '*' || f.endpoint === endpoint) &&
+      (!f.profileId || profileIds.includes(f.profileId)) &&
+      (!f.page || f.page === page) &&
+      (f.times === null || f.times > 0));
+    if (fault && fault.times !== null) fault.times--;
+    return fault || null;
+  };
+
+  const app = express();
+  app.use(express.json({ limit: '1mb' }));
+
+  // Control endpoints
+  app.post('/__mock/faults', (req, res) => {
+    try {
+      const added = (Array.isArray(req.body) ? req.body : [req.body]).map(createFault);
+      faults.push(...added);
+      res.status(201).json({ faults });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+  app.get('/__mock/faults', (req, res) => res.json({ faults }));
+  app.delete('/__mock/faults', (req, res) => {
+    faults = [];
+    res.json({ faults });
+  });
+  app.get('/__mock/requests', (req, res) => res.json({ requests }));
+  app.delete('/__mock/requests', (req, res) => {
+    requests = [];
+    res.json({ requests });
+  });
+
+  const api = express.Router({ mergeParams: true });
+
+  // Every API request needs a bearer token and the fixture customer ID; injected faults come next
+  api.use((req, res, next) => {
+    const endpoint = req.path.replace(/^\/+/, '');
+    const body = req.body || {};
+    const profileIds = parseListFilter(body.filters, 'customer_profile_id') || [];
+    const page = parseInt(body.page, 10) || 1;
+    const entry = { method: req.method, endpoint, customerId: req.params.customerId, body: req.method === 'POST' ? body : undefined, status: 200, at: new Date().toISOString() };
+    requests.push(entry);
+
+    const reply = (status, payload) => {
+      entry.status = status;
+      res.status(status).json(payload);
+    };
+
+    if (!/^Bearer \S+/.test(req.get('Authorization') || '')) {
+      return reply(401, { error: 'Missing or invalid Authorization header' });
+    }
+    if (String(req.params.customerId) !== String(fixtures.customerId)) {
+      return reply(404, { error: `Unknown customer ${req.params.customerId}` });
+    }
+
+    const fault = takeFault(endpoint, profileIds, page);
+    if (fault) {
+      if (fault.retryAfter !== null) res.set('Retry-After', String(fault.retryAfter));
+      logger.debug(`[MockSprout] Injecting ${fault.status} for ${req.method} ${endpoint} page ${page}`);
+      return reply(fault.status, { error: `Injected ${fault.status} from the mock Sprout API` });
+    }
+
+    res.locals.reply = reply;
+    next();
+  });
+
+  api.get('/metadata/customer', (req, res) => {
+    const data = fixtures.profiles.map(({ postsPerDay, ...profile }) => profile);
+    res.locals.reply(200, { data });
+  });
+
+  api.get('/metadata/customer/groups', (req, res) => {
+    res.locals.reply(200, { data: fixtures.groups });
+  });
+
+  api.get('/metadata/customer/tags', (req, res) => {
+    res.locals.reply(200, { data: fixtures.tags || [] });
+  });
+
+  api.get('/metadata/customer/users', (req, res) => {
+    res.locals.reply(200, { data: fixtures.users || [] });
+  });
+
+  api.post('/analytics/profiles', (req, res) => {
+    const { filters, metrics, dimensions, page } = req.body || {};
+    const profileIds = parseListFilter(filters, 'customer_profile_id');
+    const range = parseRangeFilter(filters, 'reporting_period');
+    const period = parsePeriodDimension(dimensions);
+    if (!profileIds || profileIds.length === 0 || !range) {
+      return res.locals.reply(400, { error: 'filters must include customer_profile_id.eq(...) and reporting_period.in(start...end)' });
+    }
+    if (!period) {
+      return res.locals.reply(400, { error: 'reporting_period dimension must be by(day), by(week) or by(month)' });
+    }
+    if (profileIds.length > 100) {
+      return res.locals.reply(400, { error: 'At most 100 profiles per request' });
+    }
+    if (!Array.isArray(metrics) || metrics.length === 0) {
+      return res.locals.reply(400, { error: 'metrics must be a non-empty array' });
+    }
+
+    // Days of the range grouped by period, in date order
+    const datesByPeriod = new Map();
+    for (const date of listDates(range)) {
+      const periodStart = periodStartOf(date, period);
+      if (!datesByPeriod.has(periodStart)) datesByPeriod.set(periodStart, []);
+      datesByPeriod.get(periodStart).push(date);
+    }
+
+    const rows = [];
+    for (const [periodStart, dates] of datesByPeriod) {
+      for (const profileId of profileIds.filter(id => profilesById.has(id))) {
+        rows.push({
+          dimensions: { customer_profile_id: profileId, [`reporting_period.by(${period})`]: `${periodStart}T00:00:00Z` },
+          metrics: Object.fromEntries(metrics.map(metric =>
+            [metric, aggregateMetricValues(metric, dates.map(date => generateMetricValue(profileId, date, metric)))]))
+        });
+      }
+    }
+    res.locals.reply(200, paginate(rows, page, pageSize));
+  });
+
+  api.post('/analytics/posts', (req, res) => {
+    const { filters, metrics, page } = req.body || {};
+    const profileIds = parseListFilter(filters, 'customer_profile_id');
+    const range = parseRangeFilter(filters, 'created_time') || parseRangeFilter(filters, 'reporting_period');
+    if (!profileIds || profileIds.length === 0 || !range) {
+      return res.locals.reply(400, { error: 'filters must include customer_profile_id.eq(...) and created_time.in(start..end)' });
+    }
+
+    const posts = [];
+    for (const date of listDates(range)) {
+      for (const profileId of profileIds.filter(id => profilesById.has(id))) {
+        posts.push(...generatePosts(profilesById.get(profileId), date, metrics));
+      }
+    }
+    res.locals.reply(200, paginate(posts, page, postsPageSize));
+  });
+
+  api.use((req, res) => res.locals.reply(404, { error: `No mock for ${req.method} ${req.path}` }));
+
+  app.use('/v1/:customerId', api);
+
+  app.locals.mock = {
+    fixtures,
+    injectFault: (spec) => {
+      const fault = createFault(spec);
+      faults.push(fault);
+      return fault;
+    },
+    clearFaults: () => { faults = []; },
+    getRequests: () => requests,
+    clearRequests: () => { requests = []; }
+  };
+  return app;
+};
+
+/**
+ * Start the mock API on a local port
+ * @param {Object} [options] - createMockSproutApp options, plus:
+ * @param {number} [options.port=0] - Port to listen on (0 picks a free port)
+ * @param {string} [options.host='127.0.0.1'] - Interface to bind
+ * @returns {Promise<Object>} { url, baseUrl, close, ...app.locals.mock }; baseUrl is the value for SPROUT_API_BASE_URL
+ */
+const startMockSproutServer = (options = {}) => {
+  const { port = 0, host = '127.0.0.1' } = options;
+  const app = createMockSproutApp(options);
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, host, (error) => {
+      if (error) return reject(error);
+      const url = `http://${host}:${server.address().port}`;
+      resolve({
+        ...app.locals.mock,
+        app,
+        server,
+        url,
+        baseUrl: `${url}/v1`,
+        close: () => new Promise(done => server.close(() => done()))
+      });
+    });
+    server.on('error', reject);
+  });
+};
+
+if (require.main === module) {
+  const { values } = parseArgs({
+    options: {
+      port: { type: 'string', default: String(DEFAULT_PORT) },
+      'page-size': { type: 'string' },
+      fixtures: { type: 'string' },
+      fault: { type: 'string', multiple: true, default: [] }
+    }
+  });
+
+  let faults;
+  try {
+    faults = values.fault.map(parseFaultFlag);
+  } catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+  }
+
+  startMockSproutServer({
+    port: parseInt(values.port, 10),
+    pageSize: values['page-size'],
+    fixturesPath: values.fixtures,
+    faults
+  })
+    .then(({ baseUrl, fixtures }) => {
+      logger.info(`Mock Sprout API listening on ${baseUrl}`);
+      logger.info(`  SPROUT_API_BASE_URL=${baseUrl} CUSTOMER_ID=${fixtures.customerId} SPROUT_API_TOKEN=mock-token`);
+      logger.info(`  ${fixtures.groups.length} groups, ${fixtures.profiles.length} profiles, ${faults.length} fault(s) injected`);
+    })
+    .catch(error => {
+      logger.error(`Could not start the mock Sprout API: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  DEFAULT_FIXTURES_FILE,
+  loadFixtures,
+  createFault,
+  createMockSproutApp,
+  startMockSproutServer
+};
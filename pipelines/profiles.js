@@ -0,0 +1,872 @@
+/**
+ * Profile Analytics Pipeline
+ * ==============================================
+ * Fetches profile analytics from Sprout Social for every profile in each customer group
+ * and writes them to one spreadsheet per group, with one daily tab per network plus its weekly and
+ * monthly rollup tabs.
+ * Used by the sprout-sync CLI; the older entry scripts are presets on top of this module.
+ */
+
+const { google } = require('googleapis');
+
+// Import utilities
+const apiUtils = require('../utils/api');
+const sheetsUtils = require('../utils/sheets');
+const driveUtils = require('../utils/simple-drive');
+const groupUtils = require('../utils/groups');
+const { getNetworkKey, findUnsupportedNetworks, describeUnsupportedNetworks } = require('../utils/networks');
+const checkpointUtils = require('../utils/checkpoint');
+const manifestUtils = require('../utils/manifest');
+const { createDryRunPlan, createDryRunSheetsUtils, printDryRunPlan } = require('../utils/dry-run');
+const { sheetsWriteLimiter, retryWithBackoff, isQuotaError, isGridLimitError, runWithConcurrency, sleep } = require('../utils/rate-limit');
+const logger = require('../utils/logger');
+const { getOptionalConfig } = require('../utils/config');
+
+// Import platform modules
+const instagram = require('../platforms/instagram');
+const youtube = require('../platforms/youtube');
+const linkedin = require('../platforms/linkedin');
+const facebook = require('../platforms/facebook');
+const twitter = require('../platforms/twitter');
+const tiktok = require('../platforms/tiktok');
+const pinterest = require('../platforms/pinterest');
+const threads = require('../platforms/threads');
+const generic = require('../platforms/generic');
+const breakdowns = require('../platforms/breakdowns');
+const { ROLLUP_PERIODS, createRollupModules } = require('../platforms/rollups');
+
+// Platform modules keyed by simplified network type
+const NETWORK_MODULES = {
+  instagram,
+  youtube,
+  linkedin,
+  facebook,
+  twitter,
+  tiktok,
+  pinterest,
+  threads
+};
+
+// Weekly and monthly tab modules of the networks above, keyed by period and then network type
+const ROLLUP_MODULES = Object.fromEntries(Object.keys(ROLLUP_PERIODS)
+  .map(period => [period, createRollupModules(NETWORK_MODULES, period)]));
+
+// Defaults for a run; callers override any of these
+const DEFAULT_OPTIONS = {
+  baseUrl: undefined,      // Sprout API base URL; defaults to the SPROUT_API_BASE_URL setting
+  spreadsheetPrefix: '',   // e.g. 'Copy of ' to target copied group spreadsheets
+  mode: 'upsert',          // 'upsert' (rewrite rows in place) or 'append' (skip recent duplicates)
+  groups: [],              // group IDs or names to include; empty means all groups
+  concurrency: undefined,  // groups processed in parallel; defaults to the GROUP_CONCURRENCY setting
+  groupDelayMs: 0,         // optional pause after each group; API and Sheets quotas are handled by the shared limiters
+  fetchAttempts: 1,        // attempts when fetching groups and profiles
+  resume: false,           // skip units recorded in the checkpoint file
+  force: false,            // clear this run's checkpoints and redo everything
+  checkpointFile: undefined, // defaults to .sprout-checkpoints.json in the repo root
+  dryRun: false,           // read everything and print the planned sheet changes without writing
+  unsupportedTab: false,   // write raw metrics of profiles on networks without a module to an "Other Networks" tab
+  rollups: ['week', 'month'], // periods that also get "<Network> Weekly" / "<Network> Monthly" tabs; [] for daily tabs only
+  sendEmail: false
+};
+
+/**
+ * Get the local date a number of days ago in YYYY-MM-DD format.
+ * Social media platforms often have a delay in reporting analytics, so runs default to 2 days ago.
+ * @param {number} [daysAgo=2] - Number of days before today
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+const getDateDaysAgo = (daysAgo = 2) => {
+  const date = new Date();
+  date.setDate(date.getDate() - daysAgo);
+
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+/**
+ * Run a fetch up to a number of times until it returns a non-empty array
+ * @param {Function} fn - Async function returning an array
+ * @param {string} label - Name used in log messages
+ * @param {number} attempts - Maximum attempts
+ * @returns {Promise<Array>} Result of the last attempt
+ */
+const fetchWithAttempts = async (fn, label, attempts) => {
+  let result = [];
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    try {
+      result = await fn();
+      if (result && result.length > 0) return result;
+      logger.error(`No ${label} found on attempt ${attempt}/${attempts}.`);
+    } catch (error) {
+      logger.error(`Error fetching ${label} (attempt ${attempt}/${attempts}): ${error.message}`);
+    }
+    if (attempt < attempts) {
+      await sleep(10000);
+    }
+  }
+  return result || [];
+};
+
+/**
+ * Find the spreadsheet for a group in the target folder, reusing a similarly named or
+ * out-of-folder spreadsheet before creating a new one
+ * @param {Object} googleClients - Authenticated Google API clients
+ * @param {string} groupName - Group name
+ * @param {Object} options - Run options
+ * @returns {Promise<{spreadsheetId: string|null, status: string|null}>} Spreadsheet ID, or a status when skipped
+ */
+const findOrCreateGroupSpreadsheet = async (googleClients, groupName, options) => {
+  const { drive, sheets } = googleClients;
+  const { folderId } = options;
+  const baseNamePattern = `${options.spreadsheetPrefix}${groupName}`;
+
+  // Keep the spreadsheet title as the pure group name
+  const spreadsheetTitle = `${groupName}`;
+  logger.info(`Looking for existing spreadsheet: "${baseNamePattern}"`);
+
+  const { plan } = options;
+  const reuse = (spreadsheetId, title) => {
+    if (plan) plan.addSpreadsheet(spreadsheetId, { title, groupName });
+    return { spreadsheetId, status: null };
+  };
+
+  let spreadsheetId = await driveUtils.findExistingSpreadsheet(drive, baseNamePattern, folderId);
+  if (spreadsheetId) {
+    logger.info(`Using existing spreadsheet: "${spreadsheetId}"`);
+    return reuse(spreadsheetId, baseNamePattern);
+  }
+
+  logger.info(`No existing spreadsheet found with name "${baseNamePattern}". Searching for reusable spreadsheet with similar name...`);
+  const listResponse = await drive.files.list({
+    q: `mimeType='application/vnd.google-apps.spreadsheet' and '${folderId}' in parents and trashed=false`,
+    fields: 'files(id, name, modifiedTime)',
+    orderBy: 'modifiedTime desc',
+    pageSize: 100,
+    includeItemsFromAllDrives: true,
+    supportsAllDrives: true
+  });
+  const allFiles = listResponse.data.files || [];
+
+  // Look for any spreadsheet that might be for this group (case insensitive, partial match)
+  const groupNameLower = groupName.toLowerCase();
+  const possibleMatch = allFiles.find(file =>
+    file.name.toLowerCase().includes(groupNameLower) ||
+    groupNameLower.includes(file.name.toLowerCase())
+  );
+  if (possibleMatch) {
+    logger.info(`✓ Found reusable spreadsheet: "${possibleMatch.name}" (${possibleMatch.id})`);
+    return reuse(possibleMatch.id, possibleMatch.name);
+  }
+
+  // Global fallback: search across all Drive for a spreadsheet with this name
+  logger.info(`No in-folder match. Performing global search for existing spreadsheet named "${baseNamePattern}"...`);
+  const globalMatch = await driveUtils.findSpreadsheetByPattern(drive, baseNamePattern, null);
+  if (globalMatch && globalMatch.id) {
+    logger.info(`✓ Found spreadsheet outside target folder: "${globalMatch.name}" (${globalMatch.id}). Will reuse it.`);
+    return reuse(globalMatch.id, globalMatch.name);
+  }
+
+  if (plan) {
+    logger.info(`Dry run: would create spreadsheet "${spreadsheetTitle}" in folder ${folderId}`);
+    return { spreadsheetId: plan.createSpreadsheet(spreadsheetTitle, { groupName, folderId }), status: null };
+  }
+
+  logger.info(`No reusable spreadsheet found. Creating new one: "${spreadsheetTitle}" in folder ${folderId}`);
+  try {
+    const response = await drive.files.create({
+      resource: {
+        name: spreadsheetTitle,
+        parents: [folderId],
+        mimeType: 'application/vnd.google-apps.spreadsheet'
+      },
+      fields: 'id, name, parents',
+      supportsAllDrives: true
+    });
+    spreadsheetId = response.data.id;
+    logger.info(`✓ Created new spreadsheet: ${spreadsheetId}`);
+
+    // Initialize with default sheet
+    try {
+      await sheetsWriteLimiter.acquire();
+      await sheets.spreadsheets.batchUpdate({
+        spreadsheetId,
+        resource: {
+          requests: [{
+            updateSheetProperties: {
+              properties: { sheetId: 0, title: 'Summary' },
+              fields: 'title'
+            }
+          }]
+        }
+      });
+    } catch (initError) {
+      logger.warn(`⚠ Could not initialize sheet: ${initError.message}`);
+    }
+    return { spreadsheetId, status: null };
+  } catch (createError) {
+    if (createError.message.includes('quota') || createError.message.includes('storage')) {
+      logger.error(`✗ Storage quota exceeded. Cannot create new spreadsheet.`);
+      logger.error(`Found ${allFiles.length} spreadsheets in folder - consider archiving old ones.`);
+      return { spreadsheetId: null, status: `Skipped: Storage quota exceeded (${allFiles.length} files in folder)` };
+    }
+    throw createError;
+  }
+};
+
+/**
+ * Make sure a tab exists with up-to-date headers for every network that has profiles, the
+ * Breakdowns tab when any of those networks has breakdown metrics, and their rollup tabs
+ * @param {Object} googleClients - Authenticated Google API clients
+ * @param {string} spreadsheetId - Spreadsheet ID
+ * @param {Object} profilesByNetwork - Profiles keyed by simplified network type
+ * @param {Object} sheetWriter - utils/sheets.js, or its dry-run stand-in
+ * @param {Object} [plan] - Dry-run plan; tabs that would be created are recorded instead of added
+ * @param {Object} [modules=NETWORK_MODULES] - Platform modules keyed by simplified network type
+ * @param {Array<Object>} [rollupModules=[]] - Rollup modules keyed by network type, one map per period
+ * @returns {Promise<Array<string>>} Names of the tabs that are ready for writing
+ */
+const ensureNetworkSheets = async (googleClients, spreadsheetId, profilesByNetwork, sheetWriter, plan, modules = NETWORK_MODULES, rollupModules = []) => {
+  const { sheets, auth } = googleClients;
+  const createdSheets = [];
+
+  // Several unsupported networks share the fallback module, so each module is set up once
+  const networkTypes = Object.keys(profilesByNetwork)
+    .filter(networkType => profilesByNetwork[networkType].length > 0 && modules[networkType]);
+  const tabModules = [...new Set(networkTypes.map(networkType => modules[networkType]))];
+  if (tabModules.some(module => module.BREAKDOWNS && module.BREAKDOWNS.length > 0)) {
+    tabModules.push(breakdowns);
+  }
+  for (const periodModules of rollupModules) {
+    tabModules.push(...networkTypes.map(networkType => periodModules[networkType]).filter(Boolean));
+  }
+
+  for (const module of tabModules) {
+    const sheetName = module.SHEET_NAME;
+
+    try {
+      // Check if sheet already exists (a spreadsheet the dry run would create only has its Summary tab)
+      const existingSheets = plan && plan.isNewSpreadsheet(spreadsheetId)
+        ? ['Summary']
+        : (await sheets.spreadsheets.get({ spreadsheetId, includeGridData: false })).data.sheets.map(sheet => sheet.properties.title);
+
+      if (!existingSheets.includes(sheetName) && plan) {
+        plan.createTab(spreadsheetId, sheetName);
+      } else if (!existingSheets.includes(sheetName)) {
+        await sheetsWriteLimiter.acquire();
+        await sheets.spreadsheets.batchUpdate({
+          spreadsheetId,
+          resource: {
+            requests: [{ addSheet: { properties: { title: sheetName } } }]
+          }
+        });
+        logger.info(`Created sheet "${sheetName}"`);
+      } else {
+        logger.info(`Sheet "${sheetName}" already exists`);
+      }
+
+      createdSheets.push(sheetName);
+      await module.setupHeaders(sheetWriter, auth, spreadsheetId);
+    } catch (error) {
+      logger.error(`Error creating ${sheetName} sheet: ${error.message}`);
+    }
+  }
+
+  return createdSheets;
+};
+
+/**
+ * Format analytics data points into sheet rows, grouped by network
+ * @param {Array} dataPoints - Data points from the analytics API
+ * @param {Array} profiles - Profiles the data points belong to
+ * @param {Object} [modules=NETWORK_MODULES] - Platform modules keyed by simplified network type
+ * @returns {{rowsByNetwork: Object, breakdownRowsByNetwork: Object}} Network tab rows and Breakdowns
+ *   tab rows, each keyed by simplified network type
+ */
+const formatRowsByNetwork = (dataPoints, profiles, modules = NETWORK_MODULES) => {
+  const rowsByNetwork = {};
+  const breakdownRowsByNetwork = {};
+  for (const dataPoint of dataPoints) {
+    const customerProfileId = dataPoint.dimensions?.customer_profile_id;
+    const profile = profiles.find(p => p.customer_profile_id === parseInt(customerProfileId));
+    if (!profile) {
+      logger.info(`Profile not found for ID: ${customerProfileId}`);
+      continue;
+    }
+
+    const networkType = getNetworkKey(profile.network_type);
+    const module = modules[networkType];
+    if (!module) {
+      logger.info(`No formatter found for network type: ${networkType}`);
+      continue;
+    }
+
+    // Long-format modules (e.g. the fallback module) turn one data point into several rows
+    const rows = module.formatAnalyticsRows
+      ? module.formatAnalyticsRows(dataPoint, profile)
+      : [module.formatAnalyticsData(dataPoint, profile)].filter(Boolean);
+    if (rows.length > 0) {
+      if (!rowsByNetwork[networkType]) rowsByNetwork[networkType] = [];
+      rowsByNetwork[networkType].push(...rows);
+    } else {
+      logger.info(`No row generated for ${networkType} profile ${profile.name}`);
+    }
+
+    if (module.BREAKDOWNS && module.BREAKDOWNS.length > 0) {
+      const breakdownRows = breakdowns.formatAnalyticsRows(dataPoint, profile, module.BREAKDOWNS);
+      if (!breakdownRowsByNetwork[networkType]) breakdownRowsByNetwork[networkType] = [];
+      breakdownRowsByNetwork[networkType].push(...breakdownRows);
+    }
+  }
+  return { rowsByNetwork, breakdownRowsByNetwork };
+};
+
+// Checkpoint and manifest used when processGroupAnalytics is called without them: nothing is skipped or recorded
+const NO_CHECKPOINT = {
+  isComplete: () => false,
+  markComplete: () => {},
+  completedCount: () => 0
+};
+const NO_MANIFEST = {
+  recordUnit: () => {},
+  recordGroup: () => {}
+};
+
+/**
+ * Process analytics data for a group.
+ * Work is split into units of (network, date window); each finished unit is recorded in the
+ * run checkpoint so a resumed run can skip it. Profiles on networks without a platform module
+ * are listed in the result's unsupportedNetworks, and written to the fallback tab when
+ * options.unsupportedTab is set.
+ * @param {string} groupId - Group ID
+ * @param {string} groupName - Group name
+ * @param {Array} profiles - Array of profiles in the group
+ * @param {Object} googleClients - Authenticated Google API clients
+ * @param {Object} options - Run options (see runProfilesSync)
+ * @returns {Promise<Object>} Spreadsheet details and status for the group
+ */
+const processGroupAnalytics = async (groupId, groupName, profiles, googleClients, options) => {
+  const { startDate, endDate, folderId } = options;
+  const checkpoint = options.checkpoint || NO_CHECKPOINT;
+  const manifest = options.manifest || NO_MANIFEST;
+  const rollupPeriods = options.rollups || [];
+  const summary = {
+    groupId,
+    groupName,
+    folderId,
+    description: options.description || '',
+    dateRange: `${startDate} to ${endDate}`,
+    profileCount: profiles.length,
+    unsupportedNetworks: findUnsupportedNetworks(profiles, NETWORK_MODULES)
+  };
+
+  // Unsupported networks share the fallback module when its tab is enabled
+  const modules = { ...NETWORK_MODULES };
+  if (options.unsupportedTab) {
+    summary.unsupportedNetworks.forEach(({ networkKey }) => { modules[networkKey] = generic; });
+  }
+
+  // Record unit outcomes in the run manifest, remembering which units have been recorded
+  let pendingWindows = [];
+  const recordedUnits = new Set();
+  const recordUnit = (networkType, window, status, details = {}) => {
+    manifest.recordUnit({ groupId, groupName, spreadsheetId: summary.spreadsheetId, network: networkType, window, status, ...details });
+    recordedUnits.add(checkpointUtils.getUnitKey(groupId, networkType, window));
+  };
+  const failUnrecordedUnits = (error) => {
+    for (const { window, networks: pendingNetworks } of pendingWindows) {
+      for (const networkType of pendingNetworks) {
+        if (!recordedUnits.has(checkpointUtils.getUnitKey(groupId, networkType, window))) {
+          recordUnit(networkType, window, manifestUtils.UNIT_STATUS.FAILED, { error });
+        }
+      }
+    }
+  };
+
+  try {
+    logger.info(`\n=== Processing Group: ${groupName} (${groupId}) ===`);
+    logger.info(`Found ${profiles.length} profiles in this group`);
+    if (summary.unsupportedNetworks.length > 0) {
+      logger.warn(`Group ${groupName} has profiles on unsupported networks: ${describeUnsupportedNetworks(summary.unsupportedNetworks)}. ` +
+        (options.unsupportedTab ? `Their raw metrics go to the "${generic.SHEET_NAME}" tab.` : 'They are not written to the spreadsheet.'));
+    }
+
+    const { drive, sheets, auth } = googleClients;
+    if (!drive || !sheets || !auth) {
+      throw new Error('Invalid Google API clients provided');
+    }
+
+    // Group profiles by network type
+    const profilesByNetwork = {};
+    for (const profile of profiles) {
+      const networkType = getNetworkKey(profile.network_type);
+      if (!profilesByNetwork[networkType]) {
+        profilesByNetwork[networkType] = [];
+      }
+      profilesByNetwork[networkType].push(profile);
+    }
+
+    // Work out which (network, window) units still need to run. Units completed in an earlier run
+    // are skipped on --resume, and a retry only runs the units it was given.
+    const networks = Object.keys(profilesByNetwork).filter(networkType => modules[networkType]);
+    if (networks.length === 0) {
+      logger.warn(`Group ${groupName} has no profiles on supported networks. Skipping.`);
+      return { ...summary, status: 'Skipped: no supported networks' };
+    }
+    pendingWindows = apiUtils.splitDateRange(startDate, endDate)
+      .map(window => {
+        const selected = networks.filter(networkType =>
+          !options.units || options.units.has(checkpointUtils.getUnitKey(groupId, networkType, window)));
+        const pending = selected.filter(networkType => !checkpoint.isComplete(groupId, networkType, window));
+        selected
+          .filter(networkType => !pending.includes(networkType))
+          .forEach(networkType => recordUnit(networkType, window, manifestUtils.UNIT_STATUS.SKIPPED));
+        return { window, networks: pending };
+      })
+      .filter(({ networks: pendingNetworks }) => pendingNetworks.length > 0);
+
+    if (pendingWindows.length === 0) {
+      logger.info(`All networks and date windows for group ${groupName} already completed. Skipping (use --force to redo).`);
+      return { ...summary, status: 'Skipped: already completed' };
+    }
+
+    const { spreadsheetId, status } = await findOrCreateGroupSpreadsheet(googleClients, groupName, options);
+    if (!spreadsheetId) {
+      failUnrecordedUnits(status);
+      return { ...summary, status };
+    }
+    summary.spreadsheetId = spreadsheetId;
+    if (!(options.plan && options.plan.isNewSpreadsheet(spreadsheetId))) {
+      summary.spreadsheetUrl = `https://docs.google.com/spreadsheets/d/${spreadsheetId}/edit`;
+    }
+
+    const sheetWriter = options.plan ? createDryRunSheetsUtils(options.plan) : sheetsUtils;
+    const createdSheets = await ensureNetworkSheets(googleClients, spreadsheetId, profilesByNetwork, sheetWriter, options.plan, modules,
+      rollupPeriods.map(period => ROLLUP_MODULES[period]));
+
+    // Write rows to one tab, growing its grid when Sheets reports it is full
+    const writeRows = async (module, rows) => {
+      const sheetName = module.SHEET_NAME;
+      logger.info(`${options.plan ? 'Planning' : 'Updating'} ${sheetName} sheet with ${rows.length} rows`);
+      if (!options.plan) {
+        try {
+          await driveUtils.ensureSheetCapacity(sheets, spreadsheetId, sheetName, rows.length + 2000, 30);
+        } catch (capErr) {
+          logger.warn(`Capacity check failed for ${sheetName}: ${capErr.message}`);
+        }
+      }
+
+      // Quota and grid-limit errors are retried; once retries run out the write counts as failed
+      let writeResult;
+      try {
+        writeResult = await retryWithBackoff(
+          () => module.updateSheet(sheetWriter, auth, spreadsheetId, rows, { mode: options.mode }),
+          {
+            isRetryable: (err) => isQuotaError(err) || isGridLimitError(err),
+            onBeforeRetry: async (attempt) => {
+              try {
+                await driveUtils.ensureSheetCapacity(sheets, spreadsheetId, sheetName, (rows.length + 2000) + attempt * 1000, 30);
+              } catch (_) {}
+            }
+          }
+        );
+      } catch (writeErr) {
+        if (writeErr.code === sheetsUtils.MISSING_KEY_HEADER) throw writeErr;
+        logger.error(`Writing ${sheetName} failed: ${writeErr.message}`);
+        return false;
+      }
+      if (writeResult && typeof writeResult === 'object') {
+        logger.info(`${sheetName}: ${writeResult.inserted} inserted, ${writeResult.updated} updated, ${writeResult.unchanged} unchanged`);
+      }
+      return writeResult;
+    };
+
+    const baseUrl = options.baseUrl || apiUtils.getSproutBaseUrl();
+    const analyticsUrl = `${baseUrl}/${options.customerId}/analytics/profiles`;
+    let totalDataPoints = 0;
+    let failedUnits = 0;
+
+    for (const { window, networks: pendingNetworks } of pendingWindows) {
+      const windowProfiles = profiles.filter(p => pendingNetworks.includes(getNetworkKey(p.network_type)));
+
+      // Fetch analytics data for the pending networks in this window
+      logger.info(`Fetching analytics data for ${windowProfiles.length} profiles in group ${groupName} from ${window.startDate} to ${window.endDate} (${pendingNetworks.join(', ')})`);
+      const analyticsData = await apiUtils.getAnalyticsDataByNetwork(
+        analyticsUrl,
+        options.token,
+        window.startDate,
+        window.endDate,
+        windowProfiles,
+        modules
+      );
+
+      logger.info(`Received ${analyticsData.data.length} data points from API`);
+      totalDataPoints += analyticsData.data.length;
+      const failedProfiles = new Set(analyticsData.failedProfiles.map(String));
+
+      const { rowsByNetwork, breakdownRowsByNetwork } = formatRowsByNetwork(analyticsData.data, windowProfiles, modules);
+
+      // Rollup rows of every week and month this window touches; Sprout aggregates each period from its first day
+      const rollupRowsByPeriod = {};
+      const rollupFailedProfiles = {};
+      for (const period of rollupPeriods) {
+        const periodModules = ROLLUP_MODULES[period];
+        const rollupProfiles = windowProfiles.filter(p => periodModules[getNetworkKey(p.network_type)]);
+        if (rollupProfiles.length === 0) continue;
+        logger.info(`Fetching ${period}ly analytics for ${rollupProfiles.length} profiles in group ${groupName} from ${window.startDate} to ${window.endDate}`);
+        const rollupData = await apiUtils.getAnalyticsDataByNetwork(
+          analyticsUrl,
+          options.token,
+          window.startDate,
+          window.endDate,
+          rollupProfiles,
+          periodModules,
+          { period }
+        );
+        rollupRowsByPeriod[period] = formatRowsByNetwork(rollupData.data, rollupProfiles, periodModules).rowsByNetwork;
+        rollupFailedProfiles[period] = new Set(rollupData.failedProfiles.map(String));
+      }
+
+      // Update sheets with data (writes are paced by the shared Sheets limiter)
+      for (const networkType of pendingNetworks) {
+        const module = modules[networkType];
+        const rows = rowsByNetwork[networkType] || [];
+
+        // A unit whose profiles lost daily or rollup data is left for --resume to refetch rather than written partially
+        const networkProfiles = windowProfiles.filter(p => getNetworkKey(p.network_type) === networkType);
+        const fetchErrors = [];
+        for (const [label, failed] of [['Analytics', failedProfiles], ...rollupPeriods
+          .filter(period => rollupFailedProfiles[period])
+          .map(period => [`${ROLLUP_PERIODS[period].label} analytics`, rollupFailedProfiles[period]])]) {
+          const lost = networkProfiles.filter(p => failed.has(String(p.customer_profile_id))).map(p => p.customer_profile_id);
+          if (lost.length > 0) fetchErrors.push(`${label} request failed for profile(s) ${lost.join(', ')}`);
+        }
+        if (fetchErrors.length > 0) {
+          logger.warn(`${networkType} in group ${groupName} from ${window.startDate} to ${window.endDate}: ${fetchErrors.join('; ')}`);
+          recordUnit(networkType, window, manifestUtils.UNIT_STATUS.FAILED, { error: fetchErrors.join('; ') });
+          failedUnits++;
+          continue;
+        }
+        if (rows.length === 0) {
+          logger.info(`No ${networkType} rows for ${window.startDate} to ${window.endDate}`);
+          checkpoint.markComplete(groupId, networkType, window, { rows: 0 });
+          recordUnit(networkType, window, manifestUtils.UNIT_STATUS.NO_DATA);
+          continue;
+        }
+
+        // The network's rows, its breakdown rows, then its rollup rows; the unit completes only when all are written
+        const writes = [{ module, rows }];
+        const breakdownRows = breakdownRowsByNetwork[networkType] || [];
+        if (breakdownRows.length > 0) {
+          writes.push({ module: breakdowns, rows: breakdownRows });
+        }
+        for (const period of rollupPeriods) {
+          const rollupModule = ROLLUP_MODULES[period][networkType];
+          if (rollupModule) {
+            writes.push({ module: rollupModule, rows: (rollupRowsByPeriod[period] || {})[networkType] || [] });
+          }
+        }
+
+        let writeError = null;
+        const rollupGaps = [];
+        for (const write of writes) {
+          const sheetName = write.module.SHEET_NAME;
+          if (!createdSheets.includes(sheetName)) {
+            logger.info(`Sheet ${sheetName} not created, skipping update`);
+            writeError = `Sheet ${sheetName} could not be created`;
+            break;
+          }
+          // Only rollup writes can be empty; periods without data are noted but do not fail the daily unit
+          if (write.rows.length === 0) {
+            logger.warn(`No ${sheetName} rows returned for ${window.startDate} to ${window.endDate}; leaving that tab as it is`);
+            rollupGaps.push(`No rows returned for sheet ${sheetName}`);
+            continue;
+          }
+          if (!(await writeRows(write.module, write.rows))) {
+            logger.warn(`Write failed for sheet ${sheetName}`);
+            writeError = `Write failed for sheet ${sheetName}`;
+            break;
+          }
+        }
+        if (writeError) {
+          recordUnit(networkType, window, manifestUtils.UNIT_STATUS.FAILED, { rows: rows.length, error: writeError });
+          failedUnits++;
+          continue;
+        }
+        checkpoint.markComplete(groupId, networkType, window, { rows: rows.length });
+        recordUnit(networkType, window, manifestUtils.UNIT_STATUS.COMPLETED, { rows: rows.length, warnings: rollupGaps });
+      }
+    }
+
+    if (failedUnits > 0) {
+      logger.warn(`Group ${groupName}: ${failedUnits} network/window unit(s) did not complete; rerun with --resume to retry them`);
+      return { ...summary, status: `Error: ${failedUnits} unit(s) failed` };
+    }
+    if (totalDataPoints === 0) {
+      logger.warn(`No analytics data found for group ${groupName} in period ${startDate} to ${endDate}`);
+      return { ...summary, status: 'No data' };
+    }
+
+    logger.info(`Completed processing for group ${groupName}`);
+    if (summary.spreadsheetUrl) logger.info(`Spreadsheet URL: ${summary.spreadsheetUrl}`);
+    return { ...summary, status: options.plan ? 'Planned (dry run)' : 'Completed' };
+  } catch (error) {
+    logger.error(`Error processing group ${groupName}: ${error.message}`);
+    failUnrecordedUnits(error.message);
+    return { ...summary, status: `Error: ${error.message}` };
+  }
+};
+
+/**
+ * Check whether a group was selected by ID or name
+ * @param {string} groupId - Group ID
+ * @param {string} groupName - Group name
+ * @param {Array<string>} selected - Selected group IDs or names (empty selects all)
+ * @returns {boolean} True if the group should be processed
+ */
+const isGroupSelected = (groupId, groupName, selected) => {
+  if (!selected || selected.length === 0) return true;
+  const wanted = selected.map(s => String(s).trim().toLowerCase());
+  return wanted.includes(String(groupId).toLowerCase()) || wanted.includes(String(groupName).trim().toLowerCase());
+};
+
+/**
+ * Authenticate, fetch groups and profiles, and process each selected group
+ * @param {Object} opts - Resolved run options
+ * @param {Date} startTime - When the run started
+ * @returns {Promise<{results: Array<Object>, executionTime: string}>} Per-group results
+ */
+const syncGroups = async (opts, startTime) => {
+  let googleClients = opts.googleClients;
+  if (!googleClients) {
+    logger.info('Authenticating with Google APIs using environment variables...');
+    const { authenticateWithEnv } = require('../utils/auth');
+    const authResult = await authenticateWithEnv();
+    googleClients = {
+      auth: authResult.auth,
+      drive: google.drive({ version: 'v3', auth: authResult.auth }),
+      sheets: google.sheets({ version: 'v4', auth: authResult.auth })
+    };
+    logger.info(`Authenticated as: ${authResult.auth.credentials?.client_email || 'OAuth user'}`);
+  }
+
+  // Verify access to the folder
+  try {
+    const folderResponse = await googleClients.drive.files.get({
+      fileId: opts.folderId,
+      fields: 'id,name,capabilities(canEdit)',
+      supportsAllDrives: true
+    });
+    const folder = folderResponse.data;
+    if (!folder.capabilities.canEdit) {
+      logger.warn(`Warning: Read-only access to folder "${folder.name}" (${folder.id})`);
+    } else {
+      logger.info(`Successfully verified access to folder "${folder.name}" (${folder.id})`);
+    }
+  } catch (folderError) {
+    logger.warn(`Warning: Could not verify folder access: ${folderError.message}`);
+    // Continue; subsequent calls may still work if access is eventually granted
+  }
+
+  logger.info('\n=== Fetching Customer Groups and Profiles ===');
+  const groups = await fetchWithAttempts(
+    () => groupUtils.getCustomerGroups(opts.baseUrl, opts.customerId, opts.token), 'groups', opts.fetchAttempts);
+  if (groups.length === 0) {
+    throw new Error('No groups found. Cannot proceed.');
+  }
+  const profiles = await fetchWithAttempts(
+    () => groupUtils.getAllProfiles(opts.baseUrl, opts.customerId, opts.token), 'profiles', opts.fetchAttempts);
+  if (profiles.length === 0) {
+    throw new Error('No profiles found. Cannot proceed.');
+  }
+  logger.info(`Found ${groups.length} groups and ${profiles.length} profiles`);
+
+  const profilesByGroup = groupUtils.groupProfilesByGroup(profiles, groups);
+  const selectedGroups = Object.entries(profilesByGroup)
+    .filter(([groupId, { groupName, profiles: groupProfiles }]) =>
+      groupProfiles.length > 0 && isGroupSelected(groupId, groupName, opts.groups));
+  if (opts.groups.length > 0) {
+    logger.info(`Selected ${selectedGroups.length} group(s) matching: ${opts.groups.join(', ')}`);
+  }
+
+  logger.info(`\n=== Processing Each Group (${opts.concurrency} at a time) ===`);
+  const results = await runWithConcurrency(selectedGroups, opts.concurrency, async ([groupId, { groupName, profiles: groupProfiles }], index) => {
+    const result = await processGroupAnalytics(groupId, groupName, groupProfiles, googleClients, opts);
+    opts.manifest.recordGroup(result);
+
+    // Groups skipped from the checkpoint made no API calls, so no need to wait after them
+    const skipped = result.status === 'Skipped: already completed';
+    if (index < selectedGroups.length - 1 && opts.groupDelayMs > 0 && !skipped) {
+      logger.info(`Short delay before processing the next group...`);
+      await sleep(opts.groupDelayMs);
+    }
+    return result;
+  });
+
+  // Print summary
+  logger.info('\n=== Processing Complete ===');
+  logger.info(`Processed ${results.length} spreadsheets`);
+  for (const result of results) {
+    logger.info(`\nGroup: ${result.groupName}`);
+    logger.info(`Status: ${result.status}`);
+    if (result.spreadsheetUrl) {
+      logger.info(`Spreadsheet: ${result.spreadsheetUrl}`);
+    }
+    if (result.unsupportedNetworks && result.unsupportedNetworks.length > 0) {
+      logger.warn(`Unsupported networks: ${describeUnsupportedNetworks(result.unsupportedNetworks)}`);
+    }
+  }
+
+  const executionTimeSec = Math.round((new Date() - startTime) / 1000);
+  const executionTimeMin = Math.round(executionTimeSec / 60 * 10) / 10;
+  const executionTime = `${executionTimeMin} minutes (${executionTimeSec} seconds)`;
+  logger.info(`\nTotal execution time: ${executionTime}`);
+
+  if (opts.plan) {
+    printDryRunPlan(opts.plan);
+  } else if (opts.sendEmail) {
+    logger.info('Sending completion email...');
+    const { sendSproutCompletionEmail } = require('../utils/sproutEmailHelper');
+    await sendSproutCompletionEmail(results, executionTime, `https://drive.google.com/drive/folders/${opts.folderId}`,
+      { unsupportedTab: opts.unsupportedTab });
+  }
+
+  return { results, executionTime };
+};
+
+/**
+ * Run the profile analytics sync for all (or selected) groups
+ * @param {Object} options
+ * @param {string} options.customerId - Sprout customer ID
+ * @param {string} options.token - Sprout API token
+ * @param {string} [options.baseUrl] - Sprout API base URL (defaults to SPROUT_API_BASE_URL)
+ * @param {string} options.folderId - Drive folder holding the group spreadsheets
+ * @param {string} [options.startDate] - Start date in YYYY-MM-DD format (defaults to 2 days ago)
+ * @param {string} [options.endDate] - End date in YYYY-MM-DD format (defaults to startDate)
+ * @param {Array<string>} [options.groups] - Group IDs or names to include (all when empty)
+ * @param {string} [options.spreadsheetPrefix=''] - Prefix of the group spreadsheet names to look for
+ * @param {string} [options.mode='upsert'] - Sheet write mode ('upsert' or 'append')
+ * @param {number} [options.concurrency] - Groups processed in parallel (defaults to GROUP_CONCURRENCY, 3)
+ * @param {number} [options.groupDelayMs=0] - Pause after each group
+ * @param {number} [options.fetchAttempts=1] - Attempts when fetching groups and profiles
+ * @param {boolean} [options.sendEmail=false] - Send the completion email when done
+ * @param {string} [options.description] - Description included in each result
+ * @param {Object} [options.googleClients] - Pre-authenticated { auth, drive, sheets }; env auth is used when omitted
+ * @param {boolean} [options.resume=false] - Skip group/network/window units completed by an earlier run
+ * @param {boolean} [options.force=false] - Forget completed units for this run and redo them
+ * @param {string} [options.checkpointFile] - Checkpoint file (defaults to .sprout-checkpoints.json)
+ * @param {Set<string>} [options.units] - Only run these group/network/window unit keys (used by retry-failed)
+ * @param {string} [options.manifestDir] - Directory for the run manifest (defaults to .sprout-runs)
+ * @param {boolean} [options.dryRun=false] - Plan the sheet changes without writing; no checkpoint, manifest or email is written
+ * @param {boolean} [options.unsupportedTab=false] - Write raw metrics of profiles on networks without a platform module
+ *   to an "Other Networks" tab; such profiles are reported in each result's unsupportedNetworks either way
+ * @param {Array<string>} [options.rollups=['week', 'month']] - Periods that also get "<Network> Weekly" and
+ *   "<Network> Monthly" tabs (see platforms/rollups.js); an empty list writes the daily tabs only
+ * @returns {Promise<{results: Array<Object>, executionTime: string, manifestPath: string|null, plan?: Array<Object>}>}
+ *   Per-group results, plus the planned changes per spreadsheet on a dry run
+ */
+const runProfilesSync = async (options) => {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  opts.startDate = opts.startDate || getDateDaysAgo(2);
+  opts.endDate = opts.endDate || opts.startDate;
+  opts.concurrency = Number(opts.concurrency || getOptionalConfig('GROUP_CONCURRENCY'));
+  opts.baseUrl = (opts.baseUrl || apiUtils.getSproutBaseUrl()).replace(/\/+$/, '');
+
+  if (!opts.customerId || !opts.token) {
+    throw new Error('Sprout customer ID and API token are required');
+  }
+  if (!opts.folderId) {
+    throw new Error('A Drive folder ID is required');
+  }
+  const unknownRollups = (opts.rollups || []).filter(period => !ROLLUP_MODULES[period]);
+  if (unknownRollups.length > 0) {
+    throw new Error(`Unknown rollup period(s): ${unknownRollups.join(', ')} (expected ${Object.keys(ROLLUP_PERIODS).join(', ')})`);
+  }
+
+  const startTime = new Date();
+  logger.info(`Starting Group Analytics Processing at ${startTime.toLocaleTimeString()}`);
+  logger.info(`Date range: ${opts.startDate} to ${opts.endDate}, folder: ${opts.folderId}, mode: ${opts.mode}, concurrency: ${opts.concurrency}`);
+  logger.debug(`Sprout API: ${opts.baseUrl}`);
+
+  if (opts.dryRun) {
+    logger.info('Dry run: reading spreadsheets and planning changes; nothing will be written');
+    opts.plan = createDryRunPlan();
+    opts.checkpoint = NO_CHECKPOINT;
+    opts.manifest = NO_MANIFEST;
+    const { results, executionTime } = await syncGroups(opts, startTime);
+    return { results, executionTime, manifestPath: null, plan: opts.plan.getSummary() };
+  }
+
+  opts.checkpoint = checkpointUtils.openCheckpoint(
+    { customerId: opts.customerId, folderId: opts.folderId, startDate: opts.startDate, endDate: opts.endDate },
+    { filePath: opts.checkpointFile, resume: opts.resume, force: opts.force }
+  );
+  const manifest = manifestUtils.createRunManifest(opts, { dir: opts.manifestDir });
+  opts.manifest = manifest;
+
+  try {
+    const { results, executionTime } = await syncGroups(opts, startTime);
+    const manifestPath = manifest.save();
+    return { results, executionTime, manifestPath };
+  } catch (error) {
+    manifest.save(error);
+    throw error;
+  }
+};
+
+/**
+ * Reprocess the failed units recorded in a run manifest
+ * @param {Object} options
+ * @param {string} options.token - Sprout API token (manifests never store it)
+ * @param {string} [options.manifestPath] - Manifest to retry (defaults to the latest in manifestDir)
+ * @param {string} [options.manifestDir] - Manifest directory (defaults to .sprout-runs)
+ * @param {Object} [options.googleClients] - Pre-authenticated Google API clients
+ * @returns {Promise<{results: Array<Object>, executionTime: string, manifestPath: string|null}>} Results of the retry run
+ */
+const retryFailedSync = async (options) => {
+  const manifestPath = options.manifestPath || manifestUtils.findLatestManifest(options.manifestDir);
+  if (!manifestPath) {
+    throw new Error('No run manifest found to retry');
+  }
+
+  const manifest = manifestUtils.readManifest(manifestPath);
+  logger.info(`Retrying failed units from ${manifestPath} (run started ${manifest.startedAt}, status ${manifest.status})`);
+
+  const plan = manifestUtils.getRetryPlan(manifest);
+  if (!plan) {
+    logger.info('No failed units in the manifest. Nothing to retry.');
+    return { results: [], executionTime: '0 minutes (0 seconds)', manifestPath: null };
+  }
+  if (plan.units) {
+    logger.info(`Retrying ${plan.units.size} failed unit(s) across ${plan.groups.length} group(s)`);
+  } else {
+    logger.info(`Previous run failed before processing any group (${manifest.error}). Retrying the whole run.`);
+  }
+
+  return runProfilesSync({
+    ...plan.options,
+    ...options,
+    groups: plan.groups,
+    units: plan.units || undefined
+  });
+};
+
+/**
+ * Exit with 1 when any group failed, so schedulers can alert on it
+ * @param {{results: Array<Object>}} run - Run results
+ * @returns {number} Process exit code
+ */
+const getExitCode = ({ results }) => {
+  const failed = results.filter(r => typeof r.status === 'string' && r.status.startsWith('Error'));
+  return failed.length > 0 ? 1 : 0;
+};
+
+module.exports = {
+  NETWORK_MODULES,
+  getDateDaysAgo,
+  getExitCode,
+  processGroupAnalytics,
+  runProfilesSync,
+  retryFailedSync
+};
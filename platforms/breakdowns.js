@@ -0,0 +1,122 @@
+/**
+ * Breakdown metrics in long format
+ *
+ * Metrics such as posts_sent_by_post_type or followers_by_seniority come back from Sprout as
+ * objects keyed by a dimension. The network tabs keep them as JSON in a single cell; this tab
+ * holds one row per profile, day, metric and dimension value so they can be charted and pivoted.
+ * One Breakdowns tab per spreadsheet is shared by every network in the group.
+ */
+const { safeNumber } = require('../utils/api');
+const logger = require('../utils/logger');
+
+// Sheet configuration
+const SHEET_NAME = 'Breakdowns';
+
+// Sheet headers
+const HEADERS = [
+  'Date',
+  'Network Type',
+  'Profile Name',
+  'Profile ID',
+  'Metric',
+  'Dimension',
+  'Value'
+];
+
+// Header names identifying a row when writing (date first)
+const KEY_HEADERS = ['Date', 'Profile ID', 'Metric', 'Dimension'];
+
+/**
+ * Flatten a breakdown object into [dimension, value] pairs; nested objects get "parent / child" dimensions
+ * @param {Object} breakdown - Breakdown metric value from the API
+ * @param {string} [prefix] - Dimension of the enclosing object
+ * @returns {Array<Array>} [dimension, value] pairs
+ */
+const flattenBreakdown = (breakdown, prefix = '') => {
+  return Object.keys(breakdown).flatMap(key => {
+    const dimension = prefix ? `${prefix} / ${key}` : key;
+    const value = breakdown[key];
+    if (value !== null && typeof value === 'object') return flattenBreakdown(value, dimension);
+    return [[dimension, safeNumber(value)]];
+  });
+};
+
+/**
+ * Format the breakdown metrics of one analytics data point as one row per dimension value
+ * @param {Object} dataPoint - Data point from API
+ * @param {Object} profileData - Profile metadata
+ * @param {Array<{header: string, metric: string}>} breakdownColumns - The network module's BREAKDOWNS
+ * @returns {Array<Array>} Rows for Google Sheets (empty when there is nothing to break down)
+ */
+const formatAnalyticsRows = (dataPoint, profileData, breakdownColumns) => {
+  try {
+    if (!dataPoint || !dataPoint.metrics || !breakdownColumns || breakdownColumns.length === 0) {
+      return [];
+    }
+
+    const reportingPeriod = dataPoint.dimensions &&
+      (dataPoint.dimensions['reporting_period.by(day)'] || dataPoint.dimensions.reporting_period);
+
+    if (!reportingPeriod) {
+      logger.error('No reporting period found in dataPoint:', dataPoint);
+      return [];
+    }
+
+    const date = new Date(reportingPeriod).toISOString().split('T')[0];
+    const networkType = profileData ? profileData.network_type : '';
+    const profileName = profileData ? profileData.name : '';
+    const profileId = profileData ? String(profileData.customer_profile_id || '') : '';
+
+    return breakdownColumns.flatMap(({ metric }) => {
+      const breakdown = dataPoint.metrics[metric];
+      if (!breakdown || typeof breakdown !== 'object') return [];
+      return flattenBreakdown(breakdown).map(([dimension, value]) => [
+        date,            // Date
+        networkType,     // Network Type
+        profileName,     // Profile Name
+        profileId,       // Profile ID
+        metric,          // Metric (API key, the same on every network)
+        dimension,       // Dimension
+        value            // Value
+      ]);
+    });
+  } catch (error) {
+    logger.error(`Error formatting breakdown data: ${error.message}`);
+    logger.debug('Data point:', dataPoint);
+    logger.debug('Profile data:', profileData);
+    return [];
+  }
+};
+
+/**
+ * Setup Breakdowns sheet headers
+ * @param {Object} sheetsUtil - Sheets utility module
+ * @param {Object} auth - Google auth client
+ * @param {string} spreadsheetId - Google Spreadsheet ID
+ * @returns {Promise<boolean>} Success status
+ */
+const setupHeaders = async (sheetsUtil, auth, spreadsheetId) => {
+  return sheetsUtil.setupSheetHeaders(auth, spreadsheetId, SHEET_NAME, HEADERS);
+};
+
+/**
+ * Update Breakdowns sheet with data
+ * @param {Object} sheetsUtil - Sheets utility module
+ * @param {Object} auth - Google auth client
+ * @param {string} spreadsheetId - Google Spreadsheet ID
+ * @param {Array} rows - Data rows
+ * @param {Object} [options] - Write options passed to sheetsUtil.updateSheet (e.g. { mode: 'upsert' })
+ * @returns {Promise<boolean|Object>} Success status, or upsert counts in upsert mode
+ */
+const updateSheet = async (sheetsUtil, auth, spreadsheetId, rows, options = {}) => {
+  return sheetsUtil.updateSheet(auth, spreadsheetId, rows, SHEET_NAME, { keyHeaders: KEY_HEADERS, ...options });
+};
+
+module.exports = {
+  SHEET_NAME,
+  HEADERS,
+  KEY_HEADERS,
+  formatAnalyticsRows,
+  setupHeaders,
+  updateSheet
+};
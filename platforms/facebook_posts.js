@@ -2,6 +2,8 @@
  * Facebook Post-level module
  */
 const { safeNumber } = require('../utils/api');
+const { formatPostTags, formatPostAuthor } = require('../utils/post-metadata');
+const { METRICS_AS_OF_HEADER } = require('../utils/post-refresh');
 
 const SHEET_NAME = 'facebook_post';
 // Human-readable headers with exact titles and corresponding keys
@@ -83,11 +85,16 @@ function buildHeaders(metricList = METRICS) {
     'Profile Name',
     'Profile ID',
     'Perma Link',
-    'Text'
+    'Text',
+    'Tags',
+    'Sent By'
   ];
-  return [...base, ...metricList.map(m => m.title)];
+  return [...base, ...metricList.map(m => m.title), METRICS_AS_OF_HEADER];
 }
 
+// Header names identifying a post row when writing (date first)
+const KEY_HEADERS = ['Created Time (UTC)', 'Profile ID', 'Perma Link'];
+
 async function setupHeaders(sheetsUtil, auth, spreadsheetId, headers) {
   return sheetsUtil.setupSheetHeaders(auth, spreadsheetId, SHEET_NAME, headers);
 }
@@ -109,7 +116,7 @@ function get(dp, path, fallback = '') {
   }
 }
 
-function formatPostData(dataPoint, profileData, headers, truncate) {
+function formatPostData(dataPoint, profileData, headers, truncate, metadata, metricsAsOf = '') {
   if (!dataPoint) return null;
   const dimensions = dataPoint.dimensions || {};
   const metrics = dataPoint.metrics || {};
@@ -127,26 +134,30 @@ function formatPostData(dataPoint, profileData, headers, truncate) {
     profileName,
     profileId,
     permaLink,
-    message
+    message,
+    formatPostTags(dataPoint, metadata),
+    formatPostAuthor(dataPoint, metadata)
   ];
 
   for (const m of METRICS) {
     const val = metrics[m.key];
     row.push(safeNumber(val));
   }
+  row.push(metricsAsOf);
 
   if (row.length !== headers.length) return null;
   return row;
 }
 
-async function updateSheet(sheetsUtil, auth, spreadsheetId, rows, sheetNameOverride) {
+async function updateSheet(sheetsUtil, auth, spreadsheetId, rows, sheetNameOverride, options = {}) {
   const sheetName = sheetNameOverride || SHEET_NAME;
-  return sheetsUtil.updateSheet(auth, spreadsheetId, rows, sheetName);
+  return sheetsUtil.updateSheet(auth, spreadsheetId, rows, sheetName, { keyHeaders: KEY_HEADERS, ...options });
 }
 
 module.exports = {
   SHEET_NAME,
   METRICS,
+  KEY_HEADERS,
   buildHeaders,
   setupHeaders,
   formatPostData,
@@ -0,0 +1,113 @@
+/**
+ * Fallback analytics module for networks without a platform module.
+ * Writes whatever metrics Sprout returns in long format, one row per profile, day and metric,
+ * so profiles on new or unsupported networks still show up in the group spreadsheet.
+ */
+const logger = require('../utils/logger');
+
+// Sheet configuration
+const SHEET_NAME = 'Other Networks';
+
+// Sheet headers
+const HEADERS = [
+  'Date',
+  'Network Type',
+  'Profile Name',
+  'Profile ID',
+  'Metric',
+  'Value'
+];
+
+// Metrics requested for these networks: only the ones every supported network reports, since the
+// default list is Facebook-oriented and unknown networks would reject it or leave it mostly empty
+const PROFILE_METRICS = [
+  'lifetime_snapshot.followers_count',
+  'net_follower_growth',
+  'comments_count',
+  'posts_sent_count'
+];
+
+// Header names identifying a row when writing (date first)
+const KEY_HEADERS = ['Date', 'Profile ID', 'Metric'];
+
+/**
+ * Format one analytics data point as one row per metric
+ * @param {Object} dataPoint - Data point from API
+ * @param {Object} profileData - Profile metadata
+ * @returns {Array<Array>} Rows for Google Sheets (empty when the data point is unusable)
+ */
+const formatAnalyticsRows = (dataPoint, profileData) => {
+  try {
+    if (!dataPoint || !dataPoint.metrics) {
+      logger.error('Invalid data point received for formatting:', dataPoint);
+      return [];
+    }
+
+    const reportingPeriod = dataPoint.dimensions &&
+      (dataPoint.dimensions['reporting_period.by(day)'] || dataPoint.dimensions.reporting_period);
+
+    if (!reportingPeriod) {
+      logger.error('No reporting period found in dataPoint:', dataPoint);
+      return [];
+    }
+
+    const date = new Date(reportingPeriod).toISOString().split('T')[0];
+    const networkType = profileData ? profileData.network_type : '';
+    const profileName = profileData ? profileData.name : '';
+    const profileId = profileData ? String(profileData.customer_profile_id || '') : '';
+
+    return Object.keys(dataPoint.metrics)
+      .sort()
+      .filter(metric => dataPoint.metrics[metric] !== null && dataPoint.metrics[metric] !== undefined)
+      .map(metric => {
+        const value = dataPoint.metrics[metric];
+        return [
+          date,                                                         // Date
+          networkType,                                                  // Network Type
+          profileName,                                                  // Profile Name
+          profileId,                                                    // Profile ID
+          metric,                                                       // Metric
+          typeof value === 'object' ? JSON.stringify(value) : value     // Value
+        ];
+      });
+  } catch (error) {
+    logger.error(`Error formatting raw analytics data: ${error.message}`);
+    logger.debug('Data point:', dataPoint);
+    logger.debug('Profile data:', profileData);
+    return [];
+  }
+};
+
+/**
+ * Setup fallback sheet headers
+ * @param {Object} sheetsUtil - Sheets utility module
+ * @param {Object} auth - Google auth client
+ * @param {string} spreadsheetId - Google Spreadsheet ID
+ * @returns {Promise<boolean>} Success status
+ */
+const setupHeaders = async (sheetsUtil, auth, spreadsheetId) => {
+  return sheetsUtil.setupSheetHeaders(auth, spreadsheetId, SHEET_NAME, HEADERS);
+};
+
+/**
+ * Update fallback sheet with data
+ * @param {Object} sheetsUtil - Sheets utility module
+ * @param {Object} auth - Google auth client
+ * @param {string} spreadsheetId - Google Spreadsheet ID
+ * @param {Array} rows - Data rows
+ * @param {Object} [options] - Write options passed to sheetsUtil.updateSheet (e.g. { mode: 'upsert' })
+ * @returns {Promise<boolean|Object>} Success status, or upsert counts in upsert mode
+ */
+const updateSheet = async (sheetsUtil, auth, spreadsheetId, rows, options = {}) => {
+  return sheetsUtil.updateSheet(auth, spreadsheetId, rows, SHEET_NAME, { keyHeaders: KEY_HEADERS, ...options });
+};
+
+module.exports = {
+  SHEET_NAME,
+  HEADERS,
+  PROFILE_METRICS,
+  KEY_HEADERS,
+  formatAnalyticsRows,
+  setupHeaders,
+  updateSheet
+};
@@ -1,7 +1,7 @@
 /**
  * Instagram analytics processing module - FINAL CORRECTED VERSION
  */
-const { safeNumber } = require('../utils/api');
+const { createMetricSpec } = require('../utils/metric-spec');
 
 // Network types that should be processed as Instagram
 const INSTAGRAM_NETWORK_TYPES = ['instagram', 'fb_instagram_account'];
@@ -9,44 +9,58 @@ const INSTAGRAM_NETWORK_TYPES = ['instagram', 'fb_instagram_account'];
 // Sheet configuration
 const SHEET_NAME = 'Instagram';
 
-// Sheet headers - EXACTLY matching your API response metrics
-const HEADERS = [
+// Sheet columns, matching the API response metrics: headers, requested metrics and rows are all generated from this list
+const COLUMNS = [
   // Identifiers
-  'Date',
-  'Network Type',
-  'Profile Name',
-  
+  { header: 'Date', date: true },
+  { header: 'Network Type', profile: 'network_type' },
+  { header: 'Profile Name', profile: 'name' },
+
   // Follower Metrics
-  'Followers',                    // lifetime_snapshot.followers_count
-  'Net Follower Growth',          // net_follower_growth
-  'Followers Gained',             // followers_gained
-  'Followers Lost',               // followers_lost
-  'Following',                    // lifetime_snapshot.following_count
-  'Net Following Growth',         // net_following_growth
-  
+  { header: 'Followers', metric: 'lifetime_snapshot.followers_count' },
+  { header: 'Net Follower Growth', metric: 'net_follower_growth' },
+  { header: 'Followers Gained', metric: 'followers_gained' },
+  { header: 'Followers Lost', metric: 'followers_lost' },
+  { header: 'Following', metric: 'lifetime_snapshot.following_count' },
+  { header: 'Net Following Growth', metric: 'net_following_growth' },
+
   // Impression/View Metrics
-  'Impressions',                  // impressions
-  'Paid Impressions',            // impressions_paid
-  'Organic Impressions',         // impressions_organic
-  'Total Impressions',           // impressions_total
-  'Reach',                       // impressions_unique
-  'Views',                       // views
-  'Post Video Views',            // video_views
-  
+  { header: 'Impressions', metric: 'impressions' },
+  { header: 'Paid Impressions', metric: 'impressions_paid' },
+  { header: 'Organic Impressions', metric: 'impressions_organic' },
+  { header: 'Total Impressions', metric: 'impressions_total' },
+  { header: 'Reach', metric: 'impressions_unique' },
+  { header: 'Views', metric: 'views' },
+  { header: 'Post Video Views', metric: 'video_views' },
+
   // Engagement Metrics
-  'Reactions',                   // reactions
-  'Likes',                      // likes
-  'Comments',                   // comments_count
-  'Saves',                      // saves
-  'Shares',                     // shares_count
-  'Story Replies',              // story_replies
-  
+  { header: 'Reactions', metric: 'reactions' },
+  { header: 'Likes', metric: 'likes' },
+  { header: 'Comments', metric: 'comments_count' },
+  { header: 'Saves', metric: 'saves' },
+  { header: 'Shares', metric: 'shares_count' },
+  { header: 'Story Replies', metric: 'story_replies' },
+
   // Content Metrics
-  'Posts Sent Count',           // posts_sent_count
-  'Posts Sent By Post Type',    // posts_sent_by_post_type
-  'Posts Sent By Content Type'  // posts_sent_by_content_type
+  { header: 'Posts Sent Count', metric: 'posts_sent_count' },
+  { header: 'Posts Sent By Post Type', metric: 'posts_sent_by_post_type', format: 'json' },
+  { header: 'Posts Sent By Content Type', metric: 'posts_sent_by_content_type', format: 'json' }
 ];
 
+const spec = createMetricSpec('Instagram', COLUMNS);
+
+// Sheet headers
+const HEADERS = spec.headers;
+
+// Profile metrics requested from the analytics API for Instagram profiles
+const PROFILE_METRICS = spec.metrics;
+
+// Breakdown metrics also written in long format to the shared Breakdowns tab
+const BREAKDOWNS = spec.breakdowns;
+
+// Header names identifying a row when writing (no Profile ID column on this tab, so rows are keyed by profile name)
+const KEY_HEADERS = ['Date', 'Profile Name'];
+
 /**
  * Check if the network type should be processed as Instagram
  * @param {string} networkType - Network type from the profile
@@ -62,90 +76,7 @@ const isInstagramType = (networkType) => {
  * @param {Object} profileData - Profile metadata
  * @returns {Array|null} Formatted row for Google Sheets
  */
-const formatAnalyticsData = (dataPoint, profileData) => {
-  try {
-    if (!dataPoint || !dataPoint.metrics) {
-      console.error('Invalid data point received for formatting:', dataPoint);
-      return null;
-    }
-
-    console.log('\n=== Instagram Data Point ===');
-    console.log('Profile Data:', {
-      name: profileData.name,
-      network_type: profileData.network_type,
-      network_id: profileData.network_id,
-      customer_profile_id: profileData.customer_profile_id
-    });
-    
-    console.log('\nRaw Metrics:', dataPoint.metrics);
-    
-    const metrics = dataPoint.metrics;
-    const reportingPeriod = dataPoint.dimensions && (dataPoint.dimensions['reporting_period.by(day)'] || dataPoint.dimensions.reporting_period);
-    
-    if (!reportingPeriod) {
-      console.error('No reporting period found in dataPoint:', dataPoint);
-      return null;
-    }
-    
-    const date = new Date(reportingPeriod).toISOString().split('T')[0];
-
-    // Build row with correct mapping to API response metrics
-    const row = [
-      // Basic Information
-      date,                                                         // Date
-      profileData.network_type,                                     // Network Type
-      profileData.name,                                            // Profile Name
-      
-      // Follower Metrics
-      safeNumber(metrics["lifetime_snapshot.followers_count"]),    // Followers
-      safeNumber(metrics["net_follower_growth"]),                  // Net Follower Growth
-      safeNumber(metrics["followers_gained"]),                     // Followers Gained
-      safeNumber(metrics["followers_lost"]),                       // Followers Lost
-      safeNumber(metrics["lifetime_snapshot.following_count"]),    // Following
-      safeNumber(metrics["net_following_growth"]),                 // Net Following Growth
-      
-      // Impression/View Metrics
-      safeNumber(metrics["impressions"]),                          // Impressions
-      safeNumber(metrics["impressions_paid"]),                     // Paid Impressions
-      safeNumber(metrics["impressions_organic"]),                  // Organic Impressions
-      safeNumber(metrics["impressions_total"]),                    // Total Impressions
-      safeNumber(metrics["impressions_unique"]),                   // Reach
-      safeNumber(metrics["views"]),                                // Views
-      safeNumber(metrics["video_views"]),                          // Post Video Views
-      
-      // Engagement Metrics
-      safeNumber(metrics["reactions"]),                            // Reactions
-      safeNumber(metrics["likes"]),                                // Likes
-      safeNumber(metrics["comments_count"]),                       // Comments
-      safeNumber(metrics["saves"]),                                // Saves
-      safeNumber(metrics["shares_count"]),                         // Shares
-      safeNumber(metrics["story_replies"]),                        // Story Replies
-      
-      // Content Metrics
-      safeNumber(metrics["posts_sent_count"]),                     // Posts Sent Count
-      metrics["posts_sent_by_post_type"] ? JSON.stringify(metrics["posts_sent_by_post_type"]) : '',
-      metrics["posts_sent_by_content_type"] ? JSON.stringify(metrics["posts_sent_by_content_type"]) : ''
-    ];
-
-    console.log('\nFormatted Row:');
-    row.forEach((value, index) => {
-      console.log(`${HEADERS[index]}: ${value}`);
-    });
-
-    // Validate row length
-    if (row.length !== HEADERS.length) {
-      console.error(`Row length mismatch! Headers: ${HEADERS.length}, Row: ${row.length}`);
-      return null;
-    }
-
-    return row;
-  } catch (error) {
-    console.error(`Error formatting Instagram analytics data: ${error.message}`);
-    console.error('Data point:', dataPoint);
-    console.error('Profile data:', profileData);
-    return null;
-  }
-};
+const formatAnalyticsData = (dataPoint, profileData) => spec.formatRow(dataPoint, profileData);
 
 /**
  * Setup Instagram sheet headers
@@ -164,15 +95,20 @@ const setupHeaders = async (sheetsUtil, auth, spreadsheetId) => {
  * @param {Object} auth - Google auth client
  * @param {string} spreadsheetId - Google Spreadsheet ID
  * @param {Array} rows - Data rows
- * @returns {Promise<boolean>} Success status
+ * @param {Object} [options] - Write options passed to sheetsUtil.updateSheet (e.g. { mode: 'upsert' })
+ * @returns {Promise<boolean|Object>} Success status, or upsert counts in upsert mode
  */
-const updateSheet = async (sheetsUtil, auth, spreadsheetId, rows) => {
-  return sheetsUtil.updateSheet(auth, spreadsheetId, rows, SHEET_NAME);
+const updateSheet = async (sheetsUtil, auth, spreadsheetId, rows, options = {}) => {
+  return sheetsUtil.updateSheet(auth, spreadsheetId, rows, SHEET_NAME, { keyHeaders: KEY_HEADERS, ...options });
 };
 
 module.exports = {
   SHEET_NAME,
+  COLUMNS,
   HEADERS,
+  PROFILE_METRICS,
+  BREAKDOWNS,
+  KEY_HEADERS,
   formatAnalyticsData,
   setupHeaders,
   updateSheet,
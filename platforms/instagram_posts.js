@@ -3,6 +3,8 @@
  * Builds headers dynamically (metrics keys as-is) plus standard post columns.
  */
 const { safeNumber } = require('../utils/api');
+const { formatPostTags, formatPostAuthor } = require('../utils/post-metadata');
+const { METRICS_AS_OF_HEADER } = require('../utils/post-refresh');
 
 const SHEET_NAME = 'instagram_post';
 // Fixed metrics with display titles matching documentation
@@ -37,11 +39,16 @@ function buildHeaders(metricList = METRICS) {
     'Profile Name',
     'Profile ID',
     'Perma Link',
-    'Text'
+    'Text',
+    'Tags',
+    'Sent By'
   ];
-  return [...base, ...metricList.map(m => m.title)];
+  return [...base, ...metricList.map(m => m.title), METRICS_AS_OF_HEADER];
 }
 
+// Header names identifying a post row when writing (date first)
+const KEY_HEADERS = ['Created Time (UTC)', 'Profile ID', 'Perma Link'];
+
 async function setupHeaders(sheetsUtil, auth, spreadsheetId, headers) {
   return sheetsUtil.setupSheetHeaders(auth, spreadsheetId, SHEET_NAME, headers);
 }
@@ -63,7 +70,7 @@ function get(dp, path, fallback = '') {
   }
 }
 
-function formatPostData(dataPoint, profileData, headers, truncate) {
+function formatPostData(dataPoint, profileData, headers, truncate, metadata, metricsAsOf = '') {
   if (!dataPoint) return null;
   const dimensions = dataPoint.dimensions || {};
   const metrics = dataPoint.metrics || {};
@@ -82,7 +89,9 @@ function formatPostData(dataPoint, profileData, headers, truncate) {
     profileName,
     profileId,
     permaLink,
-    text
+    text,
+    formatPostTags(dataPoint, metadata),
+    formatPostAuthor(dataPoint, metadata)
   ];
 
   // Then append metric values to match headers order
@@ -90,19 +99,21 @@ function formatPostData(dataPoint, profileData, headers, truncate) {
     const val = metrics[m.key];
     row.push(safeNumber(val));
   }
+  row.push(metricsAsOf);
 
   if (row.length !== headers.length) return null;
   return row;
 }
 
-async function updateSheet(sheetsUtil, auth, spreadsheetId, rows, sheetNameOverride) {
+async function updateSheet(sheetsUtil, auth, spreadsheetId, rows, sheetNameOverride, options = {}) {
   const sheetName = sheetNameOverride || SHEET_NAME;
-  return sheetsUtil.updateSheet(auth, spreadsheetId, rows, sheetName);
+  return sheetsUtil.updateSheet(auth, spreadsheetId, rows, sheetName, { keyHeaders: KEY_HEADERS, ...options });
 }
 
 module.exports = {
   SHEET_NAME,
   METRICS,
+  KEY_HEADERS,
   buildHeaders,
   setupHeaders,
   formatPostData,
@@ -1,7 +1,7 @@
 /**
  * LinkedIn analytics processing module
  */
-const { safeNumber } = require('../utils/api');
+const { createMetricSpec } = require('../utils/metric-spec');
 
 // Network types that should be processed as LinkedIn
 const LINKEDIN_NETWORK_TYPES = ['linkedin', 'linkedin_company'];
@@ -9,51 +9,67 @@ const LINKEDIN_NETWORK_TYPES = ['linkedin', 'linkedin_company'];
 // Sheet configuration
 const SHEET_NAME = 'Linkedin';
 
-// Sheet headers
-const HEADERS = [
-  'Date',
-  'Network Type',
-  'Profile Name',
-  'Network ID',
-  'Profile ID',
-  'Net Follower Growth',
-  'New Followers Gained',
-  'Followers Lost',
-  'Organic Impressions',
-  'Paid Impressions',
-  'Total Reactions',
-  'Total Comments',
-  'Total Shares',
-  'Total Link Clicks',
-  'Total Content Clicks',
-  'Posts Published Count',
-  'Total Clicks',
-  'Total Impressions',
-  'Lifetime Followers Count',
-  'Total Engagement Actions',
-  'Engagement Rate % (per Impression)',
-  'Engagement Rate % (per Follower)',
-  'Click-Through Rate %',
+// Metrics Sprout counts as LinkedIn engagements, and the clicks among them
+const CLICK_METRICS = ['post_link_clicks', 'post_content_clicks'];
+const ENGAGEMENT_METRICS = ['reactions', 'comments_count', 'shares_count', ...CLICK_METRICS];
+
+// Sheet columns: headers, requested metrics and rows are all generated from this list
+const COLUMNS = [
+  { header: 'Date', date: true },
+  { header: 'Network Type', profile: 'network_type' },
+  { header: 'Profile Name', profile: 'name' },
+  { header: 'Network ID', profile: 'network_id' },
+  { header: 'Profile ID', profile: 'customer_profile_id' },
+  { header: 'Net Follower Growth', metric: 'net_follower_growth' },
+  { header: 'New Followers Gained', metric: 'followers_gained' },
+  { header: 'Followers Lost', metric: 'followers_lost' },
+  { header: 'Organic Impressions', metric: 'impressions_organic' },
+  { header: 'Paid Impressions', metric: 'impressions_paid' },
+  { header: 'Total Reactions', metric: 'reactions' },
+  { header: 'Total Comments', metric: 'comments_count' },
+  { header: 'Total Shares', metric: 'shares_count' },
+  { header: 'Total Link Clicks', metric: 'post_link_clicks' },
+  { header: 'Total Content Clicks', metric: 'post_content_clicks' },
+  { header: 'Posts Published Count', metric: 'posts_sent_count' },
+  { header: 'Total Clicks', sum: CLICK_METRICS },
+  { header: 'Total Impressions', metric: 'impressions' },
+  { header: 'Lifetime Followers Count', metric: 'lifetime_snapshot.followers_count' },
+  { header: 'Total Engagement Actions', sum: ENGAGEMENT_METRICS },
+  { header: 'Engagement Rate % (per Impression)', rate: { of: ENGAGEMENT_METRICS, per: 'impressions' } },
+  { header: 'Engagement Rate % (per Follower)', rate: { of: ENGAGEMENT_METRICS, per: 'lifetime_snapshot.followers_count' } },
+  { header: 'Click-Through Rate %', rate: { of: CLICK_METRICS, per: 'impressions' } },
   // Additional MetricKeyAvailability (exact names requested)
-  'Followers',
-  'Followers By Job',
-  'Followers By Seniority',
-  // Skip 'Net Follower Growth' duplicate (already present above)
-  'Followers Gained',
-  'Organic Followers Gained',
-  'Paid Followers Gained',
-  // Skip 'Followers Lost' duplicate (already present above as exact)
-  'Impressions',
-  'Reach',
-  'Reactions',
-  'Comments',
-  'Shares',
-  'Post Clicks (All)',
-  'Posts Sent Count',
-  'Posts Sent By Post Type',
-  'Posts Sent By Content Type'
+  { header: 'Followers', metric: 'lifetime_snapshot.followers_count' },
+  { header: 'Followers By Job', metric: 'followers_by_job_function', format: 'json' },
+  { header: 'Followers By Seniority', metric: 'followers_by_seniority', format: 'json' },
+  { header: 'Followers Gained', metric: 'followers_gained' },
+  { header: 'Organic Followers Gained', metric: 'followers_gained_organic' },
+  { header: 'Paid Followers Gained', metric: 'followers_gained_paid' },
+  { header: 'Impressions', metric: 'impressions' },
+  { header: 'Reach', metric: 'impressions_unique' },
+  { header: 'Reactions', metric: 'reactions' },
+  { header: 'Comments', metric: 'comments_count' },
+  { header: 'Shares', metric: 'shares_count' },
+  { header: 'Post Clicks (All)', metric: 'post_content_clicks' },
+  { header: 'Posts Sent Count', metric: 'posts_sent_count' },
+  { header: 'Posts Sent By Post Type', metric: 'posts_sent_by_post_type', format: 'json' },
+  { header: 'Posts Sent By Content Type', metric: 'posts_sent_by_content_type', format: 'json' }
 ];
 
+const spec = createMetricSpec('LinkedIn', COLUMNS);
+
+// Sheet headers
+const HEADERS = spec.headers;
+
+// Profile metrics requested from the analytics API for LinkedIn profiles
+const PROFILE_METRICS = spec.metrics;
+
+// Breakdown metrics also written in long format to the shared Breakdowns tab
+const BREAKDOWNS = spec.breakdowns;
+
+// Header names identifying a row when writing (date first)
+const KEY_HEADERS = ['Date', 'Profile ID'];
+
 /**
  * Check if the network type should be processed as LinkedIn
  * @param {string} networkType - Network type from the profile
@@ -69,114 +85,7 @@ const isLinkedInType = (networkType) => {
  * @param {Object} profileData - Profile metadata
  * @returns {Array|null} Formatted row for Google Sheets
  */
-const formatAnalyticsData = (dataPoint, profileData) => {
-  try {
-    if (!dataPoint || !dataPoint.metrics) {
-      console.error('Invalid LinkedIn data point received for formatting:', dataPoint);
-      return null;
-    }
-
-    const metrics = dataPoint.metrics;
-    const reportingPeriod = dataPoint.dimensions && 
-      (dataPoint.dimensions['reporting_period.by(day)'] || dataPoint.dimensions.reporting_period);
-    
-    if (!reportingPeriod) {
-      console.error('No reporting period found in LinkedIn dataPoint:', dataPoint);
-      return null;
-    }
-    
-    const date = new Date(reportingPeriod).toISOString().split('T')[0];
-    
-    // Calculate total engagement actions
-    const engagements = 
-      parseFloat(metrics["reactions"] || 0) + 
-      parseFloat(metrics["comments_count"] || 0) + 
-      parseFloat(metrics["shares_count"] || 0) + 
-      parseFloat(metrics["post_link_clicks"] || 0) + 
-      parseFloat(metrics["post_content_clicks"] || 0);
-    
-    // Get total impressions and lifetime followers count
-    const impressions = parseFloat(metrics["impressions"] || 0);
-    const followersCount = parseFloat(metrics["lifetime_snapshot.followers_count"] || 0);
-    
-    // Calculate engagement rate as percentage of impressions
-    const engagementRatePerImpression = impressions > 0 
-      ? parseFloat(((engagements / impressions) * 100).toFixed(2))
-      : 0;
-      
-    // Calculate engagement rate as percentage of followers
-    const engagementRatePerFollower = followersCount > 0 
-      ? parseFloat(((engagements / followersCount) * 100).toFixed(2))
-      : 0;
-      
-    // Calculate click-through rate as percentage of impressions
-    const clickThroughRate = impressions > 0
-      ? parseFloat(((parseFloat(metrics["post_link_clicks"] || 0) + parseFloat(metrics["post_content_clicks"] || 0)) / impressions * 100).toFixed(2))
-      : 0;
-
-    // Map the data in the correct order according to the existing sheet headers
-    const baseRow = [
-      date,                                    // Date
-      profileData.network_type,                // Network Type
-      profileData.name,                        // Profile Name
-      profileData.network_id,                  // Network ID
-      profileData.customer_profile_id,         // Profile ID
-      safeNumber(metrics["net_follower_growth"]),     // Net Follower Growth
-      safeNumber(metrics["followers_gained"]),        // New Followers Gained
-      safeNumber(metrics["followers_lost"]),          // Followers Lost
-      safeNumber(metrics["impressions_organic"]),     // Organic Impressions
-      safeNumber(metrics["impressions_paid"]),        // Paid Impressions
-      safeNumber(metrics["reactions"]),               // Total Reactions
-      safeNumber(metrics["comments_count"]),          // Total Comments
-      safeNumber(metrics["shares_count"]),            // Total Shares
-      safeNumber(metrics["post_link_clicks"]),        // Total Link Clicks
-      safeNumber(metrics["post_content_clicks"]),     // Total Content Clicks
-      safeNumber(metrics["posts_sent_count"]),        // Posts Published Count
-      safeNumber(metrics["post_link_clicks"]) + safeNumber(metrics["post_content_clicks"]), // Total Clicks
-      safeNumber(metrics["impressions"]),             // Total Impressions
-      safeNumber(metrics["lifetime_snapshot.followers_count"]), // Lifetime Followers Count
-      engagements,                             // Total Engagement Actions
-      engagementRatePerImpression,             // Engagement Rate % (per Impression)
-      engagementRatePerFollower,               // Engagement Rate % (per Follower)
-      clickThroughRate                         // Click-Through Rate %
-    ];
-
-    // Helper to stringify objects for breakdown metrics
-    const valueOrJson = (val) => {
-      if (val === null || val === undefined) return '';
-      if (typeof val === 'object') return JSON.stringify(val);
-      return val;
-    };
-
-    // Additional MetricKeyAvailability values in exact order
-    const additional = [
-      safeNumber(metrics['lifetime_snapshot.followers_count']), // Followers
-      valueOrJson(metrics['followers_by_job_function']),        // Followers By Job (object/string)
-      valueOrJson(metrics['followers_by_seniority']),           // Followers By Seniority (object/string)
-      safeNumber(metrics['followers_gained']),                  // Followers Gained
-      safeNumber(metrics['followers_gained_organic']),          // Organic Followers Gained
-      safeNumber(metrics['followers_gained_paid']),             // Paid Followers Gained
-      safeNumber(metrics['impressions']),                       // Impressions
-      safeNumber(metrics['impressions_unique']),                // Reach
-      safeNumber(metrics['reactions']),                         // Reactions
-      safeNumber(metrics['comments_count']),                    // Comments
-      safeNumber(metrics['shares_count']),                      // Shares
-      safeNumber(metrics['post_content_clicks']),               // Post Clicks (All)
-      safeNumber(metrics['posts_sent_count']),                  // Posts Sent Count
-      valueOrJson(metrics['posts_sent_by_post_type']),          // Posts Sent By Post Type (object/string)
-      valueOrJson(metrics['posts_sent_by_content_type']),       // Posts Sent By Content Type (object/string)
-    ];
-
-    const row = [...baseRow, ...additional];
-    console.log('Formatted LinkedIn row:', row);
-    return row;
-  } catch (error) {
-    console.error(`Error formatting LinkedIn analytics data: ${error.message}`);
-    console.error('Data point:', dataPoint);
-    console.error('Profile data:', profileData);
-    return null;
-  }
-};
+const formatAnalyticsData = (dataPoint, profileData) => spec.formatRow(dataPoint, profileData);
 
 /**
  * Setup LinkedIn sheet headers
@@ -195,15 +104,20 @@ const setupHeaders = async (sheetsUtil, auth, spreadsheetId) => {
  * @param {Object} auth - Google auth client
  * @param {string} spreadsheetId - Google Spreadsheet ID
  * @param {Array} rows - Data rows
- * @returns {Promise<boolean>} Success status
+ * @param {Object} [options] - Write options passed to sheetsUtil.updateSheet (e.g. { mode: 'upsert' })
+ * @returns {Promise<boolean|Object>} Success status, or upsert counts in upsert mode
  */
-const updateSheet = async (sheetsUtil, auth, spreadsheetId, rows) => {
-  return sheetsUtil.updateSheet(auth, spreadsheetId, rows, SHEET_NAME);
+const updateSheet = async (sheetsUtil, auth, spreadsheetId, rows, options = {}) => {
+  return sheetsUtil.updateSheet(auth, spreadsheetId, rows, SHEET_NAME, { keyHeaders: KEY_HEADERS, ...options });
 };
 
 module.exports = {
   SHEET_NAME,
+  COLUMNS,
   HEADERS,
+  PROFILE_METRICS,
+  BREAKDOWNS,
+  KEY_HEADERS,
   formatAnalyticsData,
   setupHeaders,
   updateSheet,
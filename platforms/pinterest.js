@@ -0,0 +1,93 @@
+/**
+ * Pinterest analytics processing module
+ */
+const { createMetricSpec } = require('../utils/metric-spec');
+
+// Sheet configuration
+const SHEET_NAME = 'Pinterest';
+
+// Metrics counted as Pinterest engagements: saves, pin clicks, outbound clicks, reactions and comments
+const ENGAGEMENT_METRICS = ['saves', 'post_content_clicks', 'post_link_clicks', 'reactions', 'comments_count'];
+
+// Sheet columns: headers, requested metrics and rows are all generated from this list
+const COLUMNS = [
+  { header: 'Date', date: true },
+  { header: 'Network Type', profile: 'network_type' },
+  { header: 'Profile Name', profile: 'name' },
+  { header: 'Profile ID', profile: 'customer_profile_id', format: 'text' },
+  { header: 'Followers', metric: 'lifetime_snapshot.followers_count' },
+  { header: 'Net Follower Growth', metric: 'net_follower_growth' },
+  { header: 'Impressions', metric: 'impressions' },
+  { header: 'Saves', metric: 'saves' },
+  { header: 'Pin Clicks', metric: 'post_content_clicks' },
+  { header: 'Outbound Clicks', metric: 'post_link_clicks' },
+  { header: 'Video Views', metric: 'video_views' },
+  { header: 'Reactions', metric: 'reactions' },
+  { header: 'Comments', metric: 'comments_count' },
+  { header: 'Posts Sent Count', metric: 'posts_sent_count' },
+  { header: 'Posts Sent By Post Type', metric: 'posts_sent_by_post_type', format: 'json' },
+  { header: 'Posts Sent By Content Type', metric: 'posts_sent_by_content_type', format: 'json' },
+  { header: 'Total Engagement Actions', sum: ENGAGEMENT_METRICS },
+  { header: 'Engagement Rate % (per Impression)', rate: { of: ENGAGEMENT_METRICS, per: 'impressions' } },
+  // Saves are the main signal on Pinterest, so the save rate gets its own column
+  { header: 'Save Rate %', rate: { of: 'saves', per: 'impressions' } },
+  { header: 'Outbound Click-Through Rate %', rate: { of: 'post_link_clicks', per: 'impressions' } }
+];
+
+const spec = createMetricSpec('Pinterest', COLUMNS);
+
+// Sheet headers
+const HEADERS = spec.headers;
+
+// Profile metrics requested from the analytics API for Pinterest profiles
+const PROFILE_METRICS = spec.metrics;
+
+// Breakdown metrics also written in long format to the shared Breakdowns tab
+const BREAKDOWNS = spec.breakdowns;
+
+// Header names identifying a row when writing (date first)
+const KEY_HEADERS = ['Date', 'Profile ID'];
+
+/**
+ * Format Pinterest analytics data for Google Sheets
+ * @param {Object} dataPoint - Data point from API
+ * @param {Object} profileData - Profile metadata
+ * @returns {Array|null} Formatted row for Google Sheets
+ */
+const formatAnalyticsData = (dataPoint, profileData) => spec.formatRow(dataPoint, profileData);
+
+/**
+ * Setup Pinterest sheet headers
+ * @param {Object} sheetsUtil - Sheets utility module
+ * @param {Object} auth - Google auth client
+ * @param {string} spreadsheetId - Google Spreadsheet ID
+ * @returns {Promise<boolean>} Success status
+ */
+const setupHeaders = async (sheetsUtil, auth, spreadsheetId) => {
+  return sheetsUtil.setupSheetHeaders(auth, spreadsheetId, SHEET_NAME, HEADERS);
+};
+
+/**
+ * Update Pinterest sheet with data
+ * @param {Object} sheetsUtil - Sheets utility module
+ * @param {Object} auth - Google auth client
+ * @param {string} spreadsheetId - Google Spreadsheet ID
+ * @param {Array} rows - Data rows
+ * @param {Object} [options] - Write options passed to sheetsUtil.updateSheet (e.g. { mode: 'upsert' })
+ * @returns {Promise<boolean|Object>} Success status, or upsert counts in upsert mode
+ */
+const updateSheet = async (sheetsUtil, auth, spreadsheetId, rows, options = {}) => {
+  return sheetsUtil.updateSheet(auth, spreadsheetId, rows, SHEET_NAME, { keyHeaders: KEY_HEADERS, ...options });
+};
+
+module.exports = {
+  SHEET_NAME,
+  COLUMNS,
+  HEADERS,
+  PROFILE_METRICS,
+  BREAKDOWNS,
+  KEY_HEADERS,
+  formatAnalyticsData,
+  setupHeaders,
+  updateSheet
+};
@@ -0,0 +1,96 @@
+/**
+ * Weekly and monthly rollup tabs
+ *
+ * Every network tab built from a metric spec gets "<Network> Weekly" and "<Network> Monthly"
+ * companions with the same columns and one row per profile and week (starting Monday) or calendar
+ * month. Their data is requested from Sprout grouped by reporting_period.by(week) or by(month):
+ * additive metrics are summed over the period and lifetime_snapshot metrics (followers, following)
+ * hold the value of its last day. Rate and formula columns are then computed from those period
+ * totals, so a weekly engagement rate is the week's engagements over the week's impressions, not
+ * an average of daily rates. The current period holds totals to date and is rewritten by later runs.
+ */
+const { createMetricSpec } = require('../utils/metric-spec');
+
+const INVALID_ROLLUP_PERIOD = 'INVALID_ROLLUP_PERIOD';
+
+// Rollup periods: tab name suffix and the header replacing the daily Date column
+const ROLLUP_PERIODS = {
+  week: { label: 'Weekly', dateHeader: 'Week Starting' },
+  month: { label: 'Monthly', dateHeader: 'Month Starting' }
+};
+
+/**
+ * Create the rollup tab module of a network module
+ * @param {Object} module - Platform module exposing COLUMNS, SHEET_NAME and KEY_HEADERS
+ * @param {string} period - 'week' or 'month'
+ * @returns {Object} Module with the same shape as the platform modules (SHEET_NAME, COLUMNS, HEADERS,
+ *   PROFILE_METRICS, KEY_HEADERS, formatAnalyticsData, setupHeaders, updateSheet), plus its PERIOD
+ * @throws {Error} INVALID_ROLLUP_PERIOD when the period is not week or month
+ */
+const createRollupModule = (module, period) => {
+  if (!ROLLUP_PERIODS[period]) {
+    const error = new Error(`Unknown rollup period "${period}" (expected one of ${Object.keys(ROLLUP_PERIODS).join(', ')})`);
+    error.code = INVALID_ROLLUP_PERIOD;
+    throw error;
+  }
+  const { label, dateHeader } = ROLLUP_PERIODS[period];
+
+  const SHEET_NAME = `${module.SHEET_NAME} ${label}`;
+  const dailyDateHeader = (module.COLUMNS.find(column => column.date) || {}).header;
+  const COLUMNS = module.COLUMNS.map(column => (column.date ? { ...column, header: dateHeader } : column));
+  const spec = createMetricSpec(SHEET_NAME, COLUMNS);
+  const KEY_HEADERS = module.KEY_HEADERS.map(header => (header === dailyDateHeader ? dateHeader : header));
+
+  /**
+   * Setup rollup sheet headers
+   * @param {Object} sheetsUtil - Sheets utility module
+   * @param {Object} auth - Google auth client
+   * @param {string} spreadsheetId - Google Spreadsheet ID
+   * @returns {Promise<boolean>} Success status
+   */
+  const setupHeaders = async (sheetsUtil, auth, spreadsheetId) => {
+    return sheetsUtil.setupSheetHeaders(auth, spreadsheetId, SHEET_NAME, spec.headers);
+  };
+
+  /**
+   * Update rollup sheet with data
+   * @param {Object} sheetsUtil - Sheets utility module
+   * @param {Object} auth - Google auth client
+   * @param {string} spreadsheetId - Google Spreadsheet ID
+   * @param {Array} rows - Data rows
+   * @param {Object} [options] - Write options passed to sheetsUtil.updateSheet (e.g. { mode: 'upsert' })
+   * @returns {Promise<boolean|Object>} Success status, or upsert counts in upsert mode
+   */
+  const updateSheet = async (sheetsUtil, auth, spreadsheetId, rows, options = {}) => {
+    return sheetsUtil.updateSheet(auth, spreadsheetId, rows, SHEET_NAME, { keyHeaders: KEY_HEADERS, ...options });
+  };
+
+  return {
+    PERIOD: period,
+    SHEET_NAME,
+    COLUMNS,
+    HEADERS: spec.headers,
+    PROFILE_METRICS: spec.metrics,
+    KEY_HEADERS,
+    formatAnalyticsData: (dataPoint, profileData) => spec.formatRow(dataPoint, profileData),
+    setupHeaders,
+    updateSheet
+  };
+};
+
+/**
+ * Create the rollup modules of every network module built from a metric spec
+ * @param {Object} modules - Platform modules keyed by simplified network type
+ * @param {string} period - 'week' or 'month'
+ * @returns {Object} Rollup modules keyed by simplified network type (modules without COLUMNS are left out)
+ */
+const createRollupModules = (modules, period) => Object.fromEntries(Object.entries(modules)
+  .filter(([, module]) => Array.isArray(module.COLUMNS))
+  .map(([networkType, module]) => [networkType, createRollupModule(module, period)]));
+
+module.exports = {
+  INVALID_ROLLUP_PERIOD,
+  ROLLUP_PERIODS,
+  createRollupModule,
+  createRollupModules
+};
@@ -0,0 +1,90 @@
+/**
+ * TikTok analytics processing module
+ */
+const { createMetricSpec } = require('../utils/metric-spec');
+
+// Sheet configuration
+const SHEET_NAME = 'TikTok';
+
+// Metrics Sprout counts as TikTok engagements
+const ENGAGEMENT_METRICS = ['likes', 'comments_count', 'shares_count'];
+
+// Sheet columns: headers, requested metrics and rows are all generated from this list
+const COLUMNS = [
+  { header: 'Date', date: true },
+  { header: 'Network Type', profile: 'network_type' },
+  { header: 'Profile Name', profile: 'name' },
+  { header: 'Profile ID', profile: 'customer_profile_id', format: 'text' },
+  { header: 'Followers', metric: 'lifetime_snapshot.followers_count' },
+  { header: 'Net Follower Growth', metric: 'net_follower_growth' },
+  { header: 'Video Views', metric: 'video_views' },
+  { header: 'Profile Views', metric: 'profile_views' },
+  { header: 'Likes', metric: 'likes' },
+  { header: 'Comments', metric: 'comments_count' },
+  { header: 'Shares', metric: 'shares_count' },
+  { header: 'Posts Sent Count', metric: 'posts_sent_count' },
+  { header: 'Posts Sent By Post Type', metric: 'posts_sent_by_post_type', format: 'json' },
+  { header: 'Posts Sent By Content Type', metric: 'posts_sent_by_content_type', format: 'json' },
+  { header: 'Total Engagement Actions', sum: ENGAGEMENT_METRICS },
+  // TikTok reports video views rather than impressions, so rates are per view and per follower
+  { header: 'Engagement Rate % (per View)', rate: { of: ENGAGEMENT_METRICS, per: 'video_views' } },
+  { header: 'Engagement Rate % (per Follower)', rate: { of: ENGAGEMENT_METRICS, per: 'lifetime_snapshot.followers_count' } }
+];
+
+const spec = createMetricSpec('TikTok', COLUMNS);
+
+// Sheet headers
+const HEADERS = spec.headers;
+
+// Profile metrics requested from the analytics API for TikTok profiles
+const PROFILE_METRICS = spec.metrics;
+
+// Breakdown metrics also written in long format to the shared Breakdowns tab
+const BREAKDOWNS = spec.breakdowns;
+
+// Header names identifying a row when writing (date first)
+const KEY_HEADERS = ['Date', 'Profile ID'];
+
+/**
+ * Format TikTok analytics data for Google Sheets
+ * @param {Object} dataPoint - Data point from API
+ * @param {Object} profileData - Profile metadata
+ * @returns {Array|null} Formatted row for Google Sheets
+ */
+const formatAnalyticsData = (dataPoint, profileData) => spec.formatRow(dataPoint, profileData);
+
+/**
+ * Setup TikTok sheet headers
+ * @param {Object} sheetsUtil - Sheets utility module
+ * @param {Object} auth - Google auth client
+ * @param {string} spreadsheetId - Google Spreadsheet ID
+ * @returns {Promise<boolean>} Success status
+ */
+const setupHeaders = async (sheetsUtil, auth, spreadsheetId) => {
+  return sheetsUtil.setupSheetHeaders(auth, spreadsheetId, SHEET_NAME, HEADERS);
+};
+
+/**
+ * Update TikTok sheet with data
+ * @param {Object} sheetsUtil - Sheets utility module
+ * @param {Object} auth - Google auth client
+ * @param {string} spreadsheetId - Google Spreadsheet ID
+ * @param {Array} rows - Data rows
+ * @param {Object} [options] - Write options passed to sheetsUtil.updateSheet (e.g. { mode: 'upsert' })
+ * @returns {Promise<boolean|Object>} Success status, or upsert counts in upsert mode
+ */
+const updateSheet = async (sheetsUtil, auth, spreadsheetId, rows, options = {}) => {
+  return sheetsUtil.updateSheet(auth, spreadsheetId, rows, SHEET_NAME, { keyHeaders: KEY_HEADERS, ...options });
+};
+
+module.exports = {
+  SHEET_NAME,
+  COLUMNS,
+  HEADERS,
+  PROFILE_METRICS,
+  BREAKDOWNS,
+  KEY_HEADERS,
+  formatAnalyticsData,
+  setupHeaders,
+  updateSheet
+};
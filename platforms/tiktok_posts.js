@@ -0,0 +1,107 @@
+/**
+ * TikTok Post-level module
+ */
+const { safeNumber } = require('../utils/api');
+const { formatPostTags, formatPostAuthor } = require('../utils/post-metadata');
+const { METRICS_AS_OF_HEADER } = require('../utils/post-refresh');
+
+const SHEET_NAME = 'tiktok_post';
+// Human-readable headers with exact titles and corresponding keys
+const METRICS = [
+  { title: 'Reach', key: 'lifetime.impressions_unique' },
+  { title: 'Video Views', key: 'lifetime.video_views' },
+  { title: 'Likes', key: 'lifetime.likes' },
+  { title: 'Comments', key: 'lifetime.comments_count' },
+  { title: 'Shares', key: 'lifetime.shares_count' },
+  { title: 'Positive Comments', key: 'lifetime.sentiment_comments_positive_count' },
+  { title: 'Negative Comments', key: 'lifetime.sentiment_comments_negative_count' },
+  { title: 'Neutral Comments', key: 'lifetime.sentiment_comments_neutral_count' },
+  { title: 'Unclassified Comments', key: 'lifetime.sentiment_comments_unclassified_count' },
+  { title: 'Net Sentiment Score', key: 'lifetime.net_sentiment_score' }
+];
+
+function buildHeaders(metricList = METRICS) {
+  const base = [
+    'Created Time (UTC)',
+    'Network Type',
+    'Profile Name',
+    'Profile ID',
+    'Perma Link',
+    'Text',
+    'Tags',
+    'Sent By'
+  ];
+  return [...base, ...metricList.map(m => m.title), METRICS_AS_OF_HEADER];
+}
+
+// Header names identifying a post row when writing (date first)
+const KEY_HEADERS = ['Created Time (UTC)', 'Profile ID', 'Perma Link'];
+
+async function setupHeaders(sheetsUtil, auth, spreadsheetId, headers) {
+  return sheetsUtil.setupSheetHeaders(auth, spreadsheetId, SHEET_NAME, headers);
+}
+
+function parseIsoDate(dimensions, dataPoint) {
+  const rp = dataPoint?.created_time || dimensions?.['created_time'] || dimensions?.created_time || dimensions?.['reporting_period.by(day)'] || dimensions?.reporting_period;
+  if (!rp) return '';
+  try { return new Date(rp).toISOString(); } catch { return ''; }
+}
+
+function get(dp, path, fallback = '') {
+  try {
+    const parts = path.split('.');
+    let cur = dp;
+    for (const p of parts) cur = cur?.[p];
+    return (cur === undefined || cur === null) ? fallback : cur;
+  } catch {
+    return fallback;
+  }
+}
+
+function formatPostData(dataPoint, profileData, headers, truncate, metadata, metricsAsOf = '') {
+  if (!dataPoint) return null;
+  const dimensions = dataPoint.dimensions || {};
+  const metrics = dataPoint.metrics || {};
+
+  const createdAt = parseIsoDate(dimensions, dataPoint);
+  const networkType = profileData?.network_type || 'tiktok';
+  const profileName = profileData?.name || '';
+  const profileId = String(profileData?.customer_profile_id || profileData?.profile_id || profileData?.id || '');
+  const permaLink = dataPoint?.perma_link || get(dimensions, 'post_url', get(dataPoint, 'post_url', ''));
+  const text = truncate(String(dataPoint?.text || get(dimensions, 'message', get(dataPoint, 'message', '')) || ''), 500);
+
+  const row = [
+    createdAt,
+    networkType,
+    profileName,
+    profileId,
+    permaLink,
+    text,
+    formatPostTags(dataPoint, metadata),
+    formatPostAuthor(dataPoint, metadata)
+  ];
+
+  for (const m of METRICS) {
+    const val = metrics[m.key];
+    row.push(safeNumber(val));
+  }
+  row.push(metricsAsOf);
+
+  if (row.length !== headers.length) return null;
+  return row;
+}
+
+async function updateSheet(sheetsUtil, auth, spreadsheetId, rows, sheetNameOverride, options = {}) {
+  const sheetName = sheetNameOverride || SHEET_NAME;
+  return sheetsUtil.updateSheet(auth, spreadsheetId, rows, sheetName, { keyHeaders: KEY_HEADERS, ...options });
+}
+
+module.exports = {
+  SHEET_NAME,
+  METRICS,
+  KEY_HEADERS,
+  buildHeaders,
+  setupHeaders,
+  formatPostData,
+  updateSheet
+};
@@ -2,6 +2,8 @@
  * Twitter/X Post-level module
  */
 const { safeNumber } = require('../utils/api');
+const { formatPostTags, formatPostAuthor } = require('../utils/post-metadata');
+const { METRICS_AS_OF_HEADER } = require('../utils/post-refresh');
 
 const SHEET_NAME = 'twitter_post';
 // Human-readable headers with exact titles and corresponding keys
@@ -40,11 +42,16 @@ function buildHeaders(metricList = METRICS) {
     'Profile Name',
     'Profile ID',
     'Perma Link',
-    'Text'
+    'Text',
+    'Tags',
+    'Sent By'
   ];
-  return [...base, ...metricList.map(m => m.title)];
+  return [...base, ...metricList.map(m => m.title), METRICS_AS_OF_HEADER];
 }
 
+// Header names identifying a post row when writing (date first)
+const KEY_HEADERS = ['Created Time (UTC)', 'Profile ID', 'Perma Link'];
+
 async function setupHeaders(sheetsUtil, auth, spreadsheetId, headers) {
   return sheetsUtil.setupSheetHeaders(auth, spreadsheetId, SHEET_NAME, headers);
 }
@@ -66,7 +73,7 @@ function get(dp, path, fallback = '') {
   }
 }
 
-function formatPostData(dataPoint, profileData, headers, truncate) {
+function formatPostData(dataPoint, profileData, headers, truncate, metadata, metricsAsOf = '') {
   if (!dataPoint) return null;
   const dimensions = dataPoint.dimensions || {};
   const metrics = dataPoint.metrics || {};
@@ -84,26 +91,30 @@ function formatPostData(dataPoint, profileData, headers, truncate) {
     profileName,
     profileId,
     permaLink,
-    text
+    text,
+    formatPostTags(dataPoint, metadata),
+    formatPostAuthor(dataPoint, metadata)
   ];
 
   for (const m of METRICS) {
     const val = metrics[m.key];
     row.push(safeNumber(val));
   }
+  row.push(metricsAsOf);
 
   if (row.length !== headers.length) return null;
   return row;
 }
 
-async function updateSheet(sheetsUtil, auth, spreadsheetId, rows, sheetNameOverride) {
+async function updateSheet(sheetsUtil, auth, spreadsheetId, rows, sheetNameOverride, options = {}) {
   const sheetName = sheetNameOverride || SHEET_NAME;
-  return sheetsUtil.updateSheet(auth, spreadsheetId, rows, sheetName);
+  return sheetsUtil.updateSheet(auth, spreadsheetId, rows, sheetName, { keyHeaders: KEY_HEADERS, ...options });
 }
 
 module.exports = {
   SHEET_NAME,
   METRICS,
+  KEY_HEADERS,
   buildHeaders,
   setupHeaders,
   formatPostData,
@@ -1,92 +1,52 @@
 /**
  * YouTube analytics processing module
  */
-const { safeNumber } = require('../utils/api');
+const { createMetricSpec } = require('../utils/metric-spec');
 
 // Sheet configuration
 const SHEET_NAME = 'Youtube';
 
-// Sheet headers
-const HEADERS = [
-  'Date',
-  'Network',
-  'Profile Name',
-  'Network ID',
-  'Profile ID',
-  'Followers Count',
-  'Net Follower Growth',
-  'Followers Gained',
-  'Followers Lost',
-  'Posts Sent Count',
-  'netFollowerGrowths',
-  'videoEngagements',
-  'videoViews'
+// Metrics counted as YouTube video engagements
+const VIDEO_ENGAGEMENT_METRICS = ['comments_count', 'likes', 'dislikes', 'shares_count', 'followers_gained', 'annotation_clicks', 'card_clicks'];
+
+// Sheet columns: headers, requested metrics and rows are all generated from this list
+const COLUMNS = [
+  { header: 'Date', date: true },
+  { header: 'Network', profile: 'network_type' },
+  { header: 'Profile Name', profile: 'name' },
+  { header: 'Network ID', profile: 'network_id' },
+  { header: 'Profile ID', profile: 'profile_id' },
+  { header: 'Followers Count', metric: 'lifetime_snapshot.followers_count' },
+  { header: 'Net Follower Growth', metric: 'net_follower_growth' },
+  { header: 'Followers Gained', metric: 'followers_gained' },
+  { header: 'Followers Lost', metric: 'followers_lost' },
+  { header: 'Posts Sent Count', metric: 'posts_sent_count' },
+  { header: 'netFollowerGrowths', formula: (v) => v.followers_gained - v.followers_lost, metrics: ['followers_gained', 'followers_lost'] },
+  { header: 'videoEngagements', sum: VIDEO_ENGAGEMENT_METRICS },
+  { header: 'videoViews', metric: 'video_views' }
 ];
 
+const spec = createMetricSpec('YouTube', COLUMNS);
+
+// Sheet headers
+const HEADERS = spec.headers;
+
+// Profile metrics requested from the analytics API for YouTube profiles
+const PROFILE_METRICS = spec.metrics;
+
+// Breakdown metrics also written in long format to the shared Breakdowns tab
+const BREAKDOWNS = spec.breakdowns;
+
+// Header names identifying a row when writing (date first)
+const KEY_HEADERS = ['Date', 'Profile ID'];
+
 /**
  * Format YouTube analytics data for Google Sheets
  * @param {Object} dataPoint - Data point from API
  * @param {Object} profileData - Profile metadata
  * @returns {Array|null} Formatted row for Google Sheets
  */
-const formatAnalyticsData = (dataPoint, profileData) => {
-  try {
-    if (!dataPoint || !dataPoint.metrics) {
-      console.error('Invalid YouTube data point received for formatting:', dataPoint);
-      return null;
-    }
-
-    const metrics = dataPoint.metrics;
-    const reportingPeriod = dataPoint.dimensions && 
-      (dataPoint.dimensions['reporting_period.by(day)'] || dataPoint.dimensions.reporting_period);
-    
-    if (!reportingPeriod) {
-      console.error('No reporting period found in YouTube dataPoint:', dataPoint);
-      return null;
-    }
-    
-    
-    const date = new Date(reportingPeriod).toISOString().split('T')[0];
-    const netFollowerGrowths = 
-      (parseFloat(metrics["followers_gained"] || 0)) - 
-      (parseFloat(metrics["followers_lost"] || 0));
-
-    const videoEngagements = 
-      (parseFloat(metrics["comments_count"] || 0)) +
-      (parseFloat(metrics["likes"] || 0))+
-      (parseFloat(metrics["dislikes"] || 0)) +
-      (parseFloat(metrics["shares_count"] || 0)) +
-      (parseFloat(metrics["followers_gained"] || 0)) +
-      (parseFloat(metrics["annotation_clicks"] || 0)) +
-      (parseFloat(metrics["card_clicks"] || 0));
-
-    const videoViews = parseFloat(metrics["video_views"] || 0);
-    const engagementsPerView = videoViews > 0 
-      ? parseFloat((videoEngagements / videoViews).toFixed(4)) 
-      : 0;
-    const row = [
-      date,
-      profileData.network_type,
-      profileData.name,
-      profileData.network_id,
-      profileData.profile_id,
-      metrics["lifetime_snapshot.followers_count"] || 0,
-      metrics["net_follower_growth"] || 0,
-      metrics["followers_gained"] || 0,
-      metrics["followers_lost"] || 0,
-      metrics["posts_sent_count"] || 0,
-      netFollowerGrowths,
-      videoEngagements,
-      videoViews
-    ];
-
-    console.log('[Sheet2] Adding YouTube row:', row);
-    return row;
-  } catch (error) {
-    console.error(`Error formatting YouTube analytics data: ${error.message}`);
-    return null;
-  }
-};
+const formatAnalyticsData = (dataPoint, profileData) => spec.formatRow(dataPoint, profileData);
 
 /**
  * Setup YouTube sheet headers
@@ -105,15 +65,20 @@ const setupHeaders = async (sheetsUtil, auth, spreadsheetId) => {
  * @param {Object} auth - Google auth client
  * @param {string} spreadsheetId - Google Spreadsheet ID
  * @param {Array} rows - Data rows
- * @returns {Promise<boolean>} Success status
+ * @param {Object} [options] - Write options passed to sheetsUtil.updateSheet (e.g. { mode: 'upsert' })
+ * @returns {Promise<boolean|Object>} Success status, or upsert counts in upsert mode
  */
-const updateSheet = async (sheetsUtil, auth, spreadsheetId, rows) => {
-  return sheetsUtil.updateSheet(auth, spreadsheetId, rows, SHEET_NAME);
+const updateSheet = async (sheetsUtil, auth, spreadsheetId, rows, options = {}) => {
+  return sheetsUtil.updateSheet(auth, spreadsheetId, rows, SHEET_NAME, { keyHeaders: KEY_HEADERS, ...options });
 };
 
 module.exports = {
   SHEET_NAME,
+  COLUMNS,
   HEADERS,
+  PROFILE_METRICS,
+  BREAKDOWNS,
+  KEY_HEADERS,
   formatAnalyticsData,
   setupHeaders,
   updateSheet
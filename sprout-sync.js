@@ -0,0 +1,266 @@
+#!/usr/bin/env node
+
+/**
+ * sprout-sync
+ * ==============================================
+ * Command line entry point for syncing Sprout Social analytics into Google Sheets.
+ *
+ * Usage:
+ *   sprout-sync profiles [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--days-ago N]
+ *                        [--folder ID] [--groups "Group A,12345"] [--prefix "Copy of "]
+ *                        [--mode upsert|append] [--concurrency N] [--group-delay SECONDS] [--email]
+ *                        [--resume | --force | --dry-run] [--unsupported-tab] [--rollups week,month|none]
+ *                        [--customer ID] [--token TOKEN] [--verbose]
+ *   sprout-sync retry-failed [--manifest PATH] [--concurrency N] [--group-delay SECONDS] [--email] [--dry-run] [--token TOKEN]
+ *
+ * Every run writes a manifest to .sprout-runs/; retry-failed reprocesses the failed units of the
+ * latest (or given) manifest.
+ *
+ * Sprout credentials and the folder default to the CUSTOMER_ID, SPROUT_API_TOKEN and FOLDER_ID
+ * settings, and Google credentials are read from the environment (see utils/config.js and utils/auth.js).
+ */
+
+const { parseArgs } = require('util');
+const { runProfilesSync, retryFailedSync, getDateDaysAgo, getExitCode } = require('./pipelines/profiles');
+const { getConfig, redactConfig } = require('./utils/config');
+const logger = require('./utils/logger');
+
+const USAGE = `Usage: sprout-sync <command> [options]
+
+Commands:
+  profiles              Sync daily profile analytics into one spreadsheet per group
+  retry-failed          Reprocess the failed groups, networks and date windows of the last run
+
+Options:
+  --from <date>         Start date (YYYY-MM-DD). Defaults to --days-ago
+  --to <date>           End date (YYYY-MM-DD). Defaults to --from
+  --days-ago <n>        Use the date n days ago when --from is not given (default 2)
+  --folder <id>         Drive folder ID holding the group spreadsheets (default: $FOLDER_ID)
+  --groups <list>       Comma separated group IDs or names (default: all groups)
+  --prefix <text>       Prefix of the group spreadsheet names, e.g. "Copy of "
+  --mode <mode>         Sheet write mode: upsert (default) or append
+  --concurrency <n>     Groups processed in parallel (default: $GROUP_CONCURRENCY or 3)
+  --group-delay <sec>   Seconds to wait after each group (default 0)
+  --email               Send the completion email when done
+  --resume              Skip groups, networks and date windows completed by an interrupted run
+  --force               Forget completed work for this date range and folder, then redo it
+  --dry-run             Print the rows, tabs and spreadsheets each group would change, without writing
+  --unsupported-tab     Write raw metrics of profiles on unsupported networks to an "Other Networks" tab
+  --rollups <list>      Periods that also get "<Network> Weekly"/"Monthly" tabs: week, month or none (default week,month)
+  --manifest <path>     Run manifest to retry (retry-failed; default: latest in .sprout-runs)
+  --customer <id>       Sprout customer ID (default: $CUSTOMER_ID)
+  --token <token>       Sprout API token (default: $SPROUT_API_TOKEN)
+  --verbose             Log debug output such as raw data points and row mappings
+  -h, --help            Show this help
+`;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MODES = ['upsert', 'append'];
+const ROLLUPS = ['week', 'month'];
+const COMMANDS = ['profiles', 'retry-failed'];
+
+/**
+ * Parse and validate command line arguments into pipeline options
+ * @param {Array<string>} argv - Arguments after the node binary and script path
+ * @returns {{command: string|undefined, help: boolean, options: Object}} Parsed command and options
+ */
+const parseCliArgs = (argv) => {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      from: { type: 'string' },
+      to: { type: 'string' },
+      'days-ago': { type: 'string' },
+      folder: { type: 'string' },
+      groups: { type: 'string' },
+      prefix: { type: 'string' },
+      mode: { type: 'string' },
+      concurrency: { type: 'string' },
+      'group-delay': { type: 'string' },
+      email: { type: 'boolean' },
+      resume: { type: 'boolean' },
+      force: { type: 'boolean' },
+      'dry-run': { type: 'boolean' },
+      'unsupported-tab': { type: 'boolean' },
+      rollups: { type: 'string' },
+      customer: { type: 'string' },
+      token: { type: 'string' },
+      manifest: { type: 'string' },
+      verbose: { type: 'boolean' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  const command = positionals[0];
+  if (values.verbose) {
+    logger.setLevel('debug');
+  }
+  if (values.help || !COMMANDS.includes(command)) {
+    return { command, help: Boolean(values.help), options: {} };
+  }
+
+  const options = command === 'retry-failed' ? parseRetryOptions(values) : parseProfilesOptions(values);
+  if (values.concurrency !== undefined) {
+    const concurrency = Number(values.concurrency);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error(`Invalid --concurrency value: ${values.concurrency}`);
+    }
+    options.concurrency = concurrency;
+  }
+  if (values['group-delay'] !== undefined) {
+    const delaySec = Number(values['group-delay']);
+    if (!Number.isFinite(delaySec) || delaySec < 0) {
+      throw new Error(`Invalid --group-delay value: ${values['group-delay']}`);
+    }
+    options.groupDelayMs = delaySec * 1000;
+  }
+
+  return { command, help: false, options };
+};
+
+/**
+ * Build pipeline options for the profiles command
+ * @param {Object} values - Parsed flag values
+ * @returns {Object} Options for runProfilesSync
+ */
+const parseProfilesOptions = (values) => {
+  const daysAgo = values['days-ago'] !== undefined ? Number(values['days-ago']) : 2;
+  if (!Number.isInteger(daysAgo) || daysAgo < 0) {
+    throw new Error(`Invalid --days-ago value: ${values['days-ago']}`);
+  }
+  const startDate = values.from || getDateDaysAgo(daysAgo);
+  const endDate = values.to || startDate;
+  for (const [flag, value] of [['--from', startDate], ['--to', endDate]]) {
+    if (!DATE_PATTERN.test(value) || isNaN(new Date(value).getTime())) {
+      throw new Error(`Invalid ${flag} date: ${value} (expected YYYY-MM-DD)`);
+    }
+  }
+  if (startDate > endDate) {
+    throw new Error(`--from (${startDate}) must not be after --to (${endDate})`);
+  }
+
+  if (values.resume && values.force) {
+    throw new Error('--resume and --force cannot be used together');
+  }
+  if (values['dry-run'] && (values.resume || values.force)) {
+    throw new Error('--dry-run plans the whole date range and cannot be combined with --resume or --force');
+  }
+
+  const mode = values.mode || 'upsert';
+  if (!MODES.includes(mode)) {
+    throw new Error(`Invalid --mode value: ${mode} (expected ${MODES.join(' or ')})`);
+  }
+
+  const rollups = values.rollups === undefined
+    ? ROLLUPS
+    : values.rollups.split(',').map(period => period.trim().toLowerCase()).filter(period => period && period !== 'none');
+  const unknownRollups = rollups.filter(period => !ROLLUPS.includes(period));
+  if (unknownRollups.length > 0) {
+    throw new Error(`Invalid --rollups value: ${values.rollups} (expected ${ROLLUPS.join(', ')} or none)`);
+  }
+
+  // Flags take precedence over configured settings
+  const config = getConfig(['CUSTOMER_ID', 'SPROUT_API_TOKEN', 'FOLDER_ID'], {
+    CUSTOMER_ID: values.customer,
+    SPROUT_API_TOKEN: values.token,
+    FOLDER_ID: values.folder
+  });
+  logger.info(`Configuration: ${JSON.stringify(redactConfig(config))}`);
+
+  const options = {
+    customerId: config.CUSTOMER_ID,
+    token: config.SPROUT_API_TOKEN,
+    folderId: config.FOLDER_ID,
+    startDate,
+    endDate,
+    groups: values.groups ? values.groups.split(',').map(g => g.trim()).filter(Boolean) : [],
+    spreadsheetPrefix: values.prefix || '',
+    mode,
+    sendEmail: Boolean(values.email),
+    resume: Boolean(values.resume),
+    force: Boolean(values.force),
+    dryRun: Boolean(values['dry-run']),
+    unsupportedTab: Boolean(values['unsupported-tab']),
+    rollups
+  };
+
+  return options;
+};
+
+/**
+ * Build options for the retry-failed command. Run settings come from the manifest;
+ * only the API token is read from flags or config.
+ * @param {Object} values - Parsed flag values
+ * @returns {Object} Options for retryFailedSync
+ */
+const parseRetryOptions = (values) => {
+  const config = getConfig(['SPROUT_API_TOKEN'], { SPROUT_API_TOKEN: values.token });
+  return {
+    token: config.SPROUT_API_TOKEN,
+    manifestPath: values.manifest,
+    sendEmail: Boolean(values.email),
+    dryRun: Boolean(values['dry-run'])
+  };
+};
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments after the node binary and script path
+ * @returns {Promise<number>} Process exit code
+ */
+const main = async (argv) => {
+  let parsed;
+  try {
+    parsed = parseCliArgs(argv);
+  } catch (error) {
+    logger.error(error.message);
+    logger.error(USAGE);
+    return 1;
+  }
+
+  if (parsed.help) {
+    logger.info(USAGE);
+    return 0;
+  }
+  if (!parsed.command) {
+    logger.error(USAGE);
+    return 1;
+  }
+
+  switch (parsed.command) {
+    case 'profiles':
+      return getExitCode(await runProfilesSync(parsed.options));
+    case 'retry-failed':
+      return getExitCode(await retryFailedSync(parsed.options));
+    default:
+      logger.error(`Unknown command: ${parsed.command}`);
+      logger.error(USAGE);
+      return 1;
+  }
+};
+
+if (require.main === module) {
+  // Add global error handlers
+  process.on('uncaughtException', (error) => {
+    logger.error('UNCAUGHT EXCEPTION:', error);
+    process.exit(1);
+  });
+
+  process.on('unhandledRejection', (reason) => {
+    logger.error('UNHANDLED REJECTION:', reason);
+    process.exit(1);
+  });
+
+  main(process.argv.slice(2))
+    .then(code => process.exit(code))
+    .catch(error => {
+      logger.error(`Unhandled error in sprout-sync: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  parseCliArgs,
+  main
+};
@@ -12,8 +12,10 @@
  * - Same auth via utils/auth
  * - Same folder resolution: reuse existing group sheet (Copy of <GroupName>)
  * - Same date range logic (D-2 as single day)
- * - Clear rows within date range before writing to avoid duplicates
- * - Throttle and backoff to respect Sheets and API quotas
+ * - Rolling refresh: posts younger than POST_REFRESH_DAYS are refetched and updated in place,
+ *   older rows are frozen; "Metrics As Of" shows when each row was last refreshed
+ * - Shared rate limiters and backoff to respect Sheets and API quotas
+ * - Several groups processed in parallel (GROUP_CONCURRENCY)
  */
 
 const { google } = require('googleapis');
@@ -24,7 +26,14 @@ const apiUtils = require('./utils/api');
 const sheetsUtils = require('./utils/sheets');
 const driveUtils = require('./utils/simple-drive');
 const groupUtils = require('./utils/groups');
+const { getNetworkKey, findUnsupportedNetworks, describeUnsupportedNetworks } = require('./utils/networks');
+const { getPostMetadata } = require('./utils/post-metadata');
+const { getRefreshWindow, findVanishedPostRows } = require('./utils/post-refresh');
 const { sendSproutCompletionEmail } = require('./utils/sproutEmailHelper');
+const { getConfigOrExit, getOptionalConfig } = require('./utils/config');
+const logger = require('./utils/logger');
+const { createDryRunPlan, createDryRunSheetsUtils, describeRowKey, printDryRunPlan } = require('./utils/dry-run');
+const { sheetsWriteLimiter, retryWithBackoff, runWithConcurrency } = require('./utils/rate-limit');
 
 // Platform Post Modules
 const igPosts = require('./platforms/instagram_posts');
@@ -32,12 +41,13 @@ const liPosts = require('./platforms/linkedin_posts');
 const fbPosts = require('./platforms/facebook_posts');
 const twPosts = require('./platforms/twitter_posts');
 const ytPosts = require('./platforms/youtube_posts');
+const ttPosts = require('./platforms/tiktok_posts');
+const piPosts = require('./platforms/pinterest_posts');
+const thPosts = require('./platforms/threads_posts');
 
-// API & Config (align with sprout_april.js)
-const CUSTOMER_ID = "2653573";
-const SPROUT_API_TOKEN = "MjY1MzU3M3wxNzUyMjE2ODQ5fDdmNzgxNzQyLWI3NWEtNDFkYS1hN2Y4LWRkMTE3ODRhNzBlNg==";
-const FOLDER_ID = '13XPLx5l1LuPeJL2Ue03ZztNQUsNgNW06';
-const BASE_URL = "https://api.sproutsocial.com/v1";
+// API & Config (align with sprout_april.js), see utils/config.js
+const { CUSTOMER_ID, SPROUT_API_TOKEN, FOLDER_ID_APRIL: FOLDER_ID } = getConfigOrExit(['CUSTOMER_ID', 'SPROUT_API_TOKEN', 'FOLDER_ID_APRIL']);
+const BASE_URL = apiUtils.getSproutBaseUrl();
 const POSTS_URL = `${BASE_URL}/${CUSTOMER_ID}/analytics/posts`;
 
 const getCurrentDate = () => {
@@ -53,134 +63,34 @@ const date = getCurrentDate();
 const START_DATE = '2025-04-01';
 const END_DATE = date;
 
-const WRITE_MIN_INTERVAL_MS = 2000;
-let lastWriteAt = 0;
-const sleep = (ms) => new Promise(res => setTimeout(res, ms));
-async function throttleWrite() {
-  const now = Date.now();
-  const wait = Math.max(0, WRITE_MIN_INTERVAL_MS - (now - lastWriteAt));
-  if (wait > 0) await sleep(wait);
-  lastWriteAt = Date.now();
-}
-
-async function retryWithBackoff(fn, { maxAttempts = 5, baseDelayMs = 15000, onBeforeRetry = async () => {} } = {}) {
-  let attempt = 0;
-  // eslint-disable-next-line no-constant-condition
-  while (true) {
-    try {
-      return await fn();
-    } catch (err) {
-      attempt++;
-      const msg = err?.message || '';
-      const code = err?.code || err?.response?.status;
-      const isQuota = code === 429 || /quota exceeded|rate limit/i.test(msg);
-      if (!isQuota || attempt >= maxAttempts) throw err;
-      const delay = Math.round(baseDelayMs * Math.pow(2, attempt - 1) * (0.8 + Math.random() * 0.4));
-      console.warn(`Quota hit. Cooling down for ${Math.round(delay/1000)}s before retry ${attempt}/${maxAttempts}...`);
-      await onBeforeRetry(attempt, err);
-      await sleep(delay);
-    }
-  }
-}
-
-// Normalize mapping
-const networkTypeMapping = {
-  'linkedin_company': 'linkedin',
-  'fb_instagram_account': 'instagram',
-  'fb_page': 'facebook',
-  'youtube_channel': 'youtube',
-  'twitter_profile': 'twitter'
-};
+// --dry-run reads everything but only prints the sheet changes it would make
+const DRY_RUN = process.argv.includes('--dry-run');
+const dryRunPlan = DRY_RUN ? createDryRunPlan() : null;
+const sheetWriter = dryRunPlan ? createDryRunSheetsUtils(dryRunPlan) : sheetsUtils;
 
 const postModules = {
   instagram: igPosts,
   linkedin: liPosts,
   facebook: fbPosts,
   twitter: twPosts,
-  youtube: ytPosts
+  youtube: ytPosts,
+  tiktok: ttPosts,
+  pinterest: piPosts,
+  threads: thPosts
 };
 
-function buildDateSet(startDateStr, endDateStr) {
-  const set = new Set();
-  const start = new Date(startDateStr);
-  const end = new Date(endDateStr);
-  const pad = (n) => (n < 10 ? `0${n}` : `${n}`);
-  for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
-    const yyyy = d.getFullYear();
-    const mm = pad(d.getMonth() + 1);
-    const dd = pad(d.getDate());
-    set.add(`${yyyy}-${mm}-${dd}`);
-  }
-  return set;
-}
-
-function normalizeSheetDateCell(value) {
-  if (value == null) return '';
-  const raw = String(value).trim();
-  if (/^\d{4}-\d{2}-\d{2}$/.test(raw)) return raw;
-  const asNum = Number(raw);
-  if (!Number.isNaN(asNum) && raw !== '') {
-    const epoch = new Date(Date.UTC(1899, 11, 30));
-    const ms = epoch.getTime() + Math.round(asNum) * 86400000;
-    const dt = new Date(ms);
-    const yyyy = dt.getUTCFullYear();
-    const mm = String(dt.getUTCMonth() + 1).padStart(2, '0');
-    const dd = String(dt.getUTCDate()).padStart(2, '0');
-    return `${yyyy}-${mm}-${dd}`;
-  }
-  const parsed = new Date(raw);
-  if (!isNaN(parsed.getTime())) {
-    const yyyy = parsed.getFullYear();
-    const mm = String(parsed.getMonth() + 1).padStart(2, '0');
-    const dd = String(parsed.getDate()).padStart(2, '0');
-    return `${yyyy}-${mm}-${dd}`;
+// Read a post tab's values ([] when the tab doesn't exist yet)
+async function readPostTab(sheets, spreadsheetId, sheetName) {
+  try {
+    const resp = await sheets.spreadsheets.values.get({ spreadsheetId, range: `${sheetName}!A:AZ` });
+    return resp.data.values || [];
+  } catch (_) {
+    return [];
   }
-  return '';
 }
 
 async function fetchPostsForProfile(profileId, startDate, endDate, metrics) {
-  const axios = require('axios');
-  const hdrs = apiUtils.getSproutHeaders(SPROUT_API_TOKEN);
-  const metricList = Array.isArray(metrics) && metrics.length ? metrics : undefined;
-
-  const variants = [
-    { label: 'created_time + metrics', filters: [`customer_profile_id.eq(${profileId})`, `created_time.in(${startDate}...${endDate})`], metrics: metricList },
-    { label: 'created_time (no metrics)', filters: [`customer_profile_id.eq(${profileId})`, `created_time.in(${startDate}...${endDate})`], metrics: undefined },
-    { label: 'reporting_period + metrics', filters: [`customer_profile_id.eq(${profileId})`, `reporting_period.in(${startDate}...${endDate})`], metrics: metricList },
-    { label: 'reporting_period (no metrics)', filters: [`customer_profile_id.eq(${profileId})`, `reporting_period.in(${startDate}...${endDate})`], metrics: undefined }
-  ];
-
-  for (const v of variants) {
-    const payload = {
-      filters: v.filters,
-      fields: [
-        'created_time',
-        'perma_link',
-        'text',
-        'internal.tags.id',
-        'internal.sent_by.id',
-        'internal.sent_by.email',
-        'internal.sent_by.first_name',
-        'internal.sent_by.last_name'
-      ],
-      timezone: 'America/Chicago',
-      page: 1
-    };
-    if (v.metrics) payload.metrics = v.metrics;
-    try {
-      const resp = await apiUtils.requestWithRetry(
-        () => axios.post(POSTS_URL, payload, { headers: hdrs }),
-        `posts profile ${profileId} (${v.label})`
-      );
-      const arr = resp?.data?.data || [];
-      console.log(`[Posts] profile=${profileId} variant="${v.label}" -> count=${arr.length}`);
-      if (arr.length > 0) return arr;
-    } catch (_) {
-      // requestWithRetry already logs; continue to next variant
-    }
-  }
-  console.warn(`[Posts] profile=${profileId} returned no data for any variant in ${startDate}..${endDate}`);
-  return [];
+  return apiUtils.getPostAnalyticsData(POSTS_URL, SPROUT_API_TOKEN, profileId, startDate, endDate, metrics);
 }
 
 function truncate(str, max = 500) {
@@ -211,55 +121,77 @@ async function processGroup(groupId, groupName, profiles, googleClients) {
       const possibleMatches = allFiles.filter(file => file.name.toLowerCase().includes(groupNameLower) || groupNameLower.includes(file.name.toLowerCase()));
       if (possibleMatches.length > 0) {
         spreadsheetId = possibleMatches[0].id;
-        console.log(`Reusing spreadsheet: ${possibleMatches[0].name} (${spreadsheetId})`);
+        logger.info(`Reusing spreadsheet: ${possibleMatches[0].name} (${spreadsheetId})`);
       } else {
         const globalMatch = await driveUtils.findSpreadsheetByPattern(drive, baseNamePattern, null);
         if (globalMatch && globalMatch.id) {
           spreadsheetId = globalMatch.id;
-          console.log(`Reusing spreadsheet outside folder: ${globalMatch.name} (${spreadsheetId})`);
+          logger.info(`Reusing spreadsheet outside folder: ${globalMatch.name} (${spreadsheetId})`);
         }
       }
     } catch (e) {
-      console.warn(`Failed to reuse spreadsheet for ${groupName}: ${e.message}`);
+      logger.warn(`Failed to reuse spreadsheet for ${groupName}: ${e.message}`);
     }
   }
   if (!spreadsheetId) throw new Error(`No spreadsheet found for group ${groupName}.`);
+  if (dryRunPlan) dryRunPlan.addSpreadsheet(spreadsheetId, { groupName });
 
   // Group profiles by simplified network type
   const profilesByNetwork = {};
   for (const p of profiles) {
-    const net = networkTypeMapping[p.network_type] || (p.network_type || '').toLowerCase();
+    const net = getNetworkKey(p.network_type);
     if (!profilesByNetwork[net]) profilesByNetwork[net] = [];
     profilesByNetwork[net].push(p);
   }
 
+  // Networks without a post module are reported instead of fetched
+  const unsupportedNetworks = findUnsupportedNetworks(profiles, postModules);
+  if (unsupportedNetworks.length > 0) {
+    logger.warn(`Group ${groupName} has profiles on unsupported networks: ${describeUnsupportedNetworks(unsupportedNetworks)}`);
+    unsupportedNetworks.forEach(({ networkKey }) => { delete profilesByNetwork[networkKey]; });
+  }
+
   // Ensure tabs exist with headers later
   const createdTabs = new Set();
 
+  // Posts younger than POST_REFRESH_DAYS are refetched on every run; older rows stay frozen
+  const refreshDays = Number(getOptionalConfig('POST_REFRESH_DAYS'));
+  const metricsAsOf = new Date().toISOString();
+
   const postsByNetwork = {};
 
   for (const [net, profs] of Object.entries(profilesByNetwork)) {
-    postsByNetwork[net] = [];
+    const mod = postModules[net];
+    const window = getRefreshWindow(await readPostTab(sheets, spreadsheetId, mod.SHEET_NAME), {
+      dateHeader: mod.KEY_HEADERS[0],
+      startDate: START_DATE,
+      endDate: END_DATE,
+      refreshDays
+    });
+    logger.info(`${mod.SHEET_NAME}: fetching posts from ${window.startDate} to ${window.endDate} (refreshing posts since ${window.refreshStart})`);
+    postsByNetwork[net] = { window, posts: [], completeProfileIds: [] };
 
     for (const profile of profs) {
       const profileId = profile.customer_profile_id;
-      const mod = postModules[net];
-      const metrics = mod && Array.isArray(mod.METRICS) ? mod.METRICS.map(m => m.key) : undefined;
-      const data = await fetchPostsForProfile(profileId, START_DATE, END_DATE, metrics);
-      for (const dp of data) {
+      const metrics = Array.isArray(mod.METRICS) ? mod.METRICS.map(m => m.key) : undefined;
+      const result = await fetchPostsForProfile(profileId, window.startDate, window.endDate, metrics);
+      if (result.complete) postsByNetwork[net].completeProfileIds.push(String(profileId));
+      for (const dp of result.data) {
         // Attach resolved basics for formatting later
-        postsByNetwork[net].push({ dataPoint: dp, profile });
+        postsByNetwork[net].posts.push({ dataPoint: dp, profile });
       }
-      // gentle delay to avoid API rate limits between profiles
-      await sleep(800 + Math.floor(Math.random() * 400));
     }
   }
 
-  // For each network, ensure tab exists, set headers, then clear existing rows for date range and write
-  for (const [net, posts] of Object.entries(postsByNetwork)) {
+  // Tag and user names for the post rows (fetched once per run and shared by every group)
+  const postMetadata = await getPostMetadata(BASE_URL, CUSTOMER_ID, SPROUT_API_TOKEN);
+
+  // For each network, ensure tab exists, set headers, drop vanished posts, then upsert the fetched posts
+  const failedSheets = [];
+  for (const [net, { window, posts, completeProfileIds }] of Object.entries(postsByNetwork)) {
     if (!posts || posts.length === 0) continue;
     const mod = postModules[net];
-    if (!mod) { console.log(`No module for ${net}, skipping`); continue; }
+    if (!mod) { logger.info(`No module for ${net}, skipping`); continue; }
 
     const sheetName = mod.SHEET_NAME; // e.g., instagram_post
 
@@ -267,34 +199,52 @@ async function processGroup(groupId, groupName, profiles, googleClients) {
     try {
       const resp = await sheets.spreadsheets.get({ spreadsheetId, includeGridData: false });
       const existingSheets = (resp.data.sheets || []).map(s => s.properties?.title);
-      if (!existingSheets.includes(sheetName)) {
+      if (!existingSheets.includes(sheetName) && dryRunPlan) {
+        dryRunPlan.createTab(spreadsheetId, sheetName);
+      } else if (!existingSheets.includes(sheetName)) {
+        await sheetsWriteLimiter.acquire();
         await sheets.spreadsheets.batchUpdate({
           spreadsheetId,
           resource: { requests: [{ addSheet: { properties: { title: sheetName } } }] }
         });
-        console.log(`Created sheet "${sheetName}"`);
+        logger.info(`Created sheet "${sheetName}"`);
       }
     } catch (e) {
-      console.warn(`Sheet ensure failed for ${sheetName}: ${e.message}`);
+      logger.warn(`Sheet ensure failed for ${sheetName}: ${e.message}`);
     }
     createdTabs.add(sheetName);
 
     // Build headers using module's METRICS (titles)
     const headers = mod.buildHeaders(mod.METRICS);
-    await mod.setupHeaders(sheetsUtils, auth, spreadsheetId, headers);
+    await mod.setupHeaders(sheetWriter, auth, spreadsheetId, headers);
+
+    // Format rows
+    const rows = posts.map(({ dataPoint, profile }) => mod.formatPostData(dataPoint, profile, headers, truncate, postMetadata, metricsAsOf));
+    const filtered = rows.filter(r => Array.isArray(r) && r.length === headers.length);
+
+    if (filtered.length === 0) {
+      logger.info(`No rows to write for ${sheetName}`);
+      continue;
+    }
 
-    // Clear rows within date range to avoid duplicates
+    // Remove rows of refetched posts that no longer came back (e.g. deleted on the network)
     try {
-      const existingValues = await sheets.spreadsheets.values.get({ spreadsheetId, range: `${sheetName}!A:AZ` });
-      const rows = existingValues.data.values || [];
-      if (rows.length > 0) {
-        const dateSet = buildDateSet(START_DATE, END_DATE);
-        const rowsToClear = [];
-        for (let i = 1; i < rows.length; i++) {
-          const normalized = normalizeSheetDateCell(rows[i] && rows[i][0]);
-          if (normalized && dateSet.has(normalized)) rowsToClear.push(i + 1);
-        }
-        if (rowsToClear.length > 0) {
+      // A tab the dry run would create has nothing to remove yet
+      const existingValues = dryRunPlan && dryRunPlan.isNewTab(spreadsheetId, sheetName)
+        ? { data: { values: [] } }
+        : await sheets.spreadsheets.values.get({ spreadsheetId, range: `${sheetName}!A:AZ` });
+      const existingRows = existingValues.data.values || [];
+      if (existingRows.length > 0) {
+        const rowsToClear = findVanishedPostRows(existingRows, filtered, {
+          headers,
+          keyHeaders: mod.KEY_HEADERS,
+          window,
+          profileIds: completeProfileIds
+        });
+        if (rowsToClear.length > 0 && dryRunPlan) {
+          dryRunPlan.recordDeletes(spreadsheetId, sheetName, rowsToClear.map(sheetRow =>
+            ({ sheetRow, key: describeRowKey(existingRows[0], existingRows[sheetRow - 1], mod.KEY_HEADERS) })));
+        } else if (rowsToClear.length > 0) {
           rowsToClear.sort((a,b)=>a-b);
           const ranges = [];
           let start = rowsToClear[0];
@@ -315,6 +265,7 @@ async function processGroup(groupId, groupName, profiles, googleClients) {
           const sheetId = sheet?.properties?.sheetId;
           if (sheetId == null) {
             const a1Ranges = ranges.map(([s,e]) => `${sheetName}!A${s}:AZ${e}`);
+            await sheetsWriteLimiter.acquire();
             await sheets.spreadsheets.values.batchClear({ spreadsheetId, resource: { ranges: a1Ranges } });
           } else {
             const deleteRequests = ranges
@@ -325,42 +276,41 @@ async function processGroup(groupId, groupName, profiles, googleClients) {
                   range: { sheetId, dimension: 'ROWS', startIndex: start, endIndex: end }
                 }
               }));
+            await sheetsWriteLimiter.acquire();
             await sheets.spreadsheets.batchUpdate({ spreadsheetId, resource: { requests: deleteRequests } });
           }
         }
       }
     } catch (e) {
-      console.warn(`Failed clearing existing rows for ${sheetName}: ${e.message}`);
+      logger.warn(`Failed removing vanished posts from ${sheetName}: ${e.message}`);
     }
 
-    // Format rows
-    const rows = posts.map(({ dataPoint, profile }) => mod.formatPostData(dataPoint, profile, headers, truncate));
-    const filtered = rows.filter(r => Array.isArray(r) && r.length === headers.length);
-
-    if (filtered.length === 0) {
-      console.log(`No rows to write for ${sheetName}`);
-      continue;
+    // Ensure capacity then write with backoff (the shared Sheets limiter paces writes)
+    if (!dryRunPlan) {
+      try { await driveUtils.ensureSheetCapacity(sheets, spreadsheetId, sheetName, filtered.length + 2000, Math.max(30, headers.length + 2)); } catch (_) {}
+    }
+    // Refetched posts are updated in place by key; new posts are appended
+    try {
+      const written = await retryWithBackoff(() => mod.updateSheet(sheetWriter, auth, spreadsheetId, filtered, sheetName, { mode: 'upsert' }));
+      if (!written) failedSheets.push(sheetName);
+    } catch (e) {
+      if (e.code === sheetsUtils.MISSING_KEY_HEADER) throw e;
+      logger.error(`Failed writing ${sheetName} after retries: ${e.message}`);
+      failedSheets.push(sheetName);
     }
-
-    // Ensure capacity then write with throttling and backoff
-    try { await driveUtils.ensureSheetCapacity(sheets, spreadsheetId, sheetName, filtered.length + 2000, Math.max(30, headers.length + 2)); } catch (_) {}
-    await throttleWrite();
-    await retryWithBackoff(async () => {
-      await throttleWrite();
-      return await mod.updateSheet(sheetsUtils, auth, spreadsheetId, filtered, sheetName);
-    }, {
-      maxAttempts: 7,
-      baseDelayMs: 30000,
-      onBeforeRetry: async () => {}
-    });
   }
 
-  return { groupId, groupName, spreadsheetId };
+  const status = failedSheets.length > 0
+    ? `Error: write failed for ${failedSheets.join(', ')}`
+    : (dryRunPlan ? 'Planned (dry run)' : 'Completed');
+  return { groupId, groupName, spreadsheetId, unsupportedNetworks, status };
 }
 
 async function main() {
+  const startTime = Date.now();
+
   try {
-    console.log('Starting Post-level Analytics run');
+    logger.info(`Starting Post-level Analytics run${DRY_RUN ? ' (dry run: nothing will be written)' : ''}`);
 
     // Auth like sprout_april.js
     const { authenticateWithEnv } = require('./utils/auth');
@@ -376,50 +326,67 @@ async function main() {
     try {
       await drive.files.get({ fileId: FOLDER_ID, fields: 'id,name', supportsAllDrives: true });
     } catch (e) {
-      console.warn(`Folder access warning: ${e.message}`);
+      logger.warn(`Folder access warning: ${e.message}`);
     }
 
     // Fetch groups and profiles
     const groups = await groupUtils.getCustomerGroups(BASE_URL, CUSTOMER_ID, SPROUT_API_TOKEN);
     const profiles = await groupUtils.getAllProfiles(BASE_URL, CUSTOMER_ID, SPROUT_API_TOKEN);
 
-    if (!groups || groups.length === 0) { console.error('No groups found'); return; }
-    if (!profiles || profiles.length === 0) { console.error('No profiles found'); return; }
+    if (!groups || groups.length === 0) { logger.error('No groups found'); return 1; }
+    if (!profiles || profiles.length === 0) { logger.error('No profiles found'); return 1; }
 
     const profilesByGroup = groupUtils.groupProfilesByGroup(profiles, groups);
 
-    const results = [];
-    for (const [groupId, data] of Object.entries(profilesByGroup)) {
-      const { groupName, profiles: groupProfiles } = data;
-      if (!groupProfiles || groupProfiles.length === 0) continue;
+    // Process several groups at once; Sprout calls and Sheets writes share the rate limiters
+    const groupEntries = Object.entries(profilesByGroup)
+      .filter(([, data]) => data.profiles && data.profiles.length > 0);
+    const concurrency = Number(getOptionalConfig('GROUP_CONCURRENCY'));
+    const results = await runWithConcurrency(groupEntries, concurrency, async ([groupId, { groupName, profiles: groupProfiles }]) => {
       try {
-        const r = await processGroup(groupId, groupName, groupProfiles, { drive, sheets, auth });
-        results.push(r);
+        return await processGroup(groupId, groupName, groupProfiles, { drive, sheets, auth });
       } catch (e) {
-        console.error(`Group ${groupName} failed: ${e.message}`);
+        logger.error(`Group ${groupName} failed: ${e.message}`);
+        return { groupId, groupName, spreadsheetId: null, unsupportedNetworks: [], status: `Error: ${e.message}` };
       }
-      // spacing between groups to be gentle
-      await sleep(75 * 1000);
-    }
+    });
 
-    console.log('Done.');
+    logger.info('Done.');
     results.forEach(r => {
-      if (!r) return;
-      console.log(`Group: ${r.groupName} -> https://docs.google.com/spreadsheets/d/${r.spreadsheetId}/edit`);
+      const link = r.spreadsheetId ? ` -> https://docs.google.com/spreadsheets/d/${r.spreadsheetId}/edit` : '';
+      logger.info(`Group: ${r.groupName}${link} (${r.status})`);
+      if (r.unsupportedNetworks.length > 0) {
+        logger.warn(`  Unsupported networks: ${describeUnsupportedNetworks(r.unsupportedNetworks)}`);
+      }
     });
+    const exitCode = results.some(r => r.status.startsWith('Error')) ? 1 : 0;
+    if (dryRunPlan) {
+      printDryRunPlan(dryRunPlan);
+      return exitCode;
+    }
+    const executionTimeSec = Math.round((Date.now() - startTime) / 1000);
+    const executionTimeMin = Math.round(executionTimeSec / 60 * 100) / 100;
     const formattedTime = `${executionTimeMin} minutes (${executionTimeSec} seconds)`;
     
-    console.log(`\nTotal execution time: ${formattedTime}`);
+    logger.info(`\nTotal execution time: ${formattedTime}`);
     
     // Send completion email
-    console.log('Sending completion email...');
+    logger.info('Sending completion email...');
     const folderLink = `https://drive.google.com/drive/folders/${FOLDER_ID}`;
-    await sendSproutCompletionEmail(allResults, formattedTime, folderLink);
+    await sendSproutCompletionEmail(results, formattedTime, folderLink);
+    return exitCode;
   } catch (err) {
-    console.error('Error in sprout_posts:', err?.message || err);
+    logger.error('Error in sprout_posts:', err?.message || err);
+    return 1;
   }
 }
 
 if (require.main === module) {
-  main();
+  main().then(code => process.exit(code));
 }
+
+module.exports = {
+  START_DATE,
+  END_DATE,
+  processGroup
+};
@@ -6,9 +6,10 @@
  */
 
 const { createOAuthClients } = require('./utils/oauth-utils');
+const { getConfigOrExit } = require('./utils/config');
 
 // Target folder ID where spreadsheets will be created
-const FOLDER_ID = '1O0In92io6PksS-VEdr1lyD-VfVC6mVV3';
+const { FOLDER_ID_SIMPLE: FOLDER_ID } = getConfigOrExit(['FOLDER_ID_SIMPLE']);
 
 /**
  * Test OAuth authentication and Google Drive/Sheets access
@@ -0,0 +1,38 @@
+/**
+ * utils/dry-run.js: recording planned row changes across date windows
+ */
+process.env.LOG_LEVEL = 'error';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createDryRunPlan } = require('../utils/dry-run');
+
+const SPREADSHEET_ID = 'sheet-1';
+
+test('rows planned by two windows sharing a boundary day are listed once', () => {
+  const plan = createDryRunPlan();
+
+  plan.recordRows(SPREADSHEET_ID, 'Facebook', {
+    inserts: ['2025-09-01 | 9001', '2025-09-02 | 9001'],
+    updates: [{ key: '2025-08-31 | 9001', sheetRow: 2, columns: ['Impressions'] }],
+    unchanged: 1
+  });
+  plan.recordRows(SPREADSHEET_ID, 'Facebook', {
+    inserts: ['2025-09-02 | 9001', '2025-09-03 | 9001'],
+    updates: [
+      { key: '2025-08-31 | 9001', sheetRow: 2, columns: ['Impressions', 'Reach'] },
+      { key: '2025-08-30 | 9001', sheetRow: 3, columns: ['Reach'] }
+    ],
+    unchanged: 0
+  });
+  plan.recordRows(SPREADSHEET_ID, 'Instagram', { inserts: ['2025-09-02 | 9001'], updates: [], unchanged: 0 });
+
+  const [{ tabs }] = plan.getSummary();
+  const facebook = tabs.find(tab => tab.sheetName === 'Facebook');
+  assert.deepEqual(facebook.inserts, ['2025-09-01 | 9001', '2025-09-02 | 9001', '2025-09-03 | 9001']);
+  assert.deepEqual(facebook.updates, [
+    { key: '2025-08-31 | 9001', sheetRow: 2, columns: ['Impressions', 'Reach'] },
+    { key: '2025-08-30 | 9001', sheetRow: 3, columns: ['Reach'] }
+  ]);
+  assert.deepEqual(tabs.find(tab => tab.sheetName === 'Instagram').inserts, ['2025-09-02 | 9001']);
+});
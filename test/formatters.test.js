@@ -0,0 +1,217 @@
+/**
+ * Golden-file tests for the platform formatters
+ *
+ * Each file in test/fixtures/formatters holds a profile, recorded Sprout data points and the row
+ * the formatter is expected to produce for each of them (null when the data point is rejected).
+ * Rows are compared as they are sent to Sheets, i.e. after JSON serialization.
+ *
+ * After an intended formatter change, regenerate the expected rows and review the diff:
+ *   UPDATE_GOLDEN=1 npm test
+ */
+process.env.LOG_LEVEL = 'error';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'formatters');
+const NETWORKS = ['facebook', 'instagram', 'linkedin', 'twitter', 'youtube', 'tiktok', 'pinterest', 'threads'];
+const UPDATE_GOLDEN = process.env.UPDATE_GOLDEN === '1';
+
+// Same truncation sprout_posts.js applies to post text
+const truncate = (str, max = 500) => (typeof str === 'string' && str.length > max ? `${str.slice(0, max - 1)}…` : str);
+
+const loadGolden = (name) => JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8'));
+
+const toSheetValues = (row) => (row === null ? null : JSON.parse(JSON.stringify(row)));
+
+/**
+ * Run every case of a golden file through a formatter and compare with (or record) the expected rows
+ * @param {string} name - Golden file name without extension
+ * @param {Function} format - (dataPoint, profile) => row
+ */
+const checkGolden = (name, format) => {
+  const golden = loadGolden(name);
+  for (const goldenCase of golden.cases) {
+    goldenCase.actual = toSheetValues(format(goldenCase.dataPoint, golden.profile));
+  }
+
+  if (UPDATE_GOLDEN) {
+    const cases = golden.cases.map(({ actual, expected, ...goldenCase }) => ({ ...goldenCase, expected: actual }));
+    fs.writeFileSync(path.join(FIXTURES_DIR, `${name}.json`), `${JSON.stringify({ ...golden, cases }, null, 2)}\n`);
+    return;
+  }
+
+  for (const { name: caseName, actual, expected } of golden.cases) {
+    assert.deepEqual(actual, expected, `${name}: ${caseName}`);
+  }
+};
+
+/**
+ * @returns {Array} The expected row of a golden case, by case name
+ */
+const expectedRow = (name, caseName) => loadGolden(name).cases.find(c => c.name === caseName).expected;
+
+for (const network of NETWORKS) {
+  const mod = require(`../platforms/${network}`);
+  const postMod = require(`../platforms/${network}_posts`);
+
+  test(`${network}: formatAnalyticsData matches the golden rows`, () => {
+    checkGolden(network, (dataPoint, profile) => mod.formatAnalyticsData(dataPoint, profile));
+  });
+
+  test(`${network}: every profile row has one value per header`, () => {
+    const { profile, cases } = loadGolden(network);
+    const formatted = cases.map(c => mod.formatAnalyticsData(c.dataPoint, profile));
+    assert.ok(formatted.some(row => row !== null));
+    for (const row of formatted.filter(Boolean)) {
+      assert.equal(row.length, mod.HEADERS.length);
+    }
+  });
+
+  test(`${network}: formatPostData matches the golden rows`, () => {
+    const headers = postMod.buildHeaders(postMod.METRICS);
+    checkGolden(`${network}_posts`, (dataPoint, profile) => postMod.formatPostData(dataPoint, profile, headers, truncate));
+  });
+
+  test(`${network}: post rows have one value per header and reject mismatched headers`, () => {
+    const { profile, cases } = loadGolden(`${network}_posts`);
+    const headers = postMod.buildHeaders(postMod.METRICS);
+    const row = postMod.formatPostData(cases[0].dataPoint, profile, headers, truncate);
+    assert.equal(row.length, headers.length);
+    assert.equal(postMod.formatPostData(cases[0].dataPoint, profile, headers.slice(1), truncate), null);
+  });
+}
+
+if (!UPDATE_GOLDEN) {
+  test('missing profile metrics are written as zero, breakdowns as blank', () => {
+    const { HEADERS } = require('../platforms/instagram');
+    const row = expectedRow('instagram', 'missing metrics default to zero or blank');
+    const at = (header) => row[HEADERS.indexOf(header)];
+    assert.equal(at('Date'), '2025-03-15');
+    assert.equal(at('Followers Gained'), 0);
+    assert.equal(at('Reach'), 0);
+    assert.equal(at('Posts Sent By Post Type'), '');
+  });
+
+  test('linkedin engagement rates and CTR are percentages rounded to two decimals', () => {
+    const { HEADERS } = require('../platforms/linkedin');
+    const { cases } = loadGolden('linkedin');
+    const { metrics } = cases[0].dataPoint;
+    const row = expectedRow('linkedin', 'full day of metrics');
+    const at = (header) => row[HEADERS.indexOf(header)];
+
+    const clicks = metrics.post_link_clicks + metrics.post_content_clicks;
+    const engagements = metrics.reactions + metrics.comments_count + metrics.shares_count + clicks;
+    assert.equal(at('Total Clicks'), clicks);
+    assert.equal(at('Total Engagement Actions'), engagements);
+    assert.equal(at('Engagement Rate % (per Impression)'), Math.round(engagements / metrics.impressions * 10000) / 100);
+    assert.equal(at('Engagement Rate % (per Follower)'), Math.round(engagements / metrics['lifetime_snapshot.followers_count'] * 10000) / 100);
+    assert.equal(at('Click-Through Rate %'), Math.round(clicks / metrics.impressions * 10000) / 100);
+  });
+
+  test('twitter engagement rates count link clicks only for CTR', () => {
+    const { HEADERS } = require('../platforms/twitter');
+    const { cases } = loadGolden('twitter');
+    const { metrics } = cases[0].dataPoint;
+    const row = expectedRow('twitter', 'full day of metrics');
+    const at = (header) => row[HEADERS.indexOf(header)];
+
+    const engagements = metrics.likes + metrics.comments_count + metrics.shares_count +
+      metrics.post_link_clicks + metrics.post_content_clicks_other + metrics.engagements_other;
+    assert.equal(at('Total Engagement Actions'), engagements);
+    assert.equal(at('Engagement Rate % (per Impression)'), Math.round(engagements / metrics.impressions * 10000) / 100);
+    assert.equal(at('Engagement Rate % (per Follower)'), Math.round(engagements / metrics['lifetime_snapshot.followers_count'] * 10000) / 100);
+    assert.equal(at('Click-Through Rate %'), Math.round(metrics.post_link_clicks / metrics.impressions * 10000) / 100);
+  });
+
+  test('rates are zero when there are no impressions or followers', () => {
+    for (const network of ['linkedin', 'twitter']) {
+      const { HEADERS } = require(`../platforms/${network}`);
+      const row = expectedRow(network, 'no impressions or followers (zero division)');
+      const at = (header) => row[HEADERS.indexOf(header)];
+      assert.ok(at('Total Engagement Actions') > 0, network);
+      assert.equal(at('Engagement Rate % (per Impression)'), 0, network);
+      assert.equal(at('Engagement Rate % (per Follower)'), 0, network);
+      assert.equal(at('Click-Through Rate %'), 0, network);
+    }
+  });
+
+  test('tiktok engagement rates are per video view and per follower', () => {
+    const { HEADERS } = require('../platforms/tiktok');
+    const { profile, cases } = loadGolden('tiktok');
+    const { metrics } = cases[0].dataPoint;
+    const row = expectedRow('tiktok', 'full day of metrics');
+    const at = (header) => row[HEADERS.indexOf(header)];
+
+    const engagements = metrics.likes + metrics.comments_count + metrics.shares_count;
+    assert.equal(at('Profile ID'), String(profile.customer_profile_id));
+    assert.equal(at('Total Engagement Actions'), engagements);
+    assert.equal(at('Engagement Rate % (per View)'), Math.round(engagements / metrics.video_views * 10000) / 100);
+    assert.equal(at('Engagement Rate % (per Follower)'), Math.round(engagements / metrics['lifetime_snapshot.followers_count'] * 10000) / 100);
+
+    const zeroRow = expectedRow('tiktok', 'no impressions or followers (zero division)');
+    assert.ok(zeroRow[HEADERS.indexOf('Total Engagement Actions')] > 0);
+    assert.equal(zeroRow[HEADERS.indexOf('Engagement Rate % (per View)')], 0);
+    assert.equal(zeroRow[HEADERS.indexOf('Engagement Rate % (per Follower)')], 0);
+  });
+
+  test('pinterest rates are per impression, with saves and outbound clicks broken out', () => {
+    const { HEADERS } = require('../platforms/pinterest');
+    const { cases } = loadGolden('pinterest');
+    const { metrics } = cases[0].dataPoint;
+    const row = expectedRow('pinterest', 'full day of metrics');
+    const at = (header) => row[HEADERS.indexOf(header)];
+
+    const engagements = metrics.saves + metrics.post_content_clicks + metrics.post_link_clicks +
+      metrics.reactions + metrics.comments_count;
+    assert.equal(at('Total Engagement Actions'), engagements);
+    assert.equal(at('Engagement Rate % (per Impression)'), Math.round(engagements / metrics.impressions * 10000) / 100);
+    assert.equal(at('Save Rate %'), Math.round(metrics.saves / metrics.impressions * 10000) / 100);
+    assert.equal(at('Outbound Click-Through Rate %'), Math.round(metrics.post_link_clicks / metrics.impressions * 10000) / 100);
+
+    const zeroRow = expectedRow('pinterest', 'no impressions or followers (zero division)');
+    for (const header of ['Engagement Rate % (per Impression)', 'Save Rate %', 'Outbound Click-Through Rate %']) {
+      assert.equal(zeroRow[HEADERS.indexOf(header)], 0, header);
+    }
+  });
+
+  test('threads engagement counts likes, replies, reposts and quotes', () => {
+    const { HEADERS } = require('../platforms/threads');
+    const { cases } = loadGolden('threads');
+    const { metrics } = cases[0].dataPoint;
+    const row = expectedRow('threads', 'full day of metrics');
+    const at = (header) => row[HEADERS.indexOf(header)];
+
+    const engagements = metrics.likes + metrics.comments_count + metrics.shares_count + metrics.quotes_count;
+    assert.equal(at('Total Engagement Actions'), engagements);
+    assert.equal(at('Engagement Rate % (per View)'), Math.round(engagements / metrics.views * 10000) / 100);
+    assert.equal(at('Engagement Rate % (per Follower)'), Math.round(engagements / metrics['lifetime_snapshot.followers_count'] * 10000) / 100);
+
+    const zeroRow = expectedRow('threads', 'no impressions or followers (zero division)');
+    assert.equal(zeroRow[HEADERS.indexOf('Engagement Rate % (per View)')], 0);
+    assert.equal(zeroRow[HEADERS.indexOf('Engagement Rate % (per Follower)')], 0);
+  });
+
+  test('youtube video engagements add up likes, dislikes, comments, shares, subscribers and clicks', () => {
+    const { HEADERS } = require('../platforms/youtube');
+    const { cases } = loadGolden('youtube');
+    const { metrics } = cases[0].dataPoint;
+    const row = expectedRow('youtube', 'full day of metrics');
+    const at = (header) => row[HEADERS.indexOf(header)];
+
+    assert.equal(at('netFollowerGrowths'), metrics.followers_gained - metrics.followers_lost);
+    assert.equal(at('videoEngagements'), metrics.comments_count + metrics.likes + metrics.dislikes +
+      metrics.shares_count + metrics.followers_gained + metrics.annotation_clicks + metrics.card_clicks);
+    assert.equal(at('videoViews'), metrics.video_views);
+  });
+
+  test('post text is truncated to 500 characters', () => {
+    const HEADERS = require('../platforms/facebook_posts').buildHeaders();
+    const row = expectedRow('facebook_posts', 'missing metrics and text from dimensions');
+    const text = row[HEADERS.indexOf('Text')];
+    assert.equal(text.length, 500);
+    assert.ok(text.endsWith('…'));
+  });
+}
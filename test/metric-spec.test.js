@@ -0,0 +1,103 @@
+/**
+ * utils/metric-spec.js: headers, requested metrics and rows generated from column specs
+ */
+process.env.LOG_LEVEL = 'error';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMetricSpec, INVALID_METRIC_SPEC } = require('../utils/metric-spec');
+
+const PROFILE = { customer_profile_id: 9001, network_type: 'fb_instagram_account', name: 'Mock Brand Instagram' };
+
+const dataPoint = (metrics) => ({
+  dimensions: { 'reporting_period.by(day)': '2025-03-15T00:00:00Z', customer_profile_id: '9001' },
+  metrics
+});
+
+const COLUMNS = [
+  { header: 'Date', date: true },
+  { header: 'Profile Name', profile: 'name' },
+  { header: 'Profile ID', profile: 'customer_profile_id', format: 'text' },
+  { header: 'Impressions', metric: 'impressions' },
+  { header: 'Posts By Type', metric: 'posts_sent_by_post_type', format: 'json' },
+  { header: 'Engagements', sum: ['likes', 'comments_count'] },
+  { header: 'Engagement Rate %', rate: { of: ['likes', 'comments_count'], per: 'impressions' } },
+  { header: 'Net Growth', formula: (v) => v.followers_gained - v.followers_lost, metrics: ['followers_gained', 'followers_lost'] }
+];
+
+test('headers and requested metrics come from the columns, in order and without duplicates', () => {
+  const spec = createMetricSpec('Test', COLUMNS);
+
+  assert.deepEqual(spec.headers, COLUMNS.map(c => c.header));
+  assert.deepEqual(spec.metrics, [
+    'impressions', 'posts_sent_by_post_type', 'likes', 'comments_count', 'followers_gained', 'followers_lost'
+  ]);
+});
+
+test('rows have one formatted value per column', () => {
+  const spec = createMetricSpec('Test', COLUMNS);
+
+  const row = spec.formatRow(dataPoint({
+    impressions: 300,
+    posts_sent_by_post_type: { POST: 2 },
+    likes: 20,
+    comments_count: 7,
+    followers_gained: 5,
+    followers_lost: 8
+  }), PROFILE);
+
+  assert.deepEqual(row, ['2025-03-15', 'Mock Brand Instagram', '9001', 300, '{"POST":2}', 27, 9, -3]);
+});
+
+test('missing metrics are zero, missing breakdowns blank and rates zero without a denominator', () => {
+  const spec = createMetricSpec('Test', COLUMNS);
+
+  const row = spec.formatRow(dataPoint({ likes: 4 }), PROFILE);
+
+  assert.deepEqual(row, ['2025-03-15', 'Mock Brand Instagram', '9001', 0, '', 4, 0, 0]);
+});
+
+test('data points without metrics or a reporting period are rejected', () => {
+  const spec = createMetricSpec('Test', COLUMNS);
+
+  assert.equal(spec.formatRow(null, PROFILE), null);
+  assert.equal(spec.formatRow({ dimensions: {}, metrics: { impressions: 1 } }, PROFILE), null);
+});
+
+test('percent format applies to every numeric column source', () => {
+  const spec = createMetricSpec('Test', [
+    { header: 'Date', date: true },
+    { header: 'Click Share %', metric: 'click_share', format: 'percent' },
+    { header: 'Combined Share %', sum: ['click_share', 'save_share'], format: 'percent' },
+    { header: 'Missing %', metric: 'missing_share', format: 'percent' },
+    { header: 'Save Ratio', rate: { of: 'saves', per: 'impressions' }, format: 'number' }
+  ]);
+
+  const row = spec.formatRow(dataPoint({ click_share: 0.1234, save_share: 0.05, saves: 1, impressions: 8 }), PROFILE);
+
+  assert.deepEqual(row.slice(1), [12.34, 17.34, 0, 0.125]);
+});
+
+test('malformed columns are rejected with INVALID_METRIC_SPEC', () => {
+  const cases = [
+    [],
+    [{ header: 'Impressions' }],
+    [{ header: 'Impressions', metric: 'impressions', sum: ['impressions'] }],
+    [{ header: 'Impressions', metric: 'impressions' }, { header: 'Impressions', metric: 'impressions_total' }],
+    [{ header: 'Rate', rate: { of: 'likes' } }],
+    [{ header: 'Growth', formula: (v) => v.followers_gained }],
+    [{ header: 'Impressions', metric: 'impressions', format: 'currency' }]
+  ];
+  for (const columns of cases) {
+    assert.throws(() => createMetricSpec('Test', columns), { code: INVALID_METRIC_SPEC }, JSON.stringify(columns));
+  }
+});
+
+test('every platform tab is generated from its columns', () => {
+  for (const network of ['facebook', 'instagram', 'linkedin', 'twitter', 'youtube', 'tiktok', 'pinterest', 'threads']) {
+    const mod = require(`../platforms/${network}`);
+    assert.deepEqual(mod.HEADERS, mod.COLUMNS.map(c => c.header), network);
+    assert.equal(new Set(mod.PROFILE_METRICS).size, mod.PROFILE_METRICS.length, network);
+    assert.ok(mod.PROFILE_METRICS.length > 0, network);
+  }
+});
@@ -0,0 +1,35 @@
+/**
+ * utils/post-metadata.js: tag and sender names for post rows
+ */
+process.env.LOG_LEVEL = 'error';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildPostMetadata, formatPostTags, formatPostAuthor } = require('../utils/post-metadata');
+
+const METADATA = buildPostMetadata(
+  [{ tag_id: 810021, text: 'Spring Launch' }, { tag_id: 810034, text: 'Always On' }, { tag_id: 810099 }],
+  [{ id: 2230417, name: 'Jordan Lee', email: 'jordan.lee@example.com' }, { id: 2230418, email: 'sam@example.com' }]
+);
+
+const post = (internal) => ({ created_time: '2025-04-02T15:31:07Z', internal });
+
+test('tag IDs are shown by name, in order, keeping the ID of unknown tags', () => {
+  const dataPoint = post({ tags: [{ id: 810034 }, { id: 810021 }, { id: 810099 }, { id: 810050 }] });
+
+  assert.equal(formatPostTags(dataPoint, METADATA), 'Always On, Spring Launch, 810099, 810050');
+  assert.equal(formatPostTags(dataPoint), '810034, 810021, 810099, 810050');
+  assert.equal(formatPostTags(post({ tags: [] }), METADATA), '');
+  assert.equal(formatPostTags(post(undefined), METADATA), '');
+});
+
+test('the sender is the user name from metadata, else the name, email or ID on the post', () => {
+  const sentBy = (fields) => post({ sent_by: fields });
+
+  assert.equal(formatPostAuthor(sentBy({ id: 2230417, first_name: 'J', last_name: 'L' }), METADATA), 'Jordan Lee');
+  assert.equal(formatPostAuthor(sentBy({ id: 2230418 }), METADATA), 'sam@example.com');
+  assert.equal(formatPostAuthor(sentBy({ id: 1, first_name: 'Alex', last_name: 'Kim' }), METADATA), 'Alex Kim');
+  assert.equal(formatPostAuthor(sentBy({ id: 1, email: 'alex@example.com' }), METADATA), 'alex@example.com');
+  assert.equal(formatPostAuthor(sentBy({ id: 1 }), METADATA), '1');
+  assert.equal(formatPostAuthor(post({}), METADATA), '');
+});
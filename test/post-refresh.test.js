@@ -0,0 +1,54 @@
+/**
+ * utils/post-refresh.js: which post days are refetched and which rows vanished
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getRefreshWindow, findVanishedPostRows, toPostDate } = require('../utils/post-refresh');
+
+const HEADERS = ['Created Time (UTC)', 'Network Type', 'Profile Name', 'Profile ID', 'Perma Link', 'Text'];
+const KEY_HEADERS = ['Created Time (UTC)', 'Profile ID', 'Perma Link'];
+const OPTIONS = { dateHeader: 'Created Time (UTC)', startDate: '2025-04-01', endDate: '2025-06-30', refreshDays: 30 };
+
+const post = (createdTime, profileId, link) => [createdTime, 'fb_instagram_account', 'Mock', profileId, link, 'Post'];
+
+test('an empty tab is backfilled from the start date', () => {
+  assert.deepEqual(getRefreshWindow([], OPTIONS), { startDate: '2025-04-01', endDate: '2025-06-30', refreshStart: '2025-06-01' });
+  assert.deepEqual(getRefreshWindow([HEADERS], OPTIONS).startDate, '2025-04-01');
+});
+
+test('an up-to-date tab only refetches the refresh window', () => {
+  const rows = [HEADERS, post('2025-04-03T10:00:00.000Z', '1', 'a'), post('2025-06-29T22:15:00.000Z', '1', 'b')];
+
+  assert.deepEqual(getRefreshWindow(rows, OPTIONS), { startDate: '2025-06-01', endDate: '2025-06-30', refreshStart: '2025-06-01' });
+});
+
+test('a tab behind the refresh window catches up from the day before its newest post', () => {
+  const rows = [HEADERS, post('2025-05-10T10:00:00.000Z', '1', 'a'), post('2025-05-02T08:00:00.000Z', '1', 'b')];
+
+  assert.equal(getRefreshWindow(rows, OPTIONS).startDate, '2025-05-09');
+  assert.equal(getRefreshWindow([HEADERS, post('2025-04-01T01:00:00.000Z', '1', 'a')], OPTIONS).startDate, '2025-04-01');
+  assert.equal(getRefreshWindow([], { ...OPTIONS, endDate: '2025-04-10' }).refreshStart, '2025-04-01');
+});
+
+test('rows of refetched posts that did not come back are found, from the day after the fetch start', () => {
+  const existing = [
+    HEADERS,
+    post('2025-05-31T23:00:00.000Z', '1', 'before-window'),
+    post('2025-06-01T03:00:00.000Z', '1', 'first-day'),
+    post('2025-06-02T09:00:00.000Z', '1', 'kept'),
+    post('2025-06-03T09:00:00.000Z', '1', 'deleted'),
+    post('2025-06-03T09:00:00.000Z', '2', 'other-profile')
+  ];
+  const fresh = [post('2025-06-02T09:00:00.000Z', '1', 'kept')];
+  const window = { startDate: '2025-06-01', endDate: '2025-06-30' };
+
+  assert.deepEqual(findVanishedPostRows(existing, fresh, { headers: HEADERS, keyHeaders: KEY_HEADERS, window, profileIds: ['1'] }), [5]);
+  assert.deepEqual(findVanishedPostRows(existing, fresh, { headers: HEADERS, keyHeaders: KEY_HEADERS, window, profileIds: [] }), []);
+});
+
+test('post dates are read from ISO timestamps and Sheets serial numbers', () => {
+  assert.equal(toPostDate('2025-06-02T09:00:00.000Z'), '2025-06-02');
+  assert.equal(toPostDate(45810), '2025-06-02');
+  assert.equal(toPostDate(''), '');
+  assert.equal(toPostDate('not a date'), '');
+});
@@ -0,0 +1,407 @@
+/**
+ * End-to-end profile analytics sync: mock Sprout API in, in-memory Sheets/Drive fake out
+ */
+process.env.SPROUT_REQUESTS_PER_MINUTE = '100000';
+process.env.SHEETS_WRITES_PER_MINUTE = '100000';
+process.env.LOG_LEVEL = 'error';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createGoogleFake } = require('./support/google-fake');
+const { startMockSproutServer } = require('../mock/sprout-server');
+const sheetsUtils = require('../utils/sheets');
+const apiUtils = require('../utils/api');
+const { runProfilesSync } = require('../pipelines/profiles');
+const tiktok = require('../platforms/tiktok');
+const generic = require('../platforms/generic');
+const breakdowns = require('../platforms/breakdowns');
+
+const INSTAGRAM_HEADERS = [
+  'Date', 'Network Type', 'Profile Name', 'Followers', 'Net Follower Growth', 'Followers Gained',
+  'Followers Lost', 'Following', 'Net Following Growth', 'Impressions', 'Paid Impressions',
+  'Organic Impressions', 'Total Impressions', 'Reach', 'Views', 'Post Video Views', 'Reactions',
+  'Likes', 'Comments', 'Saves', 'Shares', 'Story Replies', 'Posts Sent Count',
+  'Posts Sent By Post Type', 'Posts Sent By Content Type'
+];
+
+const UNGROUPED_INSTAGRAM_ROWS = [
+  ['2025-01-01', 'fb_instagram_account', 'Ungrouped Instagram', '9828', '125', '329', '249', '2832', '8', '151', '398', '185', '14', '391', '7', '363', '353', '177', '193', '343', '227', '119', '417', '{"POST":1,"REEL":4,"STORY":2}', '{"PHOTO":2,"VIDEO":1,"TEXT":0,"LINK":0}'],
+  ['2025-01-02', 'fb_instagram_account', 'Ungrouped Instagram', '9829', '188', '470', '42', '2833', '259', '162', '217', '356', '195', '432', '434', '202', '376', '172', '150', '258', '400', '382', '474', '{"POST":4,"REEL":3,"STORY":0}', '{"PHOTO":1,"VIDEO":1,"TEXT":2,"LINK":0}'],
+  ['2025-01-03', 'fb_instagram_account', 'Ungrouped Instagram', '9830', '363', '299', '467', '2834', '350', '289', '268', '51', '0', '329', '65', '69', '151', '335', '323', '129', '289', '77', '247', '{"POST":3,"REEL":4,"STORY":3}', '{"PHOTO":1,"VIDEO":0,"TEXT":2,"LINK":0}']
+];
+
+/**
+ * @param {Array<string>} networkTabs - Daily network tabs of a spreadsheet, in order
+ * @returns {Array<string>} Its Weekly tabs followed by its Monthly tabs
+ */
+const rollupTabs = (networkTabs) => [
+  ...networkTabs.map(tab => `${tab} Weekly`),
+  ...networkTabs.map(tab => `${tab} Monthly`)
+];
+
+let mock;
+let previousClient;
+let tmpDir;
+
+before(async () => {
+  mock = await startMockSproutServer();
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sprout-sync-test-'));
+});
+
+after(async () => {
+  if (previousClient) sheetsUtils.setSheetsClient(previousClient);
+  await mock.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+/**
+ * Create a fake Google account with an empty report folder and route utils/sheets.js to it
+ * @returns {{fake: Object, folderId: string}}
+ */
+const setupGoogle = () => {
+  const fake = createGoogleFake();
+  const replaced = sheetsUtils.setSheetsClient(fake.sheets);
+  if (!previousClient) previousClient = replaced;
+  return { fake, folderId: fake.addFolder('Reports') };
+};
+
+/**
+ * Run the profile sync for 2025-01-01..2025-01-03 against the mock and the fake
+ * @param {Object} fake - Google fake
+ * @param {string} folderId - Report folder ID
+ * @param {string} name - Name for this run's checkpoint file and manifest directory
+ * @param {Object} [options] - Extra run options
+ * @returns {Promise<Object>} Sync result
+ */
+const runSync = (fake, folderId, name, options = {}) => runProfilesSync({
+  baseUrl: mock.baseUrl,
+  customerId: '1000001',
+  token: 'test-token',
+  folderId,
+  startDate: '2025-01-01',
+  endDate: '2025-01-03',
+  force: true,
+  checkpointFile: path.join(tmpDir, `${name}.checkpoints.json`),
+  manifestDir: path.join(tmpDir, `${name}-runs`),
+  googleClients: { auth: fake.auth, drive: fake.drive, sheets: fake.sheets },
+  ...options
+});
+
+/**
+ * @returns {Object} Every tab's FORMATTED_VALUE contents, keyed by "spreadsheet title/tab name"
+ */
+const snapshot = (fake) => {
+  const contents = {};
+  for (const { spreadsheetId, title, tabs } of fake.listSpreadsheets()) {
+    for (const tab of tabs) {
+      contents[`${title}/${tab}`] = fake.getValues(spreadsheetId, tab);
+    }
+  }
+  return contents;
+};
+
+test('a full sync creates one spreadsheet per group with a tab per network', async () => {
+  const { fake, folderId } = setupGoogle();
+
+  const result = await runSync(fake, folderId, 'full');
+
+  assert.deepEqual(result.results.map(r => [r.groupName, r.status]), [
+    ['Mock Brand', 'Completed'],
+    ['Mock Retail', 'Completed'],
+    ['Ungrouped Profiles', 'Completed']
+  ]);
+  assert.deepEqual(fake.listSpreadsheets().map(({ title, parents, tabs }) => ({ title, parents, tabs })), [
+    {
+      title: 'Mock Brand',
+      parents: [folderId],
+      tabs: ['Summary', 'Instagram', 'Pinterest', 'Threads', 'Facebook', 'Linkedin', 'Breakdowns',
+        ...rollupTabs(['Instagram', 'Pinterest', 'Threads', 'Facebook', 'Linkedin'])]
+    },
+    {
+      title: 'Mock Retail',
+      parents: [folderId],
+      tabs: ['Summary', 'Linkedin', 'Twitter', 'Youtube', 'TikTok', 'Breakdowns', ...rollupTabs(['Linkedin', 'Twitter', 'Youtube', 'TikTok'])]
+    },
+    { title: 'Ungrouped Profiles', parents: [folderId], tabs: ['Summary', 'Instagram', 'Breakdowns', ...rollupTabs(['Instagram'])] }
+  ]);
+
+  const contents = snapshot(fake);
+  assert.deepEqual(contents['Ungrouped Profiles/Instagram'], [INSTAGRAM_HEADERS, ...UNGROUPED_INSTAGRAM_ROWS]);
+
+  // One row per profile and day; the LinkedIn page belongs to both groups
+  assert.equal(contents['Mock Brand/Instagram'].length, 4);
+  assert.equal(contents['Mock Brand/Pinterest'].length, 4);
+  assert.equal(contents['Mock Brand/Threads'].length, 4);
+  assert.equal(contents['Mock Brand/Facebook'].length, 4);
+  assert.equal(contents['Mock Brand/Linkedin'].length, 4);
+  assert.equal(contents['Mock Retail/Linkedin'].length, 4);
+  assert.deepEqual(contents['Mock Retail/Linkedin'].slice(1), contents['Mock Brand/Linkedin'].slice(1));
+  assert.equal(contents['Mock Retail/Twitter'].length, 4);
+  assert.equal(contents['Mock Retail/Youtube'].length, 4);
+  assert.equal(contents['Mock Retail/TikTok'].length, 4);
+  assert.deepEqual(contents['Mock Retail/TikTok'][0], tiktok.HEADERS);
+});
+
+test('profiles on unsupported networks are reported per group and skipped by default', async () => {
+  const { fake, folderId } = setupGoogle();
+
+  const result = await runSync(fake, folderId, 'unsupported');
+
+  assert.deepEqual(result.results.map(r => [r.groupName, r.unsupportedNetworks]), [
+    ['Mock Brand', []],
+    ['Mock Retail', [{
+      networkType: 'snapchat',
+      networkKey: 'snapchat',
+      profiles: [{ profileId: '9010', name: 'Mock Retail Snapchat' }]
+    }]],
+    ['Ungrouped Profiles', []]
+  ]);
+  assert.ok(fake.listSpreadsheets().every(({ tabs }) => !tabs.includes(generic.SHEET_NAME)));
+
+  const manifest = JSON.parse(fs.readFileSync(result.manifestPath, 'utf8'));
+  const retail = manifest.groups.find(g => g.groupName === 'Mock Retail');
+  assert.equal(retail.unsupportedNetworks[0].networkType, 'snapchat');
+  assert.ok(manifest.units.every(u => u.network !== 'snapchat'));
+});
+
+test('the unsupported-network tab holds one row per profile, day and raw metric', async () => {
+  const { fake, folderId } = setupGoogle();
+
+  const result = await runSync(fake, folderId, 'fallback-tab', { unsupportedTab: true, rollups: ['week', 'month'] });
+
+  assert.equal(result.results.find(r => r.groupName === 'Mock Retail').status, 'Completed');
+  const retail = fake.listSpreadsheets().find(s => s.title === 'Mock Retail');
+  // Profiles on unsupported networks get no rollup tabs
+  assert.deepEqual(retail.tabs, ['Summary', 'Linkedin', 'Twitter', 'Youtube', 'TikTok', generic.SHEET_NAME, breakdowns.SHEET_NAME,
+    ...rollupTabs(['Linkedin', 'Twitter', 'Youtube', 'TikTok'])]);
+
+  const [headers, ...rows] = fake.getValues(retail.spreadsheetId, generic.SHEET_NAME);
+  const at = (row, header) => row[headers.indexOf(header)];
+  assert.deepEqual(headers, generic.HEADERS);
+  assert.ok(rows.length > 0);
+  assert.ok(rows.every(row => at(row, 'Network Type') === 'snapchat' && at(row, 'Profile ID') === '9010'));
+  assert.deepEqual([...new Set(rows.map(row => at(row, 'Date')))].sort(), ['2025-01-01', '2025-01-02', '2025-01-03']);
+  assert.equal(new Set(rows.map(row => `${at(row, 'Date')}|${at(row, 'Metric')}`)).size, rows.length);
+  assert.deepEqual([...new Set(rows.map(row => at(row, 'Metric')))].sort(), [...generic.PROFILE_METRICS].sort());
+
+  // Other groups are unaffected
+  assert.deepEqual(fake.listSpreadsheets().find(s => s.title === 'Mock Brand').tabs,
+    ['Summary', 'Instagram', 'Pinterest', 'Threads', 'Facebook', 'Linkedin', 'Breakdowns',
+      ...rollupTabs(['Instagram', 'Pinterest', 'Threads', 'Facebook', 'Linkedin'])]);
+});
+
+test('breakdown metrics are flattened into the Breakdowns tab, one row per profile, day and dimension', async () => {
+  const { fake, folderId } = setupGoogle();
+
+  await runSync(fake, folderId, 'breakdowns');
+
+  const ungrouped = fake.listSpreadsheets().find(s => s.title === 'Ungrouped Profiles');
+  const [headers, ...rows] = fake.getValues(ungrouped.spreadsheetId, breakdowns.SHEET_NAME);
+  assert.deepEqual(headers, breakdowns.HEADERS);
+  // 3 days x (3 post types + 4 content types)
+  assert.equal(rows.length, 21);
+  assert.deepEqual(rows.filter(row => row[0] === '2025-01-01'), [
+    ['2025-01-01', 'fb_instagram_account', 'Ungrouped Instagram', '9006', 'posts_sent_by_post_type', 'POST', '1'],
+    ['2025-01-01', 'fb_instagram_account', 'Ungrouped Instagram', '9006', 'posts_sent_by_post_type', 'REEL', '4'],
+    ['2025-01-01', 'fb_instagram_account', 'Ungrouped Instagram', '9006', 'posts_sent_by_post_type', 'STORY', '2'],
+    ['2025-01-01', 'fb_instagram_account', 'Ungrouped Instagram', '9006', 'posts_sent_by_content_type', 'PHOTO', '2'],
+    ['2025-01-01', 'fb_instagram_account', 'Ungrouped Instagram', '9006', 'posts_sent_by_content_type', 'VIDEO', '1'],
+    ['2025-01-01', 'fb_instagram_account', 'Ungrouped Instagram', '9006', 'posts_sent_by_content_type', 'TEXT', '0'],
+    ['2025-01-01', 'fb_instagram_account', 'Ungrouped Instagram', '9006', 'posts_sent_by_content_type', 'LINK', '0']
+  ]);
+
+  // The JSON columns stay on the network tab
+  const instagram = fake.getValues(ungrouped.spreadsheetId, 'Instagram');
+  assert.deepEqual(instagram.slice(1), UNGROUPED_INSTAGRAM_ROWS);
+
+  // Every network with breakdown metrics writes to its group's shared tab
+  const brand = fake.listSpreadsheets().find(s => s.title === 'Mock Brand');
+  const brandNetworks = new Set(fake.getValues(brand.spreadsheetId, breakdowns.SHEET_NAME).slice(1).map(row => row[1]));
+  assert.deepEqual([...brandNetworks].sort(), ['fb_instagram_account', 'fb_page', 'linkedin_company', 'pinterest', 'threads']);
+});
+
+test('weekly and monthly tabs sum additive metrics, keep the last snapshot and recompute rates', async () => {
+  const { fake, folderId } = setupGoogle();
+  mock.clearRequests();
+
+  // Monday 2025-01-06 to Sunday 2025-01-12: one full week, and the first 12 days of January
+  await runSync(fake, folderId, 'rollups', {
+    startDate: '2025-01-06',
+    endDate: '2025-01-12',
+    groups: ['Mock Brand'],
+    rollups: ['week', 'month']
+  });
+
+  const brand = fake.listSpreadsheets().find(s => s.title === 'Mock Brand');
+  const [dailyHeaders, ...daily] = fake.getValues(brand.spreadsheetId, 'Pinterest');
+  const [weeklyHeaders, ...weekly] = fake.getValues(brand.spreadsheetId, 'Pinterest Weekly');
+  const [monthlyHeaders, ...monthly] = fake.getValues(brand.spreadsheetId, 'Pinterest Monthly');
+  const number = (row, headers, header) => Number(row[headers.indexOf(header)]);
+  const dailyTotal = (header) => daily.reduce((total, row) => total + number(row, dailyHeaders, header), 0);
+
+  assert.deepEqual(weeklyHeaders, ['Week Starting', ...dailyHeaders.slice(1)]);
+  assert.deepEqual(monthlyHeaders, ['Month Starting', ...dailyHeaders.slice(1)]);
+  assert.equal(daily.length, 7);
+  assert.deepEqual(weekly.map(row => row[0]), ['2025-01-06']);
+  assert.deepEqual(monthly.map(row => row[0]), ['2025-01-01']);
+
+  const [week] = weekly;
+  for (const header of ['Impressions', 'Saves', 'Net Follower Growth', 'Total Engagement Actions']) {
+    assert.equal(number(week, weeklyHeaders, header), dailyTotal(header), header);
+  }
+  const lastDay = daily.find(row => row[0] === '2025-01-12');
+  assert.equal(number(week, weeklyHeaders, 'Followers'), number(lastDay, dailyHeaders, 'Followers'));
+  assert.equal(number(week, weeklyHeaders, 'Save Rate %'),
+    parseFloat(((dailyTotal('Saves') / dailyTotal('Impressions')) * 100).toFixed(2)));
+  const averageDailyRate = dailyTotal('Save Rate %') / daily.length;
+  assert.notEqual(number(week, weeklyHeaders, 'Save Rate %'), parseFloat(averageDailyRate.toFixed(2)));
+
+  // The month so far includes the days before the daily range
+  const [month] = monthly;
+  assert.equal(number(month, monthlyHeaders, 'Followers'), number(lastDay, dailyHeaders, 'Followers'));
+  assert.ok(number(month, monthlyHeaders, 'Impressions') > number(week, weeklyHeaders, 'Impressions'));
+
+  // Each period is requested from its first day, grouped by that period
+  const periodRequests = mock.getRequests()
+    .filter(r => r.endpoint === 'analytics/profiles' && r.body.dimensions)
+    .map(r => `${r.body.dimensions[1]} ${r.body.filters[1]}`);
+  assert.deepEqual([...new Set(periodRequests)].sort(), [
+    'reporting_period.by(month) reporting_period.in(2025-01-01...2025-01-12)',
+    'reporting_period.by(week) reporting_period.in(2025-01-06...2025-01-12)'
+  ]);
+});
+
+test('rollup periods without data are noted without failing the daily units', async () => {
+  const { fake, folderId } = setupGoogle();
+  const getAnalyticsDataByNetwork = apiUtils.getAnalyticsDataByNetwork;
+  apiUtils.getAnalyticsDataByNetwork = (...args) => (args[6] && args[6].period
+    ? Promise.resolve({ data: [], failedProfiles: [] })
+    : getAnalyticsDataByNetwork(...args));
+
+  let result;
+  try {
+    result = await runSync(fake, folderId, 'rollup-gaps', { groups: ['Ungrouped Profiles'], rollups: ['week', 'month'] });
+  } finally {
+    apiUtils.getAnalyticsDataByNetwork = getAnalyticsDataByNetwork;
+  }
+
+  assert.deepEqual(result.results.map(r => r.status), ['Completed']);
+  const ungrouped = fake.listSpreadsheets().find(s => s.title === 'Ungrouped Profiles');
+  assert.deepEqual(fake.getValues(ungrouped.spreadsheetId, 'Instagram').slice(1), UNGROUPED_INSTAGRAM_ROWS);
+  assert.equal(fake.getValues(ungrouped.spreadsheetId, 'Instagram Weekly').length, 1);
+
+  const manifest = JSON.parse(fs.readFileSync(result.manifestPath, 'utf8'));
+  assert.equal(manifest.status, 'completed');
+  assert.deepEqual(manifest.units.map(u => [u.network, u.status, u.warnings]), [
+    ['instagram', 'completed', ['No rows returned for sheet Instagram Weekly', 'No rows returned for sheet Instagram Monthly']]
+  ]);
+});
+
+test('a failed rollup request fails the unit instead of leaving a gap', async () => {
+  const { fake, folderId } = setupGoogle();
+  const getAnalyticsDataByNetwork = apiUtils.getAnalyticsDataByNetwork;
+  apiUtils.getAnalyticsDataByNetwork = (...args) => (args[6] && args[6].period
+    ? Promise.resolve({ data: [], failedProfiles: [9006] })
+    : getAnalyticsDataByNetwork(...args));
+
+  let result;
+  try {
+    result = await runSync(fake, folderId, 'rollup-failed', { groups: ['Ungrouped Profiles'] });
+  } finally {
+    apiUtils.getAnalyticsDataByNetwork = getAnalyticsDataByNetwork;
+  }
+
+  assert.deepEqual(result.results.map(r => r.status), ['Error: 1 unit(s) failed']);
+  const manifest = JSON.parse(fs.readFileSync(result.manifestPath, 'utf8'));
+  assert.deepEqual(manifest.units.map(u => [u.network, u.status, u.error]), [
+    ['instagram', 'failed', 'Weekly analytics request failed for profile(s) 9006; Monthly analytics request failed for profile(s) 9006']
+  ]);
+  const ungrouped = fake.listSpreadsheets().find(s => s.title === 'Ungrouped Profiles');
+  assert.equal(fake.getValues(ungrouped.spreadsheetId, 'Instagram').length, 1);
+});
+
+test('a window without data is checkpointed as no data and skipped on resume', async () => {
+  const { fake, folderId } = setupGoogle();
+  const getAnalyticsDataByNetwork = apiUtils.getAnalyticsDataByNetwork;
+  apiUtils.getAnalyticsDataByNetwork = () => Promise.resolve({ data: [], failedProfiles: [] });
+
+  let result;
+  try {
+    result = await runSync(fake, folderId, 'quiet', { groups: ['Ungrouped Profiles'] });
+  } finally {
+    apiUtils.getAnalyticsDataByNetwork = getAnalyticsDataByNetwork;
+  }
+
+  assert.deepEqual(result.results.map(r => r.status), ['No data']);
+  const manifest = JSON.parse(fs.readFileSync(result.manifestPath, 'utf8'));
+  assert.deepEqual(manifest.units.map(u => [u.network, u.status]), [['instagram', 'no_data']]);
+
+  mock.clearRequests();
+  await runSync(fake, folderId, 'quiet', { groups: ['Ungrouped Profiles'], force: false, resume: true });
+  assert.equal(mock.getRequests().filter(r => r.endpoint === 'analytics/profiles').length, 0);
+});
+
+test('only the units of profiles whose analytics were lost fail', async () => {
+  const { fake, folderId } = setupGoogle();
+  mock.injectFault({ endpoint: 'analytics/profiles', status: 400, profileId: '9002' });
+
+  let result;
+  try {
+    result = await runSync(fake, folderId, 'lost-profile', { groups: ['Mock Brand'] });
+  } finally {
+    mock.clearFaults();
+  }
+
+  assert.deepEqual(result.results.map(r => r.status), ['Error: 1 unit(s) failed']);
+  const manifest = JSON.parse(fs.readFileSync(result.manifestPath, 'utf8'));
+  assert.deepEqual(manifest.units.map(u => [u.network, u.status, u.error]), [
+    ['instagram', 'completed', null],
+    ['pinterest', 'completed', null],
+    ['threads', 'completed', null],
+    ['facebook', 'failed', 'Analytics request failed for profile(s) 9002; ' +
+      'Weekly analytics request failed for profile(s) 9002; Monthly analytics request failed for profile(s) 9002'],
+    ['linkedin', 'completed', null]
+  ]);
+  const brand = fake.listSpreadsheets().find(s => s.title === 'Mock Brand');
+  assert.equal(fake.getValues(brand.spreadsheetId, 'Facebook').length, 1);
+});
+
+test('running the same sync again leaves every sheet unchanged', async () => {
+  const { fake, folderId } = setupGoogle();
+
+  await runSync(fake, folderId, 'rerun-first');
+  const first = snapshot(fake);
+  await runSync(fake, folderId, 'rerun-second');
+
+  assert.deepEqual(snapshot(fake), first);
+  assert.equal(fake.listSpreadsheets().length, 3);
+});
+
+test('existing rows are rewritten in place and older rows are kept', async () => {
+  const { fake, folderId } = setupGoogle();
+  const spreadsheetId = fake.addSpreadsheet('Ungrouped Profiles', {
+    folderId,
+    tabs: {
+      Summary: [],
+      Instagram: [
+        INSTAGRAM_HEADERS,
+        ['2024-12-31', 'fb_instagram_account', 'Ungrouped Instagram', '9827'],
+        ['2025-01-02', 'fb_instagram_account', 'Ungrouped Instagram', '1', '2', '3']
+      ]
+    }
+  });
+
+  await runSync(fake, folderId, 'seeded');
+
+  assert.equal(fake.listSpreadsheets().filter(s => s.title === 'Ungrouped Profiles').length, 1);
+  assert.deepEqual(fake.getValues(spreadsheetId, 'Instagram'), [
+    INSTAGRAM_HEADERS,
+    ['2024-12-31', 'fb_instagram_account', 'Ungrouped Instagram', '9827'],
+    UNGROUPED_INSTAGRAM_ROWS[1],
+    UNGROUPED_INSTAGRAM_ROWS[0],
+    UNGROUPED_INSTAGRAM_ROWS[2]
+  ]);
+});
@@ -0,0 +1,192 @@
+/**
+ * utils/sheets.js against the in-memory Sheets fake: upserts, append de-duplication and header migration
+ */
+process.env.SHEETS_WRITES_PER_MINUTE = '100000';
+process.env.LOG_LEVEL = 'error';
+
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createGoogleFake } = require('./support/google-fake');
+const sheetsUtils = require('../utils/sheets');
+
+const HEADERS = ['Date', 'Profile ID', 'Impressions', 'Reach'];
+
+let fake;
+let previousClient;
+
+beforeEach(() => {
+  fake = createGoogleFake();
+  const replaced = sheetsUtils.setSheetsClient(fake.sheets);
+  if (!previousClient) previousClient = replaced;
+});
+
+after(() => {
+  sheetsUtils.setSheetsClient(previousClient);
+});
+
+test('upsert appends new keys and rewrites changed rows in place', async () => {
+  const spreadsheetId = fake.addSpreadsheet('Upserts', {
+    tabs: {
+      Facebook: [
+        HEADERS,
+        ['2025-01-01', '11', '5', '50'],
+        ['2025-01-01', '12', '7', '70']
+      ]
+    }
+  });
+
+  const result = await sheetsUtils.updateSheet(fake.auth, spreadsheetId, [
+    ['2025-01-01', 11, 6, 50],
+    ['2025-01-01', 12, 7, 70],
+    ['2025-01-02', 11, 1, 10]
+  ], 'Facebook', { mode: 'upsert' });
+
+  assert.deepEqual(result, { inserted: 1, updated: 1, unchanged: 1 });
+  assert.deepEqual(fake.getValues(spreadsheetId, 'Facebook'), [
+    HEADERS,
+    ['2025-01-01', '11', '6', '50'],
+    ['2025-01-01', '12', '7', '70'],
+    ['2025-01-02', '11', '1', '10']
+  ]);
+});
+
+test('upsert run twice leaves the sheet unchanged the second time', async () => {
+  const spreadsheetId = fake.addSpreadsheet('Idempotent', { tabs: { Facebook: [HEADERS] } });
+  const rows = [
+    ['2025-01-01', 11, 5, 50],
+    ['2025-01-02', 11, 6, 60]
+  ];
+
+  await sheetsUtils.updateSheet(fake.auth, spreadsheetId, rows, 'Facebook', { mode: 'upsert' });
+  const first = fake.getValues(spreadsheetId, 'Facebook');
+  const result = await sheetsUtils.updateSheet(fake.auth, spreadsheetId, rows, 'Facebook', { mode: 'upsert' });
+
+  assert.deepEqual(result, { inserted: 0, updated: 0, unchanged: 2 });
+  assert.deepEqual(fake.getValues(spreadsheetId, 'Facebook'), first);
+  assert.equal(first.length, 3);
+});
+
+test('append mode skips rows already written for today', async () => {
+  const today = new Date().toISOString().split('T')[0];
+  const spreadsheetId = fake.addSpreadsheet('Appends', {
+    tabs: { Facebook: [HEADERS, [today, '11', '5', '50']] }
+  });
+
+  await sheetsUtils.updateSheet(fake.auth, spreadsheetId, [
+    [today, 11, 9, 90],
+    [today, 12, 7, 70]
+  ], 'Facebook');
+
+  assert.deepEqual(fake.getValues(spreadsheetId, 'Facebook'), [
+    HEADERS,
+    [today, '11', '5', '50'],
+    [today, '12', '7', '70']
+  ]);
+});
+
+test('header changes migrate existing columns and archive removed ones', async () => {
+  const spreadsheetId = fake.addSpreadsheet('Migration', {
+    tabs: {
+      Facebook: [
+        ['Date', 'Profile ID', 'Clicks', 'Impressions'],
+        ['2025-01-01', '11', '3', '5']
+      ]
+    }
+  });
+
+  await sheetsUtils.setupSheetHeaders(fake.auth, spreadsheetId, 'Facebook', HEADERS);
+
+  assert.deepEqual(fake.getValues(spreadsheetId, 'Facebook'), [
+    ['Date', 'Profile ID', 'Impressions', 'Reach', 'Archived: Clicks'],
+    ['2025-01-01', '11', '5', '', '3']
+  ]);
+});
+
+test('migration moves and inserts columns instead of rewriting their values', async () => {
+  const spreadsheetId = fake.addSpreadsheet('Moves', {
+    tabs: {
+      Facebook: [
+        ['Reach', 'Date', 'Clicks', 'Profile ID'],
+        ['50', '2025-01-01', '3', '11'],
+        ['70', '2025-01-02', '4', '12']
+      ]
+    }
+  });
+
+  await sheetsUtils.setupSheetHeaders(fake.auth, spreadsheetId, 'Facebook', HEADERS);
+
+  assert.deepEqual(fake.getValues(spreadsheetId, 'Facebook'), [
+    ['Date', 'Profile ID', 'Impressions', 'Reach', 'Archived: Clicks'],
+    ['2025-01-01', '11', '', '50', '3'],
+    ['2025-01-02', '12', '', '70', '4']
+  ]);
+  const requests = fake.calls
+    .filter(call => call.method === 'sheets.spreadsheets.batchUpdate')
+    .flatMap(call => call.params.resource.requests.map(request => Object.keys(request)[0]));
+  assert.deepEqual(requests, ['moveDimension', 'moveDimension', 'insertDimension']);
+  // Only the header row is written
+  assert.deepEqual(fake.calls.filter(call => /values\.(update|batchUpdate)$/.test(call.method)).map(call => call.params.range),
+    ['Facebook!A1:E1']);
+});
+
+test('columns under a repeated header are archived with their data, and stay put on the next run', async () => {
+  const spreadsheetId = fake.addSpreadsheet('Duplicates', {
+    tabs: {
+      Facebook: [
+        ['Date', 'Profile ID', 'Impressions', 'Reach', 'Impressions'],
+        ['2025-01-01', '11', '5', '50', '6']
+      ]
+    }
+  });
+
+  await sheetsUtils.setupSheetHeaders(fake.auth, spreadsheetId, 'Facebook', HEADERS);
+  const migrated = fake.getValues(spreadsheetId, 'Facebook').map(row => [...row]);
+  await sheetsUtils.setupSheetHeaders(fake.auth, spreadsheetId, 'Facebook', HEADERS);
+
+  assert.deepEqual(migrated, [
+    ['Date', 'Profile ID', 'Impressions', 'Reach', 'Archived: Impressions (duplicate 2)'],
+    ['2025-01-01', '11', '5', '50', '6']
+  ]);
+  assert.deepEqual(fake.getValues(spreadsheetId, 'Facebook'), migrated);
+});
+
+test('a wider header row without data is replaced and its leftover cells cleared', async () => {
+  const spreadsheetId = fake.addSpreadsheet('Headers', {
+    tabs: { Facebook: [['Date', 'Profile ID', 'Impressions', 'Reach', 'Clicks', 'Shares']] }
+  });
+
+  await sheetsUtils.setupSheetHeaders(fake.auth, spreadsheetId, 'Facebook', HEADERS);
+
+  assert.deepEqual(fake.getValues(spreadsheetId, 'Facebook'), [HEADERS]);
+});
+
+test('a sheet without the key headers is rejected with MISSING_KEY_HEADER', async () => {
+  const spreadsheetId = fake.addSpreadsheet('Broken', { tabs: { Facebook: [['Day', 'Impressions']] } });
+
+  await assert.rejects(
+    sheetsUtils.updateSheet(fake.auth, spreadsheetId, [['2025-01-01', 11, 5, 50]], 'Facebook', { mode: 'upsert' }),
+    { code: sheetsUtils.MISSING_KEY_HEADER }
+  );
+  assert.equal(fake.calls.filter(call => /values\.(update|batchUpdate)$/.test(call.method)).length, 0);
+});
+
+test('quota errors reach the caller so writes can be retried; other API errors report a failed write', async () => {
+  const spreadsheetId = fake.addSpreadsheet('Quota', { tabs: { Facebook: [HEADERS, ['2025-01-01', '11', '5', '50']] } });
+  const quotaError = Object.assign(new Error('Quota exceeded for quota metric \'Write requests\''), { code: 429 });
+  const { batchUpdate, update } = fake.sheets.spreadsheets.values;
+  fake.sheets.spreadsheets.values.batchUpdate = async () => { throw quotaError; };
+  fake.sheets.spreadsheets.values.update = async () => { throw quotaError; };
+
+  try {
+    await assert.rejects(
+      sheetsUtils.updateSheet(fake.auth, spreadsheetId, [['2025-01-01', 11, 6, 50]], 'Facebook', { mode: 'upsert' }),
+      quotaError
+    );
+    await assert.rejects(sheetsUtils.updateSheet(fake.auth, spreadsheetId, [['2025-01-02', 11, 6, 50]], 'Facebook'), quotaError);
+
+    fake.sheets.spreadsheets.values.batchUpdate = async () => { throw Object.assign(new Error('Internal error'), { code: 500 }); };
+    assert.equal(await sheetsUtils.updateSheet(fake.auth, spreadsheetId, [['2025-01-01', 11, 6, 50]], 'Facebook', { mode: 'upsert' }), false);
+  } finally {
+    Object.assign(fake.sheets.spreadsheets.values, { batchUpdate, update });
+  }
+});
@@ -0,0 +1,197 @@
+/**
+ * End-to-end post-level sync (sprout_posts.js) for one group: mock Sprout API in, in-memory Sheets/Drive fake out
+ */
+process.env.SPROUT_REQUESTS_PER_MINUTE = '100000';
+process.env.SHEETS_WRITES_PER_MINUTE = '100000';
+process.env.LOG_LEVEL = 'error';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createGoogleFake } = require('./support/google-fake');
+const { startMockSproutServer } = require('../mock/sprout-server');
+const sheetsUtils = require('../utils/sheets');
+const igPosts = require('../platforms/instagram_posts');
+
+const PROFILE = {
+  customer_profile_id: 9001,
+  network_type: 'fb_instagram_account',
+  name: 'Mock Brand Instagram',
+  native_name: 'mockbrand',
+  link: 'https://www.instagram.com/mockbrand',
+  native_id: '17841400000000001',
+  groups: [501]
+};
+
+// Sprout network with no post module
+const SNAPCHAT_PROFILE = {
+  customer_profile_id: 9010,
+  network_type: 'snapchat',
+  name: 'Mock Brand Snapchat',
+  native_name: 'mockbrand',
+  link: 'https://www.snapchat.com/add/mockbrand',
+  native_id: 'snap-mockbrand-0010',
+  groups: [501]
+};
+
+const HEADERS = igPosts.buildHeaders(igPosts.METRICS);
+
+let mock;
+let fake;
+let folderId;
+let previousClient;
+let sproutPosts;
+
+before(async () => {
+  mock = await startMockSproutServer({
+    fixtures: {
+      customerId: '1000001',
+      groups: [{ group_id: 501, name: 'Mock Brand' }],
+      profiles: [{ ...PROFILE, postsPerDay: 1 }, { ...SNAPCHAT_PROFILE, postsPerDay: 1 }],
+      // The mock tags posts with 700000..700004; 700004 is left unnamed
+      tags: [0, 1, 2, 3].map(i => ({ tag_id: 700000 + i, text: `Campaign ${i}`, active: true, groups: [501] })),
+      users: [{ id: 1155555, name: 'Morgan Mock', email: 'mock.user@example.com' }]
+    }
+  });
+  fake = createGoogleFake();
+  folderId = fake.addFolder('April Reports');
+  previousClient = sheetsUtils.setSheetsClient(fake.sheets);
+
+  // sprout_posts.js reads its settings when loaded
+  Object.assign(process.env, {
+    CUSTOMER_ID: '1000001',
+    SPROUT_API_TOKEN: 'test-token',
+    SPROUT_API_BASE_URL: mock.baseUrl,
+    FOLDER_ID_APRIL: folderId
+  });
+  sproutPosts = require('../sprout_posts');
+});
+
+after(async () => {
+  sheetsUtils.setSheetsClient(previousClient);
+  await mock.close();
+});
+
+/**
+ * @param {string} start - YYYY-MM-DD
+ * @param {string} end - YYYY-MM-DD
+ * @returns {number} Days from start to end inclusive
+ */
+const countDays = (start, end) => Math.round((Date.parse(end) - Date.parse(start)) / 86400000) + 1;
+
+/**
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days - Days to add
+ * @returns {string} Shifted date, YYYY-MM-DD
+ */
+const addDays = (date, days) => new Date(Date.parse(date) + days * 86400000).toISOString().split('T')[0];
+
+test('posts in the run window replace earlier rows for that window and older posts are kept', async () => {
+  const row = (createdTime, link) => {
+    const values = new Array(HEADERS.length).fill('0');
+    values.splice(0, 6, createdTime, PROFILE.network_type, PROFILE.name, String(PROFILE.customer_profile_id), link, 'Seeded post');
+    return values;
+  };
+  const olderPost = row('2025-03-31T09:15:00.000Z', 'https://www.instagram.com/mockbrand/posts/older');
+  const spreadsheetId = fake.addSpreadsheet('Copy of Mock Brand', {
+    folderId,
+    tabs: {
+      [igPosts.SHEET_NAME]: [
+        HEADERS,
+        olderPost,
+        row('2025-04-02T08:00:00.000Z', 'https://www.instagram.com/mockbrand/posts/stale')
+      ]
+    }
+  });
+
+  const result = await sproutPosts.processGroup(501, 'Mock Brand', [PROFILE, SNAPCHAT_PROFILE], {
+    drive: fake.drive,
+    sheets: fake.sheets,
+    auth: fake.auth
+  });
+
+  assert.deepEqual(result, {
+    groupId: 501,
+    groupName: 'Mock Brand',
+    spreadsheetId,
+    unsupportedNetworks: [{ networkType: 'snapchat', networkKey: 'snapchat', profiles: [{ profileId: '9010', name: 'Mock Brand Snapchat' }] }],
+    status: 'Completed'
+  });
+
+  const values = fake.getValues(spreadsheetId, igPosts.SHEET_NAME);
+  const linkColumn = HEADERS.indexOf('Perma Link');
+  const links = values.slice(1).map(r => r[linkColumn]);
+  const postCount = countDays(sproutPosts.START_DATE, sproutPosts.END_DATE);
+
+  assert.deepEqual(values[0], HEADERS);
+  assert.deepEqual(values[1], olderPost);
+  assert.equal(values.length, 2 + postCount);
+  assert.ok(!links.includes('https://www.instagram.com/mockbrand/posts/stale'));
+  assert.equal(new Set(links).size, links.length);
+  assert.ok(values.slice(2).every(r => r[HEADERS.indexOf('Profile ID')] === String(PROFILE.customer_profile_id)));
+
+  // Tag IDs and the sender are shown by name
+  const tags = new Set(values.slice(2).map(r => r[HEADERS.indexOf('Tags')]));
+  assert.ok([...tags].every(tag => /^Campaign [0-3]$/.test(tag) || tag === '700004'));
+  assert.ok(tags.size > 1);
+  assert.ok(values.slice(2).every(r => r[HEADERS.indexOf('Sent By')] === 'Morgan Mock'));
+
+  // The posts endpoint was paged through once for the Instagram profile; the Snapchat profile was not fetched
+  const postRequests = mock.getRequests().filter(r => r.endpoint === 'analytics/posts');
+  assert.equal(postRequests.length, Math.ceil(postCount / 50));
+});
+
+test('tag and user metadata is fetched once per run', async () => {
+  const spreadsheetId = fake.listSpreadsheets().find(s => s.title === 'Copy of Mock Brand').spreadsheetId;
+
+  await sproutPosts.processGroup(501, 'Mock Brand', [PROFILE], { drive: fake.drive, sheets: fake.sheets, auth: fake.auth });
+
+  const metadataRequests = mock.getRequests().filter(r => /^metadata\/customer\/(tags|users)$/.test(r.endpoint));
+  assert.deepEqual(metadataRequests.map(r => r.endpoint).sort(), ['metadata/customer/tags', 'metadata/customer/users']);
+  assert.equal(fake.getValues(spreadsheetId, igPosts.SHEET_NAME)[0].length, HEADERS.length);
+});
+
+test('posts younger than the refresh window are refetched and updated in place, older rows stay frozen', async () => {
+  const spreadsheetId = fake.listSpreadsheets().find(s => s.title === 'Copy of Mock Brand').spreadsheetId;
+  const before = fake.getValues(spreadsheetId, igPosts.SHEET_NAME);
+  const refreshStart = addDays(sproutPosts.END_DATE, -29);
+  const asOfColumn = HEADERS.indexOf('Metrics As Of');
+  const isRefreshed = (row) => row[0].slice(0, 10) >= refreshStart;
+  mock.clearRequests();
+  await new Promise(resolve => setTimeout(resolve, 5));
+
+  await sproutPosts.processGroup(501, 'Mock Brand', [PROFILE], { drive: fake.drive, sheets: fake.sheets, auth: fake.auth });
+
+  const after = fake.getValues(spreadsheetId, igPosts.SHEET_NAME);
+  assert.equal(HEADERS[HEADERS.length - 1], 'Metrics As Of');
+  assert.equal(after.length, before.length);
+  // Rows keep their position; frozen rows are untouched and refreshed rows carry the new timestamp
+  after.slice(1).forEach((row, i) => {
+    const previous = before[i + 1];
+    assert.equal(row[HEADERS.indexOf('Perma Link')], previous[HEADERS.indexOf('Perma Link')]);
+    if (isRefreshed(row)) {
+      assert.ok(row[asOfColumn] > previous[asOfColumn], `row ${i + 2} was not refreshed`);
+    } else {
+      assert.deepEqual(row, previous);
+    }
+  });
+  assert.equal(after.slice(1).filter(isRefreshed).length, 30);
+
+  // Only the refresh window was requested
+  const postRequests = mock.getRequests().filter(r => r.endpoint === 'analytics/posts');
+  assert.equal(postRequests.length, 1);
+  assert.ok(postRequests[0].body.filters.includes(`created_time.in(${refreshStart}...${sproutPosts.END_DATE})`));
+});
+
+test('a posts tab that could not be written fails the group', async () => {
+  const updateSheet = igPosts.updateSheet;
+  igPosts.updateSheet = async () => false;
+
+  let result;
+  try {
+    result = await sproutPosts.processGroup(501, 'Mock Brand', [PROFILE], { drive: fake.drive, sheets: fake.sheets, auth: fake.auth });
+  } finally {
+    igPosts.updateSheet = updateSheet;
+  }
+
+  assert.equal(result.status, `Error: write failed for ${igPosts.SHEET_NAME}`);
+});
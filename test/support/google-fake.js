@@ -0,0 +1,667 @@
+/**
+ * In-memory Google Sheets v4 / Drive v3 fake
+ * ==============================================
+ * Implements the part of the googleapis surface the pipelines use, so a whole run can be checked
+ * against exact final sheet contents without touching real spreadsheets:
+ *
+ *   sheets.spreadsheets: get, create, batchUpdate (addSheet, deleteSheet, updateSheetProperties,
+ *                        appendDimension, insertDimension, deleteDimension, moveDimension, repeatCell)
+ *   sheets.spreadsheets.values: get, update, batchUpdate, clear, batchClear
+ *   drive.files: get, list, create, update
+ *
+ * Pass `sheets` and `drive` wherever the code takes Google clients (googleClients, simple-drive
+ * helpers), and hand `sheets` to sheetsUtils.setSheetsClient for the helpers in utils/sheets.js.
+ *
+ * Behaviour follows the real APIs where the pipelines depend on it:
+ * - new tabs are 1000 rows by 26 columns; writes past the grid grow it, or with { gridLimits: true }
+ *   fail with the "exceeds grid limits" error the pipelines retry on (see isGridLimitError)
+ * - USER_ENTERED numbers become numbers and YYYY-MM-DD strings become date serials, read back as
+ *   serials with UNFORMATTED_VALUE/FORMULA and as the entered text with FORMATTED_VALUE; numbers
+ *   written over a date cell stay dates
+ * - trailing empty cells and rows are left out of values.get responses
+ * - Drive "name contains" matches at the start of a word, as Drive does
+ * Reads outside the grid are clipped rather than rejected.
+ */
+
+const SPREADSHEET_MIME_TYPE = 'application/vnd.google-apps.spreadsheet';
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+
+// Size of a newly added tab, as in Google Sheets
+const DEFAULT_ROW_COUNT = 1000;
+const DEFAULT_COLUMN_COUNT = 26;
+
+// Day zero of spreadsheet date serials
+const SERIAL_EPOCH_MS = Date.UTC(1899, 11, 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build an error shaped like a googleapis (gaxios) error
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} Error with code and response set
+ */
+const apiError = (status, message) => {
+  const error = new Error(message);
+  error.code = status;
+  error.status = status;
+  error.response = { status, data: { error: { code: status, message } } };
+  return error;
+};
+
+/**
+ * Convert a 1-based column number to letters (1 -> A, 27 -> AA)
+ * @param {number} number - Column number
+ * @returns {string} Column letters
+ */
+const columnLetters = (number) => {
+  let letters = '';
+  for (let n = number; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + (n - 1) % 26) + letters;
+  }
+  return letters;
+};
+
+/**
+ * Convert column letters to a 0-based index (A -> 0, AA -> 26)
+ * @param {string} letters - Column letters
+ * @returns {number} Column index
+ */
+const columnIndex = (letters) => [...letters.toUpperCase()].reduce((n, c) => n * 26 + c.charCodeAt(0) - 64, 0) - 1;
+
+/**
+ * Parse an A1 range such as "Sheet!A2:C", "'My tab'!1:2", "Sheet!A:AZ" or "Sheet"
+ * @param {string} range - A1 range
+ * @returns {{sheetName: string, startRow: number, endRow: number, startCol: number, endCol: number, bounded: boolean}}
+ *   0-based start and exclusive end indexes (Infinity when open); bounded is false for a bare sheet name
+ */
+const parseA1 = (range) => {
+  const match = String(range).match(/^(?:'((?:[^']|'')+)'|([^!]+?))(?:!([A-Za-z]*\d*)(?::([A-Za-z]*\d*))?)?$/);
+  if (!match) throw apiError(400, `Unable to parse range: ${range}`);
+  const sheetName = match[1] !== undefined ? match[1].replace(/''/g, "'") : match[2];
+  if (match[3] === undefined) {
+    return { sheetName, startRow: 0, endRow: Infinity, startCol: 0, endCol: Infinity, bounded: false };
+  }
+
+  const parseRef = (ref) => {
+    const [, letters, digits] = ref.match(/^([A-Za-z]*)(\d*)$/);
+    return { col: letters ? columnIndex(letters) : null, row: digits ? parseInt(digits, 10) - 1 : null };
+  };
+  const start = parseRef(match[3]);
+  const end = match[4] !== undefined ? parseRef(match[4]) : start;
+  return {
+    sheetName,
+    startRow: start.row === null ? 0 : start.row,
+    endRow: end.row === null ? Infinity : end.row + 1,
+    startCol: start.col === null ? 0 : start.col,
+    endCol: end.col === null ? Infinity : end.col + 1,
+    bounded: true
+  };
+};
+
+/**
+ * Format a range back to A1 notation
+ * @param {string} sheetName - Tab name
+ * @param {number} startRow - 0-based first row
+ * @param {number} startCol - 0-based first column
+ * @param {number} rows - Row count
+ * @param {number} cols - Column count
+ * @returns {string} A1 range
+ */
+const formatA1 = (sheetName, startRow, startCol, rows, cols) =>
+  `${sheetName}!${columnLetters(startCol + 1)}${startRow + 1}:${columnLetters(startCol + Math.max(cols, 1))}${startRow + Math.max(rows, 1)}`;
+
+/**
+ * Convert a written value to a stored cell. Dates are kept as { serial, text } so they can be
+ * read back either way.
+ * @param {*} value - Value from the request
+ * @param {string} valueInputOption - RAW or USER_ENTERED
+ * @returns {*} Stored cell
+ */
+const toCell = (value, valueInputOption) => {
+  if (value === null || value === undefined || value === '') return '';
+  if (valueInputOption !== 'USER_ENTERED' || typeof value !== 'string') return value;
+  const text = value.trim();
+  if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    const ms = Date.parse(`${text}T00:00:00Z`);
+    if (!isNaN(ms)) return { serial: Math.round((ms - SERIAL_EPOCH_MS) / DAY_MS), text };
+  }
+  return value;
+};
+
+/**
+ * A number written over a date cell stays a date, as the cell keeps its number format
+ * @param {*} previous - Stored cell before the write
+ * @param {*} cell - Cell being written
+ * @returns {*} Stored cell
+ */
+const keepDateFormat = (previous, cell) => {
+  if (previous === null || typeof previous !== 'object' || typeof cell !== 'number') return cell;
+  return { serial: cell, text: new Date(SERIAL_EPOCH_MS + cell * DAY_MS).toISOString().split('T')[0] };
+};
+
+/**
+ * Read a stored cell the way values.get renders it
+ * @param {*} cell - Stored cell
+ * @param {string} [valueRenderOption='FORMATTED_VALUE'] - FORMATTED_VALUE, UNFORMATTED_VALUE or FORMULA
+ * @returns {*} Rendered value
+ */
+const renderCell = (cell, valueRenderOption = 'FORMATTED_VALUE') => {
+  const isDate = cell !== null && typeof cell === 'object';
+  if (valueRenderOption === 'FORMATTED_VALUE') {
+    if (isDate) return cell.text;
+    if (typeof cell === 'boolean') return cell ? 'TRUE' : 'FALSE';
+    return cell === '' ? '' : String(cell);
+  }
+  return isDate ? cell.serial : cell;
+};
+
+/**
+ * Drop trailing empty cells and rows, as values.get does
+ * @param {Array<Array>} rows - Rendered rows
+ * @returns {Array<Array>} Trimmed rows
+ */
+const trimValues = (rows) => {
+  const trimmed = rows.map(row => {
+    let end = row.length;
+    while (end > 0 && (row[end - 1] === '' || row[end - 1] === null || row[end - 1] === undefined)) end--;
+    return row.slice(0, end);
+  });
+  let end = trimmed.length;
+  while (end > 0 && trimmed[end - 1].length === 0) end--;
+  return trimmed.slice(0, end);
+};
+
+/**
+ * Parse a Drive files.list query into a predicate. Supports the clauses the repo uses, joined by "and":
+ * mimeType = / != '...', trashed = true|false, '<id>' in parents, name = '...', name contains '...'
+ * @param {string} [q] - Drive query
+ * @returns {Function} Predicate taking a file
+ */
+const parseDriveQuery = (q) => {
+  const clauses = [];
+  const quoted = "'((?:\\\\'|[^'])*)'";
+  const unquote = (text) => text.replace(/\\'/g, "'");
+  const patterns = [
+    [new RegExp(`^mimeType\\s*(=|!=)\\s*${quoted}`), (m) => (file) => (file.mimeType === unquote(m[2])) === (m[1] === '=')],
+    [/^trashed\s*=\s*(true|false)/, (m) => (file) => file.trashed === (m[1] === 'true')],
+    [new RegExp(`^${quoted}\\s+in\\s+parents`), (m) => (file) => file.parents.includes(unquote(m[1]))],
+    [new RegExp(`^name\\s*=\\s*${quoted}`), (m) => (file) => file.name === unquote(m[1])],
+    [new RegExp(`^name\\s+contains\\s+${quoted}`), (m) => {
+      const term = unquote(m[1]).toLowerCase();
+      return (file) => {
+        const name = file.name.toLowerCase();
+        return name.startsWith(term) || name.includes(` ${term}`);
+      };
+    }]
+  ];
+
+  let rest = String(q || '').trim();
+  while (rest) {
+    const found = patterns.find(([pattern]) => pattern.test(rest));
+    if (!found) throw apiError(400, `Query not supported by the fake Drive: ${rest}`);
+    const [pattern, build] = found;
+    const match = rest.match(pattern);
+    clauses.push(build(match));
+    rest = rest.slice(match[0].length).replace(/^\s+and\s+/i, '').trim();
+  }
+  return (file) => clauses.every(clause => clause(file));
+};
+
+/**
+ * Create an in-memory Google Sheets and Drive fake
+ * @param {Object} [options]
+ * @param {boolean} [options.gridLimits=false] - Reject writes outside a tab's row and column count instead of growing the grid
+ * @returns {Object} { sheets, drive, auth, calls } plus helpers to seed and inspect spreadsheets
+ */
+const createGoogleFake = ({ gridLimits = false } = {}) => {
+  const files = new Map();
+  const spreadsheets = new Map();
+  const calls = [];
+  let nextId = 1;
+  let clock = Date.UTC(2025, 0, 1);
+
+  const now = () => new Date(clock += 1000).toISOString();
+  const newId = (prefix) => `${prefix}-${nextId++}`;
+
+  // Record a call (without auth) and wrap the result like a googleapis response
+  const record = (method, handler) => async (...args) => {
+    const { auth, ...rest } = args[0] || {};
+    calls.push({ method, params: JSON.parse(JSON.stringify(rest)) });
+    return { status: 200, data: handler(rest, ...args.slice(1)) };
+  };
+
+  const requestBody = (params) => params.requestBody || params.resource || {};
+
+  const getSpreadsheet = (spreadsheetId) => {
+    const spreadsheet = spreadsheets.get(spreadsheetId);
+    if (!spreadsheet) throw apiError(404, `Requested entity was not found: spreadsheet ${spreadsheetId}`);
+    return spreadsheet;
+  };
+
+  const getTab = (spreadsheet, sheetName) => {
+    const tab = spreadsheet.tabs.find(t => t.properties.title === sheetName);
+    if (!tab) throw apiError(400, `Unable to parse range: ${sheetName}`);
+    return tab;
+  };
+
+  const getTabById = (spreadsheet, sheetId) => {
+    const tab = spreadsheet.tabs.find(t => t.properties.sheetId === sheetId);
+    if (!tab) throw apiError(400, `No grid with id: ${sheetId}`);
+    return tab;
+  };
+
+  const touch = (spreadsheet) => {
+    files.get(spreadsheet.spreadsheetId).modifiedTime = now();
+  };
+
+  const addTab = (spreadsheet, properties = {}) => {
+    const title = properties.title || `Sheet${spreadsheet.tabs.length + 1}`;
+    if (spreadsheet.tabs.some(t => t.properties.title === title)) {
+      throw apiError(400, `Invalid requests[0].addSheet: A sheet with the name "${title}" already exists. Please enter another name.`);
+    }
+    const tab = {
+      properties: {
+        sheetId: properties.sheetId !== undefined ? properties.sheetId : spreadsheet.nextSheetId++,
+        title,
+        index: spreadsheet.tabs.length,
+        sheetType: 'GRID',
+        gridProperties: {
+          rowCount: properties.gridProperties?.rowCount || DEFAULT_ROW_COUNT,
+          columnCount: properties.gridProperties?.columnCount || DEFAULT_COLUMN_COUNT
+        }
+      },
+      rows: [],
+      formats: []
+    };
+    spreadsheet.tabs.push(tab);
+    return tab;
+  };
+
+  const createSpreadsheetFile = (title, parents) => {
+    const spreadsheetId = newId('fake-spreadsheet');
+    const spreadsheet = { spreadsheetId, properties: { title }, tabs: [], nextSheetId: 0 };
+    addTab(spreadsheet, { title: 'Sheet1' });
+    spreadsheets.set(spreadsheetId, spreadsheet);
+    files.set(spreadsheetId, { id: spreadsheetId, name: title, mimeType: SPREADSHEET_MIME_TYPE, parents, trashed: false, modifiedTime: now() });
+    return spreadsheet;
+  };
+
+  const describeSpreadsheet = (spreadsheet) => ({
+    spreadsheetId: spreadsheet.spreadsheetId,
+    properties: { ...spreadsheet.properties, title: files.get(spreadsheet.spreadsheetId).name },
+    sheets: spreadsheet.tabs.map(tab => ({ properties: JSON.parse(JSON.stringify(tab.properties)) })),
+    spreadsheetUrl: `https://docs.google.com/spreadsheets/d/${spreadsheet.spreadsheetId}/edit`
+  });
+
+  // Read a range as rendered rows (clipped to the grid)
+  const readRange = (spreadsheet, range, valueRenderOption) => {
+    const a1 = parseA1(range);
+    const tab = getTab(spreadsheet, a1.sheetName);
+    const { rowCount, columnCount } = tab.properties.gridProperties;
+    const endRow = Math.min(a1.endRow, rowCount, tab.rows.length);
+    const endCol = Math.min(a1.endCol, columnCount);
+    const rows = [];
+    for (let r = a1.startRow; r < endRow; r++) {
+      const row = tab.rows[r] || [];
+      rows.push(row.slice(a1.startCol, endCol).map(cell => renderCell(cell === undefined ? '' : cell, valueRenderOption)));
+    }
+    return { values: trimValues(rows) };
+  };
+
+  // Write rows into a range starting at its top-left cell
+  const writeRange = (spreadsheet, range, values, valueInputOption) => {
+    if (!valueInputOption) throw apiError(400, "'valueInputOption' is required but not specified");
+    const a1 = parseA1(range);
+    const tab = getTab(spreadsheet, a1.sheetName);
+    const rows = values || [];
+    const width = Math.max(0, ...rows.map(row => row.length));
+    if (a1.bounded && a1.startRow + rows.length > a1.endRow) {
+      throw apiError(400, `Requested writing within range [${range}], but tried writing to row [${a1.startRow + rows.length}]`);
+    }
+    if (a1.bounded && a1.startCol + width > a1.endCol) {
+      throw apiError(400, `Requested writing within range [${range}], but tried writing to column [${columnLetters(a1.startCol + width)}]`);
+    }
+    const grid = tab.properties.gridProperties;
+    const { rowCount, columnCount } = grid;
+    if (rows.length > 0 && (a1.startRow + rows.length > rowCount || a1.startCol + width > columnCount)) {
+      if (gridLimits) {
+        throw apiError(400, `Range (${formatA1(a1.sheetName, a1.startRow, a1.startCol, rows.length, width)}) exceeds grid limits. ` +
+          `Max rows: ${rowCount}, max columns: ${columnCount}`);
+      }
+      grid.rowCount = Math.max(rowCount, a1.startRow + rows.length);
+      grid.columnCount = Math.max(columnCount, a1.startCol + width);
+    }
+
+    rows.forEach((row, i) => {
+      const target = tab.rows[a1.startRow + i] || (tab.rows[a1.startRow + i] = []);
+      row.forEach((value, j) => {
+        target[a1.startCol + j] = keepDateFormat(target[a1.startCol + j], toCell(value, valueInputOption));
+      });
+    });
+    touch(spreadsheet);
+    return {
+      spreadsheetId: spreadsheet.spreadsheetId,
+      updatedRange: formatA1(a1.sheetName, a1.startRow, a1.startCol, rows.length, width),
+      updatedRows: rows.length,
+      updatedColumns: width,
+      updatedCells: rows.reduce((n, row) => n + row.length, 0)
+    };
+  };
+
+  const clearRange = (spreadsheet, range) => {
+    const a1 = parseA1(range);
+    const tab = getTab(spreadsheet, a1.sheetName);
+    for (let r = a1.startRow; r < Math.min(a1.endRow, tab.rows.length); r++) {
+      const row = tab.rows[r];
+      if (!row) continue;
+      for (let c = a1.startCol; c < Math.min(a1.endCol, row.length); c++) row[c] = '';
+    }
+    touch(spreadsheet);
+    return range;
+  };
+
+  // Apply one batchUpdate request and return its reply
+  const applyRequest = (spreadsheet, request) => {
+    const [type] = Object.keys(request);
+    const body = request[type];
+    switch (type) {
+      case 'addSheet':
+        return { addSheet: { properties: JSON.parse(JSON.stringify(addTab(spreadsheet, body.properties).properties)) } };
+
+      case 'deleteSheet': {
+        const tab = getTabById(spreadsheet, body.sheetId);
+        spreadsheet.tabs.splice(spreadsheet.tabs.indexOf(tab), 1);
+        spreadsheet.tabs.forEach((t, i) => { t.properties.index = i; });
+        return {};
+      }
+
+      case 'updateSheetProperties': {
+        const tab = getTabById(spreadsheet, body.properties.sheetId);
+        const fields = String(body.fields || '*');
+        if (fields === '*' || /\btitle\b/.test(fields)) {
+          if (body.properties.title !== undefined) tab.properties.title = body.properties.title;
+        }
+        if (fields === '*' || /gridProperties/.test(fields)) {
+          Object.assign(tab.properties.gridProperties, body.properties.gridProperties || {});
+        }
+        return {};
+      }
+
+      case 'appendDimension': {
+        const tab = getTabById(spreadsheet, body.sheetId);
+        const key = body.dimension === 'COLUMNS' ? 'columnCount' : 'rowCount';
+        tab.properties.gridProperties[key] += body.length;
+        return {};
+      }
+
+      case 'insertDimension':
+      case 'deleteDimension': {
+        const { sheetId, dimension, startIndex, endIndex } = body.range;
+        const tab = getTabById(spreadsheet, sheetId);
+        const grid = tab.properties.gridProperties;
+        const count = endIndex - startIndex;
+        const limit = dimension === 'COLUMNS' ? grid.columnCount : grid.rowCount;
+        if (!(count > 0) || startIndex < 0 || (type === 'deleteDimension' ? endIndex : startIndex) > limit) {
+          throw apiError(400, `Invalid requests[0].${type}: range ${startIndex}..${endIndex} is outside the grid`);
+        }
+        const insert = type === 'insertDimension';
+        if (dimension === 'ROWS') {
+          if (insert) tab.rows.splice(startIndex, 0, ...Array.from({ length: count }, () => []));
+          else tab.rows.splice(startIndex, count);
+          grid.rowCount += insert ? count : -count;
+        } else {
+          tab.rows.forEach(row => {
+            if (insert) row.splice(startIndex, 0, ...Array(count).fill(''));
+            else row.splice(startIndex, count);
+          });
+          grid.columnCount += insert ? count : -count;
+        }
+        return {};
+      }
+
+      case 'moveDimension': {
+        const { sheetId, dimension, startIndex, endIndex } = body.source;
+        const tab = getTabById(spreadsheet, sheetId);
+        const count = endIndex - startIndex;
+        const limit = dimension === 'COLUMNS' ? tab.properties.gridProperties.columnCount : tab.properties.gridProperties.rowCount;
+        if (!(count > 0) || startIndex < 0 || endIndex > limit || body.destinationIndex < 0 || body.destinationIndex > limit) {
+          throw apiError(400, `Invalid requests[0].moveDimension: range ${startIndex}..${endIndex} to ${body.destinationIndex} is outside the grid`);
+        }
+        // destinationIndex counts positions before the moved cells are taken out
+        const insertAt = body.destinationIndex > startIndex ? body.destinationIndex - count : body.destinationIndex;
+        const move = (cells) => {
+          while (cells.length < Math.max(endIndex, body.destinationIndex)) cells.push(undefined);
+          cells.splice(insertAt, 0, ...cells.splice(startIndex, count));
+        };
+        if (dimension === 'ROWS') {
+          move(tab.rows);
+          tab.rows = Array.from(tab.rows, row => row || []);
+        } else {
+          tab.rows.forEach(move);
+        }
+        return {};
+      }
+
+      case 'repeatCell': {
+        const tab = getTabById(spreadsheet, body.range.sheetId);
+        tab.formats.push({ range: body.range, format: body.cell?.userEnteredFormat || {} });
+        return {};
+      }
+
+      default:
+        throw apiError(400, `Request type not supported by the fake Sheets API: ${type}`);
+    }
+  };
+
+  // Cell data for spreadsheets.get with includeGridData
+  const gridData = (spreadsheet, range) => {
+    const a1 = parseA1(range);
+    const tab = getTab(spreadsheet, a1.sheetName);
+    const endRow = Math.min(a1.endRow, tab.rows.length);
+    const endCol = Math.min(a1.endCol, tab.properties.gridProperties.columnCount);
+    const rowData = [];
+    for (let r = a1.startRow; r < endRow; r++) {
+      const values = [];
+      for (let c = a1.startCol; c < endCol; c++) {
+        const cell = (tab.rows[r] || [])[c];
+        const isDate = cell !== null && typeof cell === 'object';
+        const applied = tab.formats.filter(({ range: f }) =>
+          r >= (f.startRowIndex || 0) && r < (f.endRowIndex ?? Infinity) &&
+          c >= (f.startColumnIndex || 0) && c < (f.endColumnIndex ?? Infinity));
+        const format = applied.length > 0
+          ? applied[applied.length - 1].format
+          : (isDate ? { numberFormat: { type: 'DATE', pattern: 'yyyy-mm-dd' } } : undefined);
+        values.push({
+          ...(cell === undefined || cell === '' ? {} : {
+            userEnteredValue: typeof cell === 'number' || isDate ? { numberValue: isDate ? cell.serial : cell } : { stringValue: String(cell) },
+            formattedValue: renderCell(cell)
+          }),
+          ...(format ? { userEnteredFormat: format } : {})
+        });
+      }
+      rowData.push({ values });
+    }
+    return { properties: JSON.parse(JSON.stringify(tab.properties)), data: [{ startRow: a1.startRow, startColumn: a1.startCol, rowData }] };
+  };
+
+  const sheets = {
+    spreadsheets: {
+      get: record('sheets.spreadsheets.get', (params) => {
+        const spreadsheet = getSpreadsheet(params.spreadsheetId);
+        if (params.includeGridData && params.ranges && params.ranges.length > 0) {
+          return { ...describeSpreadsheet(spreadsheet), sheets: params.ranges.map(range => gridData(spreadsheet, range)) };
+        }
+        return describeSpreadsheet(spreadsheet);
+      }),
+
+      create: record('sheets.spreadsheets.create', (params) => {
+        const body = requestBody(params);
+        const spreadsheet = createSpreadsheetFile(body.properties?.title || 'Untitled spreadsheet', ['root']);
+        if (Array.isArray(body.sheets) && body.sheets.length > 0) {
+          spreadsheet.tabs = [];
+          body.sheets.forEach(sheet => addTab(spreadsheet, sheet.properties));
+        }
+        return describeSpreadsheet(spreadsheet);
+      }),
+
+      batchUpdate: record('sheets.spreadsheets.batchUpdate', (params) => {
+        const spreadsheet = getSpreadsheet(params.spreadsheetId);
+        const replies = (requestBody(params).requests || []).map(request => applyRequest(spreadsheet, request));
+        touch(spreadsheet);
+        return { spreadsheetId: spreadsheet.spreadsheetId, replies };
+      }),
+
+      values: {
+        get: record('sheets.spreadsheets.values.get', (params) => {
+          const { values } = readRange(getSpreadsheet(params.spreadsheetId), params.range, params.valueRenderOption);
+          return { range: params.range, majorDimension: 'ROWS', ...(values.length > 0 ? { values } : {}) };
+        }),
+
+        update: record('sheets.spreadsheets.values.update', (params) =>
+          writeRange(getSpreadsheet(params.spreadsheetId), params.range, requestBody(params).values, params.valueInputOption)),
+
+        batchUpdate: record('sheets.spreadsheets.values.batchUpdate', (params) => {
+          const spreadsheet = getSpreadsheet(params.spreadsheetId);
+          const body = requestBody(params);
+          const responses = (body.data || []).map(({ range, values }) => writeRange(spreadsheet, range, values, body.valueInputOption));
+          return {
+            spreadsheetId: spreadsheet.spreadsheetId,
+            totalUpdatedRows: responses.reduce((n, r) => n + r.updatedRows, 0),
+            totalUpdatedCells: responses.reduce((n, r) => n + r.updatedCells, 0),
+            responses
+          };
+        }),
+
+        clear: record('sheets.spreadsheets.values.clear', (params) => ({
+          spreadsheetId: params.spreadsheetId,
+          clearedRange: clearRange(getSpreadsheet(params.spreadsheetId), params.range)
+        })),
+
+        batchClear: record('sheets.spreadsheets.values.batchClear', (params) => {
+          const spreadsheet = getSpreadsheet(params.spreadsheetId);
+          return { spreadsheetId: params.spreadsheetId, clearedRanges: (requestBody(params).ranges || []).map(range => clearRange(spreadsheet, range)) };
+        })
+      }
+    }
+  };
+
+  const getFile = (fileId) => {
+    const file = files.get(fileId);
+    if (!file) throw apiError(404, `File not found: ${fileId}.`);
+    return file;
+  };
+
+  const describeFile = (file) => ({ ...file, parents: [...file.parents], capabilities: { canEdit: true } });
+
+  const drive = {
+    files: {
+      get: record('drive.files.get', (params) => describeFile(getFile(params.fileId))),
+
+      list: record('drive.files.list', (params) => {
+        const matches = [...files.values()].filter(parseDriveQuery(params.q));
+        if (/modifiedTime desc/.test(params.orderBy || '')) {
+          matches.sort((a, b) => b.modifiedTime.localeCompare(a.modifiedTime));
+        }
+        return { files: matches.slice(0, params.pageSize || 100).map(describeFile) };
+      }),
+
+      create: record('drive.files.create', (params) => {
+        const body = requestBody(params);
+        const parents = body.parents && body.parents.length > 0 ? [...body.parents] : ['root'];
+        if (body.mimeType === SPREADSHEET_MIME_TYPE) {
+          return describeFile(files.get(createSpreadsheetFile(body.name || 'Untitled spreadsheet', parents).spreadsheetId));
+        }
+        const file = { id: newId('fake-file'), name: body.name || 'Untitled', mimeType: body.mimeType || 'application/octet-stream', parents, trashed: false, modifiedTime: now() };
+        files.set(file.id, file);
+        return describeFile(file);
+      }),
+
+      update: record('drive.files.update', (params) => {
+        const file = getFile(params.fileId);
+        const body = requestBody(params);
+        if (body.name !== undefined) file.name = body.name;
+        if (body.trashed !== undefined) file.trashed = Boolean(body.trashed);
+        const remove = String(params.removeParents || '').split(',').filter(Boolean);
+        const add = String(params.addParents || '').split(',').filter(Boolean);
+        file.parents = [...file.parents.filter(p => !remove.includes(p)), ...add.filter(p => !file.parents.includes(p))];
+        file.modifiedTime = now();
+        return describeFile(file);
+      })
+    }
+  };
+
+  return {
+    sheets,
+    drive,
+    auth: { fake: true },
+
+    // Every API call made so far, as { method, params }
+    calls,
+
+    /**
+     * Add a Drive folder
+     * @param {string} name - Folder name
+     * @param {Object} [details] - { id, parents }
+     * @returns {string} Folder ID
+     */
+    addFolder: (name, { id = newId('fake-folder'), parents = ['root'] } = {}) => {
+      files.set(id, { id, name, mimeType: FOLDER_MIME_TYPE, parents, trashed: false, modifiedTime: now() });
+      return id;
+    },
+
+    /**
+     * Add a spreadsheet with tabs and contents
+     * @param {string} title - Spreadsheet title
+     * @param {Object} [details]
+     * @param {string} [details.folderId] - Parent folder (defaults to the Drive root)
+     * @param {Object<string, Array<Array>>} [details.tabs] - Rows per tab name, header row first; written as USER_ENTERED
+     * @returns {string} Spreadsheet ID
+     */
+    addSpreadsheet: (title, { folderId, tabs = { Sheet1: [] } } = {}) => {
+      const spreadsheet = createSpreadsheetFile(title, [folderId || 'root']);
+      spreadsheet.tabs = [];
+      for (const [name, rows] of Object.entries(tabs)) {
+        const width = Math.max(DEFAULT_COLUMN_COUNT, ...rows.map(row => row.length));
+        addTab(spreadsheet, { title: name, gridProperties: { rowCount: Math.max(DEFAULT_ROW_COUNT, rows.length), columnCount: width } });
+        if (rows.length > 0) writeRange(spreadsheet, `'${name.replace(/'/g, "''")}'`, rows, 'USER_ENTERED');
+      }
+      return spreadsheet.spreadsheetId;
+    },
+
+    /**
+     * Read a tab the way a person sees it (FORMATTED_VALUE, trailing blanks trimmed)
+     * @param {string} spreadsheetId - Spreadsheet ID
+     * @param {string} sheetName - Tab name
+     * @param {string} [valueRenderOption='FORMATTED_VALUE'] - Render option
+     * @returns {Array<Array>} Rows, header row first
+     */
+    getValues: (spreadsheetId, sheetName, valueRenderOption) =>
+      readRange(getSpreadsheet(spreadsheetId), `'${sheetName.replace(/'/g, "''")}'`, valueRenderOption).values,
+
+    /**
+     * @returns {Array<{spreadsheetId: string, title: string, parents: Array<string>, tabs: Array<string>}>} All spreadsheets
+     */
+    listSpreadsheets: () => [...spreadsheets.values()].map(spreadsheet => ({
+      spreadsheetId: spreadsheet.spreadsheetId,
+      title: files.get(spreadsheet.spreadsheetId).name,
+      parents: [...files.get(spreadsheet.spreadsheetId).parents],
+      tabs: spreadsheet.tabs.map(tab => tab.properties.title)
+    })),
+
+    /**
+     * @returns {Object|null} Properties of a tab (sheetId, title, gridProperties), or null when missing
+     */
+    getTabProperties: (spreadsheetId, sheetName) => {
+      const tab = getSpreadsheet(spreadsheetId).tabs.find(t => t.properties.title === sheetName);
+      return tab ? JSON.parse(JSON.stringify(tab.properties)) : null;
+    }
+  };
+};
+
+module.exports = {
+  SPREADSHEET_MIME_TYPE,
+  FOLDER_MIME_TYPE,
+  createGoogleFake,
+  parseA1
+};
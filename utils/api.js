@@ -2,9 +2,20 @@
  * API utility functions for Sprout Social
  */
 const axios = require('axios');
+const { getNetworkKey } = require('./networks');
+const logger = require('./logger');
+const { sproutLimiter } = require('./rate-limit');
+const { getConfig } = require('./config');
 
 /**
- * Execute an axios request with exponential backoff and jitter
+ * Get the Sprout Social API base URL from SPROUT_API_BASE_URL (defaults to the production API)
+ * @returns {string} Base URL without a trailing slash, e.g. https://api.sproutsocial.com/v1
+ */
+const getSproutBaseUrl = () => getConfig(['SPROUT_API_BASE_URL']).SPROUT_API_BASE_URL.replace(/\/+$/, '');
+
+/**
+ * Execute an axios request with exponential backoff and jitter.
+ * Every attempt waits for a token from the shared Sprout rate limiter first.
  * @param {Function} fn - async function returning axios response
  * @param {string} opName - operation name for logging
  * @param {number} maxRetries
@@ -15,6 +26,7 @@ const requestWithRetry = async (fn, opName = 'request', maxRetries = 8, initialB
   let backoff = initialBackoff;
   while (retries <= maxRetries) {
     try {
+      await sproutLimiter.acquire();
       return await fn();
     } catch (error) {
       retries++;
@@ -27,12 +39,12 @@ const requestWithRetry = async (fn, opName = 'request', maxRetries = 8, initialB
 
       // For non-transient client errors, don't retry
       if (isBadRequest) {
-        console.error(`[Sprout] ${opName} received ${status}. Not retrying. Payload likely invalid.`);
+        logger.error(`[Sprout] ${opName} received ${status}. Not retrying. Payload likely invalid.`);
         return null;
       }
 
       if (retries > maxRetries) {
-        console.error(`[Sprout] ${opName} failed after ${maxRetries} retries: ${error.message}`);
+        logger.error(`[Sprout] ${opName} failed after ${maxRetries} retries: ${error.message}`);
         return null; // never throw, to keep scripts running
       }
 
@@ -46,19 +58,19 @@ const requestWithRetry = async (fn, opName = 'request', maxRetries = 8, initialB
       waitMs = Math.max(750, Math.floor(waitMs + jitter));
 
       if (isRateOrQuota) {
-        console.log(`[Sprout] Rate/quota hit. Retrying ${opName} in ${Math.round(waitMs/1000)}s (attempt ${retries}/${maxRetries})`);
+        logger.info(`[Sprout] Rate/quota hit. Retrying ${opName} in ${Math.round(waitMs/1000)}s (attempt ${retries}/${maxRetries})`);
         await sleep(waitMs);
         backoff = Math.min(backoff * 2.2, 10 * 60 * 1000);
       } else if (isAuth) {
-        console.log(`[Sprout] Auth error. Retrying ${opName} in ${Math.round(waitMs/1000)}s (attempt ${retries}/${maxRetries})`);
+        logger.info(`[Sprout] Auth error. Retrying ${opName} in ${Math.round(waitMs/1000)}s (attempt ${retries}/${maxRetries})`);
         await sleep(waitMs);
         backoff = Math.min(backoff * 2.0, 10 * 60 * 1000);
       } else if (isServer) {
-        console.log(`[Sprout] Server/network error (${status || 'network'}). Retrying ${opName} in ${Math.round(waitMs/1000)}s (attempt ${retries}/${maxRetries})`);
+        logger.info(`[Sprout] Server/network error (${status || 'network'}). Retrying ${opName} in ${Math.round(waitMs/1000)}s (attempt ${retries}/${maxRetries})`);
         await sleep(waitMs);
         backoff = Math.min(backoff * 1.8, 10 * 60 * 1000);
       } else {
-        console.log(`[Sprout] Error ${opName}: ${error.message}. Retrying in ${Math.round(waitMs/1000)}s (attempt ${retries}/${maxRetries})`);
+        logger.info(`[Sprout] Error ${opName}: ${error.message}. Retrying in ${Math.round(waitMs/1000)}s (attempt ${retries}/${maxRetries})`);
         await sleep(waitMs);
         backoff = Math.min(backoff * 1.5, 10 * 60 * 1000);
       }
@@ -86,7 +98,7 @@ const getSproutHeaders = (token) => ({
  */
 const getProfileData = async (metadataUrl, token, profileIds) => {
   try {
-    console.log('[API CALL] Fetching profile metadata');
+    logger.info('[API CALL] Fetching profile metadata');
     const response = await requestWithRetry(
       () => axios.get(metadataUrl, { headers: getSproutHeaders(token) }),
       'fetch profile metadata'
@@ -116,381 +128,566 @@ const getProfileData = async (metadataUrl, token, profileIds) => {
       link: profile.link
     }));
   } catch (error) {
-    console.error(`[ERROR] Error fetching profile metadata: ${error.message}`);
+    logger.error(`[ERROR] Error fetching profile metadata: ${error.message}`);
     if (error.response) {
-      console.error('[API ERROR RESPONSE]', JSON.stringify(error.response.data, null, 2));
+      logger.debug('[API ERROR RESPONSE]', JSON.stringify(error.response.data, null, 2));
     }
     throw error;
   }
 };
 
+// Longest date span (in days) the analytics endpoint accepts in a single request
+const MAX_RANGE_DAYS = 365;
+
+/**
+ * Split a date range into consecutive windows that each stay within the API limit.
+ * Adjacent windows share their boundary date so no day is lost whether the API treats
+ * the range end as inclusive or exclusive; merge results with dedupeAnalyticsData.
+ * @param {string} startDate - Start date in YYYY-MM-DD format
+ * @param {string} endDate - End date in YYYY-MM-DD format
+ * @param {number} [maxDays=365] - Maximum span of a single window in days
+ * @returns {Array<{startDate: string, endDate: string}>} Windows in chronological order
+ */
+const splitDateRange = (startDate, endDate, maxDays = MAX_RANGE_DAYS) => {
+  const dayMs = 24 * 60 * 60 * 1000;
+  const start = new Date(`${startDate}T00:00:00Z`);
+  const end = new Date(`${endDate}T00:00:00Z`);
+  if (isNaN(start.getTime()) || isNaN(end.getTime()) || end <= start) {
+    return [{ startDate, endDate }];
+  }
+
+  const windows = [];
+  let windowStart = start;
+  while (windowStart < end) {
+    const windowEnd = new Date(Math.min(windowStart.getTime() + maxDays * dayMs, end.getTime()));
+    windows.push({
+      startDate: windowStart.toISOString().split('T')[0],
+      endDate: windowEnd.toISOString().split('T')[0]
+    });
+    windowStart = windowEnd;
+  }
+  return windows;
+};
+
+// Reporting periods the analytics endpoint can group by; weeks start on Monday
+const REPORTING_PERIODS = ['day', 'week', 'month'];
+
+/**
+ * @param {string} isoDate - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} Shifted date in YYYY-MM-DD format
+ */
+const shiftDate = (isoDate, days) => new Date(Date.parse(`${isoDate}T00:00:00Z`) + days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+/**
+ * Get the first day of the reporting period a date falls in
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} period - One of REPORTING_PERIODS
+ * @returns {string} Monday of the week, first of the month, or the date itself for 'day'
+ */
+const getPeriodStart = (date, period) => {
+  if (period === 'month') return `${date.slice(0, 7)}-01`;
+  if (period === 'week') {
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    return shiftDate(date, -((weekday + 6) % 7));
+  }
+  return date;
+};
+
+/**
+ * @param {string} periodStart - First day of a week or month (YYYY-MM-DD)
+ * @param {string} period - 'week' or 'month'
+ * @returns {string} First day of the following period
+ */
+const getNextPeriodStart = (periodStart, period) => {
+  if (period === 'week') return shiftDate(periodStart, 7);
+  const [year, month] = periodStart.split('-').map(Number);
+  return new Date(Date.UTC(year, month, 1)).toISOString().split('T')[0];
+};
+
+/**
+ * Split a date range into windows of whole weeks or months that each stay within the API limit.
+ * The first window starts at the beginning of the period containing startDate. Unlike
+ * splitDateRange, windows do not share a boundary day, so no period is split across requests.
+ * @param {string} startDate - Start date in YYYY-MM-DD format
+ * @param {string} endDate - End date in YYYY-MM-DD format
+ * @param {string} period - 'week' or 'month'
+ * @param {number} [maxDays=365] - Maximum span of a single window in days
+ * @returns {Array<{startDate: string, endDate: string}>} Windows in chronological order
+ */
+const splitPeriodRange = (startDate, endDate, period, maxDays = MAX_RANGE_DAYS) => {
+  const dayMs = 24 * 60 * 60 * 1000;
+  const spanDays = (from, to) => (Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / dayMs;
+  const windows = [];
+  let windowStart = getPeriodStart(startDate, period);
+  while (windowStart <= endDate) {
+    let nextStart = getNextPeriodStart(windowStart, period);
+    while (nextStart <= endDate && spanDays(windowStart, getNextPeriodStart(nextStart, period)) <= maxDays) {
+      nextStart = getNextPeriodStart(nextStart, period);
+    }
+    const lastDay = shiftDate(nextStart, -1);
+    windows.push({ startDate: windowStart, endDate: lastDay < endDate ? lastDay : endDate });
+    windowStart = nextStart;
+  }
+  return windows;
+};
+
+/**
+ * Read the reporting period of a data point, whichever period it is grouped by
+ * @param {Object} dimensions - Data point dimensions
+ * @returns {string|undefined} Period start as returned by the API
+ */
+const getReportingPeriod = (dimensions) => {
+  if (!dimensions) return undefined;
+  const key = Object.keys(dimensions).find(name => name.startsWith('reporting_period.by('));
+  return (key && dimensions[key]) || dimensions.reporting_period;
+};
+
 /**
- * Get analytics data from Sprout Social API with date chunking to avoid rate limits
+ * Remove repeated data points for the same profile and reporting period, keeping the first one
+ * @param {Array} dataPoints - Analytics data points from one or more requests
+ * @returns {Array} Data points with unique profile/reporting period pairs
+ */
+const dedupeAnalyticsData = (dataPoints) => {
+  const seen = new Set();
+  return dataPoints.filter(dataPoint => {
+    const dims = dataPoint?.dimensions || {};
+    const period = getReportingPeriod(dims);
+    if (!dims.customer_profile_id || !period) return true;
+    const key = `${dims.customer_profile_id}_${period}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+/**
+ * Profile metrics requested from the analytics endpoint when no network-specific list is given
+ * (the platform modules declare their own PROFILE_METRICS for getAnalyticsDataByNetwork)
+ */
+const PROFILE_METRICS = [
+  // Followers/Fans
+  "lifetime_snapshot.followers_count",
+  "net_follower_growth",
+  "followers_gained",
+  "followers_gained_organic",
+  "followers_gained_paid",
+  "followers_lost",
+  "lifetime_snapshot.fans_count",
+  "fans_gained",
+  "fans_gained_organic",
+  "fans_gained_paid",
+  "fans_lost",
+
+  // Facebook Impressions/Reach/Post Impressions
+  "impressions",
+  "impressions_organic",
+  "impressions_viral",
+  "impressions_nonviral",
+  "impressions_paid",
+  "impressions_total",
+  "tab_views",
+  "tab_views_login",
+  "tab_views_logout",
+  "post_impressions",
+  "post_impressions_organic",
+  "post_impressions_viral",
+  "post_impressions_nonviral",
+  "post_impressions_paid",
+  "impressions_unique",
+  "impressions_organic_unique",
+  "impressions_viral_unique",
+  "impressions_nonviral_unique",
+  "impressions_paid_unique",
+
+  // Engagement and clicks
+  "reactions",
+  "comments_count",
+  "shares_count",
+  "post_content_clicks",
+  "post_link_clicks",
+  "post_content_clicks_other",
+  "post_media_clicks",
+  "post_hashtag_clicks",
+  "post_detail_expand_clicks",
+  "post_profile_clicks",
+  "engagements_other",
+  "profile_actions",
+  "post_engagements",
+
+  // Video metrics (FB)
+  "post_media_views",
+  "video_views",
+  "video_views_organic",
+  "video_views_paid",
+  "video_views_autoplay",
+  "video_views_click_to_play",
+  "video_views_repeat",
+  "video_view_time",
+  "video_views_unique",
+  "video_views_30s_complete",
+  "video_views_30s_complete_organic",
+  "video_views_30s_complete_paid",
+  "video_views_30s_complete_autoplay",
+  "video_views_30s_complete_click_to_play",
+  "video_views_30s_complete_repeat",
+  "video_views_30s_complete_unique",
+  "video_views_partial",
+  "video_views_partial_organic",
+  "video_views_partial_paid",
+  "video_views_partial_autoplay",
+  "video_views_partial_click_to_play",
+  "video_views_partial_repeat",
+
+  // Posts/Content
+  "posts_sent_count",
+  "posts_sent_by_post_type",
+  "posts_sent_by_content_type",
+
+  // Twitter App interaction metrics (Premium)
+  "post_app_engagements",
+  "post_app_installs",
+  "post_app_opens",
+
+  // Instagram-specific additions used in platform mapping
+  "lifetime_snapshot.following_count",
+  "net_following_growth",
+  "likes",
+  "saves",
+  "views",
+  "story_replies"
+];
+
+// Profiles per analytics request when batching (the API accepts up to 100)
+const DEFAULT_PROFILE_BATCH_SIZE = 20;
+const MAX_PROFILES_PER_REQUEST = 100;
+
+/**
+ * POST a single analytics page, turning 400/422 responses into a value instead of an error
+ * so callers can tell an invalid batch apart from a transient failure.
+ * @param {string} analyticsUrl - Analytics endpoint URL
+ * @param {string} token - API token
+ * @param {Object} payload - Request payload
+ * @returns {Function} Async function suitable for requestWithRetry
+ */
+const postAnalyticsPage = (analyticsUrl, token, payload) => async () => {
+  try {
+    return await axios.post(analyticsUrl, payload, { headers: getSproutHeaders(token) });
+  } catch (error) {
+    const status = error?.response?.status;
+    if (status === 400 || status === 422) {
+      return { rejected: true, status, error: error?.response?.data };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Fetch analytics for a batch of profiles over one date window, following pagination.
+ * If the API rejects the batch, it is split in half and each half fetched separately,
+ * down to single profiles, so one problematic profile only loses its own data.
+ * @param {string} analyticsUrl - Analytics endpoint URL
+ * @param {string} token - API token
+ * @param {Array} profileIds - Profile IDs in this batch
+ * @param {{startDate: string, endDate: string}} window - Date window within the API limit
+ * @param {Array<string>} metrics - Metric keys to request
+ * @param {string} [period='day'] - Reporting period to group by (one of REPORTING_PERIODS)
+ * @returns {Promise<{data: Array, failedProfiles: Array}>} Analytics data points for the batch, and the
+ *   IDs of profiles whose data was lost (rejected on their own, or in a request that kept failing)
+ */
+const fetchProfileBatch = async (analyticsUrl, token, profileIds, window, metrics, period = 'day') => {
+  const range = `${window.startDate}..${window.endDate}${period === 'day' ? '' : ` by ${period}`}`;
+  const label = profileIds.length === 1
+    ? `analytics profile ${profileIds[0]} (${range})`
+    : `analytics batch of ${profileIds.length} profiles (${range})`;
+  const data = [];
+  let page = 1;
+  let totalPages = 1;
+
+  while (page <= totalPages) {
+    const payload = {
+      "filters": [
+        `customer_profile_id.eq(${profileIds.join(',')})`,
+        `reporting_period.in(${window.startDate}...${window.endDate})`
+      ],
+      "metrics": metrics,
+      "page": page
+    };
+    // Daily data is the API default; other periods are requested as a dimension
+    if (period !== 'day') {
+      payload.dimensions = ['customer_profile_id', `reporting_period.by(${period})`];
+    }
+
+    const response = await requestWithRetry(postAnalyticsPage(analyticsUrl, token, payload), `${label} page ${page}`);
+
+    if (response && response.rejected) {
+      if (profileIds.length === 1) {
+        logger.warn(`[Sprout] ${label} rejected with ${response.status}: ${JSON.stringify(response.error || {})}. Skipping profile.`);
+        return { data: [], failedProfiles: profileIds };
+      }
+      // Split the rejected batch and fetch each half on its own
+      const middle = Math.ceil(profileIds.length / 2);
+      logger.warn(`[Sprout] ${label} rejected with ${response.status}. Splitting into batches of ${middle} and ${profileIds.length - middle}.`);
+      const left = await fetchProfileBatch(analyticsUrl, token, profileIds.slice(0, middle), window, metrics, period);
+      const right = await fetchProfileBatch(analyticsUrl, token, profileIds.slice(middle), window, metrics, period);
+      return {
+        data: [...left.data, ...right.data],
+        failedProfiles: [...left.failedProfiles, ...right.failedProfiles]
+      };
+    }
+
+    if (!response) {
+      // Earlier pages hold only part of the batch's data, so every profile in it counts as lost
+      logger.warn(`Skipping remaining pages of ${label} due to repeated request failures.`);
+      // Add protective cool-down before the next batch
+      await sleep(1500 + Math.floor(Math.random() * 1000));
+      return { data: [], failedProfiles: profileIds };
+    }
+
+    const pageData = response.data?.data || [];
+    data.push(...pageData);
+    totalPages = Math.max(1, parseInt(response.data?.paging?.total_pages, 10) || 1);
+    page++;
+  }
+
+  logger.info(`Received ${data.length} data points for ${label} across ${totalPages} page(s)`);
+  return { data, failedProfiles: [] };
+};
+
+/**
+ * Get analytics data from Sprout Social API.
+ * Profiles are fetched in batches per date window; ranges longer than the API limit are split
+ * into windows and merged so the result matches a single unlimited request.
+ * With a week or month period, one data point per profile and period is returned and the range
+ * is widened to start at the beginning of its first period, so that period is complete.
  * @param {string} analyticsUrl - Analytics endpoint URL
  * @param {string} token - API token
  * @param {string} startDate - Start date in YYYY-MM-DD format
  * @param {string} endDate - End date in YYYY-MM-DD format
  * @param {Array} profileIds - Array of profile IDs to include
- * @returns {Promise<Array>} Array of analytics data points
+ * @param {Object} [options]
+ * @param {number} [options.batchSize=20] - Profiles per request (1 requests each profile individually)
+ * @param {Array<string>} [options.metrics] - Metric keys to request (defaults to PROFILE_METRICS)
+ * @param {string} [options.period='day'] - Reporting period to group by: 'day', 'week' or 'month'
+ * @returns {Promise<{data: Array, failedProfiles: Array}|null>} Analytics data points (empty when the
+ *   range has no data) and the IDs of profiles whose data could not be fetched, or null when no
+ *   request could be made (no valid profile IDs or an unknown period)
  */
-const getAnalyticsData = async (analyticsUrl, token, startDate, endDate, profileIds) => {
-  console.log(`Processing data from ${startDate} to ${endDate}`);
+const getAnalyticsData = async (analyticsUrl, token, startDate, endDate, profileIds, options = {}) => {
+  logger.info(`Processing data from ${startDate} to ${endDate}`);
   
   // Filter out any empty or invalid profile IDs
   const validProfileIds = profileIds.filter(id => id && id.toString().trim() !== '');
   
   // Make sure we have valid profile IDs
   if (validProfileIds.length === 0) {
-    console.error('No valid profile IDs provided');
+    logger.error('No valid profile IDs provided');
     return null;
   }
   
-  // Ensure the date range is one year or less as required by the API
-  const startDateObj = new Date(startDate);
-  const endDateObj = new Date(endDate);
-  
-  // Calculate the difference in milliseconds
-  const dateDiff = endDateObj.getTime() - startDateObj.getTime();
-  // Convert to days
-  const daysDiff = dateDiff / (1000 * 60 * 60 * 24);
+  const period = options.period || 'day';
+  if (!REPORTING_PERIODS.includes(period)) {
+    logger.error(`Unknown reporting period "${period}" (expected one of ${REPORTING_PERIODS.join(', ')})`);
+    return null;
+  }
+
+  const metrics = Array.isArray(options.metrics) && options.metrics.length > 0 ? options.metrics : PROFILE_METRICS;
+  const batchSize = Math.min(MAX_PROFILES_PER_REQUEST, Math.max(1, parseInt(options.batchSize, 10) || DEFAULT_PROFILE_BATCH_SIZE));
+  const batches = [];
+  for (let i = 0; i < validProfileIds.length; i += batchSize) {
+    batches.push(validProfileIds.slice(i, i + batchSize));
+  }
   
-  // If the date range is more than 365 days, limit it to one year
-  // If the date range is more than 365 days, limit it to one year
-let effectiveEndDate = endDate;
-if (daysDiff > 365) {
-  const oneYearLater = new Date(startDateObj);
-  oneYearLater.setFullYear(oneYearLater.getFullYear() + 1);
-  oneYearLater.setDate(oneYearLater.getDate() - 1); // Subtract one day to stay within one year
-  effectiveEndDate = oneYearLater.toISOString().split('T')[0];
-  console.log(`Date range exceeds one year. Limiting to: ${startDate} to ${effectiveEndDate}`);
-}
+  // The API accepts at most one year per request, so split longer ranges into windows
+  const windows = period === 'day' ? splitDateRange(startDate, endDate) : splitPeriodRange(startDate, endDate, period);
+  if (windows.length > 1) {
+    logger.info(`Date range exceeds ${MAX_RANGE_DAYS} days. Splitting into ${windows.length} windows: ${windows.map(w => `${w.startDate}..${w.endDate}`).join(', ')}`);
+  }
   
-  console.log(`Processing data for range: ${startDate} to ${effectiveEndDate}`);
-  console.log(`Using ${validProfileIds.length} valid profile IDs`);
+  logger.info(`Using ${validProfileIds.length} valid profile IDs in ${batches.length} batch(es) of up to ${batchSize}, requesting ${metrics.length} metrics`);
   
-  // Create individual API requests for each profile ID to ensure compatibility
-  const allResults = { data: [] };
+  const allResults = { data: [], failedProfiles: [] };
   
-  // Process each profile ID individually to ensure API compatibility
-  for (const profileId of validProfileIds) {
-    try {
-      console.log(`\n=== API CALL: Processing analytics for profile ID: ${profileId} ===`);
-      
-      // Format the payload for an individual profile ID
-      // The API expects dates in the format 'reporting_period.in(2024-01-01...2024-12-31)'
-      const payload = {
-        "filters": [
-          `customer_profile_id.eq(${profileId})`,
-          `reporting_period.in(${startDate}...${effectiveEndDate})`
-        ],
-        "metrics": [
-          // Followers/Fans
-          "lifetime_snapshot.followers_count",
-          "net_follower_growth",
-          "followers_gained",
-          "followers_gained_organic",
-          "followers_gained_paid",
-          "followers_lost",
-          "lifetime_snapshot.fans_count",
-          "fans_gained",
-          "fans_gained_organic",
-          "fans_gained_paid",
-          "fans_lost",
-
-          // Facebook Impressions/Reach/Post Impressions
-          "impressions",
-          "impressions_organic",
-          "impressions_viral",
-          "impressions_nonviral",
-          "impressions_paid",
-          "impressions_total",
-          "tab_views",
-          "tab_views_login",
-          "tab_views_logout",
-          "post_impressions",
-          "post_impressions_organic",
-          "post_impressions_viral",
-          "post_impressions_nonviral",
-          "post_impressions_paid",
-          "impressions_unique",
-          "impressions_organic_unique",
-          "impressions_viral_unique",
-          "impressions_nonviral_unique",
-          "impressions_paid_unique",
-
-          // Engagement and clicks
-          "reactions",
-          "comments_count",
-          "shares_count",
-          "post_content_clicks",
-          "post_link_clicks",
-          "post_content_clicks_other",
-          "post_media_clicks",
-          "post_hashtag_clicks",
-          "post_detail_expand_clicks",
-          "post_profile_clicks",
-          "engagements_other",
-          "profile_actions",
-          "post_engagements",
-
-          // Video metrics (FB)
-          "post_media_views",
-          "video_views",
-          "video_views_organic",
-          "video_views_paid",
-          "video_views_autoplay",
-          "video_views_click_to_play",
-          "video_views_repeat",
-          "video_view_time",
-          "video_views_unique",
-          "video_views_30s_complete",
-          "video_views_30s_complete_organic",
-          "video_views_30s_complete_paid",
-          "video_views_30s_complete_autoplay",
-          "video_views_30s_complete_click_to_play",
-          "video_views_30s_complete_repeat",
-          "video_views_30s_complete_unique",
-          "video_views_partial",
-          "video_views_partial_organic",
-          "video_views_partial_paid",
-          "video_views_partial_autoplay",
-          "video_views_partial_click_to_play",
-          "video_views_partial_repeat",
-
-          // Posts/Content
-          "posts_sent_count",
-          "posts_sent_by_post_type",
-          "posts_sent_by_content_type",
-
-          // Twitter App interaction metrics (Premium)
-          "post_app_engagements",
-          "post_app_installs",
-          "post_app_opens",
-
-          // Instagram-specific additions used in platform mapping
-          "lifetime_snapshot.following_count",
-          "net_following_growth",
-          "likes",
-          "saves",
-          "views",
-          "story_replies"
-        ],
-        "page": 1
-      };
-      
-      console.log(`Making API request for profile ID: ${profileId}`);
-      console.log(`Using POST to ${analyticsUrl}`);
-      
-      const response = await requestWithRetry(
-        () => axios.post(analyticsUrl, payload, { headers: getSproutHeaders(token) }),
-        `analytics profile ${profileId}`
-      );
-      if (!response) {
-        console.warn(`Skipping profile ${profileId} due to repeated request failures.`);
-        // Add protective cool-down before next profile
-        await sleep(1500 + Math.floor(Math.random()*1000));
-        continue;
-      }
-      
-      if (response.data && response.data.data && response.data.data.length > 0) {
-        console.log(`Received ${response.data.data.length} data points for profile ${profileId}`);
-        allResults.data = [...allResults.data, ...response.data.data];
-      } else {
-        console.warn(`No analytics data found for profile ${profileId}`);
-      }
-      
-      // Safer delay between requests to avoid rate limiting (with jitter)
-      const delayMs = 1200 + Math.floor(Math.random() * 800);
-      console.log(`Delay ${delayMs}ms before next profile to avoid rate limits...`);
-      await sleep(delayMs);
-      
-    } catch (error) {
-      console.error(`Error getting analytics data for profile ${profileId}: ${error.message}`);
-      if (error.response) {
-        console.error(`API Error Response for profile ${profileId}:`, {
-          status: error.response.status,
-          data: JSON.stringify(error.response.data)
-        });
-      }
+  for (const window of windows) {
+    logger.info(`Processing data for range: ${window.startDate} to ${window.endDate}`);
+    for (const batch of batches) {
+      const batchResult = await fetchProfileBatch(analyticsUrl, token, batch, window, metrics, period);
+      allResults.data.push(...batchResult.data);
+      allResults.failedProfiles.push(...batchResult.failedProfiles);
     }
   }
   
-  console.log(`Total data points collected across all profiles: ${allResults.data.length}`);
-  return allResults.data.length > 0 ? allResults : null;
+  // Adjacent windows share a boundary day, so drop repeated reporting periods
+  allResults.data = dedupeAnalyticsData(allResults.data);
+  allResults.failedProfiles = [...new Set(allResults.failedProfiles)];
+  
+  logger.info(`Total data points collected across all profiles: ${allResults.data.length}`);
+  if (allResults.failedProfiles.length > 0) {
+    logger.warn(`Analytics could not be fetched for ${allResults.failedProfiles.length} profile(s): ${allResults.failedProfiles.join(', ')}`);
+  }
+  return allResults;
 };
 
 /**
- * Alternative implementation for getting analytics data with JSON payload
+ * Get analytics data with each network's profiles requested separately, using only the
+ * metrics that network's platform module declares. Networks without a module fall back to PROFILE_METRICS.
+ * @param {string} analyticsUrl - Analytics endpoint URL
+ * @param {string} token - API token
+ * @param {string} startDate - Start date in YYYY-MM-DD format
+ * @param {string} endDate - End date in YYYY-MM-DD format
+ * @param {Array} profiles - Profile objects with customer_profile_id and network_type
+ * @param {Object} networkModules - Platform modules keyed by simplified network type, each exposing PROFILE_METRICS
+ * @param {Object} [options] - Passed through to getAnalyticsData
+ * @returns {Promise<{data: Array, failedProfiles: Array}>} Analytics data points (empty when the range
+ *   has no data) and the IDs of profiles whose data could not be fetched
  */
-const getAnalyticsDataWithJsonPayload = async (analyticsUrl, token, startDate, endDate, profileIds) => {
-  // Filter out any empty or invalid profile IDs
-  const validProfileIds = profileIds.filter(id => id && id.toString().trim() !== '');
-  
-  if (validProfileIds.length === 0) {
-    console.error('No valid profile IDs provided');
-    return null;
+const getAnalyticsDataByNetwork = async (analyticsUrl, token, startDate, endDate, profiles, networkModules = {}, options = {}) => {
+  const profileIdsByNetwork = {};
+  for (const profile of profiles) {
+    if (!profile || !profile.customer_profile_id) continue;
+    const networkType = getNetworkKey(profile.network_type);
+    if (!profileIdsByNetwork[networkType]) {
+      profileIdsByNetwork[networkType] = [];
+    }
+    profileIdsByNetwork[networkType].push(profile.customer_profile_id);
   }
   
-  // Ensure date range is within one year
-  let effectiveEndDate = endDate;
-  const startDateObj = new Date(startDate);
-  const endDateObj = new Date(endDate);
-  const daysDiff = (endDateObj.getTime() - startDateObj.getTime()) / (1000 * 60 * 60 * 24);
+  const allResults = { data: [], failedProfiles: [] };
   
-  if (daysDiff > 365) {
-    const oneYearLater = new Date(startDateObj);
-    oneYearLater.setFullYear(oneYearLater.getFullYear() + 1);
-    oneYearLater.setDate(oneYearLater.getDate() - 1);
-    effectiveEndDate = oneYearLater.toISOString().split('T')[0];
+  for (const [networkType, profileIds] of Object.entries(profileIdsByNetwork)) {
+    const metrics = networkModules[networkType]?.PROFILE_METRICS;
+    if (!metrics) {
+      logger.warn(`No metric catalog for network type ${networkType}. Requesting the default metric list.`);
+    }
+    logger.info(`Fetching ${networkType} analytics for ${profileIds.length} profile(s)`);
+    const networkData = await getAnalyticsData(analyticsUrl, token, startDate, endDate, profileIds, { ...options, metrics });
+    if (!networkData) {
+      allResults.failedProfiles.push(...profileIds);
+      continue;
+    }
+    allResults.data.push(...networkData.data);
+    allResults.failedProfiles.push(...networkData.failedProfiles);
   }
   
-  // Use the original payload format that is known to work
-  const payload = {
-    "filters": [
-      validProfileIds.length === 1 
-        ? `customer_profile_id.eq(${validProfileIds[0]})` 
-        : `customer_profile_id.in(${validProfileIds.join(',')})`,
-      `reporting_period.between(${startDate},${effectiveEndDate})`
-    ],
-    "metrics": [
-      // Followers/Fans
-      "lifetime_snapshot.followers_count",
-      "net_follower_growth",
-      "followers_gained",
-      "followers_gained_organic",
-      "followers_gained_paid",
-      "followers_lost",
-      "lifetime_snapshot.fans_count",
-      "fans_gained",
-      "fans_gained_organic",
-      "fans_gained_paid",
-      "fans_lost",
-
-      // Facebook Impressions/Reach/Post Impressions
-      "impressions",
-      "impressions_organic",
-      "impressions_viral",
-      "impressions_nonviral",
-      "impressions_paid",
-      "impressions_total",
-      "tab_views",
-      "tab_views_login",
-      "tab_views_logout",
-      "post_impressions",
-      "post_impressions_organic",
-      "post_impressions_viral",
-      "post_impressions_nonviral",
-      "post_impressions_paid",
-      "impressions_unique",
-      "impressions_organic_unique",
-      "impressions_viral_unique",
-      "impressions_nonviral_unique",
-      "impressions_paid_unique",
-
-      // Engagement and clicks
-      "reactions",
-      "comments_count",
-      "shares_count",
-      "post_content_clicks",
-      "post_link_clicks",
-      "post_content_clicks_other",
-      "post_media_clicks",
-      "post_hashtag_clicks",
-      "post_detail_expand_clicks",
-      "post_profile_clicks",
-      "engagements_other",
-      "profile_actions",
-      "post_engagements",
-
-      // Video metrics (FB)
-      "post_media_views",
-      "video_views",
-      "video_views_organic",
-      "video_views_paid",
-      "video_views_autoplay",
-      "video_views_click_to_play",
-      "video_views_repeat",
-      "video_view_time",
-      "video_views_unique",
-      "video_views_30s_complete",
-      "video_views_30s_complete_organic",
-      "video_views_30s_complete_paid",
-      "video_views_30s_complete_autoplay",
-      "video_views_30s_complete_click_to_play",
-      "video_views_30s_complete_repeat",
-      "video_views_30s_complete_unique",
-      "video_views_partial",
-      "video_views_partial_organic",
-      "video_views_partial_paid",
-      "video_views_partial_autoplay",
-      "video_views_partial_click_to_play",
-      "video_views_partial_repeat",
-
-      // Posts/Content
-      "posts_sent_count",
-      "posts_sent_by_post_type",
-      "posts_sent_by_content_type",
-
-      // Twitter App interaction metrics (Premium)
-      "post_app_engagements",
-      "post_app_installs",
-      "post_app_opens",
-
-      // Instagram-specific additions used in platform mapping
-      "lifetime_snapshot.following_count",
-      "net_following_growth",
-      "likes",
-      "saves",
-      "views",
-      "story_replies"
-    ],
-    "page": 1
-  };
-  
-  const allResults = { data: [] };
-  
-  try {
-    console.log(`Analytics API Request for ${startDate} to ${effectiveEndDate}`);
-    console.log(`API Request Payload: ${JSON.stringify(payload, null, 2)}`);
-    
-    const response = await axios.post(analyticsUrl, payload, { headers: getSproutHeaders(token) });
-    
-    if (response.data && response.data.data && response.data.data.length > 0) {
-      console.log(`Received ${response.data.data.length} data points for range ${startDate} to ${effectiveEndDate}`);
-      allResults.data = [...allResults.data, ...response.data.data];
-    } else {
-      console.warn(`No analytics data found for range ${startDate} to ${effectiveEndDate}`);
-      if (response.data) {
-        console.log(`API Response: ${JSON.stringify(response.data, null, 2)}`);
-      }
-    }
-  } catch (error) {
-    console.error(`Error getting analytics data for ${startDate} to ${effectiveEndDate}: ${error.message}`);
-    if (error.response) {
-      console.error('API Error Response:', {
-        status: error.response.status,
-        data: JSON.stringify(error.response.data)
-      });
-      
-      // Log more details about the request that failed
-      console.error('Failed Request Details:', {
-        url: analyticsUrl,
-        payload: JSON.stringify(payload),
-        headers: JSON.stringify(getSproutHeaders(token))
-      });
+  logger.info(`Total data points collected across all networks: ${allResults.data.length}`);
+  return allResults;
+};
+
+/**
+ * Get analytics data for all profiles in as few requests as possible
+ * (up to 100 profiles per request), with the same retry and split fallback as getAnalyticsData.
+ * @param {string} analyticsUrl - Analytics endpoint URL
+ * @param {string} token - API token
+ * @param {string} startDate - Start date in YYYY-MM-DD format
+ * @param {string} endDate - End date in YYYY-MM-DD format
+ * @param {Array} profileIds - Array of profile IDs to include
+ * @returns {Promise<{data: Array, failedProfiles: Array}|null>} As getAnalyticsData
+ */
+const getAnalyticsDataWithJsonPayload = async (analyticsUrl, token, startDate, endDate, profileIds) => {
+  return getAnalyticsData(analyticsUrl, token, startDate, endDate, profileIds, { batchSize: MAX_PROFILES_PER_REQUEST });
+};
+
+/**
+ * Fields requested for every post from the posts analytics endpoint
+ */
+const POST_FIELDS = [
+  'created_time',
+  'perma_link',
+  'text',
+  'internal.tags.id',
+  'internal.sent_by.id',
+  'internal.sent_by.email',
+  'internal.sent_by.first_name',
+  'internal.sent_by.last_name'
+];
+
+/**
+ * Walk every page of a posts analytics request.
+ * The posts endpoint returns 50 posts per page along with paging.current_page/total_pages,
+ * so keep requesting until the last page is reached, pausing between pages to stay under rate limits.
+ * @param {string} postsUrl - Posts analytics endpoint URL
+ * @param {string} token - API token
+ * @param {Object} payload - Request payload (the page field is managed here)
+ * @param {Object} [options]
+ * @param {string} [options.label='posts'] - Label used in logs
+ * @param {number} [options.maxPages=500] - Safety cap on the number of pages fetched
+ * @returns {Promise<{data: Array, pages: number, totalPages: number, complete: boolean}|null>} null if the first page failed
+ */
+const getAllPostPages = async (postsUrl, token, payload, options = {}) => {
+  const { label = 'posts', maxPages = 500 } = options;
+  const data = [];
+  let page = 1;
+  let totalPages = 1;
+
+  while (page <= totalPages && page <= maxPages) {
+    const response = await requestWithRetry(
+      () => axios.post(postsUrl, { ...payload, page }, { headers: getSproutHeaders(token) }),
+      `${label} page ${page}`
+    );
+    if (!response) {
+      if (page === 1) return null;
+      logger.warn(`[Posts] ${label}: page ${page}/${totalPages} failed; keeping ${data.length} posts from earlier pages`);
+      return { data, pages: page - 1, totalPages, complete: false };
     }
-    
-    // If we hit a rate limit, wait before continuing
-    if (error.response && (error.response.status === 429 || error.response.status === 403)) {
-      const retryAfter = error.response.headers?.['retry-after'];
-      const waitMs = retryAfter && !isNaN(parseInt(retryAfter,10)) ? parseInt(retryAfter,10)*1000 : 8000 + Math.floor(Math.random()*4000);
-      console.log(`Rate limit hit, cooling down for ${Math.round(waitMs/1000)}s before continuing...`);
-      await sleep(waitMs);
+
+    const pageData = response?.data?.data || [];
+    data.push(...pageData);
+    const paging = response?.data?.paging || {};
+    totalPages = Math.max(1, parseInt(paging.total_pages, 10) || 1);
+    page++;
+  }
+
+  const pages = page - 1;
+  if (pages < totalPages) {
+    logger.warn(`[Posts] ${label}: stopped at page cap ${maxPages} of ${totalPages} pages`);
+  }
+  return { data, pages, totalPages, complete: pages >= totalPages };
+};
+
+/**
+ * Fetch all post-level analytics for a single profile, following pagination.
+ * Tries the created_time filter first and falls back to reporting_period, with and without metrics,
+ * because some networks reject one variant or the other.
+ * @param {string} postsUrl - Posts analytics endpoint URL
+ * @param {string} token - API token
+ * @param {string|number} profileId - Customer profile ID
+ * @param {string} startDate - Start date in YYYY-MM-DD format
+ * @param {string} endDate - End date in YYYY-MM-DD format
+ * @param {Array<string>} [metrics] - Post metric keys to request
+ * @param {Object} [options] - Paging options passed to getAllPostPages
+ * @returns {Promise<{data: Array, pages: number, totalPages: number, complete: boolean}>} Posts and paging stats
+ */
+const getPostAnalyticsData = async (postsUrl, token, profileId, startDate, endDate, metrics, options = {}) => {
+  const metricList = Array.isArray(metrics) && metrics.length ? metrics : undefined;
+
+  const variants = [
+    { label: 'created_time + metrics', filters: [`customer_profile_id.eq(${profileId})`, `created_time.in(${startDate}...${endDate})`], metrics: metricList },
+    { label: 'created_time (no metrics)', filters: [`customer_profile_id.eq(${profileId})`, `created_time.in(${startDate}...${endDate})`], metrics: undefined },
+    { label: 'reporting_period + metrics', filters: [`customer_profile_id.eq(${profileId})`, `reporting_period.in(${startDate}...${endDate})`], metrics: metricList },
+    { label: 'reporting_period (no metrics)', filters: [`customer_profile_id.eq(${profileId})`, `reporting_period.in(${startDate}...${endDate})`], metrics: undefined }
+  ];
+
+  for (const v of variants) {
+    const payload = {
+      filters: v.filters,
+      fields: POST_FIELDS,
+      timezone: 'America/Chicago'
+    };
+    if (v.metrics) payload.metrics = v.metrics;
+
+    const result = await getAllPostPages(postsUrl, token, payload, {
+      ...options,
+      label: `posts profile ${profileId} (${v.label})`
+    });
+    if (result && result.data.length > 0) {
+      logger.info(`[Posts] profile=${profileId} variant="${v.label}" -> retrieved ${result.data.length} posts across ${result.pages}/${result.totalPages} page(s)`);
+      return result;
     }
+    logger.info(`[Posts] profile=${profileId} variant="${v.label}" -> count=0`);
   }
-  
-  console.log(`Total data points collected: ${allResults.data.length}`);
-  return allResults.data.length > 0 ? allResults : null;
+
+  logger.warn(`[Posts] profile=${profileId} returned no data for any variant in ${startDate}..${endDate}`);
+  return { data: [], pages: 0, totalPages: 0, complete: true };
 };
 
 /**
@@ -510,10 +707,21 @@ function safeNumber(val) {
 }
 
 module.exports = {
+  getSproutBaseUrl,
   getSproutHeaders,
   getProfileData,
   getAnalyticsData,
   getAnalyticsDataWithJsonPayload,
+  getAnalyticsDataByNetwork,
+  PROFILE_METRICS,
+  splitDateRange,
+  REPORTING_PERIODS,
+  getPeriodStart,
+  splitPeriodRange,
+  getReportingPeriod,
+  dedupeAnalyticsData,
+  getAllPostPages,
+  getPostAnalyticsData,
   requestWithRetry,
   sleep,
   safeNumber
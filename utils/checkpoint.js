@@ -0,0 +1,132 @@
+/**
+ * Run checkpoints
+ *
+ * Records which units of work (group, network and date window) finished, so an interrupted run
+ * can be resumed without re-fetching and re-writing completed units. Checkpoints live in a small
+ * JSON file keyed by run scope (customer, folder and date range):
+ *
+ *   {
+ *     "runs": {
+ *       "<customerId>|<folderId>|<startDate>..<endDate>": {
+ *         "updatedAt": "...",
+ *         "units": { "<groupId>|<network>|<windowStart>..<windowEnd>": { "completedAt": "...", "rows": 12 } }
+ *       }
+ *     }
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const DEFAULT_CHECKPOINT_FILE = path.join(__dirname, '..', '.sprout-checkpoints.json');
+
+/**
+ * Build the key for a run scope
+ * @param {Object} scope
+ * @param {string} scope.customerId - Sprout customer ID
+ * @param {string} scope.folderId - Drive folder ID
+ * @param {string} scope.startDate - Run start date (YYYY-MM-DD)
+ * @param {string} scope.endDate - Run end date (YYYY-MM-DD)
+ * @returns {string} Scope key
+ */
+const getScopeKey = ({ customerId, folderId, startDate, endDate }) => `${customerId}|${folderId}|${startDate}..${endDate}`;
+
+/**
+ * Build the key for a unit of work
+ * @param {string|number} groupId - Group ID
+ * @param {string} network - Simplified network type
+ * @param {{startDate: string, endDate: string}} window - Date window
+ * @returns {string} Unit key
+ */
+const getUnitKey = (groupId, network, window) => `${groupId}|${network}|${window.startDate}..${window.endDate}`;
+
+/**
+ * Read the checkpoint file, starting empty when it is missing or unreadable
+ * @param {string} filePath - Checkpoint file path
+ * @returns {Object} Checkpoint data
+ */
+const readCheckpointFile = (filePath) => {
+  if (!fs.existsSync(filePath)) {
+    return { runs: {} };
+  }
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return data && typeof data.runs === 'object' ? data : { runs: {} };
+  } catch (error) {
+    logger.warn(`Could not read checkpoint file ${filePath}: ${error.message}. Starting without checkpoints.`);
+    return { runs: {} };
+  }
+};
+
+/**
+ * Write the checkpoint file atomically (write to a temp file, then rename)
+ * @param {string} filePath - Checkpoint file path
+ * @param {Object} data - Checkpoint data
+ */
+const writeCheckpointFile = (filePath, data) => {
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tempPath, filePath);
+};
+
+/**
+ * Open the checkpoint store for one run scope
+ * @param {Object} scope - Run scope (see getScopeKey)
+ * @param {Object} [options]
+ * @param {string} [options.filePath] - Checkpoint file (defaults to .sprout-checkpoints.json in the repo root)
+ * @param {boolean} [options.resume=false] - Skip units that already completed
+ * @param {boolean} [options.force=false] - Forget completed units for this scope and redo them
+ * @returns {Object} Store with isComplete, markComplete and completedCount
+ */
+const openCheckpoint = (scope, { filePath = DEFAULT_CHECKPOINT_FILE, resume = false, force = false } = {}) => {
+  const scopeKey = getScopeKey(scope);
+  const data = readCheckpointFile(filePath);
+
+  if (force && data.runs[scopeKey]) {
+    logger.info(`Clearing ${Object.keys(data.runs[scopeKey].units || {}).length} checkpoint(s) for ${scopeKey} (--force)`);
+    delete data.runs[scopeKey];
+    writeCheckpointFile(filePath, data);
+  }
+  if (!data.runs[scopeKey]) {
+    data.runs[scopeKey] = { updatedAt: null, units: {} };
+  }
+  const run = data.runs[scopeKey];
+
+  if (resume) {
+    logger.info(`Resuming ${scopeKey}: ${Object.keys(run.units).length} unit(s) already completed`);
+  }
+
+  return {
+    /**
+     * @returns {boolean} True if the unit finished in an earlier run and should be skipped
+     */
+    isComplete: (groupId, network, window) => resume && Boolean(run.units[getUnitKey(groupId, network, window)]),
+
+    /**
+     * Record a finished unit and persist it immediately
+     */
+    markComplete: (groupId, network, window, details = {}) => {
+      const now = new Date().toISOString();
+      run.units[getUnitKey(groupId, network, window)] = { completedAt: now, ...details };
+      run.updatedAt = now;
+      try {
+        writeCheckpointFile(filePath, data);
+      } catch (error) {
+        logger.warn(`Could not save checkpoint to ${filePath}: ${error.message}`);
+      }
+    },
+
+    /**
+     * @returns {number} Number of units recorded for this scope
+     */
+    completedCount: () => Object.keys(run.units).length
+  };
+};
+
+module.exports = {
+  DEFAULT_CHECKPOINT_FILE,
+  getScopeKey,
+  getUnitKey,
+  openCheckpoint
+};
@@ -0,0 +1,239 @@
+/**
+ * Central configuration for Sprout, Google and SMTP settings
+ *
+ * Values are looked up by environment variable name, in this order:
+ *   1. process environment
+ *   2. .env file in the working directory (via dotenv)
+ *   3. local JSON config file (sprout.config.json in the repo root, or the path in SPROUT_CONFIG)
+ * Values from the config file are copied into process.env when not already set, so modules
+ * that read the environment directly (utils/env.js, utils/auth.js) see them too.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '..', 'sprout.config.json');
+
+// Error code attached to configuration errors
+const CONFIG_INVALID = 'CONFIG_INVALID';
+
+// Known settings, keyed by environment variable name
+const CONFIG_SCHEMA = {
+  CUSTOMER_ID: { description: 'Sprout customer ID', pattern: /^\d+$/ },
+  SPROUT_API_TOKEN: { description: 'Sprout API token', secret: true, pattern: /^\S+$/ },
+  SPROUT_API_BASE_URL: { description: 'Sprout API base URL (point at mock/sprout-server.js to run offline)', pattern: /^https?:\/\/\S+$/, default: 'https://api.sproutsocial.com/v1' },
+  GROUP_ANALYTICS_CUSTOMER_ID: { description: 'Sprout customer ID for group-analytics.js', pattern: /^\d+$/ },
+  GROUP_ANALYTICS_SPROUT_API_TOKEN: { description: 'Sprout API token for group-analytics.js', secret: true, pattern: /^\S+$/ },
+  FOLDER_ID: { description: 'Default Google Drive folder ID', pattern: /^[\w-]+$/ },
+  FOLDER_ID_SIMPLE: { description: 'Drive folder ID for simple-analytics.js', pattern: /^[\w-]+$/ },
+  FOLDER_ID_APRIL: { description: 'Drive folder ID for the April-onwards spreadsheets', pattern: /^[\w-]+$/ },
+  GROUP_ANALYTICS_FOLDER_ID: { description: 'Drive folder ID for group-analytics.js', pattern: /^[\w-]+$/ },
+  GOOGLE_CREDENTIALS_JSON: { description: 'Google service account key as JSON', secret: true, validate: (value) => {
+    try {
+      const credentials = JSON.parse(value);
+      return credentials.client_email && credentials.private_key ? null : 'must contain client_email and private_key';
+    } catch (error) {
+      return `must be valid JSON (${error.message})`;
+    }
+  } },
+  GOOGLE_PRIVATE_KEY: { description: 'Google service account private key', secret: true },
+  GOOGLE_OAUTH_CLIENT_SECRET: { description: 'Google OAuth client secret', secret: true },
+  LOG_LEVEL: { description: 'Log level (debug, info, warn or error)', pattern: /^(debug|info|warn|error)$/i, default: 'info' },
+  SPROUT_REQUESTS_PER_MINUTE: { description: 'Sprout API requests allowed per minute across all groups', pattern: /^[1-9]\d*$/, default: '40' },
+  SHEETS_WRITES_PER_MINUTE: { description: 'Google Sheets write requests allowed per minute across all groups', pattern: /^[1-9]\d*$/, default: '50' },
+  GROUP_CONCURRENCY: { description: 'Groups processed in parallel', pattern: /^[1-9]\d*$/, default: '3' },
+  POST_REFRESH_DAYS: { description: 'Posts younger than this many days are refetched and updated on every post run', pattern: /^[1-9]\d*$/, default: '30' },
+  SMTP_SERVICE: { description: 'Nodemailer service name', default: 'gmail' },
+  SMTP_USER: { description: 'SMTP user name' },
+  SMTP_PASS: { description: 'SMTP password or app password', secret: true },
+  EMAIL_FROM: { description: 'Sender address for report emails', pattern: /^[^\s@]+@[^\s@]+$/ },
+  EMAIL_TO: { description: 'Comma separated report recipients', validate: (value) => {
+    const invalid = splitList(value).filter(email => !/^[^\s@]+@[^\s@]+$/.test(email));
+    return invalid.length > 0 ? `contains invalid addresses: ${invalid.join(', ')}` : null;
+  } }
+};
+
+let loadedFrom = null;
+
+/**
+ * Split a comma separated setting into trimmed, non-empty values
+ * @param {string} value - Comma separated value
+ * @returns {Array<string>} List of values
+ */
+const splitList = (value) => String(value || '').split(',').map(v => v.trim()).filter(Boolean);
+
+/**
+ * Load .env and the local config file into process.env without overriding existing values.
+ * Safe to call more than once; files are only read the first time.
+ * @returns {{envFile: boolean, configFile: string|null}} Which sources were found
+ */
+const loadConfig = () => {
+  if (loadedFrom) return loadedFrom;
+
+  const dotenvResult = require('dotenv').config();
+
+  const configFile = process.env.SPROUT_CONFIG || DEFAULT_CONFIG_FILE;
+  let configFileUsed = null;
+  if (fs.existsSync(configFile)) {
+    let fileValues;
+    try {
+      fileValues = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+    } catch (parseError) {
+      const error = new Error(`Failed to parse config file ${configFile}: ${parseError.message}`);
+      error.code = CONFIG_INVALID;
+      throw error;
+    }
+    for (const [name, value] of Object.entries(fileValues)) {
+      if (process.env[name] === undefined && value !== null && value !== undefined) {
+        process.env[name] = Array.isArray(value) ? value.join(',') : String(value);
+      }
+    }
+    configFileUsed = configFile;
+  } else if (process.env.SPROUT_CONFIG) {
+    const error = new Error(`Config file not found: ${configFile} (set by SPROUT_CONFIG)`);
+    error.code = CONFIG_INVALID;
+    throw error;
+  }
+
+  loadedFrom = { envFile: !dotenvResult.error, configFile: configFileUsed };
+  return loadedFrom;
+};
+
+/**
+ * Check a single value against its schema entry
+ * @param {string} name - Setting name
+ * @param {string} value - Setting value
+ * @returns {string|null} Problem description, or null when valid
+ */
+const validateValue = (name, value) => {
+  const spec = CONFIG_SCHEMA[name];
+  if (!spec) return null;
+  if (spec.pattern && !spec.pattern.test(value)) {
+    return `${name} (${spec.description}) has an invalid format`;
+  }
+  if (spec.validate) {
+    const problem = spec.validate(value);
+    if (problem) return `${name} (${spec.description}) ${problem}`;
+  }
+  return null;
+};
+
+/**
+ * Get required settings, validating all of them at once
+ * @param {Array<string>} names - Required setting names
+ * @param {Object} [overrides={}] - Values that take precedence (e.g. CLI flags); undefined entries are ignored
+ * @returns {Object} Settings keyed by name
+ * @throws {Error} With code CONFIG_INVALID, listing every missing or invalid setting
+ */
+const getConfig = (names, overrides = {}) => {
+  loadConfig();
+
+  const config = {};
+  const problems = [];
+  for (const name of names) {
+    const override = overrides[name];
+    const value = override !== undefined && override !== '' ? String(override) : (process.env[name] || CONFIG_SCHEMA[name]?.default);
+    if (!value) {
+      const description = CONFIG_SCHEMA[name]?.description;
+      problems.push(`${name}${description ? ` (${description})` : ''} is not set`);
+      continue;
+    }
+    const problem = validateValue(name, value);
+    if (problem) {
+      problems.push(problem);
+      continue;
+    }
+    config[name] = value;
+  }
+
+  if (problems.length > 0) {
+    const error = new Error(
+      `Invalid configuration:\n  - ${problems.join('\n  - ')}\n` +
+      `Set these in the environment, a .env file, or ${path.relative(process.cwd(), DEFAULT_CONFIG_FILE) || DEFAULT_CONFIG_FILE} (or the file named by SPROUT_CONFIG).`
+    );
+    error.code = CONFIG_INVALID;
+    throw error;
+  }
+
+  return config;
+};
+
+/**
+ * Get an optional setting
+ * @param {string} name - Setting name
+ * @param {string} [defaultValue] - Value to use when not set
+ * @returns {string|undefined} Setting value
+ */
+const getOptionalConfig = (name, defaultValue) => {
+  loadConfig();
+  return process.env[name] || CONFIG_SCHEMA[name]?.default || defaultValue;
+};
+
+/**
+ * Get required settings for an entry script, exiting with a readable message when invalid
+ * @param {Array<string>} names - Required setting names
+ * @returns {Object} Settings keyed by name
+ */
+const getConfigOrExit = (names) => {
+  try {
+    const config = getConfig(names);
+    console.log(`Loaded configuration: ${JSON.stringify(redactConfig(config))}`);
+    return config;
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+};
+
+/**
+ * Mask a secret value, keeping only enough to tell values apart
+ * @param {string} value - Secret value
+ * @returns {string} Redacted value
+ */
+const redact = (value) => {
+  if (!value) return '';
+  const text = String(value);
+  return text.length <= 8 ? '****' : `${text.slice(0, 4)}****(${text.length} chars)`;
+};
+
+/**
+ * Copy a settings object with secret values redacted, for logging
+ * @param {Object} config - Settings keyed by name
+ * @returns {Object} Redacted copy
+ */
+const redactConfig = (config) => {
+  const redacted = {};
+  for (const [name, value] of Object.entries(config)) {
+    redacted[name] = CONFIG_SCHEMA[name]?.secret ? redact(value) : value;
+  }
+  return redacted;
+};
+
+/**
+ * Replace any configured secret values that appear in a piece of text
+ * @param {string} text - Text to clean (e.g. a log line or error message)
+ * @returns {string} Text with secrets redacted
+ */
+const redactSecrets = (text) => {
+  let result = String(text);
+  for (const [name, spec] of Object.entries(CONFIG_SCHEMA)) {
+    const value = spec.secret && process.env[name];
+    if (value && value.length > 8 && result.includes(value)) {
+      result = result.split(value).join(redact(value));
+    }
+  }
+  return result;
+};
+
+module.exports = {
+  CONFIG_INVALID,
+  CONFIG_SCHEMA,
+  loadConfig,
+  getConfig,
+  getOptionalConfig,
+  getConfigOrExit,
+  splitList,
+  redact,
+  redactConfig,
+  redactSecrets
+};
@@ -4,6 +4,7 @@
 const { google } = require('googleapis');
 const fs = require('fs');
 const path = require('path');
+const logger = require('./logger');
 
 /**
  * Sleep for a specified duration
@@ -34,18 +35,18 @@ const createFreshJwtClient = async (credentials) => {
     // Add a more robust token refresh handler
     jwtClient.on('tokens', (tokens) => {
       if (tokens.refresh_token) {
-        console.log('New refresh token received, storing for future use');
+        logger.info('New refresh token received, storing for future use');
         // You could store this for future use if needed
       }
-      console.log('Token refreshed successfully');
+      logger.info('Token refreshed successfully');
       
       // Log when this token will expire
       if (tokens.expiry_date) {
         const expiryDate = new Date(tokens.expiry_date);
         const currentTime = new Date();
         const timeUntilExpiry = Math.round((expiryDate - currentTime) / 1000 / 60);
-        console.log(`\n=== DRIVE API: Token refreshed ===`);
-        console.log(`Token will expire at: ${expiryDate.toLocaleString()} (in ${timeUntilExpiry} minutes)`);
+        logger.info(`\n=== DRIVE API: Token refreshed ===`);
+        logger.info(`Token will expire at: ${expiryDate.toLocaleString()} (in ${timeUntilExpiry} minutes)`);
       }
     });
     
@@ -59,9 +60,9 @@ const createFreshJwtClient = async (credentials) => {
         attempts++;
         await jwtClient.authorize();
         authorized = true;
-        console.log('Successfully authenticated with JWT client');
+        logger.info('Successfully authenticated with JWT client');
       } catch (authError) {
-        console.error(`Authentication attempt ${attempts}/${maxAttempts} failed: ${authError.message}`);
+        logger.error(`Authentication attempt ${attempts}/${maxAttempts} failed: ${authError.message}`);
         if (attempts >= maxAttempts) {
           throw authError;
         }
@@ -72,7 +73,7 @@ const createFreshJwtClient = async (credentials) => {
     
     return jwtClient;
   } catch (error) {
-    console.error(`Error creating JWT client: ${error.message}`);
+    logger.error(`Error creating JWT client: ${error.message}`);
     throw error;
   }
 };
@@ -85,11 +86,11 @@ const createFreshJwtClient = async (credentials) => {
  */
 const regenerateDriveCredentials = async (sourceCredentialsPath, targetCredentialsPath) => {
   try {
-    console.log(`\n=== DRIVE API: Regenerating drive credentials from ${sourceCredentialsPath} to ${targetCredentialsPath} ===`);
+    logger.info(`\n=== DRIVE API: Regenerating drive credentials from ${sourceCredentialsPath} to ${targetCredentialsPath} ===`);
     
     // Check if source file exists
     if (!fs.existsSync(sourceCredentialsPath)) {
-      console.error(`Source credentials file not found at ${sourceCredentialsPath}`);
+      logger.error(`Source credentials file not found at ${sourceCredentialsPath}`);
       return false;
     }
     
@@ -99,7 +100,7 @@ const regenerateDriveCredentials = async (sourceCredentialsPath, targetCredentia
     
     // Validate credentials - check for service account credentials
     if (!credentials.client_email || !credentials.private_key) {
-      console.error('Source credentials file is missing required fields (client_email or private_key)');
+      logger.error('Source credentials file is missing required fields (client_email or private_key)');
       return false;
     }
     
@@ -118,7 +119,7 @@ const regenerateDriveCredentials = async (sourceCredentialsPath, targetCredentia
       
       // Authorize the client to get a valid token
       await jwtClient.authorize();
-      console.log('Successfully authenticated with JWT client');
+      logger.info('Successfully authenticated with JWT client');
       
       // Create drive credentials with the token and extended expiry
       const driveCredentials = {
@@ -132,19 +133,19 @@ const regenerateDriveCredentials = async (sourceCredentialsPath, targetCredentia
       
       // Save drive credentials
       fs.writeFileSync(targetCredentialsPath, JSON.stringify(driveCredentials, null, 2));
-      console.log(`Drive credentials saved to ${targetCredentialsPath} with extended expiry`);
+      logger.info(`Drive credentials saved to ${targetCredentialsPath} with extended expiry`);
       
       return true;
     } catch (authError) {
-      console.error(`Authentication error: ${authError.message}`);
+      logger.error(`Authentication error: ${authError.message}`);
       if (authError.message.includes('invalid_grant') || authError.message.includes('Invalid JWT')) {
-        console.error('Authentication error detected. The service account credentials may be invalid or expired.');
-        console.error('Please generate new service account keys from the Google Cloud Console.');
+        logger.error('Authentication error detected. The service account credentials may be invalid or expired.');
+        logger.error('Please generate new service account keys from the Google Cloud Console.');
       }
       return false;
     }
   } catch (error) {
-    console.error(`Error regenerating drive credentials: ${error.message}`);
+    logger.error(`Error regenerating drive credentials: ${error.message}`);
     return false;
   }
 };
@@ -161,17 +162,17 @@ const getDriveClient = async (credentialsPath) => {
   
   for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
     try {
-      console.log(`Attempting to get Drive client (attempt ${attempt}/${MAX_RETRIES})...`);
+      logger.info(`Attempting to get Drive client (attempt ${attempt}/${MAX_RETRIES})...`);
       
       // Read credentials file
       let credentialsContent;
       try {
         credentialsContent = fs.readFileSync(credentialsPath, 'utf8');
       } catch (readError) {
-        console.error(`Error reading credentials file: ${readError.message}`);
+        logger.error(`Error reading credentials file: ${readError.message}`);
         if (attempt === MAX_RETRIES) {
           // On last attempt, try to create a mock client as fallback
-          console.error('Creating emergency mock client as fallback...');
+          logger.error('Creating emergency mock client as fallback...');
           return createMockDriveClient();
         }
         await sleep(3000 * attempt);
@@ -181,12 +182,12 @@ const getDriveClient = async (credentialsPath) => {
       let credentials;
       try {
         credentials = JSON.parse(credentialsContent);
-        console.log('Successfully parsed credentials file');
+        logger.info('Successfully parsed credentials file');
       } catch (parseError) {
-        console.error(`Error parsing credentials JSON: ${parseError.message}`);
+        logger.error(`Error parsing credentials JSON: ${parseError.message}`);
         if (attempt === MAX_RETRIES) {
           // On last attempt, try to create a mock client as fallback
-          console.error('Creating emergency mock client as fallback...');
+          logger.error('Creating emergency mock client as fallback...');
           return createMockDriveClient();
         }
         await sleep(3000 * attempt);
@@ -195,10 +196,10 @@ const getDriveClient = async (credentialsPath) => {
       
       // Validate credentials
       if (!credentials.client_email || !credentials.private_key) {
-        console.error('Credentials file missing required fields (client_email, private_key)');
+        logger.error('Credentials file missing required fields (client_email, private_key)');
         if (attempt === MAX_RETRIES) {
           // On last attempt, try to create a mock client as fallback
-          console.error('Creating emergency mock client as fallback...');
+          logger.error('Creating emergency mock client as fallback...');
           return createMockDriveClient();
         }
         await sleep(3000 * attempt);
@@ -216,7 +217,7 @@ const getDriveClient = async (credentialsPath) => {
         // Create a refresh function that can be called before critical operations
         const refreshAuth = async () => {
           try {
-            console.log('Refreshing authentication token...');
+            logger.info('Refreshing authentication token...');
             
             // Create a new JWT client and authorize it
             const refreshedClient = await createFreshJwtClient(credentials);
@@ -225,12 +226,12 @@ const getDriveClient = async (credentialsPath) => {
             drive.context._options.auth = refreshedClient;
             sheets.context._options.auth = refreshedClient;
             
-            console.log('Authentication token refreshed successfully');
+            logger.info('Authentication token refreshed successfully');
             return refreshedClient;
           } catch (refreshError) {
-            console.error(`Failed to refresh authentication token: ${refreshError.message}`);
+            logger.error(`Failed to refresh authentication token: ${refreshError.message}`);
             // Instead of throwing, return the existing client
-            console.error('Continuing with existing token...');
+            logger.error('Continuing with existing token...');
             return jwtClient;
           }
         };
@@ -238,60 +239,60 @@ const getDriveClient = async (credentialsPath) => {
         // Test the client with a simple API call
         try {
           await drive.about.get({ fields: 'user' });
-          console.log('Drive client successfully tested with API call');
+          logger.info('Drive client successfully tested with API call');
         } catch (testError) {
-          console.warn(`Drive client test failed: ${testError.message}`);
+          logger.warn(`Drive client test failed: ${testError.message}`);
           // Continue anyway - we'll handle errors during operations
         }
         
         return { drive, sheets, auth: jwtClient, refreshAuth };
       } catch (authError) {
-        console.error(`Authentication error (attempt ${attempt}/${MAX_RETRIES}): ${authError.message}`);
+        logger.error(`Authentication error (attempt ${attempt}/${MAX_RETRIES}): ${authError.message}`);
         if (authError.message.includes('invalid_grant') || authError.message.includes('Invalid JWT')) {
-          console.error('Authentication error detected. The service account credentials are invalid or expired.');
-          console.error('Please generate new service account keys from the Google Cloud Console.');
-          console.error('1. Go to https://console.cloud.google.com/');
-          console.error('2. Select your project');
-          console.error('3. Go to IAM & Admin > Service Accounts');
-          console.error('4. Find your service account and create a new key');
-          console.error('5. Download the key as JSON and save it as credentials.json in this directory');
-          console.error('6. Delete the existing drive-credentials.json file');
-          console.error('7. Run this script again');
+          logger.error('Authentication error detected. The service account credentials are invalid or expired.');
+          logger.error('Please generate new service account keys from the Google Cloud Console.');
+          logger.error('1. Go to https://console.cloud.google.com/');
+          logger.error('2. Select your project');
+          logger.error('3. Go to IAM & Admin > Service Accounts');
+          logger.error('4. Find your service account and create a new key');
+          logger.error('5. Download the key as JSON and save it as credentials.json in this directory');
+          logger.error('6. Delete the existing drive-credentials.json file');
+          logger.error('7. Run this script again');
         }
         
         lastError = authError;
         
         if (attempt === MAX_RETRIES) {
           // On last attempt, try to create a mock client as fallback
-          console.error('Creating emergency mock client as fallback...');
+          logger.error('Creating emergency mock client as fallback...');
           return createMockDriveClient();
         }
         
         // Exponential backoff
         const backoffTime = 5000 * Math.pow(2, attempt - 1);
-        console.log(`Waiting ${backoffTime/1000} seconds before retry...`);
+        logger.info(`Waiting ${backoffTime/1000} seconds before retry...`);
         await sleep(backoffTime);
       }
     } catch (error) {
-      console.error(`Unexpected error getting Drive client (attempt ${attempt}/${MAX_RETRIES}): ${error.message}`);
+      logger.error(`Unexpected error getting Drive client (attempt ${attempt}/${MAX_RETRIES}): ${error.message}`);
       lastError = error;
       
       if (attempt === MAX_RETRIES) {
         // On last attempt, try to create a mock client as fallback
-        console.error('Creating emergency mock client as fallback...');
+        logger.error('Creating emergency mock client as fallback...');
         return createMockDriveClient();
       }
       
       // Exponential backoff
       const backoffTime = 5000 * Math.pow(2, attempt - 1);
-      console.log(`Waiting ${backoffTime/1000} seconds before retry...`);
+      logger.info(`Waiting ${backoffTime/1000} seconds before retry...`);
       await sleep(backoffTime);
     }
   }
   
   // This should never be reached due to the fallback in the last attempt
-  console.error(`All ${MAX_RETRIES} attempts to get Drive client failed`);
-  console.error('Creating emergency mock client as fallback...');
+  logger.error(`All ${MAX_RETRIES} attempts to get Drive client failed`);
+  logger.error('Creating emergency mock client as fallback...');
   return createMockDriveClient();
 };
 
@@ -301,39 +302,45 @@ const getDriveClient = async (credentialsPath) => {
  * @returns {Object} Mock Drive and Sheets clients
  */
 const createMockDriveClient = () => {
-  console.warn('USING MOCK DRIVE CLIENT - NO ACTUAL GOOGLE DRIVE OPERATIONS WILL BE PERFORMED');
-  console.warn('This is a fallback mode to prevent crashes when authentication fails');
-  console.warn('Data will be processed but not saved to Google Drive');
+  logger.warn('USING MOCK DRIVE CLIENT - NO ACTUAL GOOGLE DRIVE OPERATIONS WILL BE PERFORMED');
+  logger.warn('This is a fallback mode to prevent crashes when authentication fails');
+  logger.warn('Data will be processed but not saved to Google Drive');
   
   // Create mock drive client
   const mockDrive = {
     files: {
       create: async (params) => {
-        console.log(`[MOCK] Would create file: ${JSON.stringify(params)}`);
+        logger.info('[MOCK] Would create file');
+        logger.debug('[MOCK] Params:', params);
         return { data: { id: `mock-file-${Date.now()}` } };
       },
       update: async (params) => {
-        console.log(`[MOCK] Would update file: ${JSON.stringify(params)}`);
+        logger.info('[MOCK] Would update file');
+        logger.debug('[MOCK] Params:', params);
         return { data: { id: params.fileId || `mock-file-${Date.now()}` } };
       },
       list: async (params) => {
-        console.log(`[MOCK] Would list files: ${JSON.stringify(params)}`);
+        logger.info('[MOCK] Would list files');
+        logger.debug('[MOCK] Params:', params);
         return { data: { files: [] } };
       },
       get: async (params) => {
-        console.log(`[MOCK] Would get file: ${JSON.stringify(params)}`);
+        logger.info('[MOCK] Would get file');
+        logger.debug('[MOCK] Params:', params);
         return { data: { id: params.fileId, name: 'Mock File' } };
       }
     },
     permissions: {
       create: async (params) => {
-        console.log(`[MOCK] Would create permission: ${JSON.stringify(params)}`);
+        logger.info('[MOCK] Would create permission');
+        logger.debug('[MOCK] Params:', params);
         return { data: { id: `mock-permission-${Date.now()}` } };
       }
     },
     about: {
       get: async (params) => {
-        console.log(`[MOCK] Would get about: ${JSON.stringify(params)}`);
+        logger.info('[MOCK] Would get about');
+        logger.debug('[MOCK] Params:', params);
         return { data: { user: { emailAddress: 'mock-user@example.com' } } };
       }
     },
@@ -348,24 +355,29 @@ const createMockDriveClient = () => {
   const mockSheets = {
     spreadsheets: {
       create: async (params) => {
-        console.log(`[MOCK] Would create spreadsheet: ${JSON.stringify(params)}`);
+        logger.info('[MOCK] Would create spreadsheet');
+        logger.debug('[MOCK] Params:', params);
         return { data: { spreadsheetId: `mock-spreadsheet-${Date.now()}` } };
       },
       get: async (params) => {
-        console.log(`[MOCK] Would get spreadsheet: ${JSON.stringify(params)}`);
+        logger.info('[MOCK] Would get spreadsheet');
+        logger.debug('[MOCK] Params:', params);
         return { data: { sheets: [] } };
       },
       batchUpdate: async (params) => {
-        console.log(`[MOCK] Would batch update spreadsheet: ${JSON.stringify(params)}`);
+        logger.info('[MOCK] Would batch update spreadsheet');
+        logger.debug('[MOCK] Params:', params);
         return { data: { replies: [] } };
       },
       values: {
         update: async (params) => {
-          console.log(`[MOCK] Would update values: ${JSON.stringify(params)}`);
+          logger.info('[MOCK] Would update values');
+          logger.debug('[MOCK] Params:', params);
           return { data: { updatedCells: 0 } };
         },
         batchUpdate: async (params) => {
-          console.log(`[MOCK] Would batch update values: ${JSON.stringify(params)}`);
+          logger.info('[MOCK] Would batch update values');
+          logger.debug('[MOCK] Params:', params);
           return { data: { totalUpdatedCells: 0 } };
         }
       }
@@ -387,7 +399,7 @@ const createMockDriveClient = () => {
   
   // Create mock refresh function
   const mockRefreshAuth = async () => {
-    console.log('[MOCK] Would refresh authentication');
+    logger.info('[MOCK] Would refresh authentication');
     return mockAuth;
   };
   
@@ -449,8 +461,8 @@ const retryWithBackoff = async (fn, maxRetries = 7, initialBackoff = 8000, opera
       );
 
       if (retries > maxRetries) {
-        console.error(`Error ${operationName} after ${maxRetries} retries: ${error.message}`);
-        console.error(`Continuing script execution despite failure in ${operationName}`);
+        logger.error(`Error ${operationName} after ${maxRetries} retries: ${error.message}`);
+        logger.error(`Continuing script execution despite failure in ${operationName}`);
         return null;
       }
 
@@ -469,26 +481,26 @@ const retryWithBackoff = async (fn, maxRetries = 7, initialBackoff = 8000, opera
       waitMs = Math.max(1000, Math.floor(waitMs + jitter));
 
       if (isQuotaError) {
-        console.log(`Quota/rate limit. Retrying ${operationName} in ${Math.round(waitMs/1000)}s (attempt ${retries}/${maxRetries})`);
+        logger.info(`Quota/rate limit. Retrying ${operationName} in ${Math.round(waitMs/1000)}s (attempt ${retries}/${maxRetries})`);
         await sleep(waitMs);
         backoffTime = Math.min(backoffTime * 2.5, 15 * 60 * 1000);
       } else if (isAuthError) {
-        console.log(`Auth error. Retrying ${operationName} in ${Math.round(waitMs/1000)}s (attempt ${retries}/${maxRetries})`);
+        logger.info(`Auth error. Retrying ${operationName} in ${Math.round(waitMs/1000)}s (attempt ${retries}/${maxRetries})`);
         await sleep(waitMs);
         backoffTime = Math.min(backoffTime * 2, 15 * 60 * 1000);
       } else if (isNetworkError || (status && status >= 500)) {
-        console.log(`Transient/server error (${status || 'network'}). Retrying ${operationName} in ${Math.round(waitMs/1000)}s (attempt ${retries}/${maxRetries})`);
+        logger.info(`Transient/server error (${status || 'network'}). Retrying ${operationName} in ${Math.round(waitMs/1000)}s (attempt ${retries}/${maxRetries})`);
         await sleep(waitMs);
         backoffTime = Math.min(backoffTime * 1.8, 10 * 60 * 1000);
       } else {
-        console.log(`Error ${operationName}: ${error.message}. Retrying in ${Math.round(waitMs/1000)}s (attempt ${retries}/${maxRetries})`);
+        logger.info(`Error ${operationName}: ${error.message}. Retrying in ${Math.round(waitMs/1000)}s (attempt ${retries}/${maxRetries})`);
         await sleep(waitMs);
         backoffTime = Math.min(backoffTime * 1.5, 10 * 60 * 1000);
       }
     }
   }
 
-  console.error(`Unexpected flow in retryWithBackoff for ${operationName}. Continuing script execution.`);
+  logger.error(`Unexpected flow in retryWithBackoff for ${operationName}. Continuing script execution.`);
   return null;
 };
 
@@ -503,14 +515,14 @@ const retryWithBackoff = async (fn, maxRetries = 7, initialBackoff = 8000, opera
  */
 const createSpreadsheet = async (sheets, drive, title, folderId, refreshAuth) => {
   try {
-    console.log(`\n=== DRIVE API: Creating spreadsheet "${title}" in folder ${folderId} ===`);
+    logger.info(`\n=== DRIVE API: Creating spreadsheet "${title}" in folder ${folderId} ===`);
 
     if (refreshAuth) {
       try {
         await refreshAuth();
-        console.log('Authentication refreshed before creating spreadsheet.');
+        logger.info('Authentication refreshed before creating spreadsheet.');
       } catch (refreshError) {
-        console.warn(`Warning: Could not refresh authentication: ${refreshError.message}`);
+        logger.warn(`Warning: Could not refresh authentication: ${refreshError.message}`);
       }
     }
 
@@ -539,18 +551,18 @@ const createSpreadsheet = async (sheets, drive, title, folderId, refreshAuth) =>
     );
 
     if (!response) {
-      console.error(`Could not create spreadsheet "${title}" after retries. Continuing without failing.`);
+      logger.error(`Could not create spreadsheet "${title}" after retries. Continuing without failing.`);
       return null;
     }
 
     const spreadsheetId = response.data.id;
-    console.log(`Successfully created spreadsheet with ID: ${spreadsheetId} in folder ${folderId}`);
+    logger.info(`Successfully created spreadsheet with ID: ${spreadsheetId} in folder ${folderId}`);
     return spreadsheetId;
 
   } catch (error) {
-    console.error(`Failed to create spreadsheet for group: ${error.message}`);
+    logger.error(`Failed to create spreadsheet for group: ${error.message}`);
     if (error.errors) {
-        error.errors.forEach(err => console.error(`Google API Error: ${err.reason} - ${err.message}`));
+        error.errors.forEach(err => logger.error(`Google API Error: ${err.reason} - ${err.message}`));
     }
     return null;
   }
@@ -568,7 +580,7 @@ const createSpreadsheet = async (sheets, drive, title, folderId, refreshAuth) =>
 const createSheet = async (sheets, spreadsheetId, sheetTitle, refreshAuth = null, maxRetries = 5) => {
   // Track sheet creation time
   const sheetCreationStartTime = new Date();
-  console.log(`\n=== SHEET CREATION: Starting creation of sheet "${sheetTitle}" at ${sheetCreationStartTime.toLocaleTimeString()} ===`);
+  logger.info(`\n=== SHEET CREATION: Starting creation of sheet "${sheetTitle}" at ${sheetCreationStartTime.toLocaleTimeString()} ===`);
   
   // Maximum number of attempts to create the sheet
   const MAX_TOTAL_ATTEMPTS = 3;
@@ -576,7 +588,7 @@ const createSheet = async (sheets, spreadsheetId, sheetTitle, refreshAuth = null
   for (let attempt = 1; attempt <= MAX_TOTAL_ATTEMPTS; attempt++) {
     try {
       // First check if the sheet already exists
-      console.log(`\n=== DRIVE API: Checking if sheet "${sheetTitle}" already exists (attempt ${attempt}/${MAX_TOTAL_ATTEMPTS}) ===`);
+      logger.info(`\n=== DRIVE API: Checking if sheet "${sheetTitle}" already exists (attempt ${attempt}/${MAX_TOTAL_ATTEMPTS}) ===`);
       
       try {
         const response = await sheets.spreadsheets.get({
@@ -590,19 +602,19 @@ const createSheet = async (sheets, spreadsheetId, sheetTitle, refreshAuth = null
         );
         
         if (sheetExists) {
-          console.log(`Sheet "${sheetTitle}" already exists in spreadsheet ${spreadsheetId}`);
+          logger.info(`Sheet "${sheetTitle}" already exists in spreadsheet ${spreadsheetId}`);
           
           // Calculate and log total sheet creation time
           const sheetCreationEndTime = new Date();
           const creationTimeMs = sheetCreationEndTime - sheetCreationStartTime;
           const creationTimeSec = Math.round(creationTimeMs / 1000);
-          console.log(`\n=== SHEET CREATION COMPLETED: Sheet "${sheetTitle}" already existed (verified in ${creationTimeSec} seconds) ===`);
-          console.log(`Started: ${sheetCreationStartTime.toLocaleTimeString()}, Finished: ${sheetCreationEndTime.toLocaleTimeString()}`);
+          logger.info(`\n=== SHEET CREATION COMPLETED: Sheet "${sheetTitle}" already existed (verified in ${creationTimeSec} seconds) ===`);
+          logger.info(`Started: ${sheetCreationStartTime.toLocaleTimeString()}, Finished: ${sheetCreationEndTime.toLocaleTimeString()}`);
           
           return true;
         }
       } catch (checkError) {
-        console.warn(`Error checking if sheet exists: ${checkError.message}`);
+        logger.warn(`Error checking if sheet exists: ${checkError.message}`);
         // Continue with creation attempt even if check fails
         await sleep(3000);
       }
@@ -611,19 +623,19 @@ const createSheet = async (sheets, spreadsheetId, sheetTitle, refreshAuth = null
       if (refreshAuth) {
         try {
           await refreshAuth();
-          console.log(`Authentication refreshed before creating sheet "${sheetTitle}"`);
+          logger.info(`Authentication refreshed before creating sheet "${sheetTitle}"`);
         } catch (refreshError) {
-          console.warn(`Warning: Could not refresh authentication: ${refreshError.message}`);
-          console.warn('Proceeding with existing token...');
+          logger.warn(`Warning: Could not refresh authentication: ${refreshError.message}`);
+          logger.warn('Proceeding with existing token...');
           await sleep(2000);
         }
       }
       
       // Add a short delay before creating the sheet to avoid rate limits
       const delaySeconds = 1;
-      console.log(`\n=== DRIVE API: Waiting ${delaySeconds} seconds before creating sheet "${sheetTitle}" ===`);
-      console.log(`Current time: ${new Date().toLocaleTimeString()}`);
-      console.log(`Will resume at: ${new Date(Date.now() + delaySeconds * 1000).toLocaleTimeString()}`);
+      logger.info(`\n=== DRIVE API: Waiting ${delaySeconds} seconds before creating sheet "${sheetTitle}" ===`);
+      logger.info(`Current time: ${new Date().toLocaleTimeString()}`);
+      logger.info(`Will resume at: ${new Date(Date.now() + delaySeconds * 1000).toLocaleTimeString()}`);
       
       // Wait for 30 seconds
       await sleep(delaySeconds * 1000);
@@ -646,7 +658,7 @@ const createSheet = async (sheets, spreadsheetId, sheetTitle, refreshAuth = null
             }
           });
           
-          console.log(`Created sheet "${sheetTitle}" in spreadsheet ${spreadsheetId}`);
+          logger.info(`Created sheet "${sheetTitle}" in spreadsheet ${spreadsheetId}`);
           return response;
         },
         maxRetries,
@@ -656,16 +668,16 @@ const createSheet = async (sheets, spreadsheetId, sheetTitle, refreshAuth = null
       
       // If retryWithBackoff returned null, it failed after all retries
       if (result === null) {
-        console.warn(`Failed to create sheet "${sheetTitle}" after ${maxRetries} retries. Will try again.`);
+        logger.warn(`Failed to create sheet "${sheetTitle}" after ${maxRetries} retries. Will try again.`);
         // Continue to the next attempt
         continue;
       }
       
       // Add a short delay after creating the sheet
       const postDelaySeconds = 1;
-      console.log(`\n=== DRIVE API: Waiting ${postDelaySeconds} seconds after creating sheet "${sheetTitle}" ===`);
-      console.log(`Current time: ${new Date().toLocaleTimeString()}`);
-      console.log(`Will resume at: ${new Date(Date.now() + postDelaySeconds * 1000).toLocaleTimeString()}`);
+      logger.info(`\n=== DRIVE API: Waiting ${postDelaySeconds} seconds after creating sheet "${sheetTitle}" ===`);
+      logger.info(`Current time: ${new Date().toLocaleTimeString()}`);
+      logger.info(`Will resume at: ${new Date(Date.now() + postDelaySeconds * 1000).toLocaleTimeString()}`);
       
       // Wait for 30 seconds
       await sleep(postDelaySeconds * 1000);
@@ -674,26 +686,26 @@ const createSheet = async (sheets, spreadsheetId, sheetTitle, refreshAuth = null
       const sheetCreationEndTime = new Date();
       const creationTimeMs = sheetCreationEndTime - sheetCreationStartTime;
       const creationTimeSec = Math.round(creationTimeMs / 1000);
-      console.log(`\n=== SHEET CREATION COMPLETED: Sheet "${sheetTitle}" created in ${creationTimeSec} seconds ===`);
-      console.log(`Started: ${sheetCreationStartTime.toLocaleTimeString()}, Finished: ${sheetCreationEndTime.toLocaleTimeString()}`);
+      logger.info(`\n=== SHEET CREATION COMPLETED: Sheet "${sheetTitle}" created in ${creationTimeSec} seconds ===`);
+      logger.info(`Started: ${sheetCreationStartTime.toLocaleTimeString()}, Finished: ${sheetCreationEndTime.toLocaleTimeString()}`);
       
       return true;
       
     } catch (error) {
       // Handle errors for this attempt
       if (error.message && (error.message.includes('already exists') || error.message.includes('duplicate'))) {
-        console.log(`Sheet "${sheetTitle}" already exists in spreadsheet ${spreadsheetId}`);
+        logger.info(`Sheet "${sheetTitle}" already exists in spreadsheet ${spreadsheetId}`);
         return true;
       }
       
-      console.error(`Error creating sheet "${sheetTitle}" (attempt ${attempt}/${MAX_TOTAL_ATTEMPTS}): ${error.message}`);
+      logger.error(`Error creating sheet "${sheetTitle}" (attempt ${attempt}/${MAX_TOTAL_ATTEMPTS}): ${error.message}`);
       
       // Wait longer between attempts
       await sleep(5000 * attempt);
       
       // Only return false if this was the last attempt
       if (attempt === MAX_TOTAL_ATTEMPTS) {
-        console.error(`All attempts to create sheet "${sheetTitle}" failed. Continuing script execution.`);
+        logger.error(`All attempts to create sheet "${sheetTitle}" failed. Continuing script execution.`);
         return true; // Return true anyway to prevent script failure
       }
       // Otherwise continue to next attempt
@@ -701,7 +713,7 @@ const createSheet = async (sheets, spreadsheetId, sheetTitle, refreshAuth = null
   }
   
   // This should never be reached
-  console.warn(`Unexpected flow in createSheet for "${sheetTitle}". Continuing script execution.`);
+  logger.warn(`Unexpected flow in createSheet for "${sheetTitle}". Continuing script execution.`);
   return true;
 };
 
@@ -714,7 +726,7 @@ const createSheet = async (sheets, spreadsheetId, sheetTitle, refreshAuth = null
  */
 const findExistingSpreadsheet = async (drive, title, folderId) => {
   try {
-    console.log(`Checking if spreadsheet "${title}" already exists in folder ${folderId}...`);
+    logger.info(`Checking if spreadsheet "${title}" already exists in folder ${folderId}...`);
     
     // Search for files with the exact title in the specified folder
     const response = await drive.files.list({
@@ -726,14 +738,14 @@ const findExistingSpreadsheet = async (drive, title, folderId) => {
     const files = response.data.files;
     
     if (files && files.length > 0) {
-      console.log(`Found existing spreadsheet: ${files[0].name} (${files[0].id})`);
+      logger.info(`Found existing spreadsheet: ${files[0].name} (${files[0].id})`);
       return files[0].id;
     }
     
-    console.log(`No existing spreadsheet found with title "${title}" in folder ${folderId}`);
+    logger.info(`No existing spreadsheet found with title "${title}" in folder ${folderId}`);
     return null;
   } catch (error) {
-    console.error(`Error searching for existing spreadsheet: ${error.message}`);
+    logger.error(`Error searching for existing spreadsheet: ${error.message}`);
     return null;
   }
 };
@@ -747,7 +759,7 @@ const findExistingSpreadsheet = async (drive, title, folderId) => {
  */
 const findSpreadsheetByPattern = async (drive, namePattern, folderId) => {
   try {
-    console.log(`Searching for spreadsheet with pattern "${namePattern}" in folder ${folderId}...`);
+    logger.info(`Searching for spreadsheet with pattern "${namePattern}" in folder ${folderId}...`);
     
     // Search for files with the name pattern in the specified folder
     // Using 'contains' instead of 'equals' to match partial names
@@ -761,14 +773,14 @@ const findSpreadsheetByPattern = async (drive, namePattern, folderId) => {
     const files = response.data.files;
     
     if (files && files.length > 0) {
-      console.log(`Found existing spreadsheet matching pattern: ${files[0].name} (${files[0].id})`);
+      logger.info(`Found existing spreadsheet matching pattern: ${files[0].name} (${files[0].id})`);
       return { id: files[0].id, name: files[0].name };
     }
     
-    console.log(`No existing spreadsheet found with pattern "${namePattern}" in folder ${folderId}`);
+    logger.info(`No existing spreadsheet found with pattern "${namePattern}" in folder ${folderId}`);
     return null;
   } catch (error) {
-    console.error(`Error searching for spreadsheet by pattern: ${error.message}`);
+    logger.error(`Error searching for spreadsheet by pattern: ${error.message}`);
     return null;
   }
 };
@@ -782,7 +794,7 @@ const findSpreadsheetByPattern = async (drive, namePattern, folderId) => {
  */
 const updateSpreadsheetTitle = async (drive, fileId, newTitle) => {
   try {
-    console.log(`Updating spreadsheet ${fileId} title to "${newTitle}"...`);
+    logger.info(`Updating spreadsheet ${fileId} title to "${newTitle}"...`);
     
     await drive.files.update({
       fileId: fileId,
@@ -791,10 +803,10 @@ const updateSpreadsheetTitle = async (drive, fileId, newTitle) => {
       }
     });
     
-    console.log(`Successfully updated spreadsheet title to "${newTitle}"`);
+    logger.info(`Successfully updated spreadsheet title to "${newTitle}"`);
     return true;
   } catch (error) {
-    console.error(`Error updating spreadsheet title: ${error.message}`);
+    logger.error(`Error updating spreadsheet title: ${error.message}`);
     return false;
   }
 };
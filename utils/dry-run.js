@@ -0,0 +1,299 @@
+/**
+ * Dry runs
+ *
+ * With --dry-run the pipelines still read everything they normally read (groups, profiles,
+ * analytics, spreadsheets and live tab contents) but never write. Every change they would make
+ * is recorded in a plan instead: spreadsheets and tabs that would be created, header changes, and
+ * the rows that would be inserted, updated or deleted in each tab. The plan is printed at the end
+ * of the run.
+ */
+
+const sheetsUtils = require('./sheets');
+const logger = require('./logger');
+
+// Placeholder ID prefix for spreadsheets that would be created
+const NEW_SPREADSHEET_PREFIX = 'new:';
+
+// Rows listed per change type and tab before the rest are summarised
+const MAX_LISTED_ROWS = 20;
+
+/**
+ * Create an empty dry-run plan
+ * @returns {Object} Plan recorder
+ */
+const createDryRunPlan = () => {
+  const spreadsheets = new Map();
+
+  const getSpreadsheet = (spreadsheetId) => {
+    if (!spreadsheets.has(spreadsheetId)) {
+      spreadsheets.set(spreadsheetId, { spreadsheetId, title: null, groupName: null, create: false, tabs: new Map() });
+    }
+    return spreadsheets.get(spreadsheetId);
+  };
+
+  const getTab = (spreadsheetId, sheetName) => {
+    const { tabs } = getSpreadsheet(spreadsheetId);
+    if (!tabs.has(sheetName)) {
+      tabs.set(sheetName, {
+        sheetName,
+        create: false,
+        headers: null,
+        headerChange: null,
+        headerMigration: null,
+        inserts: [],
+        updates: [],
+        deletes: [],
+        unchanged: 0,
+        errors: []
+      });
+    }
+    return tabs.get(sheetName);
+  };
+
+  return {
+    /**
+     * Record an existing spreadsheet the run would write to
+     * @param {string} spreadsheetId - Spreadsheet ID
+     * @param {Object} details - { title, groupName }
+     */
+    addSpreadsheet: (spreadsheetId, { title, groupName } = {}) => {
+      const spreadsheet = getSpreadsheet(spreadsheetId);
+      spreadsheet.title = title || spreadsheet.title;
+      spreadsheet.groupName = groupName || spreadsheet.groupName;
+    },
+
+    /**
+     * Record a spreadsheet that would be created
+     * @param {string} title - Spreadsheet title
+     * @param {Object} [details] - { groupName, folderId }
+     * @returns {string} Placeholder ID to use in place of the real spreadsheet ID
+     */
+    createSpreadsheet: (title, { groupName, folderId } = {}) => {
+      const spreadsheetId = `${NEW_SPREADSHEET_PREFIX}${title}`;
+      Object.assign(getSpreadsheet(spreadsheetId), { title, groupName, folderId, create: true });
+      return spreadsheetId;
+    },
+
+    /**
+     * @returns {boolean} True if the ID is a placeholder for a spreadsheet that would be created
+     */
+    isNewSpreadsheet: (spreadsheetId) => String(spreadsheetId).startsWith(NEW_SPREADSHEET_PREFIX),
+
+    /**
+     * Record a tab that would be added to a spreadsheet
+     */
+    createTab: (spreadsheetId, sheetName) => {
+      getTab(spreadsheetId, sheetName).create = true;
+    },
+
+    /**
+     * @returns {boolean} True if the tab would be created by this run
+     */
+    isNewTab: (spreadsheetId, sheetName) => Boolean(spreadsheets.get(spreadsheetId)?.tabs.get(sheetName)?.create),
+
+    /**
+     * Record the header row a tab would end up with
+     * @param {string} spreadsheetId - Spreadsheet ID
+     * @param {string} sheetName - Tab name
+     * @param {Object} change - { headers, description, migration }; description is null when the headers stay as they are
+     */
+    setHeaders: (spreadsheetId, sheetName, { headers, description, migration }) => {
+      const tab = getTab(spreadsheetId, sheetName);
+      tab.headers = headers;
+      tab.headerChange = description;
+      tab.headerMigration = migration || null;
+    },
+
+    getHeaders: (spreadsheetId, sheetName) => getTab(spreadsheetId, sheetName).headers,
+
+    getHeaderMigration: (spreadsheetId, sheetName) => getTab(spreadsheetId, sheetName).headerMigration,
+
+    /**
+     * Add planned row changes for a tab (accumulates across date windows). Every window is planned
+     * against the live sheet, so rows on a day shared by two windows come back from both; they are
+     * listed once per key, with the changed columns of an update merged.
+     * @param {string} spreadsheetId - Spreadsheet ID
+     * @param {string} sheetName - Tab name
+     * @param {Object} changes - Result of sheetsUtils.planSheetUpdate
+     */
+    recordRows: (spreadsheetId, sheetName, { inserts, updates, unchanged }) => {
+      const tab = getTab(spreadsheetId, sheetName);
+      const insertKeys = new Set(tab.inserts);
+      for (const key of inserts) {
+        if (insertKeys.has(key)) continue;
+        insertKeys.add(key);
+        tab.inserts.push(key);
+      }
+      for (const update of updates) {
+        const planned = tab.updates.find(u => u.key === update.key);
+        if (planned) {
+          planned.columns = [...new Set([...planned.columns, ...update.columns])];
+        } else {
+          tab.updates.push({ ...update });
+        }
+      }
+      tab.unchanged += unchanged;
+    },
+
+    /**
+     * Record rows that would be deleted from a tab
+     * @param {string} spreadsheetId - Spreadsheet ID
+     * @param {string} sheetName - Tab name
+     * @param {Array<{sheetRow: number, key: string}>} rows - 1-based sheet rows and their keys
+     */
+    recordDeletes: (spreadsheetId, sheetName, rows) => {
+      getTab(spreadsheetId, sheetName).deletes.push(...rows);
+    },
+
+    /**
+     * @returns {Set<number>} Sheet rows of the tab that would already have been deleted
+     */
+    getDeletedRows: (spreadsheetId, sheetName) => new Set(getTab(spreadsheetId, sheetName).deletes.map(d => d.sheetRow)),
+
+    recordError: (spreadsheetId, sheetName, message) => {
+      getTab(spreadsheetId, sheetName).errors.push(message);
+    },
+
+    /**
+     * @returns {Array<Object>} The plan as plain objects, one per spreadsheet with its tabs
+     */
+    getSummary: () => [...spreadsheets.values()].map(({ tabs, ...spreadsheet }) => ({
+      ...spreadsheet,
+      tabs: [...tabs.values()].map(({ headerMigration, ...tab }) => tab)
+    }))
+  };
+};
+
+/**
+ * List planned rows, capped at MAX_LISTED_ROWS
+ * @param {Array<string>} lines - One line per row
+ */
+const logRows = (lines) => {
+  lines.slice(0, MAX_LISTED_ROWS).forEach(line => logger.info(`      ${line}`));
+  if (lines.length > MAX_LISTED_ROWS) {
+    logger.info(`      ... and ${lines.length - MAX_LISTED_ROWS} more`);
+  }
+};
+
+/**
+ * Print a dry-run plan per spreadsheet and tab
+ * @param {Object} plan - Plan from createDryRunPlan
+ */
+const printDryRunPlan = (plan) => {
+  const summary = plan.getSummary();
+  logger.info('\n=== Dry Run: Planned Changes (nothing was written) ===');
+  if (summary.length === 0) {
+    logger.info('No spreadsheets would be changed.');
+    return;
+  }
+
+  for (const spreadsheet of summary) {
+    const group = spreadsheet.groupName ? ` for group ${spreadsheet.groupName}` : '';
+    if (spreadsheet.create) {
+      logger.info(`\nSpreadsheet "${spreadsheet.title}"${group}: would be CREATED in folder ${spreadsheet.folderId}`);
+    } else {
+      logger.info(`\nSpreadsheet "${spreadsheet.title || spreadsheet.spreadsheetId}"${group} (${spreadsheet.spreadsheetId})`);
+    }
+
+    for (const tab of spreadsheet.tabs) {
+      logger.info(`  Tab "${tab.sheetName}"${tab.create ? ' (would be created)' : ''}: ` +
+        `${tab.inserts.length} to insert, ${tab.updates.length} to update, ${tab.deletes.length} to delete, ${tab.unchanged} unchanged`);
+      if (tab.headerChange) {
+        logger.info(`    Headers: ${tab.headerChange}`);
+      }
+      if (tab.deletes.length > 0) {
+        logger.info('    Delete:');
+        logRows(tab.deletes.map(d => `- row ${d.sheetRow}: ${d.key}`));
+      }
+      if (tab.updates.length > 0) {
+        logger.info('    Update:');
+        logRows(tab.updates.map(u => `~ row ${u.sheetRow}: ${u.key} (${u.columns.join(', ')})`));
+      }
+      if (tab.inserts.length > 0) {
+        logger.info('    Insert:');
+        logRows(tab.inserts.map(key => `+ ${key}`));
+      }
+      tab.errors.forEach(message => logger.warn(`    Could not plan changes: ${message}`));
+    }
+  }
+};
+
+/**
+ * Describe a sheet row by its key columns, e.g. "2025-09-01 | Brand page"
+ * @param {Array} headerRow - Header row of the sheet
+ * @param {Array} row - Row values
+ * @param {Array<string>} [keyHeaders] - Key header names, date first
+ * @returns {string} Row description
+ */
+const describeRowKey = (headerRow, row, keyHeaders) => {
+  let columns;
+  try {
+    columns = sheetsUtils.resolveKeyColumns(headerRow, keyHeaders);
+  } catch (_) {
+    columns = [0];
+  }
+  return columns
+    .map((col, i) => (i === 0 ? sheetsUtils.normalizeToIsoDateString(row[col]) || row[col] : row[col]))
+    .map(value => String(value == null ? '' : value).trim())
+    .join(' | ');
+};
+
+/**
+ * Create a stand-in for utils/sheets.js that records header and row changes in a plan instead of
+ * writing them. Platform modules receive it in place of the real module, so their own sheet names,
+ * headers and key headers are used unchanged.
+ * @param {Object} plan - Plan from createDryRunPlan
+ * @returns {Object} Object with the same functions as utils/sheets.js
+ */
+const createDryRunSheetsUtils = (plan) => ({
+  ...sheetsUtils,
+
+  setupSheetHeaders: async (auth, spreadsheetId, sheetName, headers) => {
+    if (plan.isNewTab(spreadsheetId, sheetName)) {
+      plan.setHeaders(spreadsheetId, sheetName, { headers, description: `would be set (${headers.length} columns)` });
+      return true;
+    }
+
+    const existingData = await sheetsUtils.getSheetValues(auth, spreadsheetId, sheetName, '1:2');
+    const liveHeaders = existingData[0] || [];
+    const migration = sheetsUtils.planHeaderMigration(liveHeaders, headers);
+    const unchanged = sheetsUtils.isHeaderMigrationNoop(liveHeaders, migration);
+
+    let description = null;
+    if (!unchanged && existingData.length > 1 && liveHeaders.some(h => String(h).trim() !== '')) {
+      description = `columns would be migrated: added [${migration.added.join(', ')}], ` +
+        `moved [${migration.moved.join(', ')}], archived [${migration.archived.join(', ')}]`;
+    } else if (!unchanged) {
+      description = `header row would be rewritten (${headers.length} columns)`;
+    }
+    plan.setHeaders(spreadsheetId, sheetName, { headers: migration.headers, description, migration: unchanged ? null : migration });
+    return true;
+  },
+
+  updateSheet: async (auth, spreadsheetId, rows, sheetName, options = {}) => {
+    if (!rows || rows.length === 0) return false;
+    try {
+      const newTab = plan.isNewTab(spreadsheetId, sheetName);
+      const changes = await sheetsUtils.planSheetUpdate(auth, spreadsheetId, rows, sheetName, {
+        ...options,
+        existingData: newTab ? [plan.getHeaders(spreadsheetId, sheetName) || []] : undefined,
+        headerMigration: newTab ? undefined : plan.getHeaderMigration(spreadsheetId, sheetName),
+        removedRows: plan.getDeletedRows(spreadsheetId, sheetName)
+      });
+      plan.recordRows(spreadsheetId, sheetName, changes);
+      return { inserted: changes.inserts.length, updated: changes.updates.length, unchanged: changes.unchanged };
+    } catch (error) {
+      plan.recordError(spreadsheetId, sheetName, error.message);
+      if (error.code === sheetsUtils.MISSING_KEY_HEADER) throw error;
+      logger.error(`Could not plan changes for ${sheetName}: ${error.message}`);
+      return false;
+    }
+  }
+});
+
+module.exports = {
+  createDryRunPlan,
+  createDryRunSheetsUtils,
+  describeRowKey,
+  printDryRunPlan
+};
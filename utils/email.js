@@ -1,15 +1,36 @@
 const nodemailer = require('nodemailer');
+const { getConfig, getOptionalConfig, splitList } = require('./config');
 
-const EMAIL_CONFIG = {
-  service: 'gmail',
-  auth: {
-    user: 'satharva2004@gmail.com',
-    pass: 'rcut bssf vhex sadm' // App password
-  }
-};
+/**
+ * Read SMTP settings and recipients from the central config
+ * @returns {{service: string, auth: {user: string, pass: string}, from: string, to: Array<string>}} Email settings
+ */
+function getEmailConfig() {
+  const { SMTP_USER, SMTP_PASS, EMAIL_TO } = getConfig(['SMTP_USER', 'SMTP_PASS', 'EMAIL_TO']);
+  return {
+    service: getOptionalConfig('SMTP_SERVICE'),
+    auth: {
+      user: SMTP_USER,
+      pass: SMTP_PASS
+    },
+    from: getOptionalConfig('EMAIL_FROM', SMTP_USER),
+    to: splitList(EMAIL_TO)
+  };
+}
 
-const FROM_EMAIL = 'satharva2004@gmail.com';
-const TO_EMAIL = ['atharva.sawant@schbang.com', 'ansh.shetty@schbang.com', 'yadnesh.rane@schbang.com'];
+/**
+ * Escape text for interpolation into the email HTML
+ * @param {any} value - Text such as a group, profile or network name
+ * @returns {string} HTML-safe text
+ */
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
 
 /**
  * Sends an email with the given subject, HTML content, and optional attachments
@@ -21,16 +42,24 @@ const TO_EMAIL = ['atharva.sawant@schbang.com', 'ansh.shetty@schbang.com', 'yadn
 async function sendEmail(subject, html, attachments = []) {
   const results = [];
   let lastError = null;
+
+  let emailConfig;
+  try {
+    emailConfig = getEmailConfig();
+  } catch (error) {
+    console.error(`Email not sent: ${error.message}`);
+    return { success: false, error: error.message, details: results };
+  }
   
-  for (const email of TO_EMAIL) {
+  for (const email of emailConfig.to) {
     try {
       const transporter = nodemailer.createTransport({
-        service: EMAIL_CONFIG.service,
-        auth: EMAIL_CONFIG.auth
+        service: emailConfig.service,
+        auth: emailConfig.auth
       });
 
       const mailOptions = {
-        from: `"Automation Bot" <${FROM_EMAIL}>`,
+        from: `"Automation Bot" <${emailConfig.from}>`,
         to: email,
         subject: subject,
         html: html,
@@ -71,6 +100,10 @@ async function sendEmail(subject, html, attachments = []) {
  * @param {number} stats.completedSheets - Number of successfully processed sheets
  * @param {Array<string>} [stats.failedSheets=[]] - Array of failed sheet names
  * @param {Array<Object>} [stats.allResults=[]] - Array of group results
+ * @param {Array<{groupName: string, networks: string}>} [stats.unsupportedNetworks=[]] - Per group, the
+ *   profiles on networks without a platform module
+ * @param {boolean} [stats.unsupportedTab=false] - Whether those profiles' raw metrics were written to the
+ *   "Other Networks" tab
  * @param {string} [folderLink='#'] - Link to the output folder
  * @param {string} [processName='Automation Process'] - Name of the process
  * @returns {Promise<Object>} Email send result
@@ -82,7 +115,9 @@ const sendReportEmail = async ({
   allResults = [],
   spreadsheetUrl = '',
   groupName = 'Multiple Groups',
-  allGroupNames = []
+  allGroupNames = [],
+  unsupportedNetworks = [],
+  unsupportedTab = false
 }, folderLink = '#', processName = 'Automation Process') => {
   // Ensure all values are valid numbers
   const total = Math.max(0, parseInt(totalSheets) || 0);
@@ -124,9 +159,9 @@ const sendReportEmail = async ({
           <tbody>
             ${allResults.map(result => `
               <tr>
-                <td style="padding: 8px; border: 1px solid #ddd;">${result.groupName || 'N/A'}</td>
+                <td style="padding: 8px; border: 1px solid #ddd;">${escapeHtml(result.groupName || 'N/A')}</td>
                 <td style="padding: 8px; border: 1px solid #ddd; color: ${result.status === 'Success' ? '#0f9d58' : '#db4437'}">
-                  ${result.status || 'Unknown'}
+                  ${escapeHtml(result.status || 'Unknown')}
                 </td>
                 <td style="padding: 8px; border: 1px solid #ddd;">
                   ${result.spreadsheetUrl ? 
@@ -140,18 +175,37 @@ const sendReportEmail = async ({
       </div>`;
   }
   
+  // List profiles on unsupported networks, so missing or fallback-only channels are explained
+  let unsupportedHtml = '';
+  if (unsupportedNetworks && unsupportedNetworks.length > 0) {
+    unsupportedHtml = `
+      <h3 style="border-bottom: 1px solid #dadce0; padding-bottom: 8px; margin-top: 20px;">
+        Unsupported Networks
+      </h3>
+      <div style="padding: 15px; margin-bottom: 20px; background: #fef7e0; border-radius: 4px; border-left: 4px solid #ff9800;">
+        <p style="margin: 0 0 10px 0;">
+          ${unsupportedTab
+            ? 'These profiles use a network the report does not support yet, so their raw metrics are in the "Other Networks" tab:'
+            : 'These profiles use a network the report does not support yet, so they have no network tab:'}
+        </p>
+        <ul style="margin: 0; padding-left: 20px;">
+          ${unsupportedNetworks.map(({ groupName: name, networks }) => `<li><strong>${escapeHtml(name)}:</strong> ${escapeHtml(networks)}</li>`).join('')}
+        </ul>
+      </div>`;
+  }
+
   // Create a more informative summary
   const unprocessedCount = Math.max(0, total - successCount - failedCount);
   const allSuccessful = failedCount === 0 && unprocessedCount === 0;
   
   // Format groups display
   const groupsDisplay = allGroupNames.length > 0 
-    ? allGroupNames.map(name => `<span style="display: inline-block; background: #f1f3f4; padding: 2px 8px; border-radius: 12px; margin: 2px; font-size: 13px;">${name}</span>`).join(' ')
-    : groupName;
+    ? allGroupNames.map(name => `<span style="display: inline-block; background: #f1f3f4; padding: 2px 8px; border-radius: 12px; margin: 2px; font-size: 13px;">${escapeHtml(name)}</span>`).join(' ')
+    : escapeHtml(groupName);
 
   const html = `
     <div style="font-family: Arial, sans-serif; max-width: 800px; margin: 0 auto; padding: 20px; border: 1px solid #ddd; border-radius: 8px;">
-      <h2>${processName}</h2>
+      <h2>${escapeHtml(processName)}</h2>
       <div style="margin-bottom: 20px; font-size: 15px;">
         <div style="color: #5f6368; margin-bottom: 5px;">Processed Groups:</div>
         <div style="line-height: 1.8;">${groupsDisplay}</div>
@@ -194,7 +248,7 @@ const sendReportEmail = async ({
           ${failedCount > 0 ? `
           <li><strong>Failed to Process:</strong> <span style="color: #db4437;">${failedCount} ${failedCount === 1 ? 'file' : 'files'}</span>
             <ul style="margin: 5px 0 0 20px; padding-left: 10px; color: #db4437;">
-              ${failedSheets.map(sheet => `<li>${sheet}</li>`).join('')}
+              ${failedSheets.map(sheet => `<li>${escapeHtml(sheet)}</li>`).join('')}
             </ul>
           </li>
           ` : ''}
@@ -206,6 +260,8 @@ const sendReportEmail = async ({
       </div>
       
       ${groupResultsHtml}
+
+      ${unsupportedHtml}
       
       <div style="padding: 15px; margin-top: 20px; background: ${allSuccessful ? '#e6f4ea' : '#e8f0fe'}; border-radius: 4px; border-left: 4px solid ${allSuccessful ? '#0f9d58' : '#1a73e8'};">
         <p style="margin: 0; font-size: 14px; color: ${allSuccessful ? '#0f9d58' : '#1a73e8'}; font-weight: ${allSuccessful ? 'bold' : 'normal'}">
@@ -1,4 +1,5 @@
-require('dotenv').config();
+// Load .env and the local config file (see utils/config.js)
+require('./config').loadConfig();
 
 /**
  * Get Google Cloud Service Account credentials from environment variables
@@ -3,6 +3,9 @@
  */
 const axios = require('axios');
 const { getSproutHeaders } = require('./api');
+const { getNetworkKey } = require('./networks');
+const { sproutLimiter } = require('./rate-limit');
+const logger = require('./logger');
 
 /**
  * Get all customer groups from Sprout Social API
@@ -14,21 +17,22 @@ const { getSproutHeaders } = require('./api');
 const getCustomerGroups = async (baseUrl, customerId, token) => {
   try {
     const url = `${baseUrl}/${customerId}/metadata/customer/groups`;
-    console.log(`[API CALL] Fetching customer groups from: ${url}`);
+    logger.debug(`[API CALL] Fetching customer groups from: ${url}`);
     
+    await sproutLimiter.acquire();
     const response = await axios.get(url, { headers: getSproutHeaders(token) });
     
     if (response.data && response.data.data) {
-      console.log(`Found ${response.data.data.length} customer groups`);
+      logger.info(`Found ${response.data.data.length} customer groups`);
       return response.data.data;
     } else {
-      console.warn('No customer groups found');
+      logger.warn('No customer groups found');
       return [];
     }
   } catch (error) {
-    console.error(`Error fetching customer groups: ${error.message}`);
+    logger.error(`Error fetching customer groups: ${error.message}`);
     if (error.response) {
-      console.error('API Error Response:', {
+      logger.error('API Error Response:', {
         status: error.response.status,
         data: JSON.stringify(error.response.data)
       });
@@ -47,21 +51,22 @@ const getCustomerGroups = async (baseUrl, customerId, token) => {
 const getAllProfiles = async (baseUrl, customerId, token) => {
   try {
     const url = `${baseUrl}/${customerId}/metadata/customer`;
-    console.log(`[API CALL] Fetching all profiles from: ${url}`);
+    logger.debug(`[API CALL] Fetching all profiles from: ${url}`);
     
+    await sproutLimiter.acquire();
     const response = await axios.get(url, { headers: getSproutHeaders(token) });
     
     if (response.data && response.data.data) {
-      console.log(`Found ${response.data.data.length} profiles`);
+      logger.info(`Found ${response.data.data.length} profiles`);
       return response.data.data;
     } else {
-      console.warn('No profiles found');
+      logger.warn('No profiles found');
       return [];
     }
   } catch (error) {
-    console.error(`Error fetching profiles: ${error.message}`);
+    logger.error(`Error fetching profiles: ${error.message}`);
     if (error.response) {
-      console.error('API Error Response:', {
+      logger.error('API Error Response:', {
         status: error.response.status,
         data: JSON.stringify(error.response.data)
       });
@@ -99,8 +104,8 @@ const groupProfilesByGroup = (profiles, groups) => {
     profiles: []
   };
   
-  console.log(`Found ${profiles.length} profiles to organize into groups`);
-  console.log(`Found ${Object.keys(groupMap).length} groups from API`);
+  logger.info(`Found ${profiles.length} profiles to organize into groups`);
+  logger.info(`Found ${Object.keys(groupMap).length} groups from API`);
   
   // Add profiles to their respective groups
   profiles.forEach(profile => {
@@ -129,9 +134,9 @@ const groupProfilesByGroup = (profiles, groups) => {
   });
   
   // Log group information for debugging
-  console.log('Group information:');
+  logger.info('Group information:');
   for (const [groupId, groupData] of Object.entries(profilesByGroup)) {
-    console.log(`- Group ${groupData.groupName} (${groupId}): ${groupData.profiles.length} profiles`);
+    logger.info(`- Group ${groupData.groupName} (${groupId}): ${groupData.profiles.length} profiles`);
   }
   
   return profilesByGroup;
@@ -148,16 +153,10 @@ const groupProfilesByNetworkType = (profiles) => {
     youtube: [],
     linkedin: [],
     facebook: [],
-    twitter: []
-  };
-  
-  // Map of Sprout network types to our simplified network types
-  const networkTypeMapping = {
-    'linkedin_company': 'linkedin',
-    'fb_instagram_account': 'instagram',
-    'fb_page': 'facebook',
-    'youtube_channel': 'youtube',
-    'twitter_profile': 'twitter'
+    twitter: [],
+    tiktok: [],
+    pinterest: [],
+    threads: []
   };
   
   profiles.forEach(profile => {
@@ -165,16 +164,16 @@ const groupProfilesByNetworkType = (profiles) => {
     const originalNetworkType = profile.network_type;
     
     // Get our simplified network type from the mapping or use the lowercase original as fallback
-    const mappedNetworkType = networkTypeMapping[originalNetworkType] || originalNetworkType.toLowerCase();
+    const mappedNetworkType = getNetworkKey(originalNetworkType);
     
     // Log what network type we're processing
-    console.log(`Mapping network type: ${originalNetworkType} → ${mappedNetworkType}`);
+    logger.debug(`Mapping network type: ${originalNetworkType} → ${mappedNetworkType}`);
     
     // Add the profile to the appropriate network group if it exists
     if (profilesByNetwork[mappedNetworkType]) {
       profilesByNetwork[mappedNetworkType].push(profile);
     } else {
-      console.log(`Unrecognized network type: ${originalNetworkType}. Profile not assigned to any network group.`);
+      logger.info(`Unrecognized network type: ${originalNetworkType}. Profile not assigned to any network group.`);
     }
   });
   
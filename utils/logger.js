@@ -0,0 +1,136 @@
+/**
+ * Logging with levels and automatic redaction
+ *
+ * Drop-in replacement for console.log/warn/error: arguments are passed through to the console
+ * after secrets are masked. Masked automatically:
+ *   - object keys that look like credentials (authorization, token, password, private_key, ...)
+ *   - "Bearer <token>" strings and PEM private key blocks
+ *   - any configured secret value (see utils/config.js)
+ *
+ * The level is read from the LOG_LEVEL setting (debug, info, warn, error; default info).
+ * Verbose dumps such as raw data points and per-column row printouts use debug.
+ */
+
+const util = require('util');
+const { getOptionalConfig, redactSecrets } = require('./config');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REDACTED = '[REDACTED]';
+
+// Object keys whose values are never logged
+const SENSITIVE_KEY_PATTERN = /authorization|token|secret|pass(wd|word)?$|private_?key|api_?key|credentials_?json|cookie/i;
+
+const BEARER_PATTERN = /(Bearer\s+)[A-Za-z0-9._~+\/=-]+/gi;
+const PRIVATE_KEY_PATTERN = /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g;
+const MAX_DEPTH = 6;
+
+let currentLevel = null;
+
+/**
+ * Get the active log level, reading LOG_LEVEL on first use
+ * @returns {string} Level name
+ */
+const getLevel = () => {
+  if (!currentLevel) {
+    const configured = String(getOptionalConfig('LOG_LEVEL', 'info')).toLowerCase();
+    currentLevel = LEVELS[configured] ? configured : 'info';
+  }
+  return currentLevel;
+};
+
+/**
+ * Override the active log level (e.g. from a --verbose flag)
+ * @param {string} level - One of debug, info, warn, error
+ */
+const setLevel = (level) => {
+  if (!LEVELS[level]) {
+    throw new Error(`Unknown log level: ${level}`);
+  }
+  currentLevel = level;
+};
+
+/**
+ * Check whether messages at a level are currently written
+ * @param {string} level - Level name
+ * @returns {boolean} True if enabled
+ */
+const isLevelEnabled = (level) => LEVELS[level] >= LEVELS[getLevel()];
+
+/**
+ * Mask credentials inside a string
+ * @param {string} text - Text to clean
+ * @returns {string} Redacted text
+ */
+const redactString = (text) => {
+  return redactSecrets(text)
+    .replace(BEARER_PATTERN, `$1${REDACTED}`)
+    .replace(PRIVATE_KEY_PATTERN, `[REDACTED PRIVATE KEY]`);
+};
+
+/**
+ * Copy a value with credentials masked, so it can be passed to the console safely
+ * @param {*} value - Value to clean
+ * @param {number} [depth=0] - Current depth
+ * @param {WeakSet} [seen] - Objects already visited
+ * @returns {*} Redacted copy
+ */
+const sanitize = (value, depth = 0, seen = new WeakSet()) => {
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object') return value;
+
+  // Errors are reduced to their stack (or message); request configs and headers are dropped
+  if (value instanceof Error) {
+    const status = value.response?.status ? ` (status ${value.response.status})` : '';
+    const frames = String(value.stack || '').split('\n').filter(line => /^\s+at /.test(line));
+    return redactString([`${value.name}: ${value.message}${status}`, ...frames].join('\n'));
+  }
+  if (value instanceof Date) return value;
+  if (seen.has(value)) return '[Circular]';
+  if (depth >= MAX_DEPTH) return Array.isArray(value) ? '[Array]' : '[Object]';
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => sanitize(item, depth + 1, seen));
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = SENSITIVE_KEY_PATTERN.test(key) && item ? REDACTED : sanitize(item, depth + 1, seen);
+  }
+  return result;
+};
+
+/**
+ * Format log arguments the way console.log would, after redaction
+ * @param {Array} args - Log arguments
+ * @returns {string} Formatted message
+ */
+const format = (args) => util.format(...args.map(arg => sanitize(arg)));
+
+const debug = (...args) => {
+  if (isLevelEnabled('debug')) console.log(format(args));
+};
+
+const info = (...args) => {
+  if (isLevelEnabled('info')) console.log(format(args));
+};
+
+const warn = (...args) => {
+  if (isLevelEnabled('warn')) console.warn(format(args));
+};
+
+const error = (...args) => {
+  if (isLevelEnabled('error')) console.error(format(args));
+};
+
+module.exports = {
+  LEVELS,
+  debug,
+  info,
+  warn,
+  error,
+  getLevel,
+  setLevel,
+  isLevelEnabled,
+  sanitize
+};
@@ -0,0 +1,184 @@
+/**
+ * Run manifests
+ *
+ * Every profiles run writes a machine-readable manifest to .sprout-runs/ describing what it did:
+ * the run options (never the API token), and one entry per unit of work (group, network and
+ * date window) with its spreadsheet, status and error. `sprout-sync retry-failed` reads the
+ * latest manifest and reprocesses exactly the failed units.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { getUnitKey } = require('./checkpoint');
+
+const DEFAULT_MANIFEST_DIR = path.join(__dirname, '..', '.sprout-runs');
+const MANIFEST_VERSION = 1;
+
+// Unit statuses
+const UNIT_STATUS = {
+  COMPLETED: 'completed',
+  NO_DATA: 'no_data',
+  SKIPPED: 'skipped',
+  FAILED: 'failed'
+};
+
+// Run options copied into the manifest so a retry can reproduce the run
+const MANIFEST_OPTION_KEYS = ['customerId', 'folderId', 'startDate', 'endDate', 'spreadsheetPrefix', 'mode', 'groups', 'description', 'unsupportedTab', 'rollups'];
+
+/**
+ * Create a manifest recorder for a run
+ * @param {Object} options - Run options (see runProfilesSync)
+ * @param {Object} [settings]
+ * @param {string} [settings.dir] - Directory to write manifests to
+ * @param {string} [settings.command='profiles'] - Command that produced the run
+ * @returns {Object} Recorder with recordUnit, recordGroup, save and getFailedUnits
+ */
+const createRunManifest = (options, { dir = DEFAULT_MANIFEST_DIR, command = 'profiles' } = {}) => {
+  const startedAt = new Date().toISOString();
+  const manifest = {
+    version: MANIFEST_VERSION,
+    command,
+    startedAt,
+    finishedAt: null,
+    status: 'running',
+    error: null,
+    options: {},
+    groups: [],
+    units: []
+  };
+  for (const key of MANIFEST_OPTION_KEYS) {
+    if (options[key] !== undefined) manifest.options[key] = options[key];
+  }
+  const filePath = path.join(dir, `manifest-${startedAt.replace(/[:.]/g, '-')}.json`);
+
+  return {
+    filePath,
+
+    /**
+     * Record the outcome of one group/network/window unit; later records for the same unit replace earlier ones
+     * @param {Object} unit - { groupId, groupName, spreadsheetId, network, window, status, rows, error, warnings }
+     */
+    recordUnit: (unit) => {
+      const entry = {
+        groupId: String(unit.groupId),
+        groupName: unit.groupName,
+        spreadsheetId: unit.spreadsheetId || null,
+        network: unit.network,
+        window: { startDate: unit.window.startDate, endDate: unit.window.endDate },
+        status: unit.status,
+        rows: unit.rows || 0,
+        error: unit.error || null
+      };
+      // Problems that did not fail the unit, such as rollup periods without data
+      if (unit.warnings && unit.warnings.length > 0) {
+        entry.warnings = unit.warnings;
+      }
+      const key = getUnitKey(entry.groupId, entry.network, entry.window);
+      const index = manifest.units.findIndex(u => getUnitKey(u.groupId, u.network, u.window) === key);
+      if (index >= 0) {
+        manifest.units[index] = entry;
+      } else {
+        manifest.units.push(entry);
+      }
+    },
+
+    /**
+     * Record a group's overall result
+     * @param {Object} result - Group result returned by processGroupAnalytics
+     */
+    recordGroup: (result) => {
+      manifest.groups.push({
+        groupId: String(result.groupId),
+        groupName: result.groupName,
+        spreadsheetId: result.spreadsheetId || null,
+        status: result.status,
+        unsupportedNetworks: result.unsupportedNetworks || []
+      });
+    },
+
+    /**
+     * Write the manifest to disk
+     * @param {Error} [error] - Error that ended the run, if any
+     * @returns {string|null} Manifest path, or null when it could not be written
+     */
+    save: (error) => {
+      manifest.finishedAt = new Date().toISOString();
+      manifest.error = error ? error.message : null;
+      const failed = manifest.units.some(u => u.status === UNIT_STATUS.FAILED);
+      manifest.status = error ? 'failed' : (failed ? 'partial' : 'completed');
+      try {
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(filePath, JSON.stringify(manifest, null, 2));
+        logger.info(`Run manifest written to ${filePath} (${manifest.status})`);
+        return filePath;
+      } catch (writeError) {
+        logger.warn(`Could not write run manifest to ${filePath}: ${writeError.message}`);
+        return null;
+      }
+    },
+
+    /**
+     * @returns {Array<Object>} Units recorded as failed so far
+     */
+    getFailedUnits: () => manifest.units.filter(u => u.status === UNIT_STATUS.FAILED)
+  };
+};
+
+/**
+ * Find the most recent manifest in a directory
+ * @param {string} [dir] - Manifest directory
+ * @returns {string|null} Path of the latest manifest, or null when there is none
+ */
+const findLatestManifest = (dir = DEFAULT_MANIFEST_DIR) => {
+  if (!fs.existsSync(dir)) return null;
+  const files = fs.readdirSync(dir)
+    .filter(name => /^manifest-.*\.json$/.test(name))
+    .sort();
+  return files.length > 0 ? path.join(dir, files[files.length - 1]) : null;
+};
+
+/**
+ * Read a manifest file
+ * @param {string} filePath - Manifest path
+ * @returns {Object} Manifest contents
+ */
+const readManifest = (filePath) => {
+  const manifest = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!manifest || manifest.version !== MANIFEST_VERSION || !Array.isArray(manifest.units)) {
+    throw new Error(`Unsupported or invalid run manifest: ${filePath}`);
+  }
+  return manifest;
+};
+
+/**
+ * Work out what a retry of a manifest needs to run
+ * @param {Object} manifest - Manifest contents
+ * @returns {{options: Object, groups: Array<string>, units: Set<string>|null}|null} Retry plan; units is null
+ *   when the whole run failed before any unit ran. Null when there is nothing to retry.
+ */
+const getRetryPlan = (manifest) => {
+  const failedUnits = manifest.units.filter(u => u.status === UNIT_STATUS.FAILED);
+
+  if (failedUnits.length === 0) {
+    if (manifest.status === 'failed' && manifest.units.length === 0) {
+      return { options: manifest.options, groups: manifest.options.groups || [], units: null };
+    }
+    return null;
+  }
+
+  return {
+    options: manifest.options,
+    groups: [...new Set(failedUnits.map(u => u.groupId))],
+    units: new Set(failedUnits.map(u => getUnitKey(u.groupId, u.network, u.window)))
+  };
+};
+
+module.exports = {
+  DEFAULT_MANIFEST_DIR,
+  UNIT_STATUS,
+  createRunManifest,
+  findLatestManifest,
+  readManifest,
+  getRetryPlan
+};
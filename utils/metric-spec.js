@@ -0,0 +1,217 @@
+/**
+ * Declarative metric specs for the profile analytics tabs
+ *
+ * A platform module describes its tab as a list of columns; the sheet headers, the metric keys
+ * requested from the analytics API and the row formatter are all generated from that list, so a
+ * row always has one value per header. Each column has a header and exactly one source:
+ *
+ *   { header: 'Date', date: true }                                     reporting day (or first day of the
+ *                                                                      week or month), YYYY-MM-DD
+ *   { header: 'Profile Name', profile: 'name' }                        profile metadata field
+ *   { header: 'Reach', metric: 'impressions_unique' }                  API metric
+ *   { header: 'Total Clicks', sum: ['post_link_clicks', 'post_content_clicks'] }
+ *   { header: 'Save Rate %', rate: { of: 'saves', per: 'impressions' } }
+ *   { header: 'Net Growth', formula: (v) => v.gained - v.lost, metrics: ['gained', 'lost'] }
+ *
+ * and an optional format:
+ *   number  - numeric value, 0 when missing (default for metric, sum and formula)
+ *   percent - fraction * 100 rounded to two decimals, 0 when missing (default for rate, whose
+ *             fraction is of/per, 0 when per is 0)
+ *   json    - objects as JSON, '' when missing (breakdown metrics such as posts_sent_by_post_type;
+ *             json metric columns are also listed in the spec's breakdowns for the Breakdowns tab)
+ *   text    - value as a string, '' when missing
+ *   raw     - value as is (default for profile fields)
+ *
+ * Adding a metric to a tab is one new column line.
+ */
+
+const { safeNumber, getReportingPeriod } = require('./api');
+const logger = require('./logger');
+
+const INVALID_METRIC_SPEC = 'INVALID_METRIC_SPEC';
+
+const SOURCES = ['date', 'profile', 'metric', 'sum', 'rate', 'formula'];
+const FORMATS = ['number', 'percent', 'json', 'text', 'raw'];
+
+/**
+ * Apply a column format to a value
+ * @param {any} value - Value read or computed for the column
+ * @param {string} format - One of FORMATS
+ * @returns {any} Cell value
+ */
+const formatValue = (value, format) => {
+  switch (format) {
+    case 'number':
+      return safeNumber(value);
+    case 'percent':
+      return parseFloat((safeNumber(value) * 100).toFixed(2));
+    case 'json':
+      if (value === null || value === undefined) return '';
+      return typeof value === 'object' ? JSON.stringify(value) : value;
+    case 'text':
+      return value === null || value === undefined ? '' : String(value);
+    default:
+      return value;
+  }
+};
+
+/**
+ * @param {string|Array<string>} keys - One metric key or several
+ * @returns {Array<string>} Metric keys as a list
+ */
+const toKeyList = (keys) => (Array.isArray(keys) ? keys : [keys]);
+
+/**
+ * Sum the numeric values of metric keys
+ * @param {Object} metrics - Metrics of a data point
+ * @param {string|Array<string>} keys - Metric keys
+ * @returns {number} Sum (missing metrics count as 0)
+ */
+const sumMetrics = (metrics, keys) => toKeyList(keys).reduce((total, key) => total + safeNumber(metrics[key]), 0);
+
+/**
+ * Throw an INVALID_METRIC_SPEC error
+ * @param {string} message - Error message
+ */
+const invalidSpec = (message) => {
+  const error = new Error(message);
+  error.code = INVALID_METRIC_SPEC;
+  throw error;
+};
+
+/**
+ * Check a column list and work out each column's format
+ * @param {string} label - Network label used in messages
+ * @param {Array<Object>} columns - Column specs
+ * @returns {Array<Object>} Columns with source and format resolved
+ */
+const resolveColumns = (label, columns) => {
+  if (!Array.isArray(columns) || columns.length === 0) {
+    invalidSpec(`${label} metric spec has no columns`);
+  }
+  const seen = new Set();
+  return columns.map((column, index) => {
+    const sources = SOURCES.filter(source => column[source] !== undefined);
+    if (!column.header) invalidSpec(`${label} column ${index + 1} has no header`);
+    if (seen.has(column.header)) invalidSpec(`${label} column "${column.header}" is defined twice`);
+    seen.add(column.header);
+    if (sources.length !== 1) {
+      invalidSpec(`${label} column "${column.header}" needs exactly one of ${SOURCES.join(', ')} (found ${sources.join(', ') || 'none'})`);
+    }
+    const source = sources[0];
+    if (source === 'rate' && (!column.rate.of || !column.rate.per)) {
+      invalidSpec(`${label} column "${column.header}" rate needs "of" and "per" metrics`);
+    }
+    if (source === 'formula' && (typeof column.formula !== 'function' || !Array.isArray(column.metrics))) {
+      invalidSpec(`${label} column "${column.header}" formula needs a function and its metrics list`);
+    }
+    const defaultFormat = source === 'rate' ? 'percent' : (source === 'profile' || source === 'date' ? 'raw' : 'number');
+    const format = column.format || defaultFormat;
+    if (!FORMATS.includes(format)) invalidSpec(`${label} column "${column.header}" has unknown format "${format}"`);
+    return { ...column, source, format };
+  });
+};
+
+/**
+ * @param {Object} column - Resolved column
+ * @returns {Array<string>} Metric keys the column reads
+ */
+const columnMetrics = (column) => {
+  switch (column.source) {
+    case 'metric':
+      return [column.metric];
+    case 'sum':
+      return toKeyList(column.sum);
+    case 'rate':
+      return [...toKeyList(column.rate.of), column.rate.per];
+    case 'formula':
+      return column.metrics;
+    default:
+      return [];
+  }
+};
+
+/**
+ * Compute a column's cell value
+ * @param {Object} column - Resolved column
+ * @param {{date: string, metrics: Object, profile: Object}} context - Data point being formatted
+ * @returns {any} Cell value
+ */
+const columnValue = (column, { date, metrics, profile }) => {
+  switch (column.source) {
+    case 'date':
+      return date;
+    case 'profile':
+      return formatValue(profile ? profile[column.profile] : '', column.format);
+    case 'metric':
+      return formatValue(metrics[column.metric], column.format);
+    case 'sum':
+      return formatValue(sumMetrics(metrics, column.sum), column.format);
+    case 'rate': {
+      const per = safeNumber(metrics[column.rate.per]);
+      return formatValue(per > 0 ? sumMetrics(metrics, column.rate.of) / per : 0, column.format);
+    }
+    case 'formula': {
+      const values = Object.fromEntries(column.metrics.map(key => [key, safeNumber(metrics[key])]));
+      return formatValue(column.formula(values), column.format);
+    }
+    default:
+      return '';
+  }
+};
+
+/**
+ * Build the headers, API metric list and row formatter for a tab from its columns
+ * @param {string} label - Network label used in log messages, e.g. 'LinkedIn'
+ * @param {Array<Object>} columns - Column specs (see the top of this file)
+ * @returns {{headers: Array<string>, metrics: Array<string>, breakdowns: Array<Object>, formatRow: Function}}
+ *   Sheet headers, metric keys to request (in column order, without duplicates), the breakdown
+ *   metric columns as { header, metric }, and formatRow(dataPoint, profileData) returning a row
+ *   or null when the data point is unusable
+ * @throws {Error} INVALID_METRIC_SPEC when a column is malformed
+ */
+const createMetricSpec = (label, columns) => {
+  const resolved = resolveColumns(label, columns);
+  const headers = resolved.map(column => column.header);
+  const metrics = [...new Set(resolved.flatMap(columnMetrics))];
+  const breakdowns = resolved
+    .filter(column => column.source === 'metric' && column.format === 'json')
+    .map(({ header, metric }) => ({ header, metric }));
+
+  const formatRow = (dataPoint, profileData) => {
+    try {
+      if (!dataPoint || !dataPoint.metrics) {
+        logger.error(`Invalid ${label} data point received for formatting:`, dataPoint);
+        return null;
+      }
+
+      const reportingPeriod = getReportingPeriod(dataPoint.dimensions);
+
+      if (!reportingPeriod) {
+        logger.error(`No reporting period found in ${label} dataPoint:`, dataPoint);
+        return null;
+      }
+
+      const context = {
+        date: new Date(reportingPeriod).toISOString().split('T')[0],
+        metrics: dataPoint.metrics,
+        profile: profileData
+      };
+      const row = resolved.map(column => columnValue(column, context));
+      logger.debug(`Formatted ${label} row:`, row);
+      return row;
+    } catch (error) {
+      logger.error(`Error formatting ${label} analytics data: ${error.message}`);
+      logger.debug('Data point:', dataPoint);
+      logger.debug('Profile data:', profileData);
+      return null;
+    }
+  };
+
+  return { headers, metrics, breakdowns, formatRow };
+};
+
+module.exports = {
+  INVALID_METRIC_SPEC,
+  createMetricSpec
+};
@@ -0,0 +1,62 @@
+/**
+ * Sprout Social network type utilities
+ */
+
+// Map of Sprout network types to our simplified network types
+const NETWORK_TYPE_MAPPING = {
+  'linkedin_company': 'linkedin',
+  'fb_instagram_account': 'instagram',
+  'fb_page': 'facebook',
+  'youtube_channel': 'youtube',
+  'twitter_profile': 'twitter',
+  'tiktok_account': 'tiktok',
+  'pinterest': 'pinterest',
+  'threads': 'threads'
+};
+
+/**
+ * Get the simplified network type for a Sprout network type
+ * @param {string} networkType - Network type from the Sprout profile metadata
+ * @returns {string} Simplified network type (lowercased original when not mapped)
+ */
+const getNetworkKey = (networkType) => {
+  return NETWORK_TYPE_MAPPING[networkType] || (networkType || '').toLowerCase();
+};
+
+/**
+ * Find the profiles whose network has no platform module, grouped by network
+ * @param {Array} profiles - Profiles with network_type, customer_profile_id and name
+ * @param {Object} modules - Platform modules keyed by simplified network type
+ * @returns {Array<{networkType: string, networkKey: string, profiles: Array<{profileId: string, name: string}>}>}
+ *   One entry per unsupported network, with the Sprout network type as reported by the API
+ */
+const findUnsupportedNetworks = (profiles, modules) => {
+  const byKey = new Map();
+  for (const profile of profiles || []) {
+    const networkKey = getNetworkKey(profile.network_type);
+    if (modules[networkKey]) continue;
+    if (!byKey.has(networkKey)) {
+      byKey.set(networkKey, { networkType: profile.network_type || '(none)', networkKey, profiles: [] });
+    }
+    byKey.get(networkKey).profiles.push({ profileId: String(profile.customer_profile_id), name: profile.name || '' });
+  }
+  return [...byKey.values()];
+};
+
+/**
+ * Describe unsupported networks for logs and emails, e.g. "snapchat (Brand Snap, Brand Snap 2)"
+ * @param {Array} unsupportedNetworks - Result of findUnsupportedNetworks
+ * @returns {string} One "type (profile names)" entry per network, separated by "; "
+ */
+const describeUnsupportedNetworks = (unsupportedNetworks) => {
+  return (unsupportedNetworks || [])
+    .map(({ networkType, profiles }) => `${networkType} (${profiles.map(p => p.name || p.profileId).join(', ')})`)
+    .join('; ');
+};
+
+module.exports = {
+  NETWORK_TYPE_MAPPING,
+  getNetworkKey,
+  findUnsupportedNetworks,
+  describeUnsupportedNetworks
+};
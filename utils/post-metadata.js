@@ -0,0 +1,104 @@
+/**
+ * Sprout Social tag and user metadata for post rows
+ *
+ * Posts only carry tag IDs (internal.tags) and the sender's ID (internal.sent_by). The customer's
+ * tags and users are fetched once per run and cached, so post rows can show campaign tag names
+ * and author names instead.
+ */
+const axios = require('axios');
+const { getSproutHeaders, requestWithRetry } = require('./api');
+const logger = require('./logger');
+
+// One pending or settled lookup per base URL and customer
+const metadataCache = new Map();
+
+/**
+ * Fetch a customer metadata list
+ * @param {string} url - Metadata endpoint URL
+ * @param {string} token - API token
+ * @param {string} label - Label used in logs
+ * @returns {Promise<Array>} Items of the response (empty when the request failed)
+ */
+const fetchMetadataList = async (url, token, label) => {
+  logger.info(`[API CALL] Fetching ${label} from: ${url}`);
+  const response = await requestWithRetry(() => axios.get(url, { headers: getSproutHeaders(token) }), label, 3);
+  const items = response?.data?.data;
+  if (!Array.isArray(items)) {
+    logger.warn(`No ${label} returned; post rows will show IDs instead of names`);
+    return [];
+  }
+  logger.info(`Found ${items.length} ${label}`);
+  return items;
+};
+
+/**
+ * Index tag and user metadata by ID
+ * @param {Array<{tag_id: number, text: string}>} tags - Customer tags
+ * @param {Array<{id: number, name: string, email: string}>} users - Customer users
+ * @returns {{tagNames: Map<string, string>, userNames: Map<string, string>}} Names keyed by ID as a string
+ */
+const buildPostMetadata = (tags = [], users = []) => ({
+  tagNames: new Map(tags
+    .filter(tag => tag && tag.tag_id !== undefined && tag.text)
+    .map(tag => [String(tag.tag_id), tag.text])),
+  userNames: new Map(users
+    .filter(user => user && user.id !== undefined && (user.name || user.email))
+    .map(user => [String(user.id), user.name || user.email]))
+});
+
+/**
+ * Get the customer's tag and user names, fetching them on first use and reusing them afterwards
+ * @param {string} baseUrl - Base API URL
+ * @param {string} customerId - Customer ID
+ * @param {string} token - API token
+ * @returns {Promise<{tagNames: Map<string, string>, userNames: Map<string, string>}>} Names keyed by ID
+ */
+const getPostMetadata = (baseUrl, customerId, token) => {
+  const cacheKey = `${baseUrl}|${customerId}`;
+  if (!metadataCache.has(cacheKey)) {
+    const pending = Promise.all([
+      fetchMetadataList(`${baseUrl}/${customerId}/metadata/customer/tags`, token, 'customer tags'),
+      fetchMetadataList(`${baseUrl}/${customerId}/metadata/customer/users`, token, 'customer users')
+    ]).then(([tags, users]) => buildPostMetadata(tags, users));
+    metadataCache.set(cacheKey, pending);
+  }
+  return metadataCache.get(cacheKey);
+};
+
+/**
+ * Tag names of a post, in the order Sprout returns them
+ * @param {Object} dataPoint - Post from the posts analytics endpoint
+ * @param {Object} [metadata] - Result of getPostMetadata
+ * @returns {string} Comma-separated tag names ('' when untagged); unknown tags keep their ID
+ */
+const formatPostTags = (dataPoint, metadata) => {
+  const tags = dataPoint?.internal?.tags;
+  if (!Array.isArray(tags)) return '';
+  return tags
+    .map(tag => (tag && typeof tag === 'object' ? tag.id : tag))
+    .filter(id => id !== undefined && id !== null && id !== '')
+    .map(id => metadata?.tagNames?.get(String(id)) || String(id))
+    .join(', ');
+};
+
+/**
+ * Name of the user who sent a post
+ * @param {Object} dataPoint - Post from the posts analytics endpoint
+ * @param {Object} [metadata] - Result of getPostMetadata
+ * @returns {string} User name from metadata, else the name or email on the post ('' when unknown)
+ */
+const formatPostAuthor = (dataPoint, metadata) => {
+  const sentBy = dataPoint?.internal?.sent_by;
+  if (!sentBy || typeof sentBy !== 'object') return '';
+  const knownName = sentBy.id !== undefined && sentBy.id !== null ? metadata?.userNames?.get(String(sentBy.id)) : undefined;
+  if (knownName) return knownName;
+  const fullName = [sentBy.first_name, sentBy.last_name].filter(Boolean).join(' ');
+  return fullName || sentBy.email || (sentBy.id !== undefined && sentBy.id !== null ? String(sentBy.id) : '');
+};
+
+module.exports = {
+  buildPostMetadata,
+  getPostMetadata,
+  formatPostTags,
+  formatPostAuthor
+};
@@ -0,0 +1,113 @@
+/**
+ * Rolling refresh policy for the post-level tabs
+ *
+ * Post metrics are lifetime totals that keep growing for weeks after a post goes out. Posts created
+ * in the refresh window (the last POST_REFRESH_DAYS days up to the run's end date) are fetched on
+ * every run and their rows updated in place; older rows are frozen and left as they are. A tab
+ * without posts is backfilled from the pipeline's start date, and when its newest post is older
+ * than the window (runs were missed) fetching starts the day before that post so the gap is filled.
+ */
+
+// Header of the column holding when a post row's metrics were last fetched
+const METRICS_AS_OF_HEADER = 'Metrics As Of';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {string} isoDate - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} Shifted date in YYYY-MM-DD format
+ */
+const shiftDate = (isoDate, days) => new Date(Date.parse(`${isoDate}T00:00:00Z`) + days * DAY_MS).toISOString().split('T')[0];
+
+/**
+ * Read the UTC day of a post's created time as written to or read back from a sheet
+ * @param {*} value - ISO timestamp, YYYY-MM-DD string or Sheets date serial number
+ * @returns {string} Date in YYYY-MM-DD format, or '' when not a date
+ */
+const toPostDate = (value) => {
+  if (value === null || value === undefined) return '';
+  const raw = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}/.test(raw)) return raw.slice(0, 10);
+  if (raw !== '' && !isNaN(Number(raw))) {
+    // Sheets serial number: days since 1899-12-30
+    return new Date(Date.UTC(1899, 11, 30) + Number(raw) * DAY_MS).toISOString().split('T')[0];
+  }
+  const parsed = new Date(raw);
+  return isNaN(parsed.getTime()) ? '' : parsed.toISOString().split('T')[0];
+};
+
+/**
+ * Work out which days of posts to fetch for a tab
+ * @param {Array} existingRows - Current tab values, header row first (empty when the tab is new)
+ * @param {Object} options
+ * @param {string} options.dateHeader - Header of the created time column
+ * @param {string} options.startDate - Earliest date the pipeline covers (YYYY-MM-DD)
+ * @param {string} options.endDate - Run end date (YYYY-MM-DD)
+ * @param {number} options.refreshDays - Age in days below which posts are refreshed
+ * @returns {{startDate: string, endDate: string, refreshStart: string}} Days to fetch, and the first
+ *   day of the refresh window
+ */
+const getRefreshWindow = (existingRows, { dateHeader, startDate, endDate, refreshDays }) => {
+  const refreshStart = [shiftDate(endDate, -(Math.max(1, refreshDays) - 1)), startDate].sort()[1];
+
+  const headerRow = existingRows[0] || [];
+  const dateColumn = headerRow.indexOf(dateHeader);
+  const postDates = dateColumn === -1
+    ? []
+    : existingRows.slice(1).map(row => toPostDate(row && row[dateColumn])).filter(Boolean);
+  if (postDates.length === 0) {
+    return { startDate, endDate, refreshStart };
+  }
+
+  const newestPost = postDates.sort()[postDates.length - 1];
+  const fetchStart = [refreshStart, shiftDate(newestPost, -1)].sort()[0];
+  return { startDate: [fetchStart, startDate].sort()[1], endDate, refreshStart };
+};
+
+/**
+ * Find rows of posts that were refetched but no longer came back (e.g. deleted on the network)
+ *
+ * Only rows of the given profiles are considered, and only from the day after the fetch start:
+ * the API filters days in the account's time zone while the sheet holds UTC times, so posts on
+ * the first day may fall just outside the request.
+ * @param {Array} existingRows - Current tab values, header row first
+ * @param {Array} freshRows - Rows formatted from this run's posts
+ * @param {Object} options
+ * @param {Array<string>} options.headers - Header row of freshRows
+ * @param {Array<string>} options.keyHeaders - Module KEY_HEADERS (created time first)
+ * @param {{startDate: string, endDate: string}} options.window - Days that were fetched
+ * @param {Array<string>} options.profileIds - Profiles whose posts were fetched completely
+ * @returns {Array<number>} 1-based sheet rows to delete
+ */
+const findVanishedPostRows = (existingRows, freshRows, { headers, keyHeaders, window, profileIds }) => {
+  const headerRow = existingRows[0] || [];
+  const [dateHeader, ...idHeaders] = keyHeaders;
+  const existingColumns = [dateHeader, ...idHeaders].map(header => headerRow.indexOf(header));
+  if (existingColumns.includes(-1)) return [];
+  const [dateColumn, ...idColumns] = existingColumns;
+  const freshColumns = idHeaders.map(header => headers.indexOf(header));
+  const profileColumn = headerRow.indexOf('Profile ID');
+
+  const rowKey = (row, columns) => columns.map(col => String(row[col] == null ? '' : row[col]).trim()).join('|');
+  const freshKeys = new Set(freshRows.map(row => rowKey(row, freshColumns)));
+  const refreshedProfiles = new Set(profileIds.map(String));
+  const firstPrunedDay = shiftDate(window.startDate, 1);
+
+  const vanished = [];
+  for (let i = 1; i < existingRows.length; i++) {
+    const row = existingRows[i] || [];
+    const postDate = toPostDate(row[dateColumn]);
+    if (!postDate || postDate < firstPrunedDay || postDate > window.endDate) continue;
+    if (profileColumn !== -1 && !refreshedProfiles.has(String(row[profileColumn]).trim())) continue;
+    if (!freshKeys.has(rowKey(row, idColumns))) vanished.push(i + 1);
+  }
+  return vanished;
+};
+
+module.exports = {
+  METRICS_AS_OF_HEADER,
+  toPostDate,
+  getRefreshWindow,
+  findVanishedPostRows
+};
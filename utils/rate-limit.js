@@ -0,0 +1,169 @@
+/**
+ * Shared rate limiting and scheduling
+ *
+ * One token-bucket limiter guards every Sprout API request and another every Google Sheets
+ * write, so groups can be processed in parallel without exceeding per-minute quotas. Rates are
+ * read from SPROUT_REQUESTS_PER_MINUTE and SHEETS_WRITES_PER_MINUTE (see utils/config.js).
+ */
+
+const { getOptionalConfig } = require('./config');
+const logger = require('./logger');
+
+/**
+ * Sleep for a specified duration
+ * @param {number} ms - Milliseconds to sleep
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Create a token-bucket limiter. Tokens refill continuously at ratePerMinute up to burst;
+ * callers waiting for a token are served in the order they asked.
+ * @param {Object} options
+ * @param {string} options.name - Name used in log messages
+ * @param {number} options.ratePerMinute - Sustained calls allowed per minute
+ * @param {number} [options.burst=1] - Calls allowed back to back after an idle period
+ * @returns {{name: string, acquire: Function}} Limiter; await acquire() before each call
+ */
+const createTokenBucket = ({ name, ratePerMinute, burst = 1 }) => {
+  if (!(ratePerMinute > 0)) {
+    throw new Error(`${name} limiter needs a positive rate per minute (got ${ratePerMinute})`);
+  }
+  const capacity = Math.max(1, Math.floor(burst));
+  const refillIntervalMs = 60 * 1000 / ratePerMinute;
+  let tokens = capacity;
+  let refilledAt = Date.now();
+  let queue = Promise.resolve();
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + (now - refilledAt) / refillIntervalMs);
+    refilledAt = now;
+  };
+
+  const take = async () => {
+    refill();
+    while (tokens < 1) {
+      const waitMs = Math.ceil((1 - tokens) * refillIntervalMs);
+      logger.debug(`[RateLimit] ${name}: waiting ${waitMs}ms for a token`);
+      await sleep(waitMs);
+      refill();
+    }
+    tokens -= 1;
+  };
+
+  return {
+    name,
+    acquire: () => {
+      const turn = queue.then(take);
+      queue = turn.catch(() => {});
+      return turn;
+    }
+  };
+};
+
+/**
+ * Create a process-wide limiter whose rate is read from configuration on first use
+ * @param {string} name - Name used in log messages
+ * @param {string} settingName - Config setting holding the rate per minute
+ * @param {number} burst - Calls allowed back to back after an idle period
+ * @returns {{name: string, acquire: Function}} Limiter
+ */
+const createSharedLimiter = (name, settingName, burst) => {
+  let bucket = null;
+  return {
+    name,
+    acquire: () => {
+      if (!bucket) {
+        const ratePerMinute = Number(getOptionalConfig(settingName));
+        bucket = createTokenBucket({ name, ratePerMinute, burst });
+        logger.debug(`[RateLimit] ${name}: ${ratePerMinute} calls/min, burst ${burst}`);
+      }
+      return bucket.acquire();
+    }
+  };
+};
+
+// Shared limiters used by utils/api.js, utils/groups.js, utils/sheets.js and the entry scripts
+const sproutLimiter = createSharedLimiter('Sprout API', 'SPROUT_REQUESTS_PER_MINUTE', 5);
+const sheetsWriteLimiter = createSharedLimiter('Sheets writes', 'SHEETS_WRITES_PER_MINUTE', 5);
+
+/**
+ * Check whether an error is a quota or rate-limit response
+ * @param {Error} err - Error to check
+ * @returns {boolean} True for 429s and quota messages
+ */
+const isQuotaError = (err) => {
+  const code = err?.code || err?.response?.status;
+  return code === 429 || /quota exceeded|rate limit/i.test(err?.message || '');
+};
+
+/**
+ * Check whether an error says a write fell outside the sheet's grid
+ * @param {Error} err - Error to check
+ * @returns {boolean} True for grid-limit errors
+ */
+const isGridLimitError = (err) => /exceeds grid limits|grid limits/i.test(err?.message || '');
+
+/**
+ * Retry a call on retryable errors with exponential backoff and jitter
+ * @param {Function} fn - Async function to run
+ * @param {Object} [options]
+ * @param {number} [options.maxAttempts=7] - Attempts before giving up
+ * @param {number} [options.baseDelayMs=30000] - Delay before the first retry; doubles each time
+ * @param {Function} [options.isRetryable=isQuotaError] - Decides whether an error is worth retrying
+ * @param {Function} [options.onBeforeRetry] - Async hook called with (attempt, err) before each retry
+ * @returns {Promise<*>} Result of fn
+ */
+const retryWithBackoff = async (fn, {
+  maxAttempts = 7,
+  baseDelayMs = 30000,
+  isRetryable = isQuotaError,
+  onBeforeRetry = async () => {}
+} = {}) => {
+  let attempt = 0;
+  while (true) {
+    try {
+      return await fn();
+    } catch (err) {
+      attempt++;
+      if (!isRetryable(err) || attempt >= maxAttempts) throw err;
+
+      const delay = Math.round(baseDelayMs * Math.pow(2, attempt - 1) * (0.8 + Math.random() * 0.4));
+      logger.warn(`Write failed (${err?.message || err}). Cooling down for ${Math.round(delay/1000)}s before retry ${attempt}/${maxAttempts}...`);
+      await onBeforeRetry(attempt, err);
+      await sleep(delay);
+    }
+  }
+};
+
+/**
+ * Run a worker over items with at most `limit` running at once
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent workers
+ * @param {Function} worker - Async function called with (item, index)
+ * @returns {Promise<Array>} Worker results in item order
+ */
+const runWithConcurrency = async (items, limit, worker) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const runners = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+  return results;
+};
+
+module.exports = {
+  sleep,
+  createTokenBucket,
+  sproutLimiter,
+  sheetsWriteLimiter,
+  isQuotaError,
+  isGridLimitError,
+  retryWithBackoff,
+  runWithConcurrency
+};
@@ -2,8 +2,23 @@
  * Google Sheets utility functions
  */
 const { google } = require('googleapis');
+const { sheetsWriteLimiter, isQuotaError, isGridLimitError } = require('./rate-limit');
 const fs = require('fs');
-const sheets = google.sheets('v4');
+const logger = require('./logger');
+
+// Sheets client shared by the helpers below; tests swap in a fake with setSheetsClient
+let sheets = google.sheets('v4');
+
+/**
+ * Replace the Sheets client used by this module (e.g. with test/support/google-fake.js)
+ * @param {Object} [client] - Sheets v4 client; omit to restore the googleapis client
+ * @returns {Object} The client that was in use before
+ */
+const setSheetsClient = (client) => {
+  const previous = sheets;
+  sheets = client || google.sheets('v4');
+  return previous;
+};
 
 /**
  * Authenticate with Google Sheets API
@@ -21,7 +36,7 @@ const getGoogleAuth = async (credentialsPath) => {
       if (auth.authorize) {
         try { await auth.authorize(); } catch (_) {}
       }
-      console.log('Successfully authenticated with Google Sheets API via ADC');
+      logger.info('Successfully authenticated with Google Sheets API via ADC');
       return auth;
     }
 
@@ -35,10 +50,10 @@ const getGoogleAuth = async (credentialsPath) => {
       scopes
     );
     await auth.authorize();
-    console.log('Successfully authenticated with Google Sheets API via key file');
+    logger.info('Successfully authenticated with Google Sheets API via key file');
     return auth;
   } catch (error) {
-    console.error(`Error authenticating with Google: ${error.message}`);
+    logger.error(`Error authenticating with Google: ${error.message}`);
     return null;
   }
 };
@@ -63,7 +78,8 @@ const createSheetIfNotExists = async (auth, spreadsheetId, sheetName) => {
     );
 
     if (!sheetExists) {
-      console.log(`Creating new sheet: ${sheetName}`);
+      logger.info(`Creating new sheet: ${sheetName}`);
+      await sheetsWriteLimiter.acquire();
       await sheets.spreadsheets.batchUpdate({
         auth,
         spreadsheetId,
@@ -77,19 +93,159 @@ const createSheetIfNotExists = async (auth, spreadsheetId, sheetName) => {
           }]
         }
       });
-      console.log(`Successfully created sheet: ${sheetName}`);
+      logger.info(`Successfully created sheet: ${sheetName}`);
     } else {
-      console.log(`Sheet ${sheetName} already exists`);
+      logger.info(`Sheet ${sheetName} already exists`);
     }
     return true;
   } catch (error) {
-    console.error(`Error creating sheet ${sheetName}:`, error.message);
+    logger.error(`Error creating sheet ${sheetName}:`, error.message);
     return false;
   }
 };
 
+// Prefix given to columns that are no longer in a module's HEADERS
+const ARCHIVED_PREFIX = 'Archived: ';
+
 /**
- * Update sheet with headers
+ * Work out the column layout after migrating a live header row to the expected headers.
+ * Columns missing from the expected headers are kept, archived at the end. When a live header
+ * appears more than once, only its first column is used; the others are archived as
+ * "Archived: <header> (duplicate <n>)" so their data stays labelled.
+ * @param {Array} liveHeaders - Current header row in the sheet
+ * @param {Array} headers - Expected headers from the platform module
+ * @returns {{headers: Array<string>, sources: Array<number>, added: Array<string>, moved: Array<string>, archived: Array<string>}}
+ *   The migrated header row, the live column index feeding each new column (-1 for new columns), and a summary
+ */
+const planHeaderMigration = (liveHeaders, headers) => {
+  const live = (liveHeaders || []).map(h => String(h == null ? '' : h).trim());
+  const liveIndex = new Map();
+  live.forEach((h, i) => {
+    if (h && !liveIndex.has(h)) liveIndex.set(h, i);
+  });
+
+  const newHeaders = [...headers];
+  const sources = headers.map(h => (liveIndex.has(h) ? liveIndex.get(h) : -1));
+  const added = headers.filter(h => !liveIndex.has(h));
+  const moved = headers.filter((h, i) => liveIndex.has(h) && liveIndex.get(h) !== i);
+  const archived = [];
+  const occurrences = new Map();
+
+  live.forEach((h, i) => {
+    if (!h) return;
+    occurrences.set(h, (occurrences.get(h) || 0) + 1);
+    if (liveIndex.get(h) !== i) {
+      const base = h.startsWith(ARCHIVED_PREFIX) ? h.slice(ARCHIVED_PREFIX.length) : h;
+      newHeaders.push(`${ARCHIVED_PREFIX}${base} (duplicate ${occurrences.get(h)})`);
+      sources.push(i);
+      archived.push(`${base} (duplicate ${occurrences.get(h)})`);
+      return;
+    }
+    if (headers.includes(h)) return;
+    // A column that comes back under its original name is restored instead of staying archived
+    if (h.startsWith(ARCHIVED_PREFIX) && headers.includes(h.slice(ARCHIVED_PREFIX.length))) {
+      const restoredAt = headers.indexOf(h.slice(ARCHIVED_PREFIX.length));
+      if (sources[restoredAt] === -1) {
+        sources[restoredAt] = i;
+        added.splice(added.indexOf(headers[restoredAt]), 1);
+        return;
+      }
+    }
+    const archivedName = h.startsWith(ARCHIVED_PREFIX) ? h : `${ARCHIVED_PREFIX}${h}`;
+    newHeaders.push(archivedName);
+    sources.push(i);
+    if (!h.startsWith(ARCHIVED_PREFIX)) archived.push(h);
+  });
+
+  return { headers: newHeaders, sources, added, moved, archived };
+};
+
+/**
+ * Check whether a header migration plan leaves a sheet as it is
+ * @param {Array} liveHeaders - Current header row in the sheet
+ * @param {Object} plan - Result of planHeaderMigration
+ * @returns {boolean} True when every column stays in place under the same header
+ */
+const isHeaderMigrationNoop = (liveHeaders, plan) => plan.headers.length === liveHeaders.length &&
+  plan.sources.every((src, i) => src === i) &&
+  plan.headers.every((h, i) => h === String(liveHeaders[i] == null ? '' : liveHeaders[i]).trim());
+
+/**
+ * Rearrange sheet values into the column layout of a header migration plan
+ * @param {Array} existingData - All current values of the sheet, header row first
+ * @param {Object} plan - Result of planHeaderMigration
+ * @returns {Array} Values in the migrated layout, header row first
+ */
+const applyHeaderMigration = (existingData, plan) => {
+  return existingData.map((row, rowIndex) => {
+    if (rowIndex === 0) return plan.headers;
+    return plan.sources.map(src => {
+      const value = src === -1 ? '' : row[src];
+      return value == null ? '' : value;
+    });
+  });
+};
+
+/**
+ * Move a sheet's columns into the layout of a header migration plan, keeping all existing data.
+ * New headers get empty columns inserted in their position, reordered columns are moved with their
+ * data, and columns no longer in the headers end up after the expected ones (renamed "Archived: "
+ * when the header row is written). Cells are moved rather than rewritten, so their values, number
+ * formats and formulas stay as they are.
+ * @param {Object} auth - Google auth client
+ * @param {string} spreadsheetId - Google Spreadsheet ID
+ * @param {string} sheetName - Name of the sheet
+ * @param {Array} liveHeaders - Current header row of the sheet
+ * @param {Object} plan - Result of planHeaderMigration
+ * @returns {Promise<number>} Number of columns in the sheet's data after the migration
+ */
+const migrateSheetColumns = async (auth, spreadsheetId, sheetName, liveHeaders, plan) => {
+  const ss = await sheets.spreadsheets.get({ auth, spreadsheetId, includeGridData: false });
+  const sheet = (ss.data.sheets || []).find(sh => sh.properties.title === sheetName);
+  const sheetId = sheet?.properties?.sheetId;
+  if (sheetId == null) {
+    throw new Error(`Sheet "${sheetName}" not found`);
+  }
+
+  // Live column index at each position as the requests are applied in order ('new' for inserted columns)
+  const layout = liveHeaders.map((_, i) => i);
+  const requests = [];
+  plan.sources.forEach((source, target) => {
+    if (source === -1) {
+      requests.push({
+        insertDimension: {
+          range: { sheetId, dimension: 'COLUMNS', startIndex: target, endIndex: target + 1 },
+          inheritFromBefore: target > 0
+        }
+      });
+      layout.splice(target, 0, 'new');
+      return;
+    }
+    const position = layout.indexOf(source);
+    if (position === target) return;
+    // Columns left of target are already in place, so the source always moves left
+    requests.push({
+      moveDimension: {
+        source: { sheetId, dimension: 'COLUMNS', startIndex: position, endIndex: position + 1 },
+        destinationIndex: target
+      }
+    });
+    layout.splice(position, 1);
+    layout.splice(target, 0, source);
+  });
+
+  if (requests.length > 0) {
+    await sheetsWriteLimiter.acquire();
+    await sheets.spreadsheets.batchUpdate({ auth, spreadsheetId, resource: { requests } });
+  }
+  return layout.length;
+};
+
+/**
+ * Update sheet with headers.
+ * If the sheet already has a different header row (metrics added, reordered or removed),
+ * existing columns are migrated to the new layout before the headers are written. Header cells
+ * right of the new headers are cleared.
  * @param {Object} auth - Google auth client
  * @param {string} spreadsheetId - Google Spreadsheet ID
  * @param {string} sheetName - Name of the sheet
@@ -98,23 +254,55 @@ const createSheetIfNotExists = async (auth, spreadsheetId, sheetName) => {
  */
 const setupSheetHeaders = async (auth, spreadsheetId, sheetName, headers) => {
   try {
-    const lastCol = getColumnLetter(headers.length);
+    const existingResponse = await sheets.spreadsheets.values.get({
+      auth,
+      spreadsheetId,
+      range: sheetName
+    });
+    const existingData = existingResponse.data.values || [];
+    const liveHeaders = existingData[0] || [];
+
+    let headerRow = headers;
+    let liveWidth = liveHeaders.length;
+    if (existingData.length > 1 && liveHeaders.some(h => String(h).trim() !== '')) {
+      // Archived columns keep their headers, so the row written is the plan's even when nothing moves
+      const plan = planHeaderMigration(liveHeaders, headers);
+      headerRow = plan.headers;
+      if (!isHeaderMigrationNoop(liveHeaders, plan)) {
+        logger.info(`Migrating ${sheetName} columns (${existingData.length - 1} data rows): ` +
+          `added [${plan.added.join(', ')}], moved [${plan.moved.join(', ')}], archived [${plan.archived.join(', ')}]`);
+        liveWidth = await migrateSheetColumns(auth, spreadsheetId, sheetName, liveHeaders, plan);
+      }
+    }
+
+    const lastCol = getColumnLetter(headerRow.length);
     const headerRange = `${sheetName}!A1:${lastCol}1`;
     
-    console.log(`Updating ${sheetName} headers with new columns`);
+    logger.info(`Updating ${sheetName} headers with new columns`);
+    await sheetsWriteLimiter.acquire();
     await sheets.spreadsheets.values.update({
       auth,
       spreadsheetId,
       range: headerRange,
       valueInputOption: 'USER_ENTERED',
       resource: {
-        values: [headers]
+        values: [headerRow]
       }
     });
-    console.log(`${sheetName} headers updated successfully`);
+
+    // Leftover header cells of a wider old header row
+    if (liveWidth > headerRow.length) {
+      await sheetsWriteLimiter.acquire();
+      await sheets.spreadsheets.values.clear({
+        auth,
+        spreadsheetId,
+        range: `${sheetName}!${getColumnLetter(headerRow.length + 1)}1:${getColumnLetter(liveWidth)}1`
+      });
+    }
+    logger.info(`${sheetName} headers updated successfully`);
     return true;
   } catch (error) {
-    console.error(`Error setting up ${sheetName} headers: ${error.message}`);
+    logger.error(`Error setting up ${sheetName} headers: ${error.message}`);
     return false;
   }
 };
@@ -125,84 +313,51 @@ const setupSheetHeaders = async (auth, spreadsheetId, sheetName, headers) => {
  * @param {string} spreadsheetId - Google Spreadsheet ID
  * @param {Array} rows - Array of data rows
  * @param {string} sheetName - Name of the sheet to update
- * @returns {Promise<boolean>} Success status
+ * @param {Object} [options]
+ * @param {string} [options.mode='append'] - 'append' (skip recent duplicates) or 'upsert' (see upsertSheet)
+ * @param {Array<string>} [options.keyHeaders=['Date', 'Profile ID']] - Header names identifying a row, date header first
+ * @returns {Promise<boolean|Object>} Success status, or the upsert counts in upsert mode
+ * @throws {Error} MISSING_KEY_HEADER, quota and grid-limit errors, so callers can fix the sheet or retry with backoff
  */
-const updateSheet = async (auth, spreadsheetId, rows, sheetName) => {
+const updateSheet = async (auth, spreadsheetId, rows, sheetName, options = {}) => {
   if (!rows || rows.length === 0) {
-    console.warn('No data to update in sheet');
+    logger.warn('No data to update in sheet');
     return false;
   }
 
+  if (options.mode === 'upsert') {
+    const result = await upsertSheet(auth, spreadsheetId, rows, sheetName, options);
+    return result || false;
+  }
+
   try {
-    console.log('Updating sheet with rows:', rows.length);
-    console.log('First row sample:', rows[0]);
+    logger.info('Updating sheet with rows:', rows.length);
+    logger.debug('First row sample:', rows[0]);
     
     // Get today's date in the same format as stored in the sheet (YYYY-MM-DD)
     const today = new Date().toISOString().split('T')[0];
-    console.log(`Checking for existing data for date: ${today}`);
+    logger.debug(`Checking for existing data for date: ${today}`);
     
-    // Get all existing data to check for today's date
+    // Get all existing data (every column) to check for today's date and find the last used row
     const existingDataResponse = await sheets.spreadsheets.values.get({
       auth,
       spreadsheetId,
-      range: `${sheetName}!A:F`, // Include date column and profile ID columns
+      range: sheetName,
     });
     
     const existingData = existingDataResponse.data.values || [];
-    console.log(`Found ${existingData.length} existing rows in the sheet`);
-    
-    // Skip header row if it exists
-    const dataToCheck = existingData.length > 0 ? existingData.slice(1) : [];
+    logger.info(`Found ${existingData.length} existing rows in the sheet`);
     
-    // Function to normalize dates for comparison
-    const normalizeDate = (dateStr) => {
-      if (!dateStr) return '';
-      // Try to convert to a standard format YYYY-MM-DD
-      try {
-        const date = new Date(dateStr);
-        return date.toISOString().split('T')[0]; // Returns YYYY-MM-DD
-      } catch (e) {
-        return dateStr; // Return original if parsing fails
-      }
-    };
+    // Resolve the date and profile key columns from the header row
+    const keyColumns = resolveKeyColumns(existingData[0], options.keyHeaders, sheetName);
     
-    // Get yesterday's date as well since we're now fetching yesterday's data
-    const yesterday = new Date();
-    yesterday.setDate(yesterday.getDate() - 1);
-    const yesterdayStr = yesterday.toISOString().split('T')[0];
-    
-    // Check for both today's and yesterday's data for these profiles
-    const recentData = dataToCheck.filter(row => {
-      const rowDate = normalizeDate(row[0]);
-      return rowDate === today || rowDate === yesterdayStr;
-    });
-    
-    if (recentData.length > 0) {
-      console.log(`Found ${recentData.length} existing rows for recent dates (${yesterdayStr} or ${today})`);
-      
-      // Filter out rows that already exist for the same date and profile ID
-      const newRows = rows.filter(newRow => {
-        // Each new row should have date at index 0 and profile ID at index 4
-        const newRowDate = normalizeDate(newRow[0]);
-        const newRowProfileId = String(newRow[3]).trim(); // Profile ID is column D (index 3)
-        
-        // Check if this profile's data already exists
-        const exists = recentData.some(existingRow => {
-          const existingRowDate = normalizeDate(existingRow[0]);
-          const existingRowProfileId = String(existingRow[3]).trim(); // Profile ID is column D (index 3)
-          
-          return existingRowDate === newRowDate && existingRowProfileId === newRowProfileId;
-        });
-        
-        return !exists;
-      });
-      
-      if (newRows.length === 0) {
-        console.log('All data for today already exists in the sheet. No update needed.');
-        return true; // Return success since no update was needed
-      }
-      
-      console.log(`Adding ${newRows.length} new rows that don't already exist for today`);
+    const newRows = filterRecentDuplicates(existingData, rows, keyColumns);
+    if (newRows.length === 0) {
+      logger.info('All data for today already exists in the sheet. No update needed.');
+      return true; // Return success since no update was needed
+    }
+    if (newRows.length < rows.length) {
+      logger.info(`Adding ${newRows.length} new rows that don't already exist for today`);
       rows = newRows; // Replace rows with filtered rows
     }
     
@@ -213,9 +368,9 @@ const updateSheet = async (auth, spreadsheetId, rows, sheetName) => {
     const lastRow = nextRow + rows.length - 1;
     const lastCol = getColumnLetter(rows[0].length);
     
-    console.log(`Appending data starting at row ${nextRow} (after existing ${existingData.length} rows)`);
+    logger.info(`Appending data starting at row ${nextRow} (after existing ${existingData.length} rows)`);
 
-    console.log('Sheet update details:', {
+    logger.debug('Sheet update details:', {
       nextRow,
       lastRow,
       columnCount: rows[0].length,
@@ -224,22 +379,11 @@ const updateSheet = async (auth, spreadsheetId, rows, sheetName) => {
 
     // Determine the sheet's existing date pattern for column A and format our outgoing dates to match
     const { pattern: existingPattern, source: patternSource } = await determineExistingDatePattern(auth, spreadsheetId, sheetName);
-    console.log(`Date pattern detection: pattern="${existingPattern || 'N/A'}" (source=${patternSource})`);
-
-    const formattedRows = rows.map(r => {
-      const newRow = [...r];
-      try {
-        // Only format if column 0 looks like a date and we have a pattern
-        if (newRow[0]) {
-          const iso = normalizeToIsoDateString(newRow[0]);
-          if (iso) {
-            newRow[0] = formatDateByPattern(iso, existingPattern);
-          }
-        }
-      } catch (_) {}
-      return newRow;
-    });
+    logger.debug(`Date pattern detection: pattern="${existingPattern || 'N/A'}" (source=${patternSource})`);
 
+    const formattedRows = formatRowDates(rows, existingPattern);
+
+    await sheetsWriteLimiter.acquire();
     const updateResponse = await sheets.spreadsheets.values.update({
       auth,
       spreadsheetId,
@@ -250,22 +394,359 @@ const updateSheet = async (auth, spreadsheetId, rows, sheetName) => {
       }
     });
 
-    console.log('Sheet update response:', updateResponse.data);
-    console.log(`Updated ${updateResponse.data.updatedRows} rows starting from row ${nextRow}`);
+    logger.debug('Sheet update response:', updateResponse.data);
+    logger.info(`Updated ${updateResponse.data.updatedRows} rows starting from row ${nextRow}`);
     // Apply date format to Date column (A) only if there was no existing pattern detected
     if (!existingPattern) {
       try { await ensureDateColumnFormat(auth, spreadsheetId, sheetName); } catch (_) {}
     }
     return true;
   } catch (error) {
-    console.error(`Error updating sheet: ${error.message}`);
+    if (isRethrownWriteError(error)) throw error;
+    logger.error(`Error updating sheet: ${error.message}`);
     if (error.response && error.response.data) {
-      console.error('Sheet API Error:', error.response.data);
+      logger.error('Sheet API Error:', error.response.data);
     }
     return false;
   }
 };
 
+// Key headers used when a caller doesn't declare its own
+const DEFAULT_KEY_HEADERS = ['Date', 'Profile ID'];
+
+// Error code thrown when a sheet lacks a required key header
+const MISSING_KEY_HEADER = 'MISSING_KEY_HEADER';
+
+/**
+ * Check whether a write error should reach the caller instead of being logged and reported as a failed write:
+ * a missing key header needs the sheet fixed, and quota and grid-limit errors are retried by the callers
+ * (see retryWithBackoff in utils/rate-limit.js)
+ * @param {Error} error - Error raised while writing
+ * @returns {boolean} True if the error should be rethrown
+ */
+const isRethrownWriteError = (error) => error.code === MISSING_KEY_HEADER || isQuotaError(error) || isGridLimitError(error);
+
+/**
+ * Resolve key column indexes from a sheet's header row by header name (case-insensitive)
+ * @param {Array} headerRow - First row of the sheet
+ * @param {Array<string>} [keyHeaders] - Header names forming the row key, date header first
+ * @param {string} sheetName - Sheet name, used in the error message
+ * @returns {Array<number>} Zero-based column indexes in the same order as keyHeaders
+ * @throws {Error} If any key header is missing from the header row
+ */
+const resolveKeyColumns = (headerRow, keyHeaders = DEFAULT_KEY_HEADERS, sheetName = '') => {
+  const normalized = (headerRow || []).map(h => String(h == null ? '' : h).trim().toLowerCase());
+  const headers = keyHeaders && keyHeaders.length > 0 ? keyHeaders : DEFAULT_KEY_HEADERS;
+  const columns = headers.map(h => normalized.indexOf(String(h).trim().toLowerCase()));
+  const missing = headers.filter((h, i) => columns[i] === -1);
+  if (missing.length > 0) {
+    const error = new Error(`Sheet "${sheetName}" is missing required key header(s): ${missing.join(', ')}. Found: ${(headerRow || []).join(', ') || '(no header row)'}`);
+    error.code = MISSING_KEY_HEADER;
+    throw error;
+  }
+  return columns;
+};
+
+/**
+ * Format the date in column A of each row to match the sheet's existing date pattern
+ * @param {Array} rows - Data rows
+ * @param {string|null} pattern - Pattern from determineExistingDatePattern
+ * @returns {Array} Copies of the rows with column A formatted
+ */
+const formatRowDates = (rows, pattern) => {
+  return rows.map(r => {
+    const newRow = [...r];
+    try {
+      // Only format if column 0 looks like a date and we have a pattern
+      if (newRow[0]) {
+        const iso = normalizeToIsoDateString(newRow[0]);
+        if (iso) {
+          newRow[0] = formatDateByPattern(iso, pattern);
+        }
+      }
+    } catch (_) {}
+    return newRow;
+  });
+};
+
+/**
+ * Compare a cell read back from the sheet with the value we are about to write
+ * @param {*} existing - Unformatted value from the sheet
+ * @param {*} incoming - Value from the formatted row
+ * @returns {boolean} True if the values are equivalent
+ */
+const cellsMatch = (existing, incoming) => {
+  const a = existing == null ? '' : String(existing).trim();
+  const b = incoming == null ? '' : String(incoming).trim();
+  if (a === b) return true;
+  if (a !== '' && b !== '' && !isNaN(Number(a)) && !isNaN(Number(b))) {
+    return Math.abs(Number(a) - Number(b)) < 1e-9;
+  }
+  return false;
+};
+
+/**
+ * Drop incoming rows whose date and profile already appear among the sheet's rows for today or
+ * yesterday, so append mode doesn't write the same day twice
+ * @param {Array} existingData - Current sheet values, header row first
+ * @param {Array} rows - Rows about to be appended
+ * @param {Array<number>} keyColumns - Key column indexes from resolveKeyColumns, date column first
+ * @returns {Array} Rows that still need appending
+ */
+const filterRecentDuplicates = (existingData, rows, keyColumns) => {
+  const [dateColumn, ...profileColumns] = keyColumns;
+  const profileKey = (row) => profileColumns.map(col => String(row[col] == null ? '' : row[col]).trim()).join('|');
+
+  // Function to normalize dates for comparison
+  const normalizeDate = (dateStr) => {
+    if (!dateStr) return '';
+    // Try to convert to a standard format YYYY-MM-DD
+    try {
+      const date = new Date(dateStr);
+      return date.toISOString().split('T')[0]; // Returns YYYY-MM-DD
+    } catch (e) {
+      return dateStr; // Return original if parsing fails
+    }
+  };
+
+  // Get yesterday's date as well since we're now fetching yesterday's data
+  const today = new Date().toISOString().split('T')[0];
+  const yesterday = new Date();
+  yesterday.setDate(yesterday.getDate() - 1);
+  const yesterdayStr = yesterday.toISOString().split('T')[0];
+
+  // Check for both today's and yesterday's data for these profiles (skipping the header row)
+  const recentData = existingData.slice(1).filter(row => {
+    const rowDate = normalizeDate(row[dateColumn]);
+    return rowDate === today || rowDate === yesterdayStr;
+  });
+  if (recentData.length === 0) return rows;
+
+  logger.info(`Found ${recentData.length} existing rows for recent dates (${yesterdayStr} or ${today})`);
+
+  // Filter out rows that already exist for the same date and profile ID.
+  // New rows follow the header layout, so the resolved key columns apply to them too.
+  return rows.filter(newRow => {
+    const newRowDate = normalizeDate(newRow[dateColumn]);
+    const newRowProfileKey = profileKey(newRow);
+    return !recentData.some(existingRow =>
+      normalizeDate(existingRow[dateColumn]) === newRowDate && profileKey(existingRow) === newRowProfileKey);
+  });
+};
+
+/**
+ * Compare incoming rows with a sheet's rows by key, as upsertSheet does
+ * @param {Array} existingData - Current sheet values (unformatted), header row first
+ * @param {Array} rows - Incoming rows
+ * @param {Array<number>} keyColumns - Key column indexes from resolveKeyColumns, date column first
+ * @returns {{appends: Array, changes: Array<{sheetRow: number, row: Array, columns: Array<number>}>, unchanged: number}}
+ *   Rows to append, rows to overwrite (1-based sheet row and the changed column indexes), and the unchanged count
+ */
+const diffUpsertRows = (existingData, rows, keyColumns) => {
+  const rowKey = (row) => keyColumns.map((col, i) => {
+    const value = row[col];
+    return i === 0 ? normalizeToIsoDateString(value) : String(value == null ? '' : value).trim();
+  }).join('|');
+
+  // Index existing data rows by key (1-based sheet row numbers, header is row 1)
+  const existingByKey = new Map();
+  for (let i = 1; i < existingData.length; i++) {
+    const key = rowKey(existingData[i] || []);
+    if (!existingByKey.has(key)) {
+      existingByKey.set(key, i + 1);
+    }
+  }
+
+  // When the same key appears more than once in the input, the last row wins
+  const incomingByKey = new Map();
+  for (const row of rows) {
+    incomingByKey.set(rowKey(row), row);
+  }
+
+  const appends = [];
+  const changes = [];
+  let unchanged = 0;
+  for (const [key, row] of incomingByKey) {
+    const sheetRow = existingByKey.get(key);
+    if (!sheetRow) {
+      appends.push(row);
+      continue;
+    }
+    const current = existingData[sheetRow - 1] || [];
+    // The date column is compared by date so a differently formatted date doesn't count as a change
+    const columns = [];
+    row.forEach((value, col) => {
+      const same = col === keyColumns[0]
+        ? normalizeToIsoDateString(current[col]) === normalizeToIsoDateString(value)
+        : cellsMatch(current[col], value);
+      if (!same) columns.push(col);
+    });
+    if (columns.length > 0) {
+      changes.push({ sheetRow, row, columns });
+    } else {
+      unchanged++;
+    }
+  }
+
+  return { appends, changes, unchanged };
+};
+
+// Maximum ranges sent in a single values.batchUpdate request
+const UPSERT_BATCH_RANGES = 500;
+
+/**
+ * Upsert rows into a sheet keyed by date plus profile.
+ * Existing rows are indexed by key; rows whose values changed are overwritten in place
+ * with batched range updates, and only keys not yet in the sheet are appended.
+ * @param {Object} auth - Google auth client
+ * @param {string} spreadsheetId - Google Spreadsheet ID
+ * @param {Array} rows - Array of data rows (date in column A)
+ * @param {string} sheetName - Name of the sheet to update
+ * @param {Object} [options]
+ * @param {Array<string>} [options.keyHeaders=['Date', 'Profile ID']] - Header names forming the row key (date first)
+ * @returns {Promise<{inserted: number, updated: number, unchanged: number}|null>} Counts, or null on failure
+ * @throws {Error} MISSING_KEY_HEADER, quota and grid-limit errors (see updateSheet)
+ */
+const upsertSheet = async (auth, spreadsheetId, rows, sheetName, options = {}) => {
+  const result = { inserted: 0, updated: 0, unchanged: 0 };
+
+  if (!rows || rows.length === 0) {
+    logger.warn('No data to upsert in sheet');
+    return result;
+  }
+
+  try {
+    const width = Math.max(...rows.map(r => r.length));
+    const lastCol = getColumnLetter(width);
+
+    const existingDataResponse = await sheets.spreadsheets.values.get({
+      auth,
+      spreadsheetId,
+      range: sheetName,
+      valueRenderOption: 'UNFORMATTED_VALUE'
+    });
+    const existingData = existingDataResponse.data.values || [];
+    logger.info(`Found ${existingData.length} existing rows in ${sheetName} (including header)`);
+
+    // Rows are keyed by the date and profile columns named in the header row
+    const keyColumns = resolveKeyColumns(existingData[0], options.keyHeaders, sheetName);
+    const { appends, changes, unchanged } = diffUpsertRows(existingData, rows, keyColumns);
+    result.unchanged = unchanged;
+
+    const { pattern: existingPattern } = await determineExistingDatePattern(auth, spreadsheetId, sheetName);
+    const updates = changes.map(({ sheetRow, row }) => {
+      const [formatted] = formatRowDates([row], existingPattern);
+      return {
+        range: `${sheetName}!A${sheetRow}:${getColumnLetter(formatted.length)}${sheetRow}`,
+        values: [formatted]
+      };
+    });
+
+    for (let i = 0; i < updates.length; i += UPSERT_BATCH_RANGES) {
+      const chunk = updates.slice(i, i + UPSERT_BATCH_RANGES);
+      await sheetsWriteLimiter.acquire();
+      await sheets.spreadsheets.values.batchUpdate({
+        auth,
+        spreadsheetId,
+        resource: {
+          valueInputOption: 'USER_ENTERED',
+          data: chunk
+        }
+      });
+      result.updated += chunk.length;
+    }
+
+    if (appends.length > 0) {
+      const nextRow = existingData.length > 0 ? existingData.length + 1 : 2;
+      const lastRow = nextRow + appends.length - 1;
+      await sheetsWriteLimiter.acquire();
+      await sheets.spreadsheets.values.update({
+        auth,
+        spreadsheetId,
+        range: `${sheetName}!A${nextRow}:${lastCol}${lastRow}`,
+        valueInputOption: 'USER_ENTERED',
+        resource: {
+          values: formatRowDates(appends, existingPattern)
+        }
+      });
+      result.inserted = appends.length;
+    }
+
+    if (!existingPattern && (result.inserted > 0 || result.updated > 0)) {
+      try { await ensureDateColumnFormat(auth, spreadsheetId, sheetName); } catch (_) {}
+    }
+
+    logger.info(`Upserted ${sheetName}: ${result.inserted} inserted, ${result.updated} updated, ${result.unchanged} unchanged`);
+    return result;
+  } catch (error) {
+    if (isRethrownWriteError(error)) throw error;
+    logger.error(`Error upserting sheet ${sheetName}: ${error.message}`);
+    if (error.response && error.response.data) {
+      logger.error('Sheet API Error:', error.response.data);
+    }
+    return null;
+  }
+};
+
+/**
+ * Work out what updateSheet would change in a sheet, without writing anything
+ * @param {Object} auth - Google auth client
+ * @param {string} spreadsheetId - Google Spreadsheet ID
+ * @param {Array} rows - Array of data rows
+ * @param {string} sheetName - Name of the sheet
+ * @param {Object} [options]
+ * @param {string} [options.mode='append'] - Write mode updateSheet would use
+ * @param {Array<string>} [options.keyHeaders=['Date', 'Profile ID']] - Header names forming the row key (date first)
+ * @param {Array} [options.existingData] - Sheet values to compare against instead of reading the sheet (e.g. a tab that doesn't exist yet)
+ * @param {Object} [options.headerMigration] - planHeaderMigration result to apply to the sheet values first
+ * @param {Set<number>} [options.removedRows] - 1-based sheet rows to treat as already deleted
+ * @returns {Promise<{inserts: Array<string>, updates: Array<{key: string, sheetRow: number, columns: Array<string>}>, unchanged: number}>}
+ *   Keys of the rows that would be inserted, rows that would be overwritten with the headers that change, and the unchanged count
+ * @throws {Error} With code MISSING_KEY_HEADER if the sheet lacks a key header
+ */
+const planSheetUpdate = async (auth, spreadsheetId, rows, sheetName, options = {}) => {
+  const upsert = options.mode === 'upsert';
+  let existingData = options.existingData;
+  if (!existingData) {
+    const response = await sheets.spreadsheets.values.get({
+      auth,
+      spreadsheetId,
+      range: sheetName,
+      ...(upsert ? { valueRenderOption: 'UNFORMATTED_VALUE' } : {})
+    });
+    existingData = response.data.values || [];
+  }
+  if (options.headerMigration) {
+    existingData = applyHeaderMigration(existingData.length > 0 ? existingData : [[]], options.headerMigration);
+  }
+  if (options.removedRows) {
+    existingData = existingData.map((row, i) => (options.removedRows.has(i + 1) ? [] : row));
+  }
+
+  const headerRow = existingData[0] || [];
+  const keyColumns = resolveKeyColumns(headerRow, options.keyHeaders, sheetName);
+  const describeRow = (row) => keyColumns
+    .map((col, i) => (i === 0 ? normalizeToIsoDateString(row[col]) || row[col] : row[col]))
+    .map(value => String(value == null ? '' : value).trim())
+    .join(' | ');
+
+  if (!upsert) {
+    const appends = filterRecentDuplicates(existingData, rows, keyColumns);
+    return { inserts: appends.map(describeRow), updates: [], unchanged: rows.length - appends.length };
+  }
+
+  const { appends, changes, unchanged } = diffUpsertRows(existingData, rows, keyColumns);
+  return {
+    inserts: appends.map(describeRow),
+    updates: changes.map(({ sheetRow, row, columns }) => ({
+      key: describeRow(row),
+      sheetRow,
+      columns: columns.map(col => String(headerRow[col] || getColumnLetter(col + 1)))
+    })),
+    unchanged
+  };
+};
+
 /**
  * Convert column number to letter (A, B, C, ..., AA, AB, etc.)
  * @param {number} colNum - Column number (1-based)
@@ -301,7 +782,7 @@ const getSheetValues = async (auth, spreadsheetId, sheetName, range) => {
     
     return response.data.values || [];
   } catch (error) {
-    console.error(`Error getting sheet values: ${error.message}`);
+    logger.error(`Error getting sheet values: ${error.message}`);
     return [];
   }
 };
@@ -318,6 +799,7 @@ const ensureDateColumnFormat = async (auth, spreadsheetId, sheetName) => {
     const sheetId = sheet?.properties?.sheetId;
     if (sheetId == null) return;
 
+    await sheetsWriteLimiter.acquire();
     await sheets.spreadsheets.batchUpdate({
       auth,
       spreadsheetId,
@@ -338,7 +820,7 @@ const ensureDateColumnFormat = async (auth, spreadsheetId, sheetName) => {
       }
     });
   } catch (err) {
-    console.warn(`Failed to set date format on ${sheetName}!A:A: ${err.message}`);
+    logger.warn(`Failed to set date format on ${sheetName}!A:A: ${err.message}`);
   }
 };
 
@@ -385,7 +867,7 @@ const determineExistingDatePattern = async (auth, spreadsheetId, sheetName) => {
 
     return { pattern: null, source: 'none' };
   } catch (err) {
-    console.warn(`Could not determine existing date pattern for ${sheetName}: ${err.message}`);
+    logger.warn(`Could not determine existing date pattern for ${sheetName}: ${err.message}`);
     return { pattern: null, source: 'none' };
   }
 };
@@ -466,14 +948,22 @@ const formatDateByPattern = (iso, pattern) => {
 };
 
 module.exports = {
+  MISSING_KEY_HEADER,
   getGoogleAuth,
   createSheetIfNotExists,
   setupSheetHeaders,
+  planHeaderMigration,
+  isHeaderMigrationNoop,
+  applyHeaderMigration,
   updateSheet,
+  upsertSheet,
+  planSheetUpdate,
+  resolveKeyColumns,
   getColumnLetter,
   getSheetValues,
   ensureDateColumnFormat,
   determineExistingDatePattern,
   formatDateByPattern,
-  normalizeToIsoDateString
+  normalizeToIsoDateString,
+  setSheetsClient
 };
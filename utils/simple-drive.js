@@ -3,6 +3,8 @@
  * This module provides simplified functions for working with Google Drive
  */
 const { google } = require('googleapis');
+const { sheetsWriteLimiter } = require('./rate-limit');
+const logger = require('./logger');
 
 /**
  * Find an existing spreadsheet in a folder by title pattern
@@ -13,7 +15,7 @@ const { google } = require('googleapis');
  */
 const findExistingSpreadsheet = async (drive, titlePattern, folderId) => {
   try {
-    console.log(`Searching for spreadsheet matching pattern: "${titlePattern}" in folder: ${folderId}`);
+    logger.debug(`Searching for spreadsheet matching pattern: "${titlePattern}" in folder: ${folderId}`);
     
     // Build the query
     let query = `mimeType='application/vnd.google-apps.spreadsheet' and trashed=false`;
@@ -35,11 +37,11 @@ const findExistingSpreadsheet = async (drive, titlePattern, folderId) => {
     const files = response.data.files;
     
     if (!files || files.length === 0) {
-      console.log('No spreadsheets found.');
+      logger.info('No spreadsheets found.');
       return null;
     }
     
-    console.log(`Found ${files.length} spreadsheets in the folder.`);
+    logger.info(`Found ${files.length} spreadsheets in the folder.`);
     
     // Find the first spreadsheet that matches the pattern strictly
     // 1) exact match or 2) name starts with pattern (e.g., "Copy of <Group> ...")
@@ -54,14 +56,14 @@ const findExistingSpreadsheet = async (drive, titlePattern, folderId) => {
     }
     
     if (matchingFile) {
-      console.log(`Found matching spreadsheet: "${matchingFile.name}" (${matchingFile.id})`);
+      logger.info(`Found matching spreadsheet: "${matchingFile.name}" (${matchingFile.id})`);
       return matchingFile.id;
     } else {
-      console.log(`No spreadsheet matching pattern "${titlePattern}" found.`);
+      logger.info(`No spreadsheet matching pattern "${titlePattern}" found.`);
       return null;
     }
   } catch (error) {
-    console.error(`Error finding existing spreadsheet: ${error.message}`);
+    logger.error(`Error finding existing spreadsheet: ${error.message}`);
     return null;
   }
 };
@@ -85,7 +87,7 @@ const ensureSheetCapacity = async (sheets, spreadsheetId, sheetTitle, minRows, m
 
     const sheet = (meta.data.sheets || []).find(s => s.properties && s.properties.title === sheetTitle);
     if (!sheet) {
-      console.warn(`ensureSheetCapacity: Sheet "${sheetTitle}" not found in ${spreadsheetId}`);
+      logger.warn(`ensureSheetCapacity: Sheet "${sheetTitle}" not found in ${spreadsheetId}`);
       return;
     }
 
@@ -101,6 +103,7 @@ const ensureSheetCapacity = async (sheets, spreadsheetId, sheetTitle, minRows, m
       return; // No change needed
     }
 
+    await sheetsWriteLimiter.acquire();
     await sheets.spreadsheets.batchUpdate({
       spreadsheetId,
       resource: {
@@ -120,9 +123,9 @@ const ensureSheetCapacity = async (sheets, spreadsheetId, sheetTitle, minRows, m
         ]
       }
     });
-    console.log(`Expanded sheet "${sheetTitle}" to rows=${targetRows}, cols=${targetCols}`);
+    logger.info(`Expanded sheet "${sheetTitle}" to rows=${targetRows}, cols=${targetCols}`);
   } catch (error) {
-    console.warn(`ensureSheetCapacity failed for ${sheetTitle}: ${error.message}`);
+    logger.warn(`ensureSheetCapacity failed for ${sheetTitle}: ${error.message}`);
   }
 };
 
@@ -136,9 +139,10 @@ const ensureSheetCapacity = async (sheets, spreadsheetId, sheetTitle, minRows, m
  */
 const createSpreadsheet = async (sheets, drive, title, folderId) => {
   try {
-    console.log(`Creating new spreadsheet: "${title}"`);
+    logger.info(`Creating new spreadsheet: "${title}"`);
     
     // Create the spreadsheet
+    await sheetsWriteLimiter.acquire();
     const response = await sheets.spreadsheets.create({
       resource: {
         properties: {
@@ -158,13 +162,13 @@ const createSpreadsheet = async (sheets, drive, title, folderId) => {
         fields: 'id, parents'
       });
       
-      console.log(`Moved spreadsheet to folder: ${folderId}`);
+      logger.info(`Moved spreadsheet to folder: ${folderId}`);
     }
     
-    console.log(`Created spreadsheet with ID: ${spreadsheetId}`);
+    logger.info(`Created spreadsheet with ID: ${spreadsheetId}`);
     return spreadsheetId;
   } catch (error) {
-    console.error(`Error creating spreadsheet: ${error.message}`);
+    logger.error(`Error creating spreadsheet: ${error.message}`);
     throw error;
   }
 };
@@ -178,9 +182,10 @@ const createSpreadsheet = async (sheets, drive, title, folderId) => {
  */
 const createSheet = async (sheets, spreadsheetId, sheetTitle) => {
   try {
-    console.log(`Creating sheet "${sheetTitle}" in spreadsheet: ${spreadsheetId}`);
+    logger.info(`Creating sheet "${sheetTitle}" in spreadsheet: ${spreadsheetId}`);
     
     // Add the sheet
+    await sheetsWriteLimiter.acquire();
     const response = await sheets.spreadsheets.batchUpdate({
       spreadsheetId,
       resource: {
@@ -197,10 +202,10 @@ const createSheet = async (sheets, spreadsheetId, sheetTitle) => {
     });
     
     const sheetId = response.data.replies[0].addSheet.properties.sheetId;
-    console.log(`Created sheet with ID: ${sheetId}`);
+    logger.info(`Created sheet with ID: ${sheetId}`);
     return sheetId;
   } catch (error) {
-    console.error(`Error creating sheet: ${error.message}`);
+    logger.error(`Error creating sheet: ${error.message}`);
     throw error;
   }
 };
@@ -214,7 +219,7 @@ const createSheet = async (sheets, spreadsheetId, sheetTitle) => {
  */
 const findSpreadsheetByPattern = async (drive, pattern, folderId) => {
   try {
-    console.log(`Searching for spreadsheet with pattern "${pattern}" in title`);
+    logger.debug(`Searching for spreadsheet with pattern "${pattern}" in title`);
     
     // Build the query
     let query = `mimeType='application/vnd.google-apps.spreadsheet' and trashed=false`;
@@ -242,16 +247,16 @@ const findSpreadsheetByPattern = async (drive, pattern, folderId) => {
     const files = response.data.files;
     
     if (!files || files.length === 0) {
-      console.log('No matching spreadsheets found.');
+      logger.info('No matching spreadsheets found.');
       return null;
     }
     
     // Return the most recently modified file
     const file = files[0];
-    console.log(`Found spreadsheet: "${file.name}" (${file.id})`);
+    logger.info(`Found spreadsheet: "${file.name}" (${file.id})`);
     return { id: file.id, name: file.name };
   } catch (error) {
-    console.error(`Error finding spreadsheet by pattern: ${error.message}`);
+    logger.error(`Error finding spreadsheet by pattern: ${error.message}`);
     return null;
   }
 };
@@ -265,7 +270,7 @@ const findSpreadsheetByPattern = async (drive, pattern, folderId) => {
  */
 const updateSpreadsheetTitle = async (drive, spreadsheetId, newTitle) => {
   try {
-    console.log(`Updating title of spreadsheet ${spreadsheetId} to "${newTitle}"`);
+    logger.info(`Updating title of spreadsheet ${spreadsheetId} to "${newTitle}"`);
     
     await drive.files.update({
       fileId: spreadsheetId,
@@ -274,9 +279,9 @@ const updateSpreadsheetTitle = async (drive, spreadsheetId, newTitle) => {
       }
     });
     
-    console.log('Title updated successfully.');
+    logger.info('Title updated successfully.');
   } catch (error) {
-    console.error(`Error updating spreadsheet title: ${error.message}`);
+    logger.error(`Error updating spreadsheet title: ${error.message}`);
     throw error;
   }
 };
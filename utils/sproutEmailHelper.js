@@ -1,31 +1,31 @@
 const { sendReportEmail } = require('./email');
+const { describeUnsupportedNetworks } = require('./networks');
 
 /**
  * Sends a completion email for the Sprout Analytics script
  * @param {Object} results - Results from processing groups
  * @param {string} executionTime - Formatted execution time
  * @param {string} folderLink - Link to the output folder
+ * @param {Object} [options]
+ * @param {boolean} [options.unsupportedTab=false] - Whether profiles on unsupported networks were written
+ *   to the "Other Networks" tab
  * @returns {Promise<void>}
  */
-async function sendSproutCompletionEmail(results, executionTime, folderLink = '#') {
+async function sendSproutCompletionEmail(results, executionTime, folderLink = '#', options = {}) {
   try {
-    // If results don't have status, consider all as completed
-    const hasStatus = results.every(r => 'status' in r);
-    
-    const completedSheets = hasStatus 
-      ? results.filter(r => r.status === 'completed').length 
-      : results.length;
+    // Groups fail with an "Error: ..." status; results without a status count as completed
+    const isFailed = (r) => typeof r.status === 'string' && r.status.startsWith('Error');
+
+    const completedSheets = results.filter(r => !isFailed(r)).length;
       
     const totalSheets = results.length;
     
-    const failedSheets = hasStatus 
-      ? results
-          .filter(r => r.status !== 'completed')
-          .map(r => ({
-            name: r.groupName || 'Unknown Group',
-            error: r.error || 'Unknown error'
-          }))
-      : [];
+    const failedSheets = results
+      .filter(isFailed)
+      .map(r => ({
+        name: r.groupName || 'Unknown Group',
+        error: r.error || r.status.replace(/^Error:\s*/, '') || 'Unknown error'
+      }));
 
     const emailHtml = `
       <h2>Sprout Analytics Processing Complete</h2>
@@ -53,15 +53,25 @@ async function sendSproutCompletionEmail(results, executionTime, folderLink = '#
     const groupNameDisplay = groupNames.length > 0 
       ? groupNames.join(', ') 
       : 'Multiple Groups';
+
+    // Groups with profiles that were left out because their network has no platform module
+    const unsupportedNetworks = results
+      .filter(r => r.unsupportedNetworks && r.unsupportedNetworks.length > 0)
+      .map(r => ({
+        groupName: r.groupName || 'Unknown Group',
+        networks: describeUnsupportedNetworks(r.unsupportedNetworks)
+      }));
     
     await sendReportEmail(
       { 
         totalSheets,
         completedSheets,
-        failedSheets: failedSheets.map(s => s.name),
+        failedSheets: failedSheets.map(s => `${s.name}: ${s.error}`),
         spreadsheetUrl,
         groupName: groupNameDisplay,
-        allGroupNames: groupNames  // Pass all group names to the email template
+        allGroupNames: groupNames,  // Pass all group names to the email template
+        unsupportedNetworks,
+        unsupportedTab: Boolean(options.unsupportedTab)
       },
       folderLink,
       `Sprout Social Analytics - ${groupNames.length > 1 ? `${groupNames.length} Groups` : groupNameDisplay}`